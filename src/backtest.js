@@ -0,0 +1,279 @@
+const { InvalidInputError } = require('./errors');
+  
+/**
+ * Bar-by-bar backtest engine. Orders submitted on a bar are filled from the next bar's
+ * prices, so a strategy can never trade on information it has not seen yet.
+ *
+ * Fill rules:
+ * - market: the next bar's open, plus slippage.
+ * - limit: the open if it is already better than the limit, otherwise the limit price once the
+ *   bar trades through it. No slippage.
+ * - stop: the open if the bar gaps through the stop, otherwise the stop price, plus slippage.
+ */
+class Backtester {
+    /**
+     * @param {string} fn - Public method name used in errors.
+     * @param {Object} bars - Validated { times, opens, highs, lows, closes, volumes } arrays.
+     * @param {Object} settings - Validated backtest settings (see runBacktest).
+     */
+    constructor(fn, bars, settings) {
+      this.fn = fn;
+      this.bars = bars;
+      this.settings = settings;
+      this.cash = settings.startingBalance;
+      this.position = { size: 0, averagePrice: 0, entryFees: 0, entryIndex: null, entryTag: null };
+      this.pending = [];
+      this.fills = [];
+      this.trades = [];
+      this.equity = [];
+      this.nextOrderId = 1;
+      this.index = 0;
+    }
+  
+    /**
+     * Runs the strategy over every bar.
+     * @param {(function(Object): *|Object)} strategy - Callback, or { onBar, onFill } callbacks.
+     * @returns {Backtester} The engine, for reading trades, fills and equity.
+     */
+    run(strategy) {
+      const onBar = typeof strategy === 'function' ? strategy : strategy.onBar;
+      const onFill = typeof strategy === 'function' ? null : strategy.onFill;
+      const length = this.bars.closes.length;
+  
+      for (let i = 0; i < length; i++) {
+        this.index = i;
+        this.#processOrders(onFill);
+  
+        const emitted = onBar(this.#context());
+        if (emitted) [].concat(emitted).forEach(order => this.submit(order));
+  
+        this.equity.push(this.cash + this.position.size * this.bars.closes[i]);
+      }
+  
+      if (this.settings.closeAtEnd && this.position.size !== 0) {
+        const last = length - 1;
+        this.pending = [];
+        const side = this.position.size > 0 ? 'sell' : 'buy';
+        const order = { id: this.nextOrderId++, side, size: Math.abs(this.position.size), type: 'market', tag: 'end of data' };
+        this.#fill(order, this.#slipped(this.bars.closes[last], side), last);
+        this.equity[last] = this.cash;
+      }
+      return this;
+    }
+  
+    /**
+     * Builds the context handed to the strategy on each bar.
+     * @returns {Object} Bar, position, account and order helpers.
+     * @private
+     */
+    #context() {
+      const i = this.index;
+      const { times, opens, highs, lows, closes, volumes } = this.bars;
+      const close = closes[i];
+      return {
+        index: i,
+        bar: {
+          time: times ? times[i] : null,
+          open: opens[i],
+          high: highs[i],
+          low: lows[i],
+          close,
+          volume: volumes ? volumes[i] : null
+        },
+        // Full arrays for precomputed indicators; reading past index is look-ahead
+        bars: this.bars,
+        value: (field, offset = 0) => {
+          const series = this.bars[field];
+          return series && i - offset >= 0 ? series[i - offset] : null;
+        },
+        position: {
+          size: this.position.size,
+          side: this.position.size > 0 ? 'long' : this.position.size < 0 ? 'short' : null,
+          averagePrice: this.position.size === 0 ? null : this.position.averagePrice,
+          unrealizedPnL: this.position.size * (close - this.position.averagePrice)
+        },
+        cash: this.cash,
+        equity: this.cash + this.position.size * close,
+        orders: this.pending.map(order => ({ ...order })),
+        trades: this.trades,
+        buy: (size, options = {}) => this.submit({ ...options, side: 'buy', size }),
+        sell: (size, options = {}) => this.submit({ ...options, side: 'sell', size }),
+        order: order => this.submit(order),
+        close: (options = {}) => (this.position.size === 0
+          ? null
+          : this.submit({ ...options, side: this.position.size > 0 ? 'sell' : 'buy', size: Math.abs(this.position.size) })),
+        cancel: id => this.cancel(id),
+        cancelAll: () => { this.pending = []; }
+      };
+    }
+  
+    /**
+     * Validates and queues an order for the next bar.
+     * @param {Object} order - Order request.
+     * @param {string} order.side - 'buy' or 'sell'.
+     * @param {number} order.size - Units, greater than zero.
+     * @param {string} [order.type='market'] - 'market', 'limit' or 'stop'.
+     * @param {number} [order.price] - Limit or stop price (required for those types).
+     * @param {string} [order.timeInForce='gtc'] - 'gtc' (until filled or cancelled) or 'day' (next bar only).
+     * @param {string} [order.tag] - Label copied to fills and trades (e.g., 'stop loss').
+     * @returns {number} Order id.
+     * @throws {InvalidInputError} If the order is invalid.
+     */
+    submit(order) {
+      const fn = this.fn;
+      const { validator } = this.settings;
+      validator.object(fn, 'order', order);
+      const side = validator.oneOf(fn, 'order.side', order.side, ['buy', 'sell']);
+      const size = validator.number(fn, 'order.size', order.size, { positive: true });
+      const type = validator.oneOf(fn, 'order.type', order.type ?? 'market', ['market', 'limit', 'stop']);
+      const timeInForce = validator.oneOf(fn, 'order.timeInForce', order.timeInForce ?? 'gtc', ['gtc', 'day']);
+      let price = null;
+      if (type !== 'market') {
+        if (order.price === undefined || order.price === null) {
+          throw new InvalidInputError(fn, 'order.price', `is required for ${type} orders`);
+        }
+        price = validator.number(fn, 'order.price', order.price, { positive: true });
+      }
+  
+      const id = this.nextOrderId++;
+      this.pending.push({ id, side, size, type, price, timeInForce, tag: order.tag ?? null, submittedIndex: this.index });
+      return id;
+    }
+  
+    /**
+     * Cancels a pending order.
+     * @param {number} id - Order id.
+     * @returns {boolean} Whether an order was cancelled.
+     */
+    cancel(id) {
+      const before = this.pending.length;
+      this.pending = this.pending.filter(order => order.id !== id);
+      return this.pending.length < before;
+    }
+  
+    /**
+     * Fills or expires pending orders against the current bar.
+     * @param {(function(Object, Object): void|null)} onFill - Fill callback.
+     * @private
+     */
+    #processOrders(onFill) {
+      const i = this.index;
+      const open = this.bars.opens[i];
+      const high = this.bars.highs[i];
+      const low = this.bars.lows[i];
+  
+      for (const order of [...this.pending]) {
+        // A callback may have cancelled this order already
+        if (!this.pending.includes(order)) continue;
+  
+        const buy = order.side === 'buy';
+        let price = null;
+        if (order.type === 'market') {
+          price = this.#slipped(open, order.side);
+        } else if (order.type === 'limit') {
+          if (buy ? open <= order.price : open >= order.price) price = open;
+          else if (buy ? low <= order.price : high >= order.price) price = order.price;
+        } else if (buy ? open >= order.price : open <= order.price) {
+          price = this.#slipped(open, order.side);
+        } else if (buy ? high >= order.price : low <= order.price) {
+          price = this.#slipped(order.price, order.side);
+        }
+  
+        if (price === null) {
+          if (order.timeInForce === 'day') this.cancel(order.id);
+          continue;
+        }
+        this.cancel(order.id);
+        const fill = this.#fill(order, price, i);
+        if (onFill) onFill(fill, this.#context());
+      }
+    }
+  
+    /**
+     * Applies adverse slippage to a price.
+     * @param {number} price - Reference price.
+     * @param {string} side - 'buy' or 'sell'.
+     * @returns {number} Fill price.
+     * @private
+     */
+    #slipped(price, side) {
+      const { fixed, percent } = this.settings.slippage;
+      const slip = fixed + price * percent / 100;
+      return side === 'buy' ? price + slip : price - slip;
+    }
+  
+    /**
+     * Books a fill: charges commission, updates cash and the position, and records closed trades.
+     * Reducing a position closes a proportional part of it; an oversized order reverses it.
+     * @param {Object} order - Order being filled.
+     * @param {number} price - Fill price.
+     * @param {number} index - Bar index.
+     * @returns {Object} Fill record.
+     * @private
+     */
+    #fill(order, price, index) {
+      const { perOrder, perUnit, percent, minimum } = this.settings.commission;
+      const fee = Math.max(perOrder + perUnit * order.size + Math.abs(price * order.size) * percent / 100, minimum);
+      const quantity = order.side === 'buy' ? order.size : -order.size;
+      const time = this.bars.times ? this.bars.times[index] : null;
+      const fill = { orderId: order.id, index, time, side: order.side, size: order.size, price, fee, type: order.type, tag: order.tag };
+      this.fills.push(fill);
+      this.cash -= quantity * price + fee;
+  
+      const position = this.position;
+      // Sizes within a relative epsilon of zero are flat, so fractional sizes that do not add up
+      // exactly in floating point (0.3 - 0.1 - 0.1 - 0.1) still close the position
+      const epsilon = Math.max(Math.abs(quantity), Math.abs(position.size)) * 1e-9;
+      let remaining = quantity;
+      let remainingFee = fee;
+      if (position.size !== 0 && Math.sign(position.size) !== Math.sign(quantity)) {
+        const closing = Math.min(Math.abs(quantity), Math.abs(position.size));
+        const share = closing / Math.abs(position.size);
+        const exitFee = fee * closing / Math.abs(quantity);
+        const entryFee = position.entryFees * share;
+  
+        this.trades.push({
+          ...(this.settings.symbol !== null && { symbol: this.settings.symbol }),
+          ...(this.settings.strategy !== null && { strategy: this.settings.strategy }),
+          side: position.size > 0 ? 'long' : 'short',
+          size: closing,
+          entryPrice: position.averagePrice,
+          exitPrice: price,
+          fees: entryFee + exitFee,
+          entryTime: this.bars.times ? this.bars.times[position.entryIndex] : null,
+          exitTime: time,
+          entryIndex: position.entryIndex,
+          exitIndex: index,
+          entryTag: position.entryTag,
+          exitTag: order.tag
+        });
+  
+        position.entryFees -= entryFee;
+        position.size += Math.sign(quantity) * closing;
+        remaining -= Math.sign(quantity) * closing;
+        remainingFee -= exitFee;
+        if (Math.abs(position.size) <= epsilon) position.size = 0;
+        if (Math.abs(remaining) <= epsilon) remaining = 0;
+        if (position.size === 0) {
+          position.averagePrice = 0;
+          position.entryFees = 0;
+          position.entryIndex = null;
+          position.entryTag = null;
+        }
+      }
+  
+      if (remaining !== 0) {
+        if (position.size === 0) {
+          position.entryIndex = index;
+          position.entryTag = order.tag;
+        }
+        const total = position.size + remaining;
+        position.averagePrice = (position.averagePrice * position.size + price * remaining) / total;
+        position.size = total;
+        position.entryFees += remainingFee;
+      }
+      return fill;
+    }
+  }
+  
+  module.exports = { Backtester };
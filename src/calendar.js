@@ -0,0 +1,190 @@
+const { timeZoneOffset, zonedTime } = require('./importers');
+  
+/**
+ * Calendar helpers for timestamped bars: interval parsing, trading sessions and bucket
+ * boundaries in a time zone. Times are handled as "local wall-clock milliseconds" (the
+ * instant shifted by the zone offset, read with the UTC getters) and converted back with
+ * zonedTime, so DST transitions move bucket boundaries with the wall clock.
+ */
+const MINUTE = 60000;
+const DAY = 1440 * MINUTE;
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+  
+/**
+ * Checks that a time zone is 'UTC', a fixed offset or an IANA name.
+ * @param {string} timezone - Time zone.
+ * @returns {boolean} Whether the time zone can be used.
+ */
+function isTimeZone(timezone) {
+  if (/^(UTC|Z|[+-]\d{2}:?\d{2})$/.test(timezone)) return true;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+  
+/**
+ * Returns the UTC offset of a time zone at an instant.
+ * @param {number} time - Milliseconds since the epoch.
+ * @param {string} timezone - 'UTC', a fixed offset ('+02:00') or an IANA time zone.
+ * @returns {number} Offset in milliseconds (positive east of UTC).
+ */
+function offsetAt(time, timezone) {
+  if (timezone === 'UTC' || timezone === 'Z') return 0;
+  const fixed = /^([+-])(\d{2}):?(\d{2})$/.exec(timezone);
+  if (fixed) return (fixed[1] === '-' ? -1 : 1) * (Number(fixed[2]) * 60 + Number(fixed[3])) * MINUTE;
+  return timeZoneOffset(time, timezone);
+}
+  
+/**
+ * Converts local wall-clock milliseconds back to an instant.
+ * @param {number} local - Local wall-clock milliseconds.
+ * @param {string} timezone - Time zone.
+ * @returns {number} Milliseconds since the epoch.
+ */
+function fromLocal(local, timezone) {
+  const date = new Date(local);
+  return zonedTime([
+    date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate(),
+    date.getUTCHours(), date.getUTCMinutes(), date.getUTCSeconds(), date.getUTCMilliseconds()
+  ], timezone).getTime();
+}
+  
+/**
+ * Parses a bar interval such as '1m', '15m', '1h', '4h', '1D', '1W' or '1M'.
+ * Lower-case m is minutes and upper-case M is months; 'min', 'd', 'w' and 'mo' are also accepted.
+ * @param {string} text - Interval.
+ * @returns {(Object|null)} { unit, count } with unit 'minute', 'hour', 'day', 'week' or 'month', or null if invalid.
+ */
+function parseInterval(text) {
+  const match = /^(\d*)\s*(m|min|h|d|D|w|W|M|mo)$/.exec(String(text).trim());
+  if (!match) return null;
+  const count = match[1] === '' ? 1 : Number(match[1]);
+  if (count < 1) return null;
+  const unit = { m: 'minute', min: 'minute', h: 'hour', d: 'day', D: 'day', w: 'week', W: 'week', M: 'month', mo: 'month' }[match[2]];
+  return { unit, count };
+}
+  
+/**
+ * Parses a trading session such as { start: '09:30', end: '16:00' }. A session whose end is not
+ * after its start runs overnight (e.g., 18:00 to 17:00 for futures) and belongs to the trading
+ * date of its end.
+ * @param {(Object|null)} session - Session with 'HH:mm' start and end, or null for the full day.
+ * @returns {(Object|null)} { start, end, overnight } in minutes after midnight, or null if invalid.
+ */
+function parseSession(session) {
+  if (session === null || session === undefined) return { start: 0, end: 1440, overnight: false };
+  const minutes = text => {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(text ?? ''));
+    if (!match || Number(match[1]) > 24 || Number(match[2]) > 59) return null;
+    return Number(match[1]) * 60 + Number(match[2]);
+  };
+  const start = minutes(session.start);
+  const end = minutes(session.end);
+  if (start === null || end === null || start >= 1440) return null;
+  return { start, end, overnight: end <= start };
+}
+  
+/**
+ * Describes where a time falls in the calendar.
+ * @param {number} time - Milliseconds since the epoch.
+ * @param {Object} settings - { timezone, session } (session from parseSession).
+ * @returns {Object} Object with local (wall-clock milliseconds), minutes (after local midnight), inSession,
+ * sessionStart (local wall-clock milliseconds of the session the time belongs to) and tradingDate
+ * (local wall-clock milliseconds of the trading date's midnight).
+ */
+function locate(time, { timezone, session }) {
+  const local = time + offsetAt(time, timezone);
+  const minutes = Math.floor((((local % DAY) + DAY) % DAY) / MINUTE);
+  const inSession = session.overnight
+    ? minutes >= session.start || minutes < session.end
+    : minutes >= session.start && minutes < session.end;
+  const sessionStart = Math.floor((local - session.start * MINUTE) / DAY) * DAY + session.start * MINUTE;
+  const tradingDate = Math.floor(sessionStart / DAY) * DAY + (session.overnight ? DAY : 0);
+  return { local, minutes, inSession, sessionStart, tradingDate };
+}
+  
+/**
+ * Returns the start of the interval bucket a time falls in. Intraday buckets are counted in elapsed
+ * time from the session start, so the repeated hour when clocks fall back gets buckets of its own and
+ * the skipped hour when they spring forward gets none; days, weeks (starting Monday) and months follow
+ * the trading date and start at the session start.
+ * @param {number} time - Milliseconds since the epoch.
+ * @param {Object} interval - Parsed interval.
+ * @param {Object} settings - { timezone, session }.
+ * @returns {number} Bucket start in milliseconds since the epoch.
+ */
+function bucketStart(time, { unit, count }, settings) {
+  const { sessionStart, tradingDate } = locate(time, settings);
+  const sessionOffset = sessionStart - tradingDate;
+  if (unit === 'minute' || unit === 'hour') {
+    const size = count * (unit === 'hour' ? 60 : 1) * MINUTE;
+    const opened = fromLocal(sessionStart, settings.timezone);
+    return opened + Math.floor((time - opened) / size) * size;
+  }
+  
+  const days = tradingDate / DAY;
+  let date;
+  if (unit === 'day') {
+    date = Math.floor(days / count) * count * DAY;
+  } else if (unit === 'week') {
+    // 1970-01-05 was a Monday
+    date = (Math.floor((days - 4) / (7 * count)) * 7 * count + 4) * DAY;
+  } else {
+    const calendar = new Date(tradingDate);
+    const month = Math.floor((calendar.getUTCFullYear() * 12 + calendar.getUTCMonth()) / count) * count;
+    date = Date.UTC(Math.floor(month / 12), month % 12, 1);
+  }
+  return fromLocal(date + sessionOffset, settings.timezone);
+}
+  
+/**
+ * Returns the start of the bucket after the one starting at a time.
+ * @param {number} start - Bucket start (from bucketStart).
+ * @param {Object} interval - Parsed interval.
+ * @param {Object} settings - { timezone, session }.
+ * @returns {number} Next bucket start.
+ */
+function nextBucket(start, interval, settings) {
+  const { unit, count } = interval;
+  // Intraday steps are elapsed time; longer ones overshoot by a few hours so days of 23 or 25 hours
+  // and months of 28 to 31 days land in the next bucket
+  const step = unit === 'minute' || unit === 'hour'
+    ? count * (unit === 'hour' ? 60 : 1) * MINUTE
+    : { day: 1, week: 7, month: 31 }[unit] * count * DAY + 3 * 60 * MINUTE;
+  // Keep probing until the bucket strictly advances, so callers looping over buckets always terminate
+  let probe = start + step;
+  let next = bucketStart(probe, interval, settings);
+  while (next <= start) {
+    probe += step;
+    next = bucketStart(probe, interval, settings);
+  }
+  return next;
+}
+  
+/**
+ * Returns the start of the next session after the one a time belongs to.
+ * @param {number} time - Milliseconds since the epoch.
+ * @param {Object} settings - { timezone, session }.
+ * @returns {number} Next session start in milliseconds since the epoch.
+ */
+function nextSession(time, settings) {
+  return fromLocal(locate(time, settings).sessionStart + DAY, settings.timezone);
+}
+  
+/**
+ * Formats the trading date of a time as YYYY-MM-DD.
+ * @param {number} tradingDate - Local wall-clock milliseconds of the trading date (from locate).
+ * @returns {string} Date key.
+ */
+function dateKey(tradingDate) {
+  return new Date(tradingDate).toISOString().slice(0, 10);
+}
+  
+  module.exports = {
+    MINUTE, DAY, WEEKDAYS, MONTHS,
+    isTimeZone, parseInterval, parseSession, locate, bucketStart, nextBucket, nextSession, dateKey
+  };
@@ -0,0 +1,315 @@
+const fs = require('fs');
+const stats = require('./index');
+const { StatisticsError, InvalidInputError } = require('./errors');
+const { version } = require('../package.json');
+  
+/**
+ * Exit codes of the trading-stats command. Scripts can tell a bad invocation from bad
+ * data, and both from a strategy that breaches a --max-ruin limit.
+ */
+const EXIT_CODES = {
+  success: 0,
+  failure: 1,
+  usage: 2,
+  invalidInput: 3,
+  thresholdExceeded: 4
+};
+  
+const USAGE = `Usage: trading-stats <command> [file] [options]
+
+Reads CSV or JSON from the file, or from stdin when the file is omitted or "-".
+
+Commands:
+  risk      Risk of ruin from --win-rate, --ratio, --risk and --max-losses, or from a trades file
+  report    Performance report of a trades file (analyzeTrades)
+  skew      Skewness, kurtosis and their interpretation for a bars file
+  patterns  Market type, bias and volatility for a bars file
+
+Options:
+  --format <json|table|markdown>  Output format (default: json)
+  --numeric                       Print raw numbers instead of display strings
+  --locale <locale>               Locale for display strings (e.g., de-DE)
+  --precision <digits>            Decimal places for display strings
+  --win-rate <percent>            risk: win rate percentage
+  --ratio <ratio>                 risk: risk/reward ratio, e.g. 1:1.7 or 1.7
+  --risk <percent>                risk, report: risk per trade percentage (default: 2)
+  --max-losses <count>            risk: maximum consecutive losses
+  --max-ruin <percent>            risk, report: exit with code 4 when the risk of ruin is higher
+  --threshold <decimal>           patterns: bias threshold (default: from --style)
+  --style <day|swing|position>    Trading style of the interpretation rules (default: swing)
+  --language <code>               Language of interpretations, e.g. de (default: en)
+  --input-format <auto|csv|json>  Input format (default: auto)
+  --adapter <name>                Broker layout, e.g. metatrader, ninjatrader or yahoo
+  --timezone <zone>               Time zone of dates without an offset (default: UTC)
+  --date-format <pattern>         Date pattern, e.g. "DD.MM.YYYY HH:mm"
+  --delimiter <char>              CSV delimiter (default: detected)
+  --decimal <char>                Decimal separator, "." or ","
+  --data-key <path>               Dotted path to the rows inside a JSON object
+  --on-error <skip|throw>         Skip rows that cannot be parsed, or fail (default: skip)
+  --help                          Show this help
+  --version                       Show the version
+
+Exit codes: 0 success, 1 unexpected error, 2 usage error, 3 invalid input, 4 --max-ruin exceeded.
+`;
+  
+const COMMANDS = ['risk', 'report', 'skew', 'patterns'];
+const FLAGS = ['numeric', 'help', 'version'];
+const OPTIONS = [
+  'format', 'locale', 'precision', 'winRate', 'ratio', 'risk', 'maxLosses', 'maxRuin', 'threshold',
+  'style', 'language', 'inputFormat', 'adapter', 'timezone', 'dateFormat', 'delimiter', 'decimal', 'dataKey', 'onError'
+];
+  
+/**
+ * Thrown for command lines that cannot be run.
+ */
+class UsageError extends Error {}
+  
+/**
+ * Splits the command line into a command, positional arguments and options.
+ * Options are written --kebab-case and returned camelCased; values may follow a space or "=".
+ * @param {string[]} argv - Arguments after the executable and script path.
+ * @returns {Object} Object with command, positional and options.
+ * @throws {UsageError} If an option is unknown or has no value.
+ */
+function parseArguments(argv) {
+  const positional = [];
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+    const [flag, inline] = arg.slice(2).split(/=(.*)/s);
+    const name = flag.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+    if (FLAGS.includes(name)) {
+      options[name] = true;
+    } else if (OPTIONS.includes(name)) {
+      const value = inline ?? argv[++i];
+      if (value === undefined) throw new UsageError(`--${flag} needs a value`);
+      options[name] = value;
+    } else {
+      throw new UsageError(`unknown option --${flag}`);
+    }
+  }
+  const [command = null, ...rest] = positional;
+  return { command, positional: rest, options };
+}
+  
+/**
+ * Reads the input text from a file, or from stdin for "-" or no file.
+ * @param {(string|undefined)} file - File path.
+ * @param {Object} io - Streams ({ stdin }).
+ * @returns {Promise<string>} Input text.
+ * @throws {UsageError} If no file is given and stdin is a terminal.
+ */
+async function readInput(file, io) {
+  if (file !== undefined && file !== '-') return fs.promises.readFile(file, 'utf8');
+  if (io.stdin.isTTY) throw new UsageError('no input file given and nothing piped to stdin');
+  let text = '';
+  for await (const chunk of io.stdin) text += chunk;
+  return text;
+}
+  
+/**
+ * Builds importer options from the command-line options.
+ * @param {Object} options - Parsed options.
+ * @returns {Object} Options for importTrades and importBars.
+ */
+function importOptions(options) {
+  const mapping = {
+    inputFormat: 'format',
+    adapter: 'adapter',
+    timezone: 'timezone',
+    dateFormat: 'dateFormat',
+    delimiter: 'delimiter',
+    decimal: 'decimal',
+    dataKey: 'dataKey',
+    onError: 'onError'
+  };
+  const result = {};
+  for (const [option, key] of Object.entries(mapping)) {
+    if (options[option] !== undefined) result[key] = options[option];
+  }
+  return result;
+}
+  
+/**
+ * Imports the input file and warns about skipped rows.
+ * @param {string} kind - 'trades' or 'bars'.
+ * @param {Object} parsed - Parsed command line.
+ * @param {Object} io - Streams.
+ * @returns {Promise<Object>} Import result.
+ */
+async function importInput(kind, { positional, options }, io) {
+  const text = await readInput(positional[0], io);
+  const result = kind === 'trades'
+    ? stats.importTrades(text, importOptions(options))
+    : stats.importBars(text, importOptions(options));
+  if (result.errors.length > 0) {
+    const [first] = result.errors;
+    io.stderr.write(`trading-stats: skipped ${result.errors.length} row(s); row ${first.row}: ${first.message}\n`);
+  }
+  return result;
+}
+  
+/**
+ * Runs a command in numeric result mode.
+ * @param {Object} parsed - Parsed command line.
+ * @param {Object} io - Streams.
+ * @returns {Promise<Object>} Object with method (the result format to apply), result, and riskOfRuin
+ * (decimal, for --max-ruin) where the command has one; null when a ledger has no winning or no losing
+ * trades, so the risk of ruin is undefined.
+ * @throws {InvalidInputError} For risk on such a ledger, since there is no risk block to print.
+ */
+async function execute(parsed, io) {
+  const { command, options } = parsed;
+  
+  if (command === 'risk' && parsed.positional.length === 0 && options.winRate !== undefined) {
+    if (options.ratio === undefined || options.maxLosses === undefined) {
+      throw new UsageError('risk needs --ratio and --max-losses with --win-rate');
+    }
+    const result = stats.calculateDetailedRiskOfRuin(options.winRate, options.ratio, options.risk ?? 2, options.maxLosses);
+    return { method: 'calculateDetailedRiskOfRuin', result, riskOfRuin: result.riskOfRuin };
+  }
+  
+  if (command === 'risk' || command === 'report') {
+    const { trades } = await importInput('trades', parsed, io);
+    const report = stats.analyzeTrades(trades, { riskPerTrade: options.risk ?? 2 });
+    const riskOfRuin = report.riskOfRuin === null ? null : report.riskOfRuin.riskOfRuin;
+    if (command === 'risk' && riskOfRuin === null) {
+      throw new InvalidInputError('risk', 'trades', 'must contain winning and losing trades to measure the risk of ruin');
+    }
+    return command === 'risk'
+      ? { method: 'calculateDetailedRiskOfRuin', result: report.riskOfRuin, riskOfRuin }
+      : { method: 'analyzeTrades', result: report, riskOfRuin };
+  }
+  
+  const { opens, highs, lows, closes } = await importInput('bars', parsed, io);
+  const analysis = stats.skewnedStandardDeviation(opens, highs, lows, closes, { regime: command === 'patterns' });
+  if (command === 'patterns') {
+    return { method: 'interpretMarketPatterns', result: stats.interpretMarketPatterns(analysis.patterns, options.threshold) };
+  }
+  const { skewness, kurtosis } = analysis.distribution;
+  return {
+    method: 'interpretSkewness',
+    result: { distribution: analysis.distribution, ...stats.interpretSkewness(skewness, kurtosis.returns) }
+  };
+}
+  
+/**
+ * Flattens a result into [path, value] rows for table and markdown output.
+ * Arrays of numbers are listed inline; other arrays are summarized by length.
+ * @param {*} value - Result or nested value.
+ * @param {string} [path=''] - Dotted path of the value.
+ * @returns {Array<Array<string>>} Rows.
+ */
+function flatten(value, path = '') {
+  if (Array.isArray(value)) {
+    const inline = value.length <= 10 && value.every(item => item === null || typeof item !== 'object');
+    return [[path, inline ? value.map(String).join(', ') : `[${value.length} items]`]];
+  }
+  if (value !== null && typeof value === 'object' && !(value instanceof Date)) {
+    return Object.entries(value).flatMap(([key, item]) => flatten(item, path ? `${path}.${key}` : key));
+  }
+  return [[path, value instanceof Date ? value.toISOString() : String(value)]];
+}
+  
+/**
+ * Renders a result in the requested output format.
+ * @param {*} result - Result to print.
+ * @param {string} format - 'json', 'table' or 'markdown'.
+ * @returns {string} Output text ending in a newline.
+ */
+function render(result, format) {
+  if (format === 'json') return `${JSON.stringify(result, null, 2)}\n`;
+  
+  const rows = flatten(result);
+  if (format === 'markdown') {
+    const escape = text => text.replace(/\|/g, '\\|');
+    return ['| Field | Value |', '| --- | --- |', ...rows.map(([key, value]) => `| ${escape(key)} | ${escape(value)} |`)]
+      .join('\n') + '\n';
+  }
+  const width = Math.max(...rows.map(([key]) => key.length));
+  return rows.map(([key, value]) => `${key.padEnd(width)}  ${value}`).join('\n') + '\n';
+}
+  
+/**
+ * Runs the trading-stats command.
+ * @param {string[]} argv - Arguments after the executable and script path.
+ * @param {Object} [io] - Streams, for embedding and tests.
+ * @param {AsyncIterable} [io.stdin=process.stdin] - Input when no file is given.
+ * @param {Object} [io.stdout=process.stdout] - Receives the result.
+ * @param {Object} [io.stderr=process.stderr] - Receives warnings and errors.
+ * @returns {Promise<number>} Exit code (see EXIT_CODES).
+ * @example
+ * // trading-stats risk --win-rate 61.5 --ratio 1:1.7 --max-losses 2 --format table
+ * // trading-stats report statement.csv --adapter ninjatrader --max-ruin 5
+ * // cat bars.csv | trading-stats patterns --format markdown
+ */
+async function run(argv, io = {}) {
+  io = { stdin: process.stdin, stdout: process.stdout, stderr: process.stderr, ...io };
+  const resultMode = stats.getResultMode();
+  const formatOptions = stats.getFormatOptions();
+  const rules = stats.getInterpretationRules();
+  const language = stats.getLanguage();
+  try {
+    const parsed = parseArguments(argv);
+    const { command, options } = parsed;
+    if (options.version) {
+      io.stdout.write(`${version}\n`);
+      return EXIT_CODES.success;
+    }
+    if (options.help || command === null || command === 'help') {
+      io.stdout.write(USAGE);
+      return command === null && !options.help ? EXIT_CODES.usage : EXIT_CODES.success;
+    }
+    if (!COMMANDS.includes(command)) throw new UsageError(`unknown command "${command}"`);
+    const format = options.format ?? 'json';
+    if (!['json', 'table', 'markdown'].includes(format)) throw new UsageError('--format must be json, table or markdown');
+    const maxRuin = options.maxRuin === undefined ? null : Number(options.maxRuin);
+    if (Number.isNaN(maxRuin)) throw new UsageError('--max-ruin must be a percentage');
+    if (maxRuin !== null && !['risk', 'report'].includes(command)) throw new UsageError(`--max-ruin does not apply to ${command}`);
+  
+    stats.setResultMode('numeric');
+    if (options.style !== undefined) stats.setInterpretationRules({ style: options.style });
+    if (options.language !== undefined) stats.setLanguage(options.language);
+    const { method, result, riskOfRuin } = await execute(parsed, io);
+  
+    let output = result;
+    if (!options.numeric) {
+      stats.setFormatOptions({
+        locale: options.locale ?? null,
+        precision: options.precision === undefined ? null : options.precision
+      });
+      output = stats.formatResult(method, result);
+    }
+    io.stdout.write(render(output, format));
+  
+    if (maxRuin !== null && riskOfRuin === null) {
+      io.stderr.write('trading-stats: risk of ruin is undefined without both winning and losing trades; --max-ruin not checked\n');
+    } else if (maxRuin !== null && riskOfRuin * 100 > maxRuin) {
+      io.stderr.write(`trading-stats: risk of ruin ${(riskOfRuin * 100).toFixed(2)}% exceeds --max-ruin ${maxRuin}%\n`);
+      return EXIT_CODES.thresholdExceeded;
+    }
+    return EXIT_CODES.success;
+  } catch (error) {
+    if (error instanceof UsageError) {
+      io.stderr.write(`trading-stats: ${error.message}\nRun "trading-stats --help" for usage.\n`);
+      return EXIT_CODES.usage;
+    }
+    if (error instanceof StatisticsError || error.code === 'ENOENT' || error.code === 'EISDIR') {
+      io.stderr.write(`trading-stats: ${error.message}\n`);
+      return EXIT_CODES.invalidInput;
+    }
+    io.stderr.write(`trading-stats: ${error.stack || error}\n`);
+    return EXIT_CODES.failure;
+  } finally {
+    stats.setResultMode(resultMode);
+    stats.setFormatOptions(formatOptions);
+    stats.setInterpretationRules(rules);
+    stats.setLanguage(language);
+  }
+}
+  
+  module.exports = { run, EXIT_CODES };
@@ -0,0 +1,190 @@
+/**
+ * Probability distribution helpers used by the statistical tests.
+ */
+  
+/**
+ * Complementary error function (Numerical Recipes erfcc, fractional error below 1.2e-7
+ * everywhere, including the far tails).
+ * @param {number} x - Input value.
+ * @returns {number} erfc(x).
+ */
+function erfc(x) {
+  const z = Math.abs(x);
+  const t = 1 / (1 + 0.5 * z);
+  const r = t * Math.exp(-z * z - 1.26551223 + t * (1.00002368 + t * (0.37409196 + t * (0.09678418 +
+    t * (-0.18628806 + t * (0.27886807 + t * (-1.13520398 + t * (1.48851587 + t * (-0.82215223 + t * 0.17087277)))))))));
+  return x >= 0 ? r : 2 - r;
+}
+  
+/**
+ * Standard normal cumulative distribution function.
+ * @param {number} z - Standard score.
+ * @returns {number} P(Z <= z).
+ */
+function normalCdf(z) {
+  return 0.5 * erfc(-z / Math.SQRT2);
+}
+  
+/**
+ * Inverse of the standard normal CDF (Acklam's algorithm, relative error below 1.2e-9).
+ * @param {number} p - Probability strictly between 0 and 1.
+ * @returns {number} z such that P(Z <= z) = p.
+ */
+function normalQuantile(p) {
+  const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.3577518672690, -30.66479806614716, 2.506628277459239];
+  const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+  const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+  const low = 0.02425;
+  
+  if (p < low) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  if (p > 1 - low) {
+    return -normalQuantile(1 - p);
+  }
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+    (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+  
+/**
+ * Asymptotic Kolmogorov distribution: P(K > lambda).
+ * @param {number} lambda - Scaled KS statistic.
+ * @returns {number} Upper tail probability.
+ */
+function kolmogorovSurvival(lambda) {
+  // The alternating series converges too slowly near zero, where the probability is 1 anyway
+  if (lambda < 0.2) return 1;
+  let sum = 0;
+  for (let j = 1; j <= 100; j++) {
+    const term = 2 * (j % 2 === 1 ? 1 : -1) * Math.exp(-2 * j * j * lambda * lambda);
+    sum += term;
+    if (Math.abs(term) < 1e-12) break;
+  }
+  return Math.min(Math.max(sum, 0), 1);
+}
+  
+/**
+ * Evaluates a polynomial with coefficients in ascending order of power.
+ * @param {number[]} coefficients - c0, c1, c2, ...
+ * @param {number} x - Input value.
+ * @returns {number} c0 + c1 x + c2 x^2 + ...
+ */
+function polynomial(coefficients, x) {
+  return coefficients.reduceRight((sum, coefficient) => sum * x + coefficient, 0);
+}
+  
+/**
+ * Natural logarithm of the gamma function (Lanczos approximation, g = 7).
+ * @param {number} x - Positive input.
+ * @returns {number} ln(Γ(x)).
+ */
+function logGamma(x) {
+  const coefficients = [0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+    -176.61502916214059, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7];
+  if (x < 0.5) {
+    // Reflection formula
+    return Math.log(Math.PI / Math.abs(Math.sin(Math.PI * x))) - logGamma(1 - x);
+  }
+  const z = x - 1;
+  let sum = coefficients[0];
+  for (let i = 1; i < 9; i++) sum += coefficients[i] / (z + i);
+  const t = z + 7.5;
+  return 0.5 * Math.log(2 * Math.PI) + (z + 0.5) * Math.log(t) - t + Math.log(sum);
+}
+  
+/**
+ * Regularized incomplete beta function I_x(a, b), evaluated with the Numerical Recipes
+ * continued fraction (modified Lentz).
+ * @param {number} x - Upper limit between 0 and 1.
+ * @param {number} a - First shape parameter.
+ * @param {number} b - Second shape parameter.
+ * @returns {number} I_x(a, b).
+ */
+function incompleteBeta(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  // The continued fraction converges fastest below the mean; use the symmetry relation above it
+  if (x > (a + 1) / (a + b + 2)) return 1 - incompleteBeta(1 - x, b, a);
+  
+  const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x)) / a;
+  const tiny = 1e-300;
+  let c = 1;
+  let d = 1 - (a + b) * x / (a + 1);
+  d = 1 / (Math.abs(d) < tiny ? tiny : d);
+  let result = d;
+  for (let m = 1; m <= 300; m++) {
+    for (const numerator of [
+      m * (b - m) * x / ((a + 2 * m - 1) * (a + 2 * m)),
+      -(a + m) * (a + b + m) * x / ((a + 2 * m) * (a + 2 * m + 1))
+    ]) {
+      d = 1 + numerator * d;
+      d = 1 / (Math.abs(d) < tiny ? tiny : d);
+      c = 1 + numerator / c;
+      if (Math.abs(c) < tiny) c = tiny;
+      result *= c * d;
+    }
+    if (Math.abs(c * d - 1) < 1e-14) break;
+  }
+  return front * result;
+}
+  
+/**
+ * Inverts a monotonically increasing CDF by bisection.
+ * @param {function(number): number} cdf - Cumulative distribution function.
+ * @param {number} p - Probability.
+ * @param {number} low - Lower bound of the search.
+ * @param {number} high - Upper bound of the search.
+ * @returns {number} x such that cdf(x) = p.
+ */
+function invert(cdf, p, low, high) {
+  for (let i = 0; i < 200 && high - low > 1e-15 * Math.max(1, Math.abs(low)); i++) {
+    const middle = (low + high) / 2;
+    if (cdf(middle) < p) low = middle;
+    else high = middle;
+  }
+  return (low + high) / 2;
+}
+  
+/**
+ * Quantile of the beta distribution.
+ * @param {number} p - Probability between 0 and 1.
+ * @param {number} a - First shape parameter.
+ * @param {number} b - Second shape parameter.
+ * @returns {number} x such that I_x(a, b) = p.
+ */
+function betaQuantile(p, a, b) {
+  return invert(x => incompleteBeta(x, a, b), p, 0, 1);
+}
+  
+/**
+ * Student's t cumulative distribution function.
+ * @param {number} t - t statistic.
+ * @param {number} df - Degrees of freedom.
+ * @returns {number} P(T <= t).
+ */
+function studentTCdf(t, df) {
+  const tail = 0.5 * incompleteBeta(df / (df + t * t), df / 2, 0.5);
+  return t >= 0 ? 1 - tail : tail;
+}
+  
+/**
+ * Quantile of Student's t distribution.
+ * @param {number} p - Probability strictly between 0 and 1.
+ * @param {number} df - Degrees of freedom.
+ * @returns {number} t such that P(T <= t) = p.
+ */
+function studentTQuantile(p, df) {
+  let bound = 10;
+  while (studentTCdf(bound, df) < Math.max(p, 1 - p) && bound < 1e8) bound *= 10;
+  return invert(t => studentTCdf(t, df), p, -bound, bound);
+}
+  
+  module.exports = {
+    erfc, normalCdf, normalQuantile, kolmogorovSurvival, polynomial,
+    logGamma, incompleteBeta, betaQuantile, studentTCdf, studentTQuantile
+  };
@@ -0,0 +1,62 @@
+/**
+ * Base class for all errors thrown by the library.
+ */
+class StatisticsError extends Error {
+    /**
+     * @param {string} message - Error message.
+     */
+    constructor(message) {
+      super(message);
+      this.name = this.constructor.name;
+    }
+  }
+  
+/**
+ * Thrown when a public method receives an argument it cannot work with.
+ * @example
+ * try {
+ *   Statistics.mean('abc');
+ * } catch (error) {
+ *   error.functionName; // "mean"
+ *   error.argumentName; // "arr"
+ *   error.reason;       // "must be an array"
+ * }
+ */
+class InvalidInputError extends StatisticsError {
+    /**
+     * @param {string} functionName - Name of the public method that rejected the input.
+     * @param {string} argumentName - Name of the offending argument.
+     * @param {string} reason - Why the argument was rejected.
+     */
+    constructor(functionName, argumentName, reason) {
+      super(`${functionName}: invalid ${argumentName} - ${reason}`);
+      this.functionName = functionName;
+      this.argumentName = argumentName;
+      this.reason = reason;
+    }
+  }
+  
+/**
+ * Thrown when an argument is well-formed but holds too few values for the calculation
+ * (e.g., the mean of an empty array).
+ */
+class InsufficientDataError extends InvalidInputError {}
+  
+/**
+ * Thrown by the importers in onError: 'throw' mode when rows cannot be parsed.
+ * Every rejected row is listed in `errors`, not just the first one.
+ */
+class ImportError extends StatisticsError {
+    /**
+     * @param {string} functionName - Name of the public method that ran the import.
+     * @param {Object[]} errors - Row-level errors ({ row, column, field, value, message }).
+     */
+    constructor(functionName, errors) {
+      const [first] = errors;
+      super(`${functionName}: ${errors.length} row(s) could not be parsed - row ${first.row}: ${first.message}`);
+      this.functionName = functionName;
+      this.errors = errors;
+    }
+  }
+  
+  module.exports = { StatisticsError, InvalidInputError, InsufficientDataError, ImportError };
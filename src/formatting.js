@@ -0,0 +1,154 @@
+/**
+ * Display formats for the numeric results of the trading and analysis methods.
+ * A format is { type, digits } where type is one of:
+ * - 'fixed': the number itself ("100.00")
+ * - 'percent': a decimal shown as a percentage ("24.35%"); `min` and `max` clamp the
+ *   display to "<1%" or "100%"
+ * - 'percentValue': a decimal shown as a percentage without the sign ("75.0")
+ * - 'ratio': a reward multiple shown as risk:reward ("1:1.70")
+ * Null values stay null unless the format has an `empty` display string.
+ * Nested objects mirror the shape of the result; fields without a format are copied as is.
+ */
+const RISK_OF_RUIN_FORMAT = {
+  riskOfRuin: { type: 'percent', digits: 2 },
+  survivalProbability: { type: 'percent', digits: 2 },
+  metrics: {
+    kellyPercentage: { type: 'percent', digits: 2 },
+    recommendedRiskPerTrade: { type: 'percent', digits: 2 },
+    drawdownRisk: { type: 'percent', digits: 2 }
+  }
+};
+  
+const RESULT_FORMATS = {
+  calculateRiskOfRuin: { type: 'percent', digits: 2, min: 0.01, max: 1 },
+  calculateSuccessRate: { type: 'percentValue', digits: 1, empty: '0' },
+  calculateProfitMetrics: {
+    avgProfit: { type: 'fixed', digits: 2 },
+    avgLoss: { type: 'fixed', digits: 2 },
+    riskReward: { type: 'ratio', digits: 2, empty: 'N/A' }
+  },
+  calculateDetailedRiskOfRuin: RISK_OF_RUIN_FORMAT,
+  interpretMarketPatterns: {
+    details: {
+      strength: {
+        upStrength: { type: 'percentValue', digits: 1 },
+        downStrength: { type: 'percentValue', digits: 1 }
+      }
+    },
+    metrics: {
+      upPercentage: { type: 'percent', digits: 1 },
+      downPercentage: { type: 'percent', digits: 1 },
+      neutralPercentage: { type: 'percent', digits: 1 }
+    }
+  },
+  interpretSkewness: {
+    analysis: {
+      returns: { value: { type: 'fixed', digits: 4 } },
+      prices: { value: { type: 'fixed', digits: 4 } },
+      ranges: { value: { type: 'fixed', digits: 4 } },
+      tailRisk: { value: { type: 'fixed', digits: 4 } }
+    }
+  },
+  analyzeTrades: {
+    riskRewardRatio: { type: 'ratio', digits: 2 },
+    riskOfRuin: RISK_OF_RUIN_FORMAT
+  }
+};
+  
+/**
+ * Turns numeric results into display strings with configurable precision and locale.
+ * Without a locale numbers are rendered with toFixed, which matches the library's
+ * historical output; with a locale they go through Intl.NumberFormat.
+ */
+class Formatter {
+    /**
+     * @param {Object} [options] - Formatter options.
+     * @param {string} [options.locale=null] - BCP 47 locale (e.g., 'de-DE'), or null for plain toFixed output.
+     * @param {number} [options.precision=null] - Decimal places for every value, or null for each field's default.
+     */
+    constructor({ locale = null, precision = null } = {}) {
+      this.locale = locale;
+      this.precision = precision;
+    }
+  
+    /**
+     * Formats a number with a fixed number of decimal places.
+     * @param {number} value - The number.
+     * @param {number} digits - Default decimal places (overridden by `precision`).
+     * @returns {string} The formatted number.
+     */
+    number(value, digits) {
+      const places = this.precision ?? digits;
+      if (!Number.isFinite(value) || this.locale === null) {
+        return value.toFixed(places);
+      }
+      return new Intl.NumberFormat(this.locale, {
+        minimumFractionDigits: places,
+        maximumFractionDigits: places
+      }).format(value);
+    }
+  
+    /**
+     * Formats a decimal as a percentage.
+     * @param {number} value - The decimal (e.g., 0.2435).
+     * @param {number} digits - Default decimal places.
+     * @param {Object} [bounds] - Display bounds.
+     * @param {number} [bounds.min] - Values below this are shown as "<min%".
+     * @param {number} [bounds.max] - Values at or above this are shown as "max%".
+     * @returns {string} The formatted percentage (e.g., "24.35%").
+     */
+    percent(value, digits, { min, max } = {}) {
+      if (min !== undefined && value < min) return `<${min * 100}%`;
+      if (max !== undefined && value >= max) return `${max * 100}%`;
+      return `${this.number(value * 100, digits)}%`;
+    }
+  
+    /**
+     * Formats a reward multiple as a risk:reward ratio.
+     * @param {number} value - The reward multiple (e.g., 1.7).
+     * @param {number} digits - Default decimal places.
+     * @returns {string} The formatted ratio (e.g., "1:1.70").
+     */
+    ratio(value, digits) {
+      return `1:${this.number(value, digits)}`;
+    }
+  
+    /**
+     * Formats a single value according to a format descriptor.
+     * @param {(number|null)} value - The value.
+     * @param {Object} format - Format descriptor (see RESULT_FORMATS).
+     * @returns {(string|null)} The display string, or null for a null value without an `empty` string.
+     */
+    format(value, { type, digits, empty = null, min, max }) {
+      if (value === null || value === undefined) return empty;
+      switch (type) {
+        case 'percent':
+          return this.percent(value, digits, { min, max });
+        case 'percentValue':
+          return this.number(value * 100, digits);
+        case 'ratio':
+          return this.ratio(value, digits);
+        default:
+          return this.number(value, digits);
+      }
+    }
+  
+    /**
+     * Formats every field of a result that has a display format.
+     * @param {*} result - Numeric result.
+     * @param {Object} format - Format descriptor or nested object of descriptors.
+     * @returns {*} A copy of the result with formatted fields.
+     */
+    formatResult(result, format) {
+      if (format.type) return this.format(result, format);
+      if (result === null || typeof result !== 'object') return result;
+  
+      const formatted = { ...result };
+      for (const [key, nested] of Object.entries(format)) {
+        if (key in result) formatted[key] = this.formatResult(result[key], nested);
+      }
+      return formatted;
+    }
+  }
+  
+  module.exports = { Formatter, RESULT_FORMATS };
@@ -0,0 +1,73 @@
+/**
+ * Binary heap ordered by a comparator function.
+ * The element for which compare(a, b) < 0 against every other element sits at the top.
+ */
+class Heap {
+    /**
+     * @param {function(*, *): number} compare - Comparator, e.g. (a, b) => a - b for a min-heap.
+     */
+    constructor(compare) {
+      this.compare = compare;
+      this.items = [];
+    }
+  
+    /**
+     * @returns {number} Number of elements in the heap.
+     */
+    get size() {
+      return this.items.length;
+    }
+  
+    /**
+     * Returns the top element without removing it.
+     * @returns {*} The top element, or undefined if the heap is empty.
+     */
+    peek() {
+      return this.items[0];
+    }
+  
+    /**
+     * Adds an element to the heap.
+     * @param {*} item - The element to add.
+     */
+    push(item) {
+      const items = this.items;
+      items.push(item);
+      let i = items.length - 1;
+      while (i > 0) {
+        const parent = (i - 1) >> 1;
+        if (this.compare(items[i], items[parent]) >= 0) break;
+        [items[i], items[parent]] = [items[parent], items[i]];
+        i = parent;
+      }
+    }
+  
+    /**
+     * Removes and returns the top element.
+     * @returns {*} The top element, or undefined if the heap is empty.
+     */
+    pop() {
+      const items = this.items;
+      if (items.length === 0) return undefined;
+  
+      const top = items[0];
+      const last = items.pop();
+      if (items.length > 0) {
+        items[0] = last;
+        let i = 0;
+        for (;;) {
+          const left = 2 * i + 1;
+          const right = left + 1;
+          let smallest = i;
+          if (left < items.length && this.compare(items[left], items[smallest]) < 0) smallest = left;
+          if (right < items.length && this.compare(items[right], items[smallest]) < 0) smallest = right;
+          if (smallest === i) break;
+          [items[i], items[smallest]] = [items[smallest], items[i]];
+          i = smallest;
+        }
+      }
+      return top;
+    }
+  }
+  
+  module.exports = Heap;
@@ -0,0 +1,757 @@
+const { StringDecoder } = require('string_decoder');
+const { InvalidInputError, ImportError } = require('./errors');
+  
+/**
+ * Normalizes a column header for alias matching ("Entry Price" -> "entryprice").
+ * @param {string} header - Column header.
+ * @returns {string} Lower-case header without spaces or punctuation.
+ */
+const normalizeHeader = header => String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+  
+/**
+ * Parses a number the way broker exports write them: thousands separators, currency
+ * symbols and accounting parentheses for negatives ("(1,234.50)") are accepted.
+ * @param {*} value - Raw cell value.
+ * @param {string} [decimal='.'] - Decimal separator, '.' or ','.
+ * @returns {(number|null)} The number, null for an empty cell, or NaN if it is not numeric.
+ */
+function parseNumber(value, decimal = '.') {
+  if (typeof value === 'number') return value;
+  if (value === null || value === undefined) return null;
+  
+  let text = String(value).trim();
+  if (text === '') return null;
+  
+  const negative = /^\(.*\)$/.test(text);
+  text = text.replace(/[^\d.,eE+-]/g, '');
+  text = decimal === ',' ? text.replace(/\./g, '').replace(',', '.') : text.replace(/,/g, '');
+  if (text === '') return NaN;
+  
+  const number = Number(text);
+  return negative ? -Math.abs(number) : number;
+}
+  
+/**
+ * Parses a trade direction.
+ * @param {*} value - Raw cell value (e.g., "Buy", "SHORT", "S").
+ * @returns {(string|null|undefined)} 'long' or 'short', null for an empty cell, or undefined if unknown.
+ */
+function parseSide(value) {
+  if (value === null || value === undefined || String(value).trim() === '') return null;
+  const side = String(value).trim().toLowerCase();
+  if (['long', 'buy', 'b', 'bot', 'bought', 'l'].includes(side)) return 'long';
+  if (['short', 'sell', 's', 'sld', 'sold', 'sell short', 'sellshort'].includes(side)) return 'short';
+  return undefined;
+}
+  
+const timeZoneFormatters = new Map();
+  
+/**
+ * Returns the UTC offset of an IANA time zone at an instant.
+ * @param {number} time - Milliseconds since the epoch.
+ * @param {string} timezone - IANA time zone (e.g., 'America/New_York').
+ * @returns {number} Offset in milliseconds (positive east of UTC).
+ */
+function timeZoneOffset(time, timezone) {
+  if (!timeZoneFormatters.has(timezone)) {
+    timeZoneFormatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+  const parts = {};
+  for (const { type, value } of timeZoneFormatters.get(timezone).formatToParts(new Date(time))) {
+    parts[type] = Number(value);
+  }
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClock - Math.floor(time / 1000) * 1000;
+}
+  
+/**
+ * Converts wall-clock date parts to a Date.
+ * @param {number[]} parts - [year, month (1-12), day, hour, minute, second, millisecond].
+ * @param {string} timezone - 'UTC', a fixed offset ('+02:00') or an IANA time zone.
+ * @returns {Date} The instant.
+ */
+function zonedTime(parts, timezone) {
+  const [year, month, day, hour = 0, minute = 0, second = 0, millisecond = 0] = parts;
+  const utc = Date.UTC(year, month - 1, day, hour, minute, second, millisecond);
+  
+  const offset = /^([+-])(\d{2}):?(\d{2})$/.exec(timezone);
+  if (offset) {
+    const sign = offset[1] === '-' ? -1 : 1;
+    return new Date(utc - sign * (Number(offset[2]) * 60 + Number(offset[3])) * 60000);
+  }
+  if (timezone === 'UTC' || timezone === 'Z') return new Date(utc);
+  
+  // The offset can change between the guess and the result around DST transitions
+  let time = utc - timeZoneOffset(utc, timezone);
+  const corrected = utc - timeZoneOffset(time, timezone);
+  if (corrected !== time) time = corrected;
+  return new Date(time);
+}
+  
+const DATE_TOKENS = {
+  YYYY: '(\\d{4})',
+  YY: '(\\d{2})',
+  MM: '(\\d{1,2})',
+  M: '(\\d{1,2})',
+  DD: '(\\d{1,2})',
+  D: '(\\d{1,2})',
+  HH: '(\\d{1,2})',
+  H: '(\\d{1,2})',
+  hh: '(\\d{1,2})',
+  h: '(\\d{1,2})',
+  mm: '(\\d{2})',
+  ss: '(\\d{2})',
+  SSS: '(\\d{1,3})',
+  A: '([AaPp][Mm])'
+};
+const DATE_TOKEN_PATTERN = /YYYY|YY|SSS|MM|M|DD|D|HH|H|hh|h|mm|ss|A/g;
+const ISO_DATE = /^(\d{4})[-./](\d{1,2})[-./](\d{1,2})(?:[T\s]+(\d{1,2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3})\d*)?)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/i;
+  
+/**
+ * Compiles a date pattern such as 'DD.MM.YYYY HH:mm' into a parser.
+ * @param {string} pattern - Pattern built from YYYY, YY, MM, M, DD, D, HH, H, hh, h, mm, ss, SSS and A.
+ * @returns {Function} Function mapping a string to date parts, or null if it does not match.
+ */
+function compileDatePattern(pattern) {
+  const escape = literal => literal.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+  const tokens = pattern.match(DATE_TOKEN_PATTERN) || [];
+  const source = pattern
+    .split(DATE_TOKEN_PATTERN)
+    .map((literal, i) => (i > 0 ? DATE_TOKENS[tokens[i - 1]] : '') + escape(literal))
+    .join('');
+  const regex = new RegExp(`^${source}$`);
+  
+  return text => {
+    const match = regex.exec(text);
+    if (!match) return null;
+    const values = {};
+    tokens.forEach((token, i) => { values[token] = match[i + 1]; });
+  
+    const year = values.YYYY !== undefined ? Number(values.YYYY) : 2000 + Number(values.YY ?? 70) - (Number(values.YY) > 69 ? 100 : 0);
+    let hour = Number(values.HH ?? values.H ?? values.hh ?? values.h ?? 0);
+    if (values.A) {
+      const pm = values.A.toLowerCase() === 'pm';
+      hour = hour % 12 + (pm ? 12 : 0);
+    }
+    return [
+      year,
+      Number(values.MM ?? values.M ?? 1),
+      Number(values.DD ?? values.D ?? 1),
+      hour,
+      Number(values.mm ?? 0),
+      Number(values.ss ?? 0),
+      Number((values.SSS ?? '0').padEnd(3, '0'))
+    ];
+  };
+}
+  
+/**
+ * Parses a date from an export cell.
+ * @param {*} value - Raw cell value (Date, epoch number or string).
+ * @param {Object} options - Date options.
+ * @param {(string|Function)} options.dateFormat - 'auto', 'unix' (seconds), 'unixms' or a compiled pattern.
+ * @param {string} options.timezone - Time zone for values without an explicit offset.
+ * @returns {(Date|null)} The date, null for an empty cell, or an invalid Date if it cannot be parsed.
+ */
+function parseDate(value, { dateFormat, timezone }) {
+  if (value instanceof Date) return value;
+  if (value === null || value === undefined || String(value).trim() === '') return null;
+  
+  const text = String(value).trim();
+  if (dateFormat === 'unix' || dateFormat === 'unixms' || (dateFormat === 'auto' && /^\d+(\.\d+)?$/.test(text))) {
+    const number = Number(text);
+    // In auto mode, epoch values below 1e11 are seconds (1e11 ms is in 1973)
+    const seconds = dateFormat === 'unix' || (dateFormat === 'auto' && number < 1e11);
+    return new Date(seconds ? number * 1000 : number);
+  }
+  
+  if (typeof dateFormat === 'function') {
+    const parts = dateFormat(text);
+    return parts ? zonedTime(parts, timezone) : new Date(NaN);
+  }
+  
+  const match = ISO_DATE.exec(text);
+  if (!match) return new Date(NaN);
+  const parts = match.slice(1, 7).map(part => (part === undefined ? 0 : Number(part)));
+  parts.push(Number((match[7] ?? '0').padEnd(3, '0')));
+  return zonedTime(parts, match[8] ? match[8].toUpperCase() : timezone);
+}
+  
+/**
+ * Incremental RFC 4180 CSV parser. Text can be pushed in arbitrary chunks (e.g., from
+ * a stream); quoted fields may contain delimiters, escaped quotes ("") and line breaks.
+ */
+class CsvParser {
+    /**
+     * @param {Object} [options] - Parser options.
+     * @param {string} [options.delimiter='auto'] - Field delimiter, or 'auto' to detect ',', ';', tab or '|'.
+     */
+    constructor({ delimiter = 'auto' } = {}) {
+      this.delimiter = delimiter === 'auto' ? null : delimiter;
+      this.pending = '';
+      this.started = false;
+      this.field = '';
+      this.row = [];
+      this.inQuotes = false;
+      this.quoteInQuotes = false;
+      this.skipLineFeed = false;
+    }
+  
+    /**
+     * Detects the delimiter from the first line: the candidate that appears most often outside quotes.
+     * @param {string} line - First line of the file.
+     * @returns {string} The delimiter.
+     * @private
+     */
+    #detectDelimiter(line) {
+      const counts = { ',': 0, ';': 0, '\t': 0, '|': 0 };
+      let quoted = false;
+      for (const char of line) {
+        if (char === '"') quoted = !quoted;
+        else if (!quoted && char in counts) counts[char]++;
+      }
+      return Object.keys(counts).reduce((best, char) => (counts[char] > counts[best] ? char : best), ',');
+    }
+  
+    /**
+     * Parses the next chunk of text.
+     * @param {string} chunk - Text chunk.
+     * @returns {string[][]} Rows completed by this chunk.
+     */
+    push(chunk) {
+      let text = chunk;
+      if (!this.started) {
+        text = this.pending + text;
+        if (this.delimiter === null) {
+          const lineEnd = text.search(/[\r\n]/);
+          if (lineEnd === -1) {
+            this.pending = text;
+            return [];
+          }
+          this.delimiter = this.#detectDelimiter(text.slice(0, lineEnd));
+        }
+        this.started = true;
+        this.pending = '';
+        text = text.replace(/^﻿/, '');
+      }
+  
+      const rows = [];
+      for (const char of text) {
+        if (this.skipLineFeed) {
+          this.skipLineFeed = false;
+          if (char === '\n') continue;
+        }
+        if (this.quoteInQuotes) {
+          // A quote inside a quoted field either escapes a quote or closes the field
+          this.quoteInQuotes = false;
+          if (char === '"') {
+            this.field += '"';
+            continue;
+          }
+          this.inQuotes = false;
+        }
+        if (this.inQuotes) {
+          if (char === '"') this.quoteInQuotes = true;
+          else this.field += char;
+        } else if (char === '"' && this.field === '') {
+          this.inQuotes = true;
+        } else if (char === this.delimiter) {
+          this.row.push(this.field);
+          this.field = '';
+        } else if (char === '\r' || char === '\n') {
+          this.skipLineFeed = char === '\r';
+          this.#endRow(rows);
+        } else {
+          this.field += char;
+        }
+      }
+      return rows;
+    }
+  
+    /**
+     * Flushes the last row once all chunks have been pushed.
+     * @returns {string[][]} The remaining rows.
+     */
+    end() {
+      const rows = this.started ? [] : this.push('\n');
+      if (this.quoteInQuotes) {
+        this.quoteInQuotes = false;
+        this.inQuotes = false;
+      }
+      if (this.field !== '' || this.row.length > 0) this.#endRow(rows);
+      return rows;
+    }
+  
+    /**
+     * Completes the current row, skipping blank lines.
+     * @param {string[][]} rows - Rows to append to.
+     * @private
+     */
+    #endRow(rows) {
+      this.row.push(this.field);
+      if (this.row.length > 1 || this.row[0].trim() !== '') rows.push(this.row);
+      this.field = '';
+      this.row = [];
+    }
+  }
+  
+/**
+ * Fields of a normalized trade record (see calculateTradePnL). Aliases are matched
+ * against normalized headers, so "Entry Price", "entry_price" and "EntryPrice" all match.
+ */
+const TRADE_FIELDS = {
+  symbol: { type: 'string', aliases: ['symbol', 'instrument', 'ticker', 'item', 'market', 'asset'] },
+  strategy: { type: 'string', aliases: ['strategy', 'strategyname', 'setup', 'tag'] },
+  side: { type: 'side', aliases: ['side', 'direction', 'marketpos', 'position', 'action', 'buysell', 'type'] },
+  size: { type: 'number', required: true, aliases: ['size', 'quantity', 'qty', 'volume', 'contracts', 'shares', 'lots', 'units'] },
+  entryPrice: { type: 'number', required: true, aliases: ['entryprice', 'openprice', 'pricein', 'entry', 'avgentryprice', 'open'] },
+  exitPrice: { type: 'number', required: true, aliases: ['exitprice', 'closeprice', 'priceout', 'exit', 'avgexitprice', 'close'] },
+  fees: { type: 'number', aliases: ['fees', 'fee', 'commission', 'commissions', 'comm', 'costs'] },
+  entryTime: { type: 'date', aliases: ['entrytime', 'opentime', 'entrydate', 'opendate', 'opened', 'timein'] },
+  exitTime: { type: 'date', aliases: ['exittime', 'closetime', 'exitdate', 'closedate', 'closed', 'timeout'] },
+  stopLoss: { type: 'number', aliases: ['stoploss', 'stop', 'sl', 'initialstop', 'stopprice'] }
+};
+  
+/**
+ * Fields of a normalized OHLCV bar.
+ */
+const BAR_FIELDS = {
+  time: { type: 'date', required: true, aliases: ['time', 'date', 'datetime', 'timestamp', 'dateandtime', 'period'] },
+  open: { type: 'number', required: true, aliases: ['open', 'o', 'openprice'] },
+  high: { type: 'number', required: true, aliases: ['high', 'h', 'highprice'] },
+  low: { type: 'number', required: true, aliases: ['low', 'l', 'lowprice'] },
+  close: { type: 'number', required: true, aliases: ['close', 'c', 'closeprice', 'last', 'price'] },
+  volume: { type: 'number', aliases: ['volume', 'vol', 'v', 'tickvol', 'tickvolume'] }
+};
+  
+/**
+ * Built-in adapters for common broker statements and data vendor exports.
+ * An adapter may set aliases (tried before the defaults), exact columns, a dateFormat,
+ * a delimiter, a filter(row) that silently skips non-data rows and a transform(record, row).
+ */
+const ADAPTERS = {
+  trades: {
+    // MetaTrader 4/5 account history; both prices are headed "Price", the second one is the close
+    metatrader: {
+      aliases: {
+        size: ['size', 'volume', 'lots'],
+        entryPrice: ['price'],
+        exitPrice: ['price2'],
+        entryTime: ['opentime', 'time'],
+        exitTime: ['closetime', 'time2'],
+        fees: ['commission']
+      },
+      dateFormat: 'YYYY.MM.DD HH:mm:ss',
+      filter: row => /^(buy|sell)$/i.test(String(row.Type ?? '').trim()),
+      transform: (trade, row) => {
+        // MetaTrader reports costs as negative amounts and swap separately
+        const commission = parseNumber(row.Commission) || 0;
+        const swap = parseNumber(row.Swap) || 0;
+        return { ...trade, fees: -(commission + swap) };
+      }
+    },
+    // NinjaTrader 8 "Trades" grid export
+    ninjatrader: {
+      aliases: {
+        side: ['marketpos'],
+        size: ['qty'],
+        symbol: ['instrument'],
+        fees: ['commission']
+      },
+      dateFormat: 'M/D/YYYY h:mm:ss A'
+    }
+  },
+  bars: {
+    // Yahoo Finance historical data download; Adj Close is ignored
+    yahoo: {
+      columns: { time: 'Date' },
+      dateFormat: 'YYYY-MM-DD'
+    },
+    // MetaTrader history center export with <DATE> and <TIME> columns
+    metatrader: {
+      columns: { time: ['<DATE>', '<TIME>'] },
+      aliases: { volume: ['tickvol', 'vol'] },
+      delimiter: '\t'
+    }
+  }
+};
+  
+/**
+ * Maps parsed CSV or JSON rows to normalized trade records or OHLCV bars, collecting
+ * row-level errors instead of failing on the first bad row.
+ */
+class Importer {
+    /**
+     * @param {string} fn - Public method name used in errors.
+     * @param {string} kind - Either 'trades' or 'bars'.
+     * @param {Object} options - Import options (see importTrades).
+     * @param {Validator} validator - Validator used for the options.
+     */
+    constructor(fn, kind, options, validator) {
+      validator.object(fn, 'options', options);
+      this.fn = fn;
+      this.kind = kind;
+      this.fields = kind === 'trades' ? TRADE_FIELDS : BAR_FIELDS;
+  
+      let adapter = options.adapter ?? {};
+      if (typeof adapter === 'string') {
+        validator.oneOf(fn, 'options.adapter', adapter, Object.keys(ADAPTERS[kind]));
+        adapter = ADAPTERS[kind][adapter];
+      }
+      validator.object(fn, 'options.adapter', adapter);
+      this.adapter = adapter;
+  
+      this.format = validator.oneOf(fn, 'options.format', options.format ?? 'auto', ['auto', 'csv', 'json']);
+      this.decimal = options.decimal ?? '.';
+      validator.oneOf(fn, 'options.decimal', this.decimal, ['.', ',']);
+      this.delimiter = options.delimiter ?? adapter.delimiter ?? 'auto';
+      validator.string(fn, 'options.delimiter', this.delimiter);
+      this.onError = options.onError ?? 'skip';
+      validator.oneOf(fn, 'options.onError', this.onError, ['skip', 'throw']);
+      this.dataKey = options.dataKey;
+      if (this.dataKey !== undefined) validator.string(fn, 'options.dataKey', this.dataKey);
+      this.columns = { ...adapter.columns, ...options.columns };
+  
+      this.timezone = options.timezone ?? 'UTC';
+      validator.string(fn, 'options.timezone', this.timezone);
+      if (!/^(UTC|Z|[+-]\d{2}:?\d{2})$/.test(this.timezone)) {
+        try {
+          new Intl.DateTimeFormat('en-US', { timeZone: this.timezone });
+        } catch (error) {
+          throw new InvalidInputError(fn, 'options.timezone', 'must be UTC, an offset such as "+02:00" or an IANA time zone');
+        }
+      }
+  
+      const dateFormat = options.dateFormat ?? adapter.dateFormat ?? 'auto';
+      validator.string(fn, 'options.dateFormat', dateFormat);
+      this.dateFormat = ['auto', 'unix', 'unixms'].includes(dateFormat) ? dateFormat : compileDatePattern(dateFormat);
+  
+      this.records = [];
+      this.errors = [];
+      this.mapping = null;
+      this.headers = null;
+      this.rowNumber = 0;
+    }
+  
+    /**
+     * Imports a CSV or JSON string, or an already parsed JSON value.
+     * @param {(string|Object|Object[])} input - The data.
+     * @returns {Object} The import result (see #result).
+     */
+    parse(input) {
+      if (typeof input !== 'string') {
+        if (input === null || typeof input !== 'object') {
+          throw new InvalidInputError(this.fn, 'input', 'must be a CSV or JSON string, an array or an object');
+        }
+        this.#addJson(input);
+        return this.#result();
+      }
+  
+      if (this.#isJson(input)) {
+        this.#addJson(this.#parseJson(input));
+      } else {
+        const parser = new CsvParser({ delimiter: this.delimiter });
+        this.#addCsvRows([...parser.push(input), ...parser.end()]);
+      }
+      return this.#result();
+    }
+  
+    /**
+     * Imports CSV or JSON from a readable stream. CSV is parsed chunk by chunk; JSON is
+     * buffered and parsed once the stream ends.
+     * @param {AsyncIterable} stream - Node readable stream (or any async iterable of strings/Buffers).
+     * @returns {Promise<Object>} The import result (see #result).
+     */
+    async parseStream(stream) {
+      const decoder = new StringDecoder('utf8');
+      let parser = null;
+      let json = '';
+  
+      for await (const chunk of stream) {
+        const text = typeof chunk === 'string' ? chunk : decoder.write(chunk);
+        if (parser === null && json === '' && this.#isJson(text)) {
+          json = text;
+        } else if (json !== '') {
+          json += text;
+        } else {
+          parser = parser ?? new CsvParser({ delimiter: this.delimiter });
+          this.#addCsvRows(parser.push(text));
+        }
+      }
+  
+      const rest = decoder.end();
+      if (json !== '') {
+        this.#addJson(this.#parseJson(json + rest));
+      } else if (parser !== null || rest !== '') {
+        parser = parser ?? new CsvParser({ delimiter: this.delimiter });
+        this.#addCsvRows([...parser.push(rest), ...parser.end()]);
+      }
+      return this.#result();
+    }
+  
+    /**
+     * Decides whether text is JSON, honouring options.format.
+     * @param {string} text - Beginning of the input.
+     * @returns {boolean} True for JSON input.
+     * @private
+     */
+    #isJson(text) {
+      if (this.format !== 'auto') return this.format === 'json';
+      return /^﻿?\s*[[{]/.test(text);
+    }
+  
+    /**
+     * Parses JSON text, falling back to newline-delimited JSON (one object per line).
+     * @param {string} text - JSON text.
+     * @returns {(Object|Object[])} The parsed value.
+     * @throws {InvalidInputError} If the text is neither JSON nor NDJSON.
+     * @private
+     */
+    #parseJson(text) {
+      const source = text.replace(/^﻿/, '');
+      try {
+        return JSON.parse(source);
+      } catch (error) {
+        try {
+          return source.split(/\r?\n/).filter(line => line.trim() !== '').map(line => JSON.parse(line));
+        } catch (lineError) {
+          throw new InvalidInputError(this.fn, 'input', `is not valid JSON (${error.message})`);
+        }
+      }
+    }
+  
+    /**
+     * Adds rows from a parsed JSON value.
+     * @param {(Object|Object[])} value - Array of row objects, or an object holding it under options.dataKey.
+     * @private
+     */
+    #addJson(value) {
+      let rows = value;
+      if (this.dataKey !== undefined) {
+        rows = this.dataKey.split('.').reduce((node, key) => node?.[key], value);
+      } else if (!Array.isArray(value)) {
+        // A single array property (e.g., { "trades": [...] }) is unambiguous
+        const arrays = Object.values(value).filter(Array.isArray);
+        rows = arrays.length === 1 ? arrays[0] : value;
+      }
+      if (!Array.isArray(rows)) {
+        throw new InvalidInputError(this.fn, 'input', 'must contain an array of rows (set options.dataKey to locate it)');
+      }
+  
+      const headers = [...new Set(rows.flatMap(row => (row && typeof row === 'object' ? Object.keys(row) : [])))];
+      this.#resolveMapping(headers);
+      // JSON has no header line, so the first record is row 1
+      rows.forEach((row, i) => this.#addRow(row && typeof row === 'object' ? row : {}, i + 1));
+    }
+  
+    /**
+     * Adds CSV rows; the first row ever seen is the header.
+     * @param {string[][]} rows - Parsed CSV rows.
+     * @private
+     */
+    #addCsvRows(rows) {
+      for (const cells of rows) {
+        this.rowNumber++;
+        if (this.headers === null) {
+          // Duplicate headers (e.g., MetaTrader's two "Price" columns) become "Price", "Price 2"
+          const seen = {};
+          this.headers = cells.map(cell => {
+            const header = cell.trim();
+            seen[header] = (seen[header] ?? 0) + 1;
+            return seen[header] > 1 ? `${header} ${seen[header]}` : header;
+          });
+          this.#resolveMapping(this.headers);
+          continue;
+        }
+        const row = {};
+        this.headers.forEach((header, i) => { row[header] = cells[i]; });
+        this.#addRow(row, this.rowNumber);
+      }
+    }
+  
+    /**
+     * Resolves a column specification to header names.
+     * @param {(string|number|string[])} spec - Header name, column index, or several headers joined with a space.
+     * @param {string[]} headers - Available headers.
+     * @param {string} field - Field being mapped, for errors.
+     * @returns {string[]} Header names.
+     * @throws {InvalidInputError} If a column does not exist.
+     * @private
+     */
+    #resolveColumn(spec, headers, field) {
+      return [].concat(spec).map(column => {
+        const header = typeof column === 'number'
+          ? headers[column]
+          : headers.find(h => h === column) ?? headers.find(h => normalizeHeader(h) === normalizeHeader(column));
+        if (header === undefined) {
+          throw new InvalidInputError(this.fn, `options.columns.${field}`, `column "${column}" was not found`);
+        }
+        return header;
+      });
+    }
+  
+    /**
+     * Maps every field to the header(s) it is read from.
+     * @param {string[]} headers - Available headers.
+     * @throws {InvalidInputError} If a required field has no column.
+     * @private
+     */
+    #resolveMapping(headers) {
+      const normalized = headers.map(normalizeHeader);
+      const used = new Set();
+      this.mapping = {};
+  
+      // Explicit columns first, so aliases cannot claim a column the caller mapped elsewhere
+      for (const field of Object.keys(this.fields)) {
+        if (this.columns[field] === undefined) continue;
+        this.mapping[field] = this.#resolveColumn(this.columns[field], headers, field);
+        this.mapping[field].forEach(header => used.add(header));
+      }
+  
+      for (const [field, { aliases, required }] of Object.entries(this.fields)) {
+        if (this.mapping[field]) continue;
+        const candidates = [...(this.adapter.aliases?.[field] ?? []), ...aliases];
+        for (const alias of candidates) {
+          const index = normalized.findIndex((name, i) => name === alias && !used.has(headers[i]));
+          if (index !== -1) {
+            this.mapping[field] = [headers[index]];
+            used.add(headers[index]);
+            break;
+          }
+        }
+        if (!this.mapping[field] && required) {
+          throw new InvalidInputError(
+            this.fn,
+            'input',
+            `no column found for "${field}"; map it with options.columns.${field}`
+          );
+        }
+      }
+    }
+  
+    /**
+     * Parses one row into a record, or records a row-level error.
+     * @param {Object} row - Cell values keyed by header.
+     * @param {number} rowNumber - 1-based row number (the CSV header is row 1).
+     * @private
+     */
+    #addRow(row, rowNumber) {
+      if (this.adapter.filter && !this.adapter.filter(row)) return;
+  
+      let record = {};
+      for (const [field, headers] of Object.entries(this.mapping)) {
+        const raw = headers.length === 1
+          ? row[headers[0]]
+          : headers.map(header => row[header] ?? '').join(' ').trim();
+        const { type, required } = this.fields[field];
+        const column = headers.join(' + ');
+  
+        let value;
+        if (type === 'number') {
+          value = parseNumber(raw, this.decimal);
+          if (Number.isNaN(value)) return this.#error(rowNumber, column, field, raw, 'is not a number');
+        } else if (type === 'date') {
+          value = parseDate(raw, { dateFormat: this.dateFormat, timezone: this.timezone });
+          if (value !== null && isNaN(value.getTime())) return this.#error(rowNumber, column, field, raw, 'is not a recognized date');
+        } else if (type === 'side') {
+          value = parseSide(raw);
+          if (value === undefined) return this.#error(rowNumber, column, field, raw, 'is not a recognized side (long/short, buy/sell)');
+        } else {
+          value = raw === undefined || raw === null || String(raw).trim() === '' ? null : String(raw).trim();
+        }
+  
+        if (value === null) {
+          if (required) return this.#error(rowNumber, column, field, raw, 'is missing');
+          continue;
+        }
+        record[field] = value;
+      }
+  
+      if (this.adapter.transform) record = this.adapter.transform(record, row);
+      const problem = this.kind === 'trades' ? this.#checkTrade(record) : this.#checkBar(record);
+      if (problem) return this.#error(rowNumber, problem.column, problem.field, record[problem.field], problem.message);
+      this.records.push(record);
+    }
+  
+    /**
+     * Normalizes the side of a trade and checks its size.
+     * Without a side column the sign of the size decides the direction.
+     * @param {Object} trade - Parsed trade.
+     * @returns {(Object|null)} Problem description, or null if the trade is valid.
+     * @private
+     */
+    #checkTrade(trade) {
+      if (trade.side === undefined) trade.side = trade.size < 0 ? 'short' : 'long';
+      trade.size = Math.abs(trade.size);
+      if (trade.size === 0) return { field: 'size', column: this.mapping.size.join(' + '), message: 'must not be zero' };
+      return null;
+    }
+  
+    /**
+     * Checks that a bar's high and low enclose its open and close.
+     * @param {Object} bar - Parsed bar.
+     * @returns {(Object|null)} Problem description, or null if the bar is consistent.
+     * @private
+     */
+    #checkBar(bar) {
+      if (bar.high < Math.max(bar.open, bar.close, bar.low) || bar.low > Math.min(bar.open, bar.close)) {
+        return { field: 'high', column: this.mapping.high.join(' + '), message: 'and low do not enclose open and close' };
+      }
+      return null;
+    }
+  
+    /**
+     * Records a row-level error.
+     * @param {number} row - Row number.
+     * @param {string} column - Source column(s).
+     * @param {string} field - Normalized field.
+     * @param {*} value - Offending value.
+     * @param {string} reason - What is wrong with it.
+     * @private
+     */
+    #error(row, column, field, value, reason) {
+      this.errors.push({ row, column, field, value: value ?? null, message: `${field} ${reason}` });
+    }
+  
+    /**
+     * Builds the import result.
+     * @returns {Object} { trades, errors } for trades, or { times, opens, highs, lows, closes,
+     * volumes, errors } for bars sorted by time (volumes is null without a volume column).
+     * @throws {ImportError} In onError: 'throw' mode, if any row was rejected.
+     * @private
+     */
+    #result() {
+      if (this.mapping === null) {
+        throw new InvalidInputError(this.fn, 'input', 'contains no header or rows');
+      }
+      if (this.onError === 'throw' && this.errors.length > 0) {
+        throw new ImportError(this.fn, this.errors);
+      }
+      if (this.kind === 'trades') {
+        return { trades: this.records, errors: this.errors };
+      }
+  
+      const bars = [...this.records].sort((a, b) => a.time - b.time);
+      return {
+        times: bars.map(bar => bar.time),
+        opens: bars.map(bar => bar.open),
+        highs: bars.map(bar => bar.high),
+        lows: bars.map(bar => bar.low),
+        closes: bars.map(bar => bar.close),
+        volumes: this.mapping.volume ? bars.map(bar => bar.volume ?? null) : null,
+        errors: this.errors
+      };
+    }
+  }
+  
+  module.exports = { Importer, CsvParser, ADAPTERS, parseNumber, parseDate, timeZoneOffset, zonedTime };
+  
\ No newline at end of file
@@ -1,13 +1,263 @@
+const Heap = require('./heap');
+const Validator = require('./validation');
+const { StatisticsError, InvalidInputError, InsufficientDataError, ImportError } = require('./errors');
+const { RunningStatistics, TradeAccumulator } = require('./streaming');
+const { Formatter, RESULT_FORMATS } = require('./formatting');
+const { Importer } = require('./importers');
+const { Backtester } = require('./backtest');
+const { ReportRenderer, REPORT_VERSION, SECTION_TYPES } = require('./report');
+const { DEFAULT_RULES, RULE_LIMITS, TRADING_STYLES, MESSAGES, MessageCatalog } = require('./interpretation');
+const {
+  erfc, normalCdf, normalQuantile, kolmogorovSurvival, polynomial, betaQuantile, studentTCdf, studentTQuantile
+} = require('./distributions');
+const {
+  DAY, WEEKDAYS, MONTHS, isTimeZone, parseInterval, parseSession, locate, bucketStart, nextBucket, nextSession, dateKey
+} = require('./calendar');
+
 /**
  * Statistics class providing various statistical operations.
  */
 class Statistics {
+    #validator = new Validator();
+    #formatter = new Formatter();
+    #resultMode = 'formatted';
+    #rules = { style: 'swing', ...structuredClone(DEFAULT_RULES) };
+    #messages = new MessageCatalog({ catalogs: { ...MESSAGES } });
+  
+    /**
+     * Switches input validation between lenient and strict mode.
+     * Lenient mode (the default) coerces numeric strings such as "1.5" to numbers;
+     * strict mode rejects anything that is not already a number.
+     * Invalid input throws an InvalidInputError in both modes.
+     * @param {string} mode - Either 'lenient' or 'strict'.
+     * @throws {InvalidInputError} If the mode is unknown.
+     * @example
+     * const stats = new Statistics();
+     * stats.setValidationMode('strict');
+     * stats.mean(['1', '2']); // throws InvalidInputError
+     */
+    setValidationMode(mode) {
+      this.#validator.oneOf('setValidationMode', 'mode', mode, ['lenient', 'strict']);
+      this.#validator.strict = mode === 'strict';
+    }
+  
+    /**
+     * Returns the current validation mode.
+     * @returns {string} Either 'lenient' or 'strict'.
+     */
+    getValidationMode() {
+      return this.#validator.strict ? 'strict' : 'lenient';
+    }
+  
+    /**
+     * Switches the trading and analysis methods between display strings and raw numbers.
+     * In 'formatted' mode (the default) they return strings such as "24.35%" or "1:1.70";
+     * in 'numeric' mode they return the underlying numbers, with percentages as decimals
+     * (0.2435) and ratios as reward multiples (1.7). Undefined values are null.
+     * @param {string} mode - Either 'formatted' or 'numeric'.
+     * @throws {InvalidInputError} If the mode is unknown.
+     * @example
+     * const stats = new Statistics();
+     * stats.setResultMode('numeric');
+     * stats.calculateSuccessRate(75, 100); // returns 0.75
+     */
+    setResultMode(mode) {
+      this.#validator.oneOf('setResultMode', 'mode', mode, ['formatted', 'numeric']);
+      this.#resultMode = mode;
+    }
+  
+    /**
+     * Returns the current result mode.
+     * @returns {string} Either 'formatted' or 'numeric'.
+     */
+    getResultMode() {
+      return this.#resultMode;
+    }
+  
+    /**
+     * Configures how formatted results are displayed.
+     * @param {Object} [options] - Format options.
+     * @param {string} [options.locale=null] - BCP 47 locale (e.g., 'de-DE'), or null for the classic "1234.50" style.
+     * @param {number} [options.precision=null] - Decimal places for every value, or null for each field's default.
+     * @throws {InvalidInputError} If the locale is not supported or the precision is not an integer from 0 to 20.
+     * @example
+     * const stats = new Statistics();
+     * stats.setFormatOptions({ locale: 'de-DE', precision: 1 });
+     * stats.calculateProfitMetrics(1000, 10, -500, 5); // { avgProfit: "100,0", ... }
+     */
+    setFormatOptions({ locale = null, precision = null } = {}) {
+      if (locale !== null) {
+        this.#validator.string('setFormatOptions', 'locale', locale);
+        try {
+          new Intl.NumberFormat(locale);
+        } catch (error) {
+          throw new InvalidInputError('setFormatOptions', 'locale', 'must be a supported BCP 47 locale');
+        }
+      }
+      if (precision !== null) {
+        precision = this.#validator.number('setFormatOptions', 'precision', precision, { integer: true, min: 0, max: 20 });
+      }
+      this.#formatter = new Formatter({ locale, precision });
+    }
+  
+    /**
+     * Returns the current format options.
+     * @returns {Object} Object with locale and precision.
+     */
+    getFormatOptions() {
+      return { locale: this.#formatter.locale, precision: this.#formatter.precision };
+    }
+  
+    /**
+     * Configures the thresholds behind the narrative interpretations (getSimpleSkewnessInterpretation,
+     * interpretSkewness, interpretMarketPatterns, determineProbabilityStatus, calculateDetailedRiskOfRuin
+     * and the tail-risk descriptions). Rules start from the defaults, then the trading style preset,
+     * then the given overrides; calling it without rules restores the defaults.
+     * @param {Object} [rules] - Partial rules in the shape of getInterpretationRules().
+     * @param {string} [rules.style='swing'] - Trading style preset: 'day', 'swing' or 'position'
+     * (market-pattern bias thresholds of 0.05, 0.15 and 0.25).
+     * @throws {InvalidInputError} If a rule is unknown, not numeric, out of range (e.g., marketPatterns.bias
+     * outside 0 to 1 or a negative breakEvenMargin) or out of order.
+     * @example
+     * const stats = new Statistics();
+     * stats.setInterpretationRules({ style: 'day', probability: { winRates: [60, 50, 40] } });
+     * stats.determineProbabilityStatus(58, 1.5); // "Profitable" needs 50% at this ratio
+     */
+    setInterpretationRules({ style = 'swing', ...overrides } = {}) {
+      const fn = 'setInterpretationRules';
+      this.#validator.oneOf(fn, 'rules.style', style, Object.keys(TRADING_STYLES));
+      const merge = (base, changes, path, limits) => {
+        this.#validator.object(fn, path, changes);
+        const merged = structuredClone(base);
+        for (const [key, value] of Object.entries(changes)) {
+          const name = `${path}.${key}`;
+          if (!(key in base)) throw new InvalidInputError(fn, name, 'is not an interpretation rule');
+          if (Array.isArray(base[key])) {
+            merged[key] = this.#validator.numberArray(fn, name, value)
+              .map((entry, i) => this.#validator.number(fn, `${name}[${i}]`, entry, limits[key]));
+          } else if (typeof base[key] === 'object') {
+            merged[key] = merge(base[key], value, name, limits[key]);
+          } else {
+            merged[key] = this.#validator.number(fn, name, value, limits[key]);
+          }
+        }
+        return merged;
+      };
+      const rules = merge(merge(DEFAULT_RULES, TRADING_STYLES[style], 'rules', RULE_LIMITS), overrides, 'rules', RULE_LIMITS);
+  
+      const ascending = (path, values) => {
+        if (values.some((value, i) => i > 0 && value <= values[i - 1])) {
+          throw new InvalidInputError(fn, path, 'must be in ascending order');
+        }
+      };
+      ascending('rules.skewness', [rules.skewness.moderate, rules.skewness.high]);
+      ascending('rules.marketPatterns', [rules.marketPatterns.highVolatility, rules.marketPatterns.lowVolatility]);
+      ascending('rules.probability.ratioSteps', rules.probability.ratioSteps);
+      if (rules.probability.winRates.length !== rules.probability.ratioSteps.length + 1) {
+        throw new InvalidInputError(fn, 'rules.probability.winRates', 'must have one more entry than ratioSteps');
+      }
+      // Higher reward ratios never need a higher win rate
+      if (rules.probability.winRates.some((rate, i) => i > 0 && rate > rules.probability.winRates[i - 1])) {
+        throw new InvalidInputError(fn, 'rules.probability.winRates', 'must not increase with the reward ratio');
+      }
+      ascending('rules.riskOfRuin', [rules.riskOfRuin.minimal, rules.riskOfRuin.low, rules.riskOfRuin.moderate, rules.riskOfRuin.high]);
+      ascending('rules.tailRisk', [rules.tailRisk.low, rules.tailRisk.elevated, rules.tailRisk.extreme]);
+  
+      this.#rules = { style, ...rules };
+    }
+  
+    /**
+     * Returns the current interpretation rules.
+     * @returns {Object} Rules: style, skewness, marketPatterns, probability, riskOfRuin and tailRisk.
+     */
+    getInterpretationRules() {
+      return structuredClone(this.#rules);
+    }
+  
+    /**
+     * Switches the language of narrative outputs (interpretations, summaries, descriptions and
+     * recommendations). Classification codes such as riskStatus, marketType, bias and the
+     * determineProbabilityStatus result stay in English so they can be compared in code.
+     * @param {string} language - 'en', 'de', or a language added with addMessageCatalog.
+     * @throws {InvalidInputError} If there is no catalog for the language.
+     * @example
+     * const stats = new Statistics();
+     * stats.setLanguage('de');
+     * stats.getSimpleSkewnessInterpretation(1.4); // "stark rechtsschief"
+     */
+    setLanguage(language) {
+      this.#validator.oneOf('setLanguage', 'language', language, Object.keys(this.#messages.catalogs));
+      this.#messages.language = language;
+    }
+  
+    /**
+     * Returns the current language of narrative outputs.
+     * @returns {string} Language code.
+     */
+    getLanguage() {
+      return this.#messages.language;
+    }
+  
+    /**
+     * Adds or extends a message catalog. Messages the catalog leaves out fall back to English.
+     * @param {string} language - Language code (e.g., 'fr').
+     * @param {Object} messages - Templates by message key (see MESSAGES.en in src/interpretation.js);
+     * {name} placeholders are filled in.
+     * @throws {InvalidInputError} If a key is unknown or a template is not a string.
+     * @example
+     * const stats = new Statistics();
+     * stats.addMessageCatalog('fr', { 'skewness.symmetric': 'approximativement symétrique' });
+     * stats.setLanguage('fr');
+     */
+    addMessageCatalog(language, messages) {
+      const fn = 'addMessageCatalog';
+      this.#validator.string(fn, 'language', language);
+      this.#validator.object(fn, 'messages', messages);
+      for (const [key, template] of Object.entries(messages)) {
+        if (!(key in MESSAGES.en)) throw new InvalidInputError(fn, `messages.${key}`, 'is not a known message');
+        this.#validator.string(fn, `messages.${key}`, template);
+      }
+      this.#messages.catalogs[language] = { ...this.#messages.catalogs[language], ...messages };
+    }
+  
+    /**
+     * Formats a numeric result into the display strings of 'formatted' mode, using the
+     * current format options. Useful for keeping numbers for charts and formatting them
+     * only for display.
+     * @param {string} method - Name of the method that produced the result (e.g., 'calculateDetailedRiskOfRuin').
+     * @param {*} result - A result produced in 'numeric' mode.
+     * @returns {*} The formatted result.
+     * @throws {InvalidInputError} If the method has no display format.
+     * @example
+     * const stats = new Statistics();
+     * stats.setResultMode('numeric');
+     * const risk = stats.calculateDetailedRiskOfRuin(61.5, 1.7, 2, 2);
+     * stats.formatResult('calculateDetailedRiskOfRuin', risk).metrics.kellyPercentage; // "38.85%"
+     */
+    formatResult(method, result) {
+      this.#validator.oneOf('formatResult', 'method', method, Object.keys(RESULT_FORMATS));
+      return this.#formatter.formatResult(result, RESULT_FORMATS[method]);
+    }
+  
+    /**
+     * Returns a numeric result as is in 'numeric' mode, or formatted in 'formatted' mode.
+     * @param {string} method - Name of the method that produced the result.
+     * @param {*} result - Numeric result.
+     * @returns {*} The result in the current mode.
+     * @private
+     */
+    #present(method, result) {
+      return this.#resultMode === 'numeric' ? result : this.#formatter.formatResult(result, RESULT_FORMATS[method]);
+    }
+  
     /**
      * Calculates the mean of an array of numbers.
      * @param {number[]} arr - The input array of numbers.
      * @returns {number} The mean of the array.
+     * @throws {InvalidInputError} If the array is empty or contains non-numeric values.
      */
     mean(arr) {
+      arr = this.#validator.numberArray('mean', 'arr', arr);
       return arr.reduce((sum, val) => sum + val, 0) / arr.length;
     }
   
@@ -15,8 +265,10 @@ class Statistics {
      * Calculates the median of an array of numbers.
      * @param {number[]} arr - The input array of numbers.
      * @returns {number} The median of the array.
+     * @throws {InvalidInputError} If the array is empty or contains non-numeric values.
      */
     median(arr) {
+      arr = this.#validator.numberArray('median', 'arr', arr);
       const sorted = [...arr].sort((a, b) => a - b);
       const mid = Math.floor(sorted.length / 2);
       return sorted.length % 2 === 0
@@ -28,8 +280,10 @@ class Statistics {
      * Calculates the mode of an array of numbers.
      * @param {number[]} arr - The input array of numbers.
      * @returns {number} The mode of the array.
+     * @throws {InvalidInputError} If the array is empty or contains non-numeric values.
      */
     mode(arr) {
+      arr = this.#validator.numberArray('mode', 'arr', arr);
       const frequencyMap = new Map();
       let maxFrequency = 0;
       let mode;
@@ -51,9 +305,11 @@ class Statistics {
      * Calculates the range of an array of numbers.
      * @param {number[]} arr - The input array of numbers.
      * @returns {[number, number]} An array containing the minimum and maximum values.
+     * @throws {InvalidInputError} If the array is empty or contains non-numeric values.
      */
     range(arr) {
-      return [Math.min(...arr), Math.max(...arr)];
+      arr = this.#validator.numberArray('range', 'arr', arr);
+      return [this.maxOrMin(arr, 'min'), this.maxOrMin(arr, 'max')];
     }
   
     /**
@@ -61,10 +317,13 @@ class Statistics {
      * @param {number[]} set - The input array of numbers.
      * @param {[number, number]} range - The desired range [min, max].
      * @returns {number[]} The normalized array.
+     * @throws {InvalidInputError} If the set is not a numeric array or the range is not a [min, max] pair.
      */
     normalizeArray(set, range) {
-      if (range.length !== 2 || !Array.isArray(set) || !Array.isArray(range)) {
-        throw new Error('Invalid arguments to normalize');
+      set = this.#validator.numberArray('normalizeArray', 'set', set);
+      range = this.#validator.numberArray('normalizeArray', 'range', range, { minLength: 2 });
+      if (range.length !== 2) {
+        throw new InvalidInputError('normalizeArray', 'range', 'must be a [min, max] pair');
       }
   
       const [min, max] = this.range(set);
@@ -79,18 +338,22 @@ class Statistics {
      * @param {number} a - The first number.
      * @param {number} b - The second number.
      * @returns {number} The greatest common divisor.
+     * @throws {InvalidInputError} If either argument is not a number.
      */
     gcd(a, b) {
+      a = this.#validator.number('gcd', 'a', a);
+      b = this.#validator.number('gcd', 'b', b);
       return b === 0 ? Math.abs(a) : this.gcd(b, a % b);
     }
   
     /**
       * Calculates Risk of Ruin for a trading strategy.
      * @param {number} winRate - The win rate percentage (e.g., 75 for 75%).
-     * @param {string} riskRewardRatio - The risk/reward ratio string (e.g., "1:1.95").
+     * @param {(string|number)} riskRewardRatio - The risk/reward ratio string (e.g., "1:1.95") or number (1.95).
      * @param {number} riskPerTrade - The percentage risk per trade (e.g., 2 for 2%).
-     * @returns {string} The Risk of Ruin percentage as a string (e.g., "<1%" or "100%").
-     * @throws {Error} If inputs are invalid.
+     * @returns {(string|number)} The Risk of Ruin percentage as a string (e.g., "<1%" or "100%"),
+     * or as a decimal in numeric result mode.
+     * @throws {InvalidInputError} If inputs are invalid.
      * @example
      * const stats = new Statistics();
      * stats.calculateRiskOfRuin(75, "1:1.95", 2);
@@ -98,9 +361,10 @@ class Statistics {
      */
     calculateRiskOfRuin(winRate, riskRewardRatio, riskPerTrade) {
       // Convert win rate to decimal
-      const winProbability = winRate / 100;
+      const winProbability = this.#validator.number('calculateRiskOfRuin', 'winRate', winRate, { min: 0, max: 100 }) / 100;
       // Convert risk/reward string to number
-      const rewardRatio = parseFloat(riskRewardRatio.split(':')[1]);
+      const rewardRatio = this.#validator.rewardRatio('calculateRiskOfRuin', 'riskRewardRatio', riskRewardRatio);
+      riskPerTrade = this.#validator.number('calculateRiskOfRuin', 'riskPerTrade', riskPerTrade, { positive: true });
   
       // Calculate Risk of Ruin using simplified geometric probability formula
       // This assumes fixed position sizing (constant risk per trade)
@@ -108,9 +372,9 @@ class Statistics {
         const A = (1 - winProbability) / winProbability;
         const B = 1 / rewardRatio;
         const RoR = Math.pow(A * B, 100 / riskPerTrade); // Using 100 units as base capital
-        return RoR < 0.01 ? "<1%" : (RoR * 100).toFixed(2) + "%";
+        return this.#present('calculateRiskOfRuin', RoR);
       } else {
-        return "100%"; // If win rate < 50% or reward ratio < 1, eventual ruin is certain
+        return this.#present('calculateRiskOfRuin', 1); // If win rate < 50% or reward ratio < 1, eventual ruin is certain
       }
     }
   
@@ -118,8 +382,10 @@ class Statistics {
      * Converts a decimal to a fraction.
      * @param {number} decimal - The input decimal.
      * @returns {Object} An object containing the numerator, denominator, and display string.
+     * @throws {InvalidInputError} If the input is not a number.
      */
     decimalToFraction(decimal) {
+      decimal = this.#validator.number('decimalToFraction', 'decimal', decimal);
       if (Number.isInteger(decimal)) {
         return { top: decimal, bottom: 1, display: `${decimal}/1` };
       }
@@ -140,9 +406,14 @@ class Statistics {
      * Simplifies a fraction string.
      * @param {string} str - The input fraction string (e.g., "4/6").
      * @returns {string} The simplified fraction string.
+     * @throws {InvalidInputError} If the string is not a fraction of two numbers with a non-zero denominator.
      */
     simplifyFractions(str) {
+      this.#validator.string('simplifyFractions', 'str', str);
       const [numerator, denominator] = str.split('/').map(Number);
+      if (isNaN(numerator) || !denominator) {
+        throw new InvalidInputError('simplifyFractions', 'str', 'must be a fraction such as "4/6"');
+      }
       const divisor = this.gcd(numerator, denominator);
       const simplifiedNumerator = numerator / divisor;
       const simplifiedDenominator = denominator / divisor;
@@ -157,8 +428,14 @@ class Statistics {
      * @param {number[]} arr1 - The first input array.
      * @param {number[]} arr2 - The second input array.
      * @returns {number[]} The element-wise average of the two arrays.
+     * @throws {InvalidInputError} If the arrays are not numeric or have different lengths.
      */
     sumArr(arr1, arr2) {
+      arr1 = this.#validator.numberArray('sumArr', 'arr1', arr1, { minLength: 0 });
+      arr2 = this.#validator.numberArray('sumArr', 'arr2', arr2, { minLength: 0 });
+      if (arr1.length !== arr2.length) {
+        throw new InvalidInputError('sumArr', 'arr2', 'must have the same length as arr1');
+      }
       return arr1.map((val, index) => (val + arr2[index]) / 2);
     }
   
@@ -166,8 +443,10 @@ class Statistics {
      * Calculates the standard deviation and mean of an array.
      * @param {number[]} arr - The input array of numbers.
      * @returns {Object} An object containing the standard deviation and mean.
+     * @throws {InvalidInputError} If the array is empty or contains non-numeric values.
      */
     standardDeviation(arr) {
+      arr = this.#validator.numberArray('standardDeviation', 'arr', arr);
       const mean = this.mean(arr);
       const squaredDiffs = arr.map(val => Math.pow(val - mean, 2));
       const variance = this.mean(squaredDiffs);
@@ -181,13 +460,17 @@ class Statistics {
      * @param {string} resultStatus - The key to check in each object.
      * @param {number} positionStatus - The value to look for.
      * @returns {number} The maximum consecutive occurrence.
+     * @throws {InvalidInputError} If data is not an array or the key is not a string.
      */
     consecutiveOfOccurrenceByKey(data, resultStatus, positionStatus) {
+      this.#validator.array('consecutiveOfOccurrenceByKey', 'data', data);
+      this.#validator.string('consecutiveOfOccurrenceByKey', 'resultStatus', resultStatus);
+      positionStatus = this.#validator.number('consecutiveOfOccurrenceByKey', 'positionStatus', positionStatus);
       let maxConsecutive = 0;
       let currentConsecutive = 0;
   
       for (const item of data) {
-        if (parseInt(item[resultStatus]) === positionStatus) {
+        if (parseInt(item?.[resultStatus]) === positionStatus) {
           currentConsecutive++;
           maxConsecutive = Math.max(maxConsecutive, currentConsecutive);
         } else {
@@ -203,10 +486,13 @@ class Statistics {
      * @param {Object[]} arr - The input array of objects.
      * @param {string} key - The key to average.
      * @returns {number} The average value.
+     * @throws {InvalidInputError} If arr is not an array or the key is not a string.
      */
     calculateAverageByKey(arr, key) {
+      this.#validator.array('calculateAverageByKey', 'arr', arr);
+      this.#validator.string('calculateAverageByKey', 'key', key);
       const validNumbers = arr
-        .map(obj => parseFloat(obj[key]))
+        .map(obj => parseFloat(obj?.[key]))
         .filter(num => !isNaN(num));
   
       if (validNumbers.length === 0) return 0;
@@ -219,10 +505,17 @@ class Statistics {
      * Sums the values of a specific key in an array of objects.
      * @param {Object[]} objectsArray - The input array of objects.
      * @param {string} key - The key to sum.
-     * @returns {number} The sum of the values.
+     * @returns {number} The sum of the values (missing values count as zero).
+     * @throws {InvalidInputError} If a present value is not numeric.
      */
     sumByKey(objectsArray, key) {
-      return objectsArray.reduce((sum, obj) => sum + (obj[key] || 0), 0);
+      this.#validator.array('sumByKey', 'objectsArray', objectsArray);
+      this.#validator.string('sumByKey', 'key', key);
+      return objectsArray.reduce((sum, obj, i) => {
+        const value = obj?.[key];
+        if (value === undefined || value === null) return sum;
+        return sum + this.#validator.number('sumByKey', `objectsArray[${i}].${key}`, value);
+      }, 0);
     }
   
     /**
@@ -231,24 +524,23 @@ class Statistics {
      * @param {string} key - The key to check.
      * @param {*} value - The value to count.
      * @returns {number} The count of occurrences.
+     * @throws {InvalidInputError} If objectsArray is not an array or the key is not a string.
      */
     countValueByKey(objectsArray, key, value) {
-      return objectsArray.filter(obj => obj[key] === value).length;
+      this.#validator.array('countValueByKey', 'objectsArray', objectsArray);
+      this.#validator.string('countValueByKey', 'key', key);
+      return objectsArray.filter(obj => obj?.[key] === value).length;
     }
   
     /**
      * Sums the values in an array.
      * @param {(number|string)[]} arr - The input array of numbers or numeric strings.
      * @returns {number} The sum of the array.
+     * @throws {InvalidInputError} If the array contains non-numeric values.
      */
     sumOneArray(arr) {
-      return arr.reduce((sum, val) => {
-        const num = parseFloat(val);
-        if (isNaN(num)) {
-          throw new Error('Invalid input. Please provide an array of valid numbers.');
-        }
-        return sum + num;
-      }, 0);
+      arr = this.#validator.numberArray('sumOneArray', 'arr', arr, { minLength: 0 });
+      return arr.reduce((sum, val) => sum + val, 0);
     }
   
     /**
@@ -256,13 +548,11 @@ class Statistics {
      * @param {number|string} num1 - The first number.
      * @param {number|string} num2 - The second number.
      * @returns {number} The standard deviation.
+     * @throws {InvalidInputError} If either value is not numeric.
      */
     standardDeviationOfTwoNumbers(num1, num2) {
-      const [parsedNum1, parsedNum2] = [parseFloat(num1), parseFloat(num2)];
-  
-      if (isNaN(parsedNum1) || isNaN(parsedNum2)) {
-        throw new Error('Invalid input. Please provide valid numbers.');
-      }
+      const parsedNum1 = this.#validator.number('standardDeviationOfTwoNumbers', 'num1', num1);
+      const parsedNum2 = this.#validator.number('standardDeviationOfTwoNumbers', 'num2', num2);
   
       const mean = (parsedNum1 + parsedNum2) / 2;
       const variance = (Math.pow(parsedNum1 - mean, 2) + Math.pow(parsedNum2 - mean, 2)) / 2;
@@ -275,20 +565,19 @@ class Statistics {
     * @param {number[]} arr - The input array of numbers.
     * @param {string} choice - The user's choice, either 'max' or 'min'.
     * @returns {number} The maximum or minimum value from the array.
-    * @throws {Error} If the choice is invalid or the array is empty.
+    * @throws {InvalidInputError} If the choice is invalid or the array is empty.
     */
     maxOrMin(arr, choice) {
-      if (arr.length === 0) {
-        throw new Error('The input array is empty.');
-      }
+      arr = this.#validator.numberArray('maxOrMin', 'arr', arr);
+      const normalizedChoice = typeof choice === 'string' ? choice.toLowerCase() : choice;
+      this.#validator.oneOf('maxOrMin', 'choice', normalizedChoice, ['max', 'min']);
   
-      if (choice.toLowerCase() === 'max') {
-        return Math.max(...arr);
-      } else if (choice.toLowerCase() === 'min') {
-        return Math.min(...arr);
-      } else {
-        throw new Error("Invalid choice. Please specify either 'max' or 'min'.");
+      // Loop instead of Math.max(...arr) so very large arrays cannot overflow the call stack
+      let result = arr[0];
+      for (const value of arr) {
+        if (normalizedChoice === 'max' ? value > result : value < result) result = value;
       }
+      return result;
     }
   
     // const stats = new Statistics();
@@ -302,8 +591,10 @@ class Statistics {
       * Calculates skewness of an array of numbers
       * @param {number[]} arr - Array of numbers
       * @returns {number} Skewness value
+      * @throws {InvalidInputError} If the array has fewer than 3 values or contains non-numeric values.
       */
     calculateSkewness(arr) {
+      arr = this.#validator.numberArray('calculateSkewness', 'arr', arr, { minLength: 3 });
       const n = arr.length;
       const mean = this.mean(arr);
       const { sd } = this.standardDeviation(arr);
@@ -323,38 +614,66 @@ class Statistics {
      * @param {number[]} highs - Array of high prices
      * @param {number[]} lows - Array of low prices
      * @param {number[]} closes - Array of closing prices
-     * @returns {Object} Statistical analysis including skewness measures
+     * @param {Object} [options] - Analysis options.
+     * @param {(boolean|Object)} [options.regime=false] - Also measure the current regime with detectRegimes
+     * (true, or detectRegimes options). It costs an ADX, efficiency-ratio and volatility-percentile pass
+     * over every bar, so it is off by default.
+     * @returns {Object} Statistical analysis including skewness and excess kurtosis (null where
+     * there are too few values to measure them from), normality tests of the returns, per-bar
+     * volatility from each calculateRealizedVolatility estimator (null for invalid or non-positive
+     * bars), patterns.volatilityPercentile (percentile rank of the latest 20-bar realized volatility
+     * of returns within the last 252 bars, as in detectRegimes; null below 39 returns) and, with
+     * options.regime, patterns.regime (the current regime from detectRegimes; null until there are
+     * enough bars)
+     * @throws {InvalidInputError} If the arrays are missing, misaligned, non-numeric or shorter than 2 bars.
      */
-    skewnedStandardDeviation(opens, highs, lows, closes) {
+    skewnedStandardDeviation(opens, highs, lows, closes, { regime = false } = {}) {
       // Validate arrays
-      if (!opens?.length || !highs?.length || !lows?.length || !closes?.length) {
-        throw new Error('All price arrays must be provided and non-empty');
-      }
-      if (new Set([opens.length, highs.length, lows.length, closes.length]).size !== 1) {
-        throw new Error('All price arrays must have the same length');
+      ({ opens, highs, lows, closes } = this.#validator.priceArrays('skewnedStandardDeviation', { opens, highs, lows, closes }));
+      if (closes.length < 2) {
+        throw new InsufficientDataError('skewnedStandardDeviation', 'closes', 'must contain at least 2 values');
       }
+      const regimeOptions = regime === false
+        ? null
+        : regime === true ? {} : this.#validator.object('skewnedStandardDeviation', 'options.regime', regime);
   
       // Calculate returns
-      const returns = closes.slice(1).map((close, i) =>
-        (close - closes[i]) / closes[i]
-      );
+      const returns = this.calculateReturns(closes);
   
       // Calculate ranges
       const dailyRanges = highs.map((high, i) => high - lows[i]);
       const openCloseRanges = closes.map((close, i) => close - opens[i]);
   
+      // Rank of the latest realized volatility, using detectRegimes' default window and lookback
+      const realizedVolatility = returns.length >= 20
+        ? this.rollingStandardDeviation(returns, 20).slice(-252).filter(value => value !== null)
+        : [];
+      const latestVolatility = realizedVolatility[realizedVolatility.length - 1];
+  
+      // Skewness needs at least 3 values; report null instead of a meaningless number
+      const skewnessOf = arr => (arr.length >= 3 ? this.calculateSkewness(arr) : null);
+      const kurtosisOf = arr => (arr.length >= 4 ? this.calculateKurtosis(arr) : null);
+      const skewness = {
+        returns: skewnessOf(returns),
+        prices: skewnessOf(closes),
+        ranges: skewnessOf(dailyRanges)
+      };
+  
       return {
         distribution: {
           skewness: {
-            returns: this.calculateSkewness(returns),
-            prices: this.calculateSkewness(closes),
-            ranges: this.calculateSkewness(dailyRanges),
+            ...skewness,
             interpretation: {
-              returns: this.getSimpleSkewnessInterpretation(this.calculateSkewness(returns)),
-              prices: this.getSimpleSkewnessInterpretation(this.calculateSkewness(closes)),
-              ranges: this.getSimpleSkewnessInterpretation(this.calculateSkewness(dailyRanges))
+              returns: this.getSimpleSkewnessInterpretation(skewness.returns),
+              prices: this.getSimpleSkewnessInterpretation(skewness.prices),
+              ranges: this.getSimpleSkewnessInterpretation(skewness.ranges)
             }
           },
+          kurtosis: {
+            returns: kurtosisOf(returns),
+            prices: kurtosisOf(closes),
+            ranges: kurtosisOf(dailyRanges)
+          },
           standardDeviation: {
             returns: this.standardDeviation(returns).sd,
             prices: this.standardDeviation(closes).sd,
@@ -363,8 +682,10 @@ class Statistics {
           normality: {
             mean: this.mean(closes),
             median: this.median(closes),
-            mode: this.mode(closes)
-          }
+            mode: this.mode(closes),
+            tests: this.#normalityTests(returns, 0.05)
+          },
+          volatility: this.#barVolatility(opens, highs, lows, closes)
         },
   
         priceAction: {
@@ -403,53 +724,105 @@ class Statistics {
             upDays: returns.filter(r => r > 0).length,
             downDays: returns.filter(r => r < 0).length,
             neutralDays: returns.filter(r => r === 0).length
-          }
+          },
+          volatilityPercentile: realizedVolatility.length >= 20
+            ? realizedVolatility.filter(value => value <= latestVolatility).length / realizedVolatility.length * 100
+            : null,
+          // Measured regime on request (see detectRegimes); null for short or non-positive price series
+          ...(regimeOptions === null ? {} : {
+            regime: closes.every(close => close > 0)
+              ? this.#detectRegimes('skewnedStandardDeviation', highs, lows, closes, regimeOptions).current
+              : null
+          })
         }
       };
     }
     /**
      * Simple interpretation of skewness value
-     * @param {number} skewness - Skewness value
-     * @returns {string} Simple interpretation
+     * Boundaries come from the skewness interpretation rules (see setInterpretationRules).
+     * @param {(number|null)} skewness - Skewness value, or null when it could not be measured
+     * @returns {string} Simple interpretation, in the current language (see setLanguage)
+     * @throws {InvalidInputError} If the value is not a number or null.
      */
     getSimpleSkewnessInterpretation(skewness) {
-      if (Math.abs(skewness) < 0.5) {
-        return "approximately symmetric";
-      } else if (skewness < -1) {
-        return "highly negatively skewed";
-      } else if (skewness < -0.5) {
-        return "moderately negatively skewed";
-      } else if (skewness > 1) {
-        return "highly positively skewed";
+      if (skewness === null) {
+        return this.#messages.text('skewness.insufficientData');
+      }
+      skewness = this.#validator.number('getSimpleSkewnessInterpretation', 'skewness', skewness);
+      const { moderate, high } = this.#rules.skewness;
+  
+      if (Math.abs(skewness) < moderate) {
+        return this.#messages.text('skewness.symmetric');
+      } else if (skewness < -high) {
+        return this.#messages.text('skewness.highlyNegative');
+      } else if (skewness < -moderate) {
+        return this.#messages.text('skewness.moderatelyNegative');
+      } else if (skewness > high) {
+        return this.#messages.text('skewness.highlyPositive');
       } else {
-        return "moderately positively skewed";
+        return this.#messages.text('skewness.moderatelyPositive');
       }
     }
   
   
     /**
-    * Interprets market patterns and returns market conditions
+    * Interprets market patterns and returns market conditions.
+    * When patterns carries a measured regime (skewnedStandardDeviation adds one with options.regime
+    * once there are enough bars), market type and volatility come from it; otherwise market type
+    * falls back to the streak heuristic. details.method reports which was used. Without a regime,
+    * volatility comes from patterns.volatilityPercentile (low up to the 33rd percentile, high above
+    * the 67th, as in detectRegimes); only patterns without either measurement use the flat-day share.
     * @param {Object} patterns - The patterns object from skewnedStandardDeviation analysis
-    * @param {number} threshold - Optional threshold for determining significant bias (default 0.15)
-    * @returns {Object} Market condition interpretations
+    * @param {number} [threshold] - Threshold for determining significant bias (default: the marketPatterns.bias
+    * interpretation rule, 0.15 for swing trading; see setInterpretationRules)
+    * @returns {Object} Market condition interpretations (strength and metrics are decimals in numeric result mode).
+    * The summary is in the current language; marketType, bias and volatility are English codes.
+    * @throws {InvalidInputError} If the patterns object is incomplete or holds no days.
     */
-    interpretMarketPatterns(patterns, threshold = 0.15) {
+    interpretMarketPatterns(patterns, threshold) {
+      const fn = 'interpretMarketPatterns';
       if (!patterns?.consecutiveMovements || !patterns?.distribution) {
-        throw new Error('Invalid patterns object provided');
+        throw new InvalidInputError(fn, 'patterns', 'must contain consecutiveMovements and distribution');
       }
+      const rules = this.#rules.marketPatterns;
+      threshold = this.#validator.number(fn, 'threshold', threshold ?? rules.bias, { min: 0, max: 1 });
   
-      const { consecutiveMovements, distribution } = patterns;
+      const consecutiveMovements = {
+        up: this.#validator.number(fn, 'patterns.consecutiveMovements.up', patterns.consecutiveMovements.up, { min: 0 }),
+        down: this.#validator.number(fn, 'patterns.consecutiveMovements.down', patterns.consecutiveMovements.down, { min: 0 })
+      };
+      const distribution = {
+        upDays: this.#validator.number(fn, 'patterns.distribution.upDays', patterns.distribution.upDays, { min: 0 }),
+        downDays: this.#validator.number(fn, 'patterns.distribution.downDays', patterns.distribution.downDays, { min: 0 }),
+        neutralDays: this.#validator.number(fn, 'patterns.distribution.neutralDays', patterns.distribution.neutralDays, { min: 0 })
+      };
       const totalDays = distribution.upDays + distribution.downDays + distribution.neutralDays;
+      if (totalDays === 0) {
+        throw new InsufficientDataError(fn, 'patterns.distribution', 'must contain at least one day');
+      }
   
       // Calculate bias percentages
       const upPercentage = distribution.upDays / totalDays;
       const downPercentage = distribution.downDays / totalDays;
       const neutralPercentage = distribution.neutralDays / totalDays;
   
+      const regime = patterns.regime ?? null;
+      if (regime !== null) {
+        this.#validator.object(fn, 'patterns.regime', regime);
+        this.#validator.oneOf(fn, 'patterns.regime.marketType', regime.marketType, ['trending up', 'trending down', 'ranging']);
+        this.#validator.oneOf(fn, 'patterns.regime.volatility', regime.volatility, ['low', 'moderate', 'high']);
+      }
+      let volatilityPercentile = patterns.volatilityPercentile ?? null;
+      if (volatilityPercentile !== null) {
+        volatilityPercentile = this.#validator.number(fn, 'patterns.volatilityPercentile', volatilityPercentile, { min: 0, max: 100 });
+      }
+  
       // Determine market type based on consecutive movements
       let marketType = '';
       const consecutiveDiff = Math.abs(consecutiveMovements.up - consecutiveMovements.down);
-      if (consecutiveDiff <= 1) {
+      if (regime !== null) {
+        marketType = regime.marketType;
+      } else if (consecutiveDiff <= rules.rangingStreak) {
         marketType = 'ranging';
       } else if (consecutiveMovements.up > consecutiveMovements.down) {
         marketType = 'trending up';
@@ -458,10 +831,8 @@ class Statistics {
       }
   
       // Determine bias
-      // Day Trading: Lower threshold (0.05-0.10)
-      // Swing Trading: Medium threshold (0.15-0.20)
-      // Position Trading: Higher threshold (0.25-0.30)
-      // 0.15 -->15% difference for significant bias
+      // The default threshold follows the trading style (see TRADING_STYLES):
+      // 0.05 for day, 0.15 for swing and 0.25 for position trading
       let bias = '';
       const biasThreshold = threshold;
       if (Math.abs(upPercentage - downPercentage) < biasThreshold) {
@@ -474,9 +845,13 @@ class Statistics {
   
       // Determine volatility
       let volatility = '';
-      if (neutralPercentage > 0.2) {
+      if (regime !== null) {
+        volatility = regime.volatility;
+      } else if (volatilityPercentile !== null) {
+        volatility = volatilityPercentile <= 33 ? 'low' : volatilityPercentile > 67 ? 'high' : 'moderate';
+      } else if (neutralPercentage > rules.lowVolatility) {
         volatility = 'low';
-      } else if (neutralPercentage < 0.1) {
+      } else if (neutralPercentage < rules.highVolatility) {
         volatility = 'high';
       } else {
         volatility = 'moderate';
@@ -484,24 +859,41 @@ class Statistics {
   
       // Additional strength indicators
       const strength = {
-        upStrength: (consecutiveMovements.up / totalDays * 100).toFixed(1),
-        downStrength: (consecutiveMovements.down / totalDays * 100).toFixed(1)
+        upStrength: consecutiveMovements.up / totalDays,
+        downStrength: consecutiveMovements.down / totalDays
       };
   
-      return {
-        summary: `Market is ${marketType} with ${bias} bias and ${volatility} volatility`,
+      return this.#present('interpretMarketPatterns', {
+        summary: this.#marketSummary(marketType, bias, volatility),
         details: {
           marketType,
           bias,
           volatility,
-          strength
+          strength,
+          method: regime !== null ? 'regime' : 'heuristic'
         },
         metrics: {
-          upPercentage: (upPercentage * 100).toFixed(1) + '%',
-          downPercentage: (downPercentage * 100).toFixed(1) + '%',
-          neutralPercentage: (neutralPercentage * 100).toFixed(1) + '%'
+          upPercentage,
+          downPercentage,
+          neutralPercentage
         }
-      };
+      });
+    }
+  
+    /**
+     * Builds the one-line market summary shared by interpretMarketPatterns and detectRegimes.
+     * @param {string} marketType - 'trending up', 'trending down' or 'ranging'.
+     * @param {string} bias - 'bullish', 'bearish' or 'neutral'.
+     * @param {string} volatility - 'low', 'moderate' or 'high'.
+     * @returns {string} Summary in the current language.
+     * @private
+     */
+    #marketSummary(marketType, bias, volatility) {
+      return this.#messages.text('marketPatterns.summary', {
+        marketType: this.#messages.text({ 'trending up': 'marketType.trendingUp', 'trending down': 'marketType.trendingDown', ranging: 'marketType.ranging' }[marketType]),
+        bias: this.#messages.text(`bias.${bias}`),
+        volatility: this.#messages.text(`volatility.${volatility}`)
+      });
     }
   
   
@@ -511,84 +903,90 @@ class Statistics {
      * @param {number} skewness.returns - Returns skewness value
      * @param {number} skewness.prices - Prices skewness value
      * @param {number} skewness.ranges - Ranges skewness value
-     * @returns {Object} Plain English interpretations
+     * @param {number} [kurtosis] - Excess kurtosis of returns; adds a tailRisk entry to the analysis
+     * @returns {Object} Plain-language interpretations in the current language, with boundaries from the
+     * skewness rules (see setInterpretationRules; values are numbers in numeric result mode)
+     * @throws {InvalidInputError} If skewness is not an object of numeric values or kurtosis is not numeric.
+     * @example
+     * const stats = new Statistics();
+     * const { distribution } = stats.skewnedStandardDeviation(opens, highs, lows, closes);
+     * stats.interpretSkewness(distribution.skewness, distribution.kurtosis.returns).analysis.tailRisk;
+     * // { value: "4.1200", level: "extreme", interpretation: "Fat left tail. ..." }
      */
-    interpretSkewness(skewness) {
+    interpretSkewness(skewness, kurtosis) {
       // Basic validation
-      if (!skewness || typeof skewness !== 'object') {
-        return {
-          marketBias: "Unable to analyze - invalid data",
-          analysis: {
-            returns: { value: "N/A", interpretation: "No data" },
-            prices: { value: "N/A", interpretation: "No data" },
-            ranges: { value: "N/A", interpretation: "No data" }
-          }
-        };
+      this.#validator.object('interpretSkewness', 'skewness', skewness);
+  
+      const returns = this.#validator.number('interpretSkewness', 'skewness.returns', skewness.returns);
+      const prices = this.#validator.number('interpretSkewness', 'skewness.prices', skewness.prices);
+      const ranges = this.#validator.number('interpretSkewness', 'skewness.ranges', skewness.ranges);
+      if (kurtosis !== undefined && kurtosis !== null) {
+        kurtosis = this.#validator.number('interpretSkewness', 'kurtosis', kurtosis);
       }
   
-      const returns = Number(skewness.returns) || 0;
-      const prices = Number(skewness.prices) || 0;
-      const ranges = Number(skewness.ranges) || 0;
+      const bound = this.#rules.skewness.moderate;
+      const text = key => this.#messages.text(key);
   
       function getReturnsInterpretation(value) {
-        if (value > 0.5) {
-          return "More frequent small losses but potential for larger gains. Good for long positions.";
-        } else if (value < -0.5) {
-          return "More frequent small gains but risk of larger losses. Consider quick profit taking.";
+        if (value > bound) {
+          return text('returns.positive');
+        } else if (value < -bound) {
+          return text('returns.negative');
         }
-        return "Balanced return distribution. No strong bias in gains or losses.";
+        return text('returns.balanced');
       }
   
       function getPricesInterpretation(value) {
-        if (Math.abs(value) < 0.5) {
-          return "Price movements are balanced. No strong directional bias.";
-        } else if (value > 0.5) {
-          return "Price tends to make larger upward moves. Favor upside breakouts.";
+        if (Math.abs(value) < bound) {
+          return text('prices.balanced');
+        } else if (value > bound) {
+          return text('prices.up');
         }
-        return "Price tends to make larger downward moves. Watch for downside risks.";
+        return text('prices.down');
       }
   
       function getRangesInterpretation(value) {
-        if (value > 0.5) {
-          return "Expect occasional large trading ranges. Watch for breakout opportunities.";
-        } else if (value < -0.5) {
-          return "Trading ranges are typically consistent with occasional very quiet days.";
+        if (value > bound) {
+          return text('ranges.wide');
+        } else if (value < -bound) {
+          return text('ranges.quiet');
         }
-        return "Trading ranges are fairly consistent. Good for range-based strategies.";
+        return text('ranges.consistent');
       }
   
       function getMarketBias() {
-        if (returns > 0.5 && ranges > 0.5) {
-          return "Market shows potential for explosive upward moves";
-        } else if (returns < -0.5 && ranges > 0.5) {
-          return "Market shows risk of sharp downward moves";
-        } else if (Math.abs(returns) < 0.5 && Math.abs(prices) < 0.5) {
-          return "Market is well-balanced with no strong directional bias";
-        } else if (returns > 0.5 && Math.abs(prices) < 0.5) {
-          return "Market favors longer-term upward positions";
-        } else if (returns < -0.5 && Math.abs(prices) < 0.5) {
-          return "Market favors shorter-term trading approaches";
+        if (returns > bound && ranges > bound) {
+          return text('marketBias.explosiveUp');
+        } else if (returns < -bound && ranges > bound) {
+          return text('marketBias.sharpDown');
+        } else if (Math.abs(returns) < bound && Math.abs(prices) < bound) {
+          return text('marketBias.balanced');
+        } else if (returns > bound && Math.abs(prices) < bound) {
+          return text('marketBias.longUp');
+        } else if (returns < -bound && Math.abs(prices) < bound) {
+          return text('marketBias.shortTerm');
         }
-        return "Market shows mixed signals - trade with caution";
+        return text('marketBias.mixed');
       }
   
-      return {
+      return this.#present('interpretSkewness', {
         marketBias: getMarketBias(),
         analysis: {
           returns: {
-            value: returns.toFixed(4),
+            value: returns,
             interpretation: getReturnsInterpretation(returns)
           },
           prices: {
-            value: prices.toFixed(4),
+            value: prices,
             interpretation: getPricesInterpretation(prices)
           },
           ranges: {
-            value: ranges.toFixed(4),
+            value: ranges,
             interpretation: getRangesInterpretation(ranges)
-          }
+          },
+          ...(typeof kurtosis === 'number' && { tailRisk: this.#interpretTailRisk(kurtosis, returns) })
         }
-      };
+      });
     }
   
   
@@ -598,15 +996,17 @@ class Statistics {
      * Calculates the success rate of trades as a percentage.
      * @param {number} profitableTrades - The total number of profitable trades.
      * @param {number} totalTrades - The total number of all trades.
-     * @returns {string} Success rate as a percentage string with one decimal place.
-     * @throws {Error} If inputs are not valid numbers.
+     * @returns {(string|number|null)} Success rate as a percentage string with one decimal place ("0" when
+     * there are no trades), or as a decimal (null when there are no trades) in numeric result mode.
+     * @throws {InvalidInputError} If inputs are not valid counts.
      * @example
      * const stats = new Statistics();
      * stats.calculateSuccessRate(75, 100); // returns "75.0"
      */
     calculateSuccessRate(profitableTrades, totalTrades) {
-      if (totalTrades === 0) return 0;
-      return (profitableTrades / totalTrades * 100).toFixed(1);
+      totalTrades = this.#validator.number('calculateSuccessRate', 'totalTrades', totalTrades, { min: 0 });
+      profitableTrades = this.#validator.number('calculateSuccessRate', 'profitableTrades', profitableTrades, { min: 0, max: totalTrades });
+      return this.#present('calculateSuccessRate', totalTrades === 0 ? null : profitableTrades / totalTrades);
     }
   
     /**
@@ -615,59 +1015,90 @@ class Statistics {
     * @param {number} profitCount - Number of profitable trades.
     * @param {number} totalLoss - Sum of all losing trades (should be negative).
     * @param {number} lossCount - Number of losing trades.
-    * @returns {Object} Object containing profit metrics.
-    * @returns {string} Object.avgProfit - Average profit per winning trade.
-    * @returns {string} Object.avgLoss - Average loss per losing trade.
-    * @returns {string} Object.riskReward - Risk/Reward ratio in format "1:X".
+    * @returns {Object} Object containing profit metrics (numbers in numeric result mode).
+    * @returns {string} Object.avgProfit - Average profit per winning trade (the number 0 without winners).
+    * @returns {string} Object.avgLoss - Average loss per losing trade (the number 0 without losers).
+    * @returns {string} Object.riskReward - Risk/Reward ratio in format "1:X" ("N/A", or null in numeric
+    * result mode, when it is undefined).
     * @example
     * const stats = new Statistics();
     * stats.calculateProfitMetrics(1000, 10, -500, 5);
     * // returns { avgProfit: "100.00", avgLoss: "-100.00", riskReward: "1:1.00" }
+    * @throws {InvalidInputError} If totals are not numbers or counts are negative.
     */
     calculateProfitMetrics(totalProfit, profitCount, totalLoss, lossCount) {
-      const avgProfit = profitCount > 0 ? (totalProfit / profitCount).toFixed(2) : 0;
-      const avgLoss = lossCount > 0 ? (totalLoss / lossCount).toFixed(2) : 0;
-      const riskReward = Math.abs(avgLoss) > 0 ?
-        `1:${(Math.abs(avgLoss) / parseFloat(avgProfit)).toFixed(2)}` : "N/A";
+      const fn = 'calculateProfitMetrics';
+      totalProfit = this.#validator.number(fn, 'totalProfit', totalProfit);
+      profitCount = this.#validator.number(fn, 'profitCount', profitCount, { min: 0 });
+      totalLoss = this.#validator.number(fn, 'totalLoss', totalLoss);
+      lossCount = this.#validator.number(fn, 'lossCount', lossCount, { min: 0 });
+      const avgProfit = profitCount > 0 ? totalProfit / profitCount : 0;
+      const avgLoss = lossCount > 0 ? totalLoss / lossCount : 0;
+      const riskReward = Math.abs(avgLoss) > 0 && avgProfit !== 0 ?
+        Math.abs(avgLoss) / avgProfit : null;
   
-      return { avgProfit, avgLoss, riskReward };
+      const metrics = this.#present('calculateProfitMetrics', { avgProfit, avgLoss, riskReward });
+      // Without winners or losers the average stays the number 0 in both result modes
+      if (profitCount === 0) metrics.avgProfit = 0;
+      if (lossCount === 0) metrics.avgLoss = 0;
+      return metrics;
     }
   
     /**
     * Calculates the expected value per trade based on win rate and risk/reward ratio.
     * Formula: (Win Rate × Reward) - (Loss Rate × Risk)
     * @param {number} winRate - Win rate as decimal (e.g., 0.75 for 75%).
-    * @param {string} riskRewardRatio - Risk/reward ratio in format "1:X".
+    * @param {(string|number)} riskRewardRatio - Risk/reward ratio in format "1:X" or a number.
     * @returns {number} Expected value per trade (positive indicates profitable strategy).
-    * @throws {Error} If win rate is not between 0 and 1 or if risk/reward ratio is invalid.
+    * @throws {InvalidInputError} If win rate is not between 0 and 1 or if risk/reward ratio is invalid.
     * @example
     * const stats = new Statistics();
     * stats.calculateExpectedValue(0.75, "1:1.95"); // returns 0.46
     */
     calculateExpectedValue(winRate, riskRewardRatio) {
-      const rewardRatio = parseFloat(riskRewardRatio.split(':')[1]);
+      winRate = this.#validator.number('calculateExpectedValue', 'winRate', winRate, { min: 0, max: 1 });
+      const rewardRatio = this.#validator.rewardRatio('calculateExpectedValue', 'riskRewardRatio', riskRewardRatio);
       return (winRate * rewardRatio) - ((1 - winRate) * 1);
     }
   
     /**
     * Determines trading strategy probability status based on success rate and risk/reward ratio.
-    * Uses following thresholds:
+    * Uses following thresholds by default (the probability rules, see setInterpretationRules):
     * - For RR ≤ 1: Need >55% win rate
     * - For RR ≤ 2: Need >45% win rate
     * - For RR > 2: Need >35% win rate
+    * Up to the break-even margin (5 points) below the threshold counts as "Break Even".
+    * When totalTrades is given, the 95% Wilson interval of the win rate is compared with the
+    * thresholds instead of the point estimate, so small samples come out "Inconclusive".
     * @param {number} successRate - Success rate as percentage (e.g., 75 for 75%).
     * @param {number} riskRewardRatio - Risk/reward ratio number (e.g., 1.95).
-    * @returns {string} "Profitable", "Break Even", or "Not Profitable".
+    * @param {number} [totalTrades] - Number of trades the success rate was measured over.
+    * @returns {string} "Profitable", "Break Even", "Not Profitable" or (with totalTrades) "Inconclusive".
     * @example
     * const stats = new Statistics();
     * stats.determineProbabilityStatus(75, 1.95); // returns "Profitable"
+    * stats.determineProbabilityStatus(75, 1.95, 4); // returns "Inconclusive"
+    * @throws {InvalidInputError} If the success rate or ratio is not numeric.
     */
-    determineProbabilityStatus(successRate, riskRewardRatio) {
-      const winRateThreshold = riskRewardRatio <= 1 ? 55 :
-        riskRewardRatio <= 2 ? 45 : 35;
+    determineProbabilityStatus(successRate, riskRewardRatio, totalTrades) {
+      successRate = this.#validator.number('determineProbabilityStatus', 'successRate', successRate, { min: 0, max: 100 });
+      riskRewardRatio = this.#validator.rewardRatio('determineProbabilityStatus', 'riskRewardRatio', riskRewardRatio);
+      const { ratioSteps, winRates, breakEvenMargin } = this.#rules.probability;
+      const step = ratioSteps.findIndex(maxRatio => riskRewardRatio <= maxRatio);
+      const winRateThreshold = winRates[step === -1 ? ratioSteps.length : step];
+  
+      if (totalTrades !== undefined) {
+        totalTrades = this.#validator.number('determineProbabilityStatus', 'totalTrades', totalTrades, { integer: true, positive: true });
+        const wins = Math.round(successRate / 100 * totalTrades);
+        const { lower, upper } = this.calculateWinRateConfidenceInterval(wins, totalTrades);
+        return lower >= winRateThreshold ? "Profitable" :
+          upper < winRateThreshold - breakEvenMargin ? "Not Profitable" :
+            lower >= winRateThreshold - breakEvenMargin && upper < winRateThreshold ? "Break Even" :
+              "Inconclusive";
+      }
   
       return parseFloat(successRate) >= winRateThreshold ? "Profitable" :
-        parseFloat(successRate) >= (winRateThreshold - 5) ? "Break Even" :
+        parseFloat(successRate) >= (winRateThreshold - breakEvenMargin) ? "Break Even" :
           "Not Profitable";
     }
   
@@ -677,18 +1108,19 @@ class Statistics {
    * @param {number} riskOfRuin - Calculated risk of ruin value.
    * @param {number} kelly - Kelly criterion value.
    * @param {number} rewardRatio - Risk/reward ratio value.
-   * @returns {string} Description of trading risk profile.
+   * @returns {string} Description of trading risk profile, in the current language.
    * @private
    */
     #getRiskDescription(riskOfRuin, kelly, rewardRatio) {
-      if (kelly > 0 && riskOfRuin < 0.25) {
-        return `Positive expectancy with sustainable risk levels. Edge preserved with ${rewardRatio.toFixed(2)}x reward ratio.`;
+      const { low, high } = this.#rules.riskOfRuin;
+      if (kelly > 0 && riskOfRuin < low) {
+        return this.#messages.text('risk.sustainable', { ratio: this.#formatter.number(rewardRatio, 2) });
       } else if (kelly > 0) {
-        return `Positive expectancy but high risk of drawdown. Consider reducing position size.`;
-      } else if (riskOfRuin > 0.75) {
-        return `High probability of capital depletion. Strategy needs revision.`;
+        return this.#messages.text('risk.drawdown');
+      } else if (riskOfRuin > high) {
+        return this.#messages.text('risk.depletion');
       } else {
-        return `Mixed risk profile. Monitor performance closely and adjust risk parameters.`;
+        return this.#messages.text('risk.mixed');
       }
     }
   
@@ -697,18 +1129,19 @@ class Statistics {
     * @param {number} riskOfRuin - Calculated risk of ruin value.
     * @param {number} kelly - Kelly criterion value.
     * @param {number} currentRisk - Current risk per trade percentage.
-    * @returns {string} Trading recommendation based on risk analysis.
+    * @returns {string} Trading recommendation based on risk analysis, in the current language.
     * @private
     */
     #getTradeRecommendation(riskOfRuin, kelly, currentRisk) {
       const optimalRisk = (kelly > 0 ? kelly / 2 : 0) * 100;
+      const risk = this.#formatter.number(optimalRisk, 1);
   
-      if (riskOfRuin < 0.1 && kelly > 0) {
-        return `Current strategy is well-optimized. Consider ${optimalRisk.toFixed(1)}% risk per trade.`;
+      if (riskOfRuin < this.#rules.riskOfRuin.wellOptimized && kelly > 0) {
+        return this.#messages.text('recommendation.optimized', { risk });
       } else if (currentRisk > optimalRisk) {
-        return `Consider reducing risk per trade to ${optimalRisk.toFixed(1)}% for better capital preservation.`;
+        return this.#messages.text('recommendation.reduce', { risk });
       } else {
-        return `Review strategy parameters. Current risk level may not be sustainable.`;
+        return this.#messages.text('recommendation.review');
       }
     }
   
@@ -716,10 +1149,12 @@ class Statistics {
     * Calculates detailed Risk of Ruin using advanced probability metrics.
     * Considers: Win rate, Risk/Reward ratio, Maximum drawdown, and Position sizing
     * @param {number} winRate - Win rate percentage (e.g., 61.5 for 61.5%).
-    * @param {string} riskRewardRatio - Risk/Reward ratio string (e.g., "1:1.70").
+    * @param {(string|number)} riskRewardRatio - Risk/Reward ratio string (e.g., "1:1.70") or number (1.7).
     * @param {number} riskPerTrade - Risk percentage per trade (e.g., 2 for 2%).
     * @param {number} maxConsecutiveLosses - Maximum consecutive losses observed.
-    * @returns {Object} Detailed risk analysis including probability of ruin and survival.
+    * @returns {Object} Detailed risk analysis including probability of ruin and survival
+    * (percentages are decimals in numeric result mode).
+    * @throws {InvalidInputError} If any input is out of range or not numeric.
     * @example
     * const stats = new Statistics();
     * const riskAnalysis = stats.calculateDetailedRiskOfRuin(61.5, "1:1.70", 2, 2);
@@ -740,19 +1175,40 @@ class Statistics {
     * // }
     */
     calculateDetailedRiskOfRuin(winRate, riskRewardRatio, riskPerTrade, maxConsecutiveLosses) {
+      return this.#present(
+        'calculateDetailedRiskOfRuin',
+        this.#detailedRiskOfRuin(winRate, riskRewardRatio, riskPerTrade, maxConsecutiveLosses)
+      );
+    }
+  
+    /**
+     * Calculates the numeric detailed Risk of Ruin (see calculateDetailedRiskOfRuin).
+     * @param {number} winRate - Win rate percentage.
+     * @param {(string|number)} riskRewardRatio - Risk/Reward ratio.
+     * @param {number} riskPerTrade - Risk percentage per trade.
+     * @param {number} maxConsecutiveLosses - Maximum consecutive losses observed.
+     * @returns {Object} Detailed risk analysis with decimal percentages.
+     * @private
+     */
+    #detailedRiskOfRuin(winRate, riskRewardRatio, riskPerTrade, maxConsecutiveLosses) {
+      const fn = 'calculateDetailedRiskOfRuin';
+      winRate = this.#validator.number(fn, 'winRate', winRate, { min: 0, max: 100 });
+      riskPerTrade = this.#validator.number(fn, 'riskPerTrade', riskPerTrade, { positive: true, max: 100 });
+      maxConsecutiveLosses = this.#validator.number(fn, 'maxConsecutiveLosses', maxConsecutiveLosses, { min: 0 });
+  
       // Convert win rate to decimal
       const winProbability = winRate / 100;
       const lossProbability = 1 - winProbability;
   
       // Parse risk/reward ratio
-      const rewardRatio = parseFloat(riskRewardRatio.split(':')[1]);
+      const rewardRatio = this.#validator.rewardRatio(fn, 'riskRewardRatio', riskRewardRatio);
   
       // Calculate base risk of ruin using optimal f formula
       const f = riskPerTrade / 100; // Convert risk per trade to decimal
       const q = 1 / rewardRatio; // Risk/reward quotient
   
       // Calculate Kelly Criterion
-      const kelly = (winProbability * rewardRatio - lossProbability) / rewardRatio;
+      const kelly = this.calculateKellyFraction(winRate, rewardRatio);
   
       // Calculate probability multiplier based on max consecutive losses
       const drawdownFactor = Math.exp(-maxConsecutiveLosses * f);
@@ -772,42 +1228,5808 @@ class Statistics {
       // Calculate additional risk metrics
       const survivalProbability = 1 - riskOfRuin;
       const kellyFraction = kelly > 0 ? kelly / 2 : 0; // Half Kelly for safety
-      const optimalRiskPerTrade = kellyFraction * 100;
   
       // Determine risk status
-      let riskStatus;
-      if (riskOfRuin < 0.01) {
-        riskStatus = "Minimal Risk";
-      } else if (riskOfRuin < 0.25) {
-        riskStatus = "Low Risk";
-      } else if (riskOfRuin < 0.5) {
-        riskStatus = "Moderate Risk";
-      } else if (riskOfRuin < 0.75) {
-        riskStatus = "High Risk";
-      } else {
-        riskStatus = "Extreme Risk";
-      }
+      const levels = this.#rules.riskOfRuin;
+      const level = ['minimal', 'low', 'moderate', 'high'].find(name => riskOfRuin < levels[name]) ?? 'extreme';
+      const riskStatus = MESSAGES.en[`riskStatus.${level}`];
   
       return {
-        riskOfRuin: `${(riskOfRuin * 100).toFixed(2)}%`,
-        survivalProbability: `${(survivalProbability * 100).toFixed(2)}%`,
+        riskOfRuin,
+        survivalProbability,
         riskStatus,
         metrics: {
-          kellyPercentage: `${(kelly * 100).toFixed(2)}%`,
-          recommendedRiskPerTrade: `${optimalRiskPerTrade.toFixed(2)}%`,
-          drawdownRisk: `${(drawdownFactor * 100).toFixed(2)}%`
+          kellyPercentage: kelly,
+          recommendedRiskPerTrade: kellyFraction,
+          drawdownRisk: drawdownFactor
         },
         interpretation: {
-          status: riskStatus,
+          status: this.#messages.text(`riskStatus.${level}`),
           description: this.#getRiskDescription(riskOfRuin, kelly, rewardRatio),
           recommendation: this.#getTradeRecommendation(riskOfRuin, kelly, riskPerTrade)
         }
       };
     }
+  
+    /**
+     * Calculates the net profit or loss of a single closed trade.
+     * Long trades earn (exit - entry) * size, short trades earn (entry - exit) * size,
+     * and fees are subtracted from the result.
+     * @param {Object} trade - The trade object.
+     * @param {string} [trade.side='long'] - Trade direction, either 'long' or 'short'.
+     * @param {number} trade.size - Position size in units.
+     * @param {number} trade.entryPrice - Entry price.
+     * @param {number} trade.exitPrice - Exit price.
+     * @param {number} [trade.fees=0] - Total fees paid for the round trip.
+     * @returns {number} The net P&L of the trade.
+     * @throws {InvalidInputError} If the trade is missing prices or size, or the side is unknown.
+     * @example
+     * const stats = new Statistics();
+     * stats.calculateTradePnL({ side: 'short', size: 10, entryPrice: 50, exitPrice: 45, fees: 2 });
+     * // returns 48
+     */
+    calculateTradePnL(trade) {
+      return this.#tradePnL('calculateTradePnL', trade, 'trade');
+    }
+  
+    /**
+     * Validates a trade and calculates its net P&L, reporting errors against the calling method.
+     * @param {string} fn - Public method name used in errors.
+     * @param {Object} trade - The trade object.
+     * @param {string} name - Argument name used in errors (e.g., "trades[3]").
+     * @returns {number} The net P&L of the trade.
+     * @private
+     */
+    #tradePnL(fn, trade, name) {
+      this.#validator.object(fn, name, trade);
+  
+      const side = typeof trade.side === 'string' ? trade.side.toLowerCase() : trade.side ?? 'long';
+      this.#validator.oneOf(fn, `${name}.side`, side, ['long', 'short']);
+  
+      const size = this.#validator.number(fn, `${name}.size`, trade.size);
+      const entryPrice = this.#validator.number(fn, `${name}.entryPrice`, trade.entryPrice);
+      const exitPrice = this.#validator.number(fn, `${name}.exitPrice`, trade.exitPrice);
+      const fees = trade.fees === undefined || trade.fees === null
+        ? 0
+        : this.#validator.number(fn, `${name}.fees`, trade.fees);
+  
+      const direction = side === 'long' ? 1 : -1;
+      return (exitPrice - entryPrice) * size * direction - fees;
+    }
+  
+    /**
+     * Builds a full performance report from a list of closed trades.
+     * Every metric is derived from the same P&L values, so win rate, payoff ratio,
+     * expectancy and risk of ruin always agree with each other.
+     * @param {Object[]} trades - Closed trades in chronological order (see calculateTradePnL).
+     * @param {Object} [options] - Report options.
+     * @param {number} [options.riskPerTrade=2] - Risk percentage per trade used for the risk of ruin block.
+     * @returns {Object} Performance report. riskRewardRatio ("1:X") and the riskOfRuin block follow the result mode.
+     * winRate is a percentage (e.g., 66.67) in both result modes, like the win rates the other trading methods
+     * take and return; numeric mode does not turn it into a decimal.
+     * @throws {InvalidInputError} If trades is not a non-empty array or contains invalid trades.
+     * @example
+     * const stats = new Statistics();
+     * stats.analyzeTrades([
+     *   { side: 'long', size: 1, entryPrice: 100, exitPrice: 110 },
+     *   { side: 'short', size: 1, entryPrice: 100, exitPrice: 105 }
+     * ]);
+     * // returns { totalTrades: 2, winRate: 50, payoffRatio: 2, profitFactor: 2, ... }
+     */
+    analyzeTrades(trades, { riskPerTrade = 2 } = {}) {
+      this.#validator.array('analyzeTrades', 'trades', trades, { minLength: 1 });
+      riskPerTrade = this.#validator.number('analyzeTrades', 'options.riskPerTrade', riskPerTrade, { positive: true, max: 100 });
+  
+      const pnls = trades.map((trade, i) => this.#tradePnL('analyzeTrades', trade, `trades[${i}]`));
+  
+      const wins = pnls.filter(pnl => pnl > 0);
+      const losses = pnls.filter(pnl => pnl < 0);
+      const grossProfit = wins.length ? this.sumOneArray(wins) : 0;
+      const grossLoss = losses.length ? this.sumOneArray(losses) : 0;
+      const netProfit = grossProfit + grossLoss;
+  
+      const winRate = wins.length / trades.length * 100;
+      const averageWin = wins.length ? grossProfit / wins.length : 0;
+      const averageLoss = losses.length ? grossLoss / losses.length : 0;
+      const payoffRatio = averageLoss !== 0 ? averageWin / Math.abs(averageLoss) : null;
+      const profitFactor = grossLoss !== 0 ? grossProfit / Math.abs(grossLoss) : null;
+  
+      // Streaks reuse the same key/value matching as the OHLC pattern analysis
+      const outcomes = pnls.map(pnl => ({ win: pnl > 0 ? 1 : 0, loss: pnl < 0 ? 1 : 0 }));
+      const maxConsecutiveWins = this.consecutiveOfOccurrenceByKey(outcomes, 'win', 1);
+      const maxConsecutiveLosses = this.consecutiveOfOccurrenceByKey(outcomes, 'loss', 1);
+  
+      // Risk of ruin and R-expectancy need a finite, positive payoff ratio
+      const riskRewardRatio = payoffRatio ? `1:${payoffRatio.toFixed(2)}` : null;
+      const expectancyR = riskRewardRatio
+        ? this.calculateExpectedValue(winRate / 100, riskRewardRatio)
+        : null;
+      const riskOfRuin = riskRewardRatio
+        ? this.#detailedRiskOfRuin(winRate, riskRewardRatio, riskPerTrade, maxConsecutiveLosses)
+        : null;
+  
+      const holdingTimes = trades
+        .map(trade => new Date(trade.exitTime) - new Date(trade.entryTime))
+        .filter(ms => !isNaN(ms));
+  
+      return this.#present('analyzeTrades', {
+        totalTrades: trades.length,
+        winningTrades: wins.length,
+        losingTrades: losses.length,
+        breakevenTrades: trades.length - wins.length - losses.length,
+        grossProfit,
+        grossLoss,
+        netProfit,
+        totalFees: trades.reduce((sum, trade) => sum + (Number(trade.fees) || 0), 0),
+        winRate,
+        averageWin,
+        averageLoss,
+        payoffRatio,
+        riskRewardRatio: payoffRatio || null,
+        expectancy: netProfit / trades.length,
+        expectancyR,
+        profitFactor,
+        maxConsecutiveWins,
+        maxConsecutiveLosses,
+        averageHoldingTime: holdingTimes.length ? this.mean(holdingTimes) : null,
+        riskOfRuin
+      });
+    }
+  
+    /**
+     * Builds an equity curve with drawdown analytics from a sequence of P&L values or trades.
+     * The curve starts at the starting balance (index 0), so every index i > 0 is the
+     * balance after the i-th P&L value.
+     * @param {(number[]|Object[])} pnls - P&L values or trade objects (see calculateTradePnL).
+     * @param {number} startingBalance - Account balance before the first trade.
+     * @returns {Object} Equity curve, running peak, drawdown series and drawdown statistics.
+     * @throws {InvalidInputError} If inputs are invalid.
+     * @example
+     * const stats = new Statistics();
+     * stats.buildEquityCurve([100, -50, -100, 200], 1000);
+     * // returns {
+     * //   equity: [1000, 1100, 1050, 950, 1150],
+     * //   maxDrawdown: { absolute: 150, percent: 13.636..., peakIndex: 1, troughIndex: 3 },
+     * //   ...
+     * // }
+     */
+    buildEquityCurve(pnls, startingBalance) {
+      const fn = 'buildEquityCurve';
+      this.#validator.array(fn, 'pnls', pnls);
+      startingBalance = this.#validator.number(fn, 'startingBalance', startingBalance, { positive: true });
+  
+      const values = pnls.map((item, i) => (
+        typeof item === 'object' && item !== null
+          ? this.#tradePnL(fn, item, `pnls[${i}]`)
+          : this.#validator.number(fn, `pnls[${i}]`, item)
+      ));
+  
+      const equity = [startingBalance];
+      values.forEach(pnl => equity.push(equity[equity.length - 1] + pnl));
+  
+      const peaks = [];
+      const drawdowns = [];
+      const drawdownPercents = [];
+      let peak = -Infinity;
+      for (const value of equity) {
+        peak = Math.max(peak, value);
+        peaks.push(peak);
+        drawdowns.push(peak - value);
+        drawdownPercents.push(peak > 0 ? (peak - value) / peak * 100 : 0);
+      }
+  
+      // Split the curve into distinct episodes: each starts at a peak and ends
+      // when equity gets back to (or above) that peak
+      const episodes = [];
+      let current = null;
+      for (let i = 1; i < equity.length; i++) {
+        if (drawdowns[i] > 0) {
+          if (!current) {
+            current = { startIndex: i - 1, troughIndex: i, recoveryIndex: null };
+          }
+          if (drawdowns[i] > drawdowns[current.troughIndex]) {
+            current.troughIndex = i;
+          }
+        } else if (current) {
+          current.recoveryIndex = i;
+          episodes.push(current);
+          current = null;
+        }
+      }
+      if (current) episodes.push(current);
+  
+      const lastIndex = equity.length - 1;
+      episodes.forEach(episode => {
+        episode.depth = drawdowns[episode.troughIndex];
+        episode.depthPercent = drawdownPercents[episode.troughIndex];
+        episode.duration = (episode.recoveryIndex ?? lastIndex) - episode.startIndex;
+        episode.recoveryTime = episode.recoveryIndex !== null
+          ? episode.recoveryIndex - episode.troughIndex
+          : null;
+      });
+  
+      const deepest = episodes.reduce(
+        (max, episode) => (!max || episode.depth > max.depth ? episode : max),
+        null
+      );
+  
+      return {
+        equity,
+        peaks,
+        drawdowns,
+        drawdownPercents,
+        finalBalance: equity[lastIndex],
+        totalReturn: (equity[lastIndex] - startingBalance) / startingBalance * 100,
+        maxDrawdown: {
+          absolute: deepest ? deepest.depth : 0,
+          percent: this.maxOrMin(drawdownPercents, 'max'),
+          peakIndex: deepest ? deepest.startIndex : null,
+          troughIndex: deepest ? deepest.troughIndex : null
+        },
+        maxDrawdownDuration: episodes.reduce((max, episode) => Math.max(max, episode.duration), 0),
+        timeToRecovery: deepest ? deepest.recoveryTime : null,
+        ulcerIndex: Math.sqrt(this.mean(drawdownPercents.map(dd => dd * dd))),
+        episodes
+      };
+    }
+  
+    /**
+     * Calculates simple period-over-period returns from a price series.
+     * @param {number[]} prices - Array of prices in chronological order.
+     * @returns {number[]} Array of returns (one shorter than prices).
+     * @throws {InvalidInputError} If prices are empty or non-numeric.
+     * @example
+     * const stats = new Statistics();
+     * stats.calculateReturns([100, 110, 99]); // returns [0.1, -0.1]
+     */
+    calculateReturns(prices) {
+      prices = this.#validator.numberArray('calculateReturns', 'prices', prices);
+      return prices.slice(1).map((price, i) => (price - prices[i]) / prices[i]);
+    }
+  
+    /**
+     * Validates the annualization options shared by the risk-adjusted ratio functions.
+     * @param {string} fn - Public method name used in errors.
+     * @param {Object} options - Ratio options.
+     * @returns {Object} The (possibly coerced) riskFreeRate and periodsPerYear.
+     * @private
+     */
+    #validateRatioOptions(fn, { riskFreeRate = 0, periodsPerYear = 252 }) {
+      return {
+        riskFreeRate: this.#validator.number(fn, 'options.riskFreeRate', riskFreeRate),
+        periodsPerYear: this.#validator.number(fn, 'options.periodsPerYear', periodsPerYear, { positive: true })
+      };
+    }
+  
+    /**
+     * Calculates the downside deviation of returns below a minimum acceptable return.
+     * All periods are counted in the denominator; periods above the MAR contribute zero.
+     * @param {number[]} returns - Periodic returns as decimals (e.g., 0.01 for 1%).
+     * @param {number} [minimumAcceptableReturn=0] - Per-period MAR as decimal.
+     * @returns {number} Downside deviation per period.
+     * @throws {InvalidInputError} If returns are empty or non-numeric.
+     */
+    calculateDownsideDeviation(returns, minimumAcceptableReturn = 0) {
+      returns = this.#validator.numberArray('calculateDownsideDeviation', 'returns', returns);
+      minimumAcceptableReturn = this.#validator.number('calculateDownsideDeviation', 'minimumAcceptableReturn', minimumAcceptableReturn);
+      const shortfalls = returns.map(r => Math.pow(Math.min(0, r - minimumAcceptableReturn), 2));
+      return Math.sqrt(this.mean(shortfalls));
+    }
+  
+    /**
+     * Calculates the annualized Sharpe ratio.
+     * @param {number[]} returns - Periodic returns as decimals (e.g., daily returns).
+     * @param {Object} [options] - Ratio options.
+     * @param {number} [options.riskFreeRate=0] - Annual risk-free rate as decimal (e.g., 0.04 for 4%).
+     * @param {number} [options.periodsPerYear=252] - Number of return periods per year.
+     * @returns {number|null} Annualized Sharpe ratio, or null if returns have no variance.
+     * @example
+     * const stats = new Statistics();
+     * stats.calculateSharpeRatio([0.01, -0.005, 0.02, 0.003], { riskFreeRate: 0.02 });
+     * @throws {InvalidInputError} If returns are empty or non-numeric, or options are invalid.
+     */
+    calculateSharpeRatio(returns, options = {}) {
+      returns = this.#validator.numberArray('calculateSharpeRatio', 'returns', returns);
+      const { riskFreeRate, periodsPerYear } = this.#validateRatioOptions('calculateSharpeRatio', options);
+      const periodRiskFree = riskFreeRate / periodsPerYear;
+      const { sd, mean } = this.standardDeviation(returns.map(r => r - periodRiskFree));
+      if (sd === 0) return null;
+      return mean / sd * Math.sqrt(periodsPerYear);
+    }
+  
+    /**
+     * Calculates the annualized Sortino ratio using downside deviation.
+     * @param {number[]} returns - Periodic returns as decimals.
+     * @param {Object} [options] - Ratio options.
+     * @param {number} [options.minimumAcceptableReturn=0] - Annual MAR as decimal.
+     * @param {number} [options.periodsPerYear=252] - Number of return periods per year.
+     * @returns {number|null} Annualized Sortino ratio, or null if there is no downside.
+     * @throws {InvalidInputError} If returns are empty or non-numeric, or options are invalid.
+     */
+    calculateSortinoRatio(returns, options = {}) {
+      returns = this.#validator.numberArray('calculateSortinoRatio', 'returns', returns);
+      const { periodsPerYear } = this.#validateRatioOptions('calculateSortinoRatio', options);
+      const minimumAcceptableReturn = this.#validator.number(
+        'calculateSortinoRatio',
+        'options.minimumAcceptableReturn',
+        options.minimumAcceptableReturn ?? 0
+      );
+      const periodMar = minimumAcceptableReturn / periodsPerYear;
+      const downside = this.calculateDownsideDeviation(returns, periodMar);
+      if (downside === 0) return null;
+      return (this.mean(returns) - periodMar) / downside * Math.sqrt(periodsPerYear);
+    }
+  
+    /**
+     * Calculates the Calmar ratio: compound annual growth rate divided by maximum drawdown.
+     * @param {number[]} returns - Periodic returns as decimals.
+     * @param {Object} [options] - Ratio options.
+     * @param {number} [options.periodsPerYear=252] - Number of return periods per year.
+     * @returns {number|null} Calmar ratio, or null if there was no drawdown or the balance was wiped
+     * out (a return of -100% or worse leaves no growth rate to compound).
+     * @throws {InvalidInputError} If returns are empty or non-numeric, or options are invalid.
+     */
+    calculateCalmarRatio(returns, options = {}) {
+      returns = this.#validator.numberArray('calculateCalmarRatio', 'returns', returns);
+      const { periodsPerYear } = this.#validateRatioOptions('calculateCalmarRatio', options);
+  
+      // A return of -100% or worse leaves nothing to compound
+      if (returns.some(r => r <= -1)) return null;
+  
+      // Compound the returns into P&L on a unit balance so the drawdown matches buildEquityCurve
+      let balance = 1;
+      const pnls = returns.map(r => {
+        const pnl = balance * r;
+        balance += pnl;
+        return pnl;
+      });
+      const { maxDrawdown, finalBalance } = this.buildEquityCurve(pnls, 1);
+      if (maxDrawdown.percent === 0) return null;
+  
+      const years = returns.length / periodsPerYear;
+      const cagr = Math.pow(finalBalance, 1 / years) - 1;
+      return cagr / (maxDrawdown.percent / 100);
+    }
+  
+    /**
+     * Calculates the Omega ratio: probability-weighted gains over losses relative to a threshold.
+     * @param {number[]} returns - Periodic returns as decimals.
+     * @param {number} [threshold=0] - Per-period threshold return as decimal.
+     * @returns {number|null} Omega ratio, or null if no return falls below the threshold.
+     * @throws {InvalidInputError} If returns are empty or non-numeric.
+     */
+    calculateOmegaRatio(returns, threshold = 0) {
+      returns = this.#validator.numberArray('calculateOmegaRatio', 'returns', returns);
+      threshold = this.#validator.number('calculateOmegaRatio', 'threshold', threshold);
+      const gains = returns.reduce((sum, r) => sum + Math.max(r - threshold, 0), 0);
+      const losses = returns.reduce((sum, r) => sum + Math.max(threshold - r, 0), 0);
+      return losses === 0 ? null : gains / losses;
+    }
+  
+    /**
+     * Calculates the annualized information ratio against a benchmark.
+     * @param {number[]} returns - Periodic strategy returns as decimals.
+     * @param {number[]} benchmarkReturns - Periodic benchmark returns aligned with returns.
+     * @param {Object} [options] - Ratio options.
+     * @param {number} [options.periodsPerYear=252] - Number of return periods per year.
+     * @returns {number|null} Information ratio, or null if tracking error is zero.
+     * @throws {InvalidInputError} If the series are invalid or have different lengths.
+     */
+    calculateInformationRatio(returns, benchmarkReturns, options = {}) {
+      const fn = 'calculateInformationRatio';
+      returns = this.#validator.numberArray(fn, 'returns', returns);
+      benchmarkReturns = this.#validator.numberArray(fn, 'benchmarkReturns', benchmarkReturns);
+      const { periodsPerYear } = this.#validateRatioOptions(fn, options);
+      if (returns.length !== benchmarkReturns.length) {
+        throw new InvalidInputError(fn, 'benchmarkReturns', 'must have the same length as returns');
+      }
+  
+      const activeReturns = returns.map((r, i) => r - benchmarkReturns[i]);
+      const { sd, mean } = this.standardDeviation(activeReturns);
+      if (sd === 0) return null;
+      return mean / sd * Math.sqrt(periodsPerYear);
+    }
+  
+    /**
+     * Calculates the Treynor ratio: annualized excess return per unit of systematic risk.
+     * @param {number[]} returns - Periodic returns as decimals.
+     * @param {number} beta - Portfolio beta against the market.
+     * @param {Object} [options] - Ratio options.
+     * @param {number} [options.riskFreeRate=0] - Annual risk-free rate as decimal.
+     * @param {number} [options.periodsPerYear=252] - Number of return periods per year.
+     * @returns {number|null} Treynor ratio, or null if beta is zero.
+     * @throws {InvalidInputError} If returns or beta are invalid.
+     */
+    calculateTreynorRatio(returns, beta, options = {}) {
+      returns = this.#validator.numberArray('calculateTreynorRatio', 'returns', returns);
+      beta = this.#validator.number('calculateTreynorRatio', 'beta', beta);
+      const { riskFreeRate, periodsPerYear } = this.#validateRatioOptions('calculateTreynorRatio', options);
+      if (beta === 0) return null;
+      return (this.mean(returns) * periodsPerYear - riskFreeRate) / beta;
+    }
+  
+    /**
+     * Calculates all risk-adjusted return ratios for a return series in one call.
+     * @param {number[]} returns - Periodic returns as decimals.
+     * @param {Object} [options] - Ratio options.
+     * @param {number} [options.riskFreeRate=0] - Annual risk-free rate as decimal.
+     * @param {number} [options.minimumAcceptableReturn=0] - Annual MAR for the Sortino ratio.
+     * @param {number} [options.periodsPerYear=252] - Number of return periods per year.
+     * @param {number[]} [options.benchmarkReturns] - Benchmark returns for the information ratio.
+     * @param {number} [options.beta] - Portfolio beta for the Treynor ratio.
+     * @returns {Object} Object containing sharpe, sortino, calmar, omega, informationRatio and treynor.
+     * @throws {InvalidInputError} If returns or options are invalid.
+     * @example
+     * const stats = new Statistics();
+     * stats.calculateRiskAdjustedRatios(dailyReturns, { riskFreeRate: 0.04, beta: 1.1 });
+     */
+    calculateRiskAdjustedRatios(returns, options = {}) {
+      const fn = 'calculateRiskAdjustedRatios';
+      const { benchmarkReturns, beta } = options;
+      const { riskFreeRate, periodsPerYear } = this.#validateRatioOptions(fn, options);
+      const minimumAcceptableReturn = this.#validator.number(fn, 'options.minimumAcceptableReturn', options.minimumAcceptableReturn ?? 0);
+  
+      return {
+        sharpe: this.calculateSharpeRatio(returns, { riskFreeRate, periodsPerYear }),
+        sortino: this.calculateSortinoRatio(returns, { minimumAcceptableReturn, periodsPerYear }),
+        calmar: this.calculateCalmarRatio(returns, { periodsPerYear }),
+        omega: this.calculateOmegaRatio(returns, minimumAcceptableReturn / periodsPerYear),
+        informationRatio: benchmarkReturns
+          ? this.calculateInformationRatio(returns, benchmarkReturns, { periodsPerYear })
+          : null,
+        treynor: beta !== undefined
+          ? this.calculateTreynorRatio(returns, beta, { riskFreeRate, periodsPerYear })
+          : null
+      };
+    }
+  
+    /**
+     * Calculates the p-th percentile of an array using linear interpolation between closest ranks.
+     * @param {number[]} arr - The input array of numbers.
+     * @param {number} p - Percentile between 0 and 100.
+     * @returns {number} The percentile value.
+     * @throws {InvalidInputError} If the array is empty or p is out of range.
+     * @example
+     * const stats = new Statistics();
+     * stats.percentile([1, 2, 3, 4, 5], 25); // returns 2
+     */
+    percentile(arr, p) {
+      arr = this.#validator.numberArray('percentile', 'arr', arr);
+      p = this.#validator.number('percentile', 'p', p, { min: 0, max: 100 });
+  
+      const sorted = [...arr].sort((a, b) => a - b);
+      const rank = (p / 100) * (sorted.length - 1);
+      const lower = Math.floor(rank);
+      const upper = Math.ceil(rank);
+      return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+    }
+  
+    /**
+     * Creates a seedable pseudo-random number generator (mulberry32).
+     * The same seed always produces the same sequence, which keeps simulations reproducible.
+     * @param {number} [seed] - Integer seed. A random seed is used when omitted.
+     * @returns {function(): number} Function returning floats in [0, 1).
+     * @throws {InvalidInputError} If the seed is not an integer.
+     * @example
+     * const stats = new Statistics();
+     * const random = stats.createRandomGenerator(42);
+     * random(); // always the same first value for seed 42
+     */
+    createRandomGenerator(seed = Math.floor(Math.random() * 2 ** 32)) {
+      seed = this.#validator.number('createRandomGenerator', 'seed', seed, { integer: true });
+      let state = seed >>> 0;
+      return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+      };
+    }
+  
+    /**
+     * Summarizes a simulated distribution with percentiles and a central confidence interval.
+     * @param {number[]} values - Simulated values.
+     * @param {number} confidenceLevel - Confidence level percentage (e.g., 95).
+     * @returns {Object} Distribution summary.
+     * @private
+     */
+    #summarizeDistribution(values, confidenceLevel) {
+      const tail = (100 - confidenceLevel) / 2;
+      return {
+        mean: this.mean(values),
+        median: this.median(values),
+        min: this.maxOrMin(values, 'min'),
+        max: this.maxOrMin(values, 'max'),
+        percentiles: {
+          5: this.percentile(values, 5),
+          25: this.percentile(values, 25),
+          50: this.percentile(values, 50),
+          75: this.percentile(values, 75),
+          95: this.percentile(values, 95)
+        },
+        confidenceInterval: [this.percentile(values, tail), this.percentile(values, 100 - tail)]
+      };
+    }
+  
+    /**
+     * Runs a Monte Carlo simulation of risk of ruin and drawdowns.
+     * Trade outcomes are expressed in R-multiples (P&L divided by the amount risked) and are
+     * either bootstrapped from observed outcomes or drawn from a win rate and reward ratio.
+     * Unlike calculateRiskOfRuin, this works for any win rate, including below 50%.
+     * @param {Object} options - Simulation options.
+     * @param {number[]} [options.outcomes] - Observed R-multiples to bootstrap from (e.g., [1.7, -1, 2.1]).
+     * @param {number} [options.winRate] - Win rate percentage for parametric sampling (e.g., 45 for 45%).
+     * @param {(string|number)} [options.riskRewardRatio] - Reward ratio for parametric sampling ("1:1.70" or 1.7).
+     * @param {string} [options.sizing='fixed-fractional'] - 'fixed-fractional' or 'fixed-dollar'.
+     * @param {number} [options.riskPerTrade=2] - Risk percentage per trade (of current equity for
+     * fixed-fractional, of starting balance for fixed-dollar).
+     * @param {number} [options.riskAmount] - Dollar risk per trade for fixed-dollar sizing (overrides riskPerTrade).
+     * @param {number} [options.startingBalance=10000] - Starting account balance.
+     * @param {number} [options.numTrades=100] - Trades per simulated path.
+     * @param {number} [options.simulations=1000] - Number of simulated paths.
+     * @param {number} [options.ruinThreshold=50] - Percentage loss of starting balance that counts as ruin.
+     * @param {number} [options.confidenceLevel=95] - Confidence level percentage for the intervals.
+     * @param {number} [options.seed] - Seed for reproducible results.
+     * @returns {Object} Probability of ruin plus final equity and max drawdown distributions.
+     * @throws {InvalidInputError} If neither outcomes nor winRate/riskRewardRatio are provided, or options are invalid.
+     * @example
+     * const stats = new Statistics();
+     * stats.simulateMonteCarlo({ winRate: 30, riskRewardRatio: "1:2", riskPerTrade: 2, seed: 42 });
+     * // returns {
+     * //   probabilityOfRuin: 0.061,
+     * //   finalEquity: { mean: ..., median: ..., percentiles: {...}, confidenceInterval: [..., ...] },
+     * //   maxDrawdown: { mean: ..., median: ..., percentiles: {...}, confidenceInterval: [..., ...] },
+     * //   ...
+     * // }
+     */
+    simulateMonteCarlo(options = {}) {
+      const fn = 'simulateMonteCarlo';
+      this.#validator.object(fn, 'options', options);
+      const { outcomes, winRate, riskRewardRatio, sizing = 'fixed-fractional', seed } = options;
+      const riskPerTrade = this.#validator.number(fn, 'options.riskPerTrade', options.riskPerTrade ?? 2, { positive: true, max: 100 });
+      const startingBalance = this.#validator.number(fn, 'options.startingBalance', options.startingBalance ?? 10000, { positive: true });
+      const numTrades = this.#validator.number(fn, 'options.numTrades', options.numTrades ?? 100, { positive: true, integer: true });
+      const simulations = this.#validator.number(fn, 'options.simulations', options.simulations ?? 1000, { positive: true, integer: true });
+      const ruinThreshold = this.#validator.number(fn, 'options.ruinThreshold', options.ruinThreshold ?? 50, { positive: true, max: 100 });
+      const confidenceLevel = this.#validator.number(fn, 'options.confidenceLevel', options.confidenceLevel ?? 95, { positive: true, max: 100 });
+      const riskAmount = options.riskAmount === undefined
+        ? startingBalance * riskPerTrade / 100
+        : this.#validator.number(fn, 'options.riskAmount', options.riskAmount, { positive: true });
+      this.#validator.oneOf(fn, 'options.sizing', sizing, ['fixed-fractional', 'fixed-dollar']);
+  
+      let method;
+      let sampleOutcome;
+      const random = this.createRandomGenerator(seed);
+  
+      if (outcomes !== undefined) {
+        const values = this.#validator.numberArray(fn, 'options.outcomes', outcomes);
+        method = 'bootstrap';
+        sampleOutcome = () => values[Math.floor(random() * values.length)];
+      } else if (winRate !== undefined && riskRewardRatio !== undefined) {
+        const winProbability = this.#validator.number(fn, 'options.winRate', winRate, { min: 0, max: 100 }) / 100;
+        const rewardRatio = this.#validator.rewardRatio(fn, 'options.riskRewardRatio', riskRewardRatio);
+        method = 'parametric';
+        sampleOutcome = () => (random() < winProbability ? rewardRatio : -1);
+      } else {
+        throw new InvalidInputError(fn, 'options', 'must provide either outcomes to bootstrap or winRate and riskRewardRatio');
+      }
+  
+      const ruinLevel = startingBalance * (1 - ruinThreshold / 100);
+      const finalEquities = [];
+      const maxDrawdowns = [];
+      let ruinCount = 0;
+  
+      for (let s = 0; s < simulations; s++) {
+        let equity = startingBalance;
+        let peak = startingBalance;
+        let maxDrawdown = 0;
+  
+        for (let t = 0; t < numTrades; t++) {
+          const risk = sizing === 'fixed-fractional' ? equity * riskPerTrade / 100 : riskAmount;
+          equity += risk * sampleOutcome();
+          peak = Math.max(peak, equity);
+          maxDrawdown = Math.max(maxDrawdown, (peak - equity) / peak * 100);
+  
+          if (equity <= ruinLevel) {
+            ruinCount++;
+            break;
+          }
+        }
+  
+        finalEquities.push(equity);
+        maxDrawdowns.push(maxDrawdown);
+      }
+  
+      return {
+        method,
+        sizing,
+        simulations,
+        numTrades,
+        ruinThreshold,
+        ruinCount,
+        probabilityOfRuin: ruinCount / simulations,
+        finalEquity: this.#summarizeDistribution(finalEquities, confidenceLevel),
+        maxDrawdown: this.#summarizeDistribution(maxDrawdowns, confidenceLevel)
+      };
+    }
+  
+    /**
+     * Validates an indicator lookback period.
+     * @param {string} fn - Public method name used in errors.
+     * @param {number} period - The lookback period.
+     * @param {string} [name='period'] - Argument name used in errors.
+     * @returns {number} The period.
+     * @throws {InvalidInputError} If the period is not a positive integer.
+     * @private
+     */
+    #validatePeriod(fn, period, name = 'period') {
+      return this.#validator.number(fn, name, period, { integer: true, positive: true });
+    }
+  
+    /**
+     * Applies Wilder's smoothing to a series, seeding with the average of the first values.
+     * @param {(number|null)[]} values - Input series; leading nulls are skipped.
+     * @param {number} period - Smoothing period.
+     * @returns {(number|null)[]} Smoothed series aligned to the input.
+     * @private
+     */
+    #wilderSmooth(values, period) {
+      const result = new Array(values.length).fill(null);
+      const start = values.findIndex(v => v !== null);
+      if (start === -1 || start + period > values.length) return result;
+  
+      let smoothed = this.mean(values.slice(start, start + period));
+      result[start + period - 1] = smoothed;
+      for (let i = start + period; i < values.length; i++) {
+        smoothed = (smoothed * (period - 1) + values[i]) / period;
+        result[i] = smoothed;
+      }
+      return result;
+    }
+  
+    /**
+     * Calculates the Simple Moving Average.
+     * @param {number[]} values - Input series (usually closes).
+     * @param {number} period - Lookback period.
+     * @returns {(number|null)[]} SMA aligned to the input, null during warm-up.
+     * @example
+     * const stats = new Statistics();
+     * stats.calculateSMA([1, 2, 3, 4, 5], 3); // returns [null, null, 2, 3, 4]
+     */
+    calculateSMA(values, period) {
+      ({ values } = this.#validator.priceArrays('calculateSMA', { values }));
+      period = this.#validatePeriod('calculateSMA', period);
+  
+      const result = new Array(values.length).fill(null);
+      let sum = 0;
+      for (let i = 0; i < values.length; i++) {
+        sum += values[i];
+        if (i >= period) sum -= values[i - period];
+        if (i >= period - 1) result[i] = sum / period;
+      }
+      return result;
+    }
+  
+    /**
+     * Calculates the Exponential Moving Average, seeded with the SMA of the first period.
+     * Leading nulls in the input are skipped, so EMAs can be chained (e.g., MACD signal line).
+     * @param {(number|null)[]} values - Input series.
+     * @param {number} period - Lookback period.
+     * @returns {(number|null)[]} EMA aligned to the input, null during warm-up.
+     */
+    calculateEMA(values, period) {
+      ({ values } = this.#validator.priceArrays('calculateEMA', { values }, { allowNull: true }));
+      period = this.#validatePeriod('calculateEMA', period);
+  
+      const result = new Array(values.length).fill(null);
+      const start = values.findIndex(v => v !== null);
+      if (start === -1 || start + period > values.length) return result;
+  
+      const alpha = 2 / (period + 1);
+      let ema = this.mean(values.slice(start, start + period));
+      result[start + period - 1] = ema;
+      for (let i = start + period; i < values.length; i++) {
+        ema = values[i] * alpha + ema * (1 - alpha);
+        result[i] = ema;
+      }
+      return result;
+    }
+  
+    /**
+     * Calculates the Weighted Moving Average (linear weights, newest value weighted highest).
+     * @param {number[]} values - Input series.
+     * @param {number} period - Lookback period.
+     * @returns {(number|null)[]} WMA aligned to the input, null during warm-up.
+     */
+    calculateWMA(values, period) {
+      ({ values } = this.#validator.priceArrays('calculateWMA', { values }));
+      period = this.#validatePeriod('calculateWMA', period);
+  
+      const weightSum = period * (period + 1) / 2;
+      return values.map((_, i) => {
+        if (i < period - 1) return null;
+        let sum = 0;
+        for (let j = 0; j < period; j++) {
+          sum += values[i - period + 1 + j] * (j + 1);
+        }
+        return sum / weightSum;
+      });
+    }
+  
+    /**
+     * Calculates the Relative Strength Index using Wilder's smoothing.
+     * @param {number[]} closes - Array of closing prices.
+     * @param {number} [period=14] - Lookback period.
+     * @returns {(number|null)[]} RSI (0-100) aligned to the input, null during warm-up.
+     */
+    calculateRSI(closes, period = 14) {
+      ({ closes } = this.#validator.priceArrays('calculateRSI', { closes }));
+      period = this.#validatePeriod('calculateRSI', period);
+  
+      const changes = closes.map((close, i) => (i === 0 ? null : close - closes[i - 1]));
+      const avgGains = this.#wilderSmooth(changes.map(c => (c === null ? null : Math.max(c, 0))), period);
+      const avgLosses = this.#wilderSmooth(changes.map(c => (c === null ? null : Math.max(-c, 0))), period);
+  
+      return avgGains.map((gain, i) => {
+        if (gain === null) return null;
+        if (avgLosses[i] === 0) return gain === 0 ? 50 : 100;
+        return 100 - 100 / (1 + gain / avgLosses[i]);
+      });
+    }
+  
+    /**
+     * Calculates Moving Average Convergence Divergence.
+     * @param {number[]} closes - Array of closing prices.
+     * @param {number} [fastPeriod=12] - Fast EMA period.
+     * @param {number} [slowPeriod=26] - Slow EMA period.
+     * @param {number} [signalPeriod=9] - Signal line EMA period.
+     * @returns {Object} Object with macd, signal and histogram arrays aligned to the input.
+     * @throws {InvalidInputError} If the periods are invalid or the fast period is not shorter than the slow period.
+     */
+    calculateMACD(closes, fastPeriod = 12, slowPeriod = 26, signalPeriod = 9) {
+      fastPeriod = this.#validatePeriod('calculateMACD', fastPeriod, 'fastPeriod');
+      slowPeriod = this.#validatePeriod('calculateMACD', slowPeriod, 'slowPeriod');
+      signalPeriod = this.#validatePeriod('calculateMACD', signalPeriod, 'signalPeriod');
+      if (fastPeriod >= slowPeriod) {
+        throw new InvalidInputError('calculateMACD', 'fastPeriod', 'must be shorter than slowPeriod');
+      }
+  
+      const fast = this.calculateEMA(closes, fastPeriod);
+      const slow = this.calculateEMA(closes, slowPeriod);
+      const macd = fast.map((value, i) => (value === null || slow[i] === null ? null : value - slow[i]));
+      const signal = this.calculateEMA(macd, signalPeriod);
+      const histogram = macd.map((value, i) => (signal[i] === null ? null : value - signal[i]));
+  
+      return { macd, signal, histogram };
+    }
+  
+    /**
+     * Calculates Bollinger Bands using the population standard deviation.
+     * @param {number[]} closes - Array of closing prices.
+     * @param {number} [period=20] - Lookback period.
+     * @param {number} [multiplier=2] - Standard deviation multiplier.
+     * @returns {Object} Object with upper, middle and lower arrays aligned to the input.
+     */
+    calculateBollingerBands(closes, period = 20, multiplier = 2) {
+      const middle = this.calculateSMA(closes, period);
+      const deviations = middle.map((value, i) =>
+        value === null ? null : this.standardDeviation(closes.slice(i - period + 1, i + 1)).sd
+      );
+  
+      return {
+        upper: middle.map((value, i) => (value === null ? null : value + multiplier * deviations[i])),
+        middle,
+        lower: middle.map((value, i) => (value === null ? null : value - multiplier * deviations[i]))
+      };
+    }
+  
+    /**
+     * Calculates the True Range of each bar.
+     * @param {number[]} highs - Array of high prices.
+     * @param {number[]} lows - Array of low prices.
+     * @param {number[]} closes - Array of closing prices.
+     * @returns {number[]} True range per bar (the first bar uses high - low).
+     */
+    calculateTrueRange(highs, lows, closes) {
+      ({ highs, lows, closes } = this.#validator.priceArrays('calculateTrueRange', { highs, lows, closes }));
+      return highs.map((high, i) => {
+        if (i === 0) return high - lows[i];
+        return Math.max(high - lows[i], Math.abs(high - closes[i - 1]), Math.abs(lows[i] - closes[i - 1]));
+      });
+    }
+  
+    /**
+     * Calculates the Average True Range using Wilder's smoothing.
+     * @param {number[]} highs - Array of high prices.
+     * @param {number[]} lows - Array of low prices.
+     * @param {number[]} closes - Array of closing prices.
+     * @param {number} [period=14] - Lookback period.
+     * @returns {(number|null)[]} ATR aligned to the input, null during warm-up.
+     */
+    calculateATR(highs, lows, closes, period = 14) {
+      period = this.#validatePeriod('calculateATR', period);
+      return this.#wilderSmooth(this.calculateTrueRange(highs, lows, closes), period);
+    }
+  
+    /**
+     * Calculates the Stochastic Oscillator.
+     * @param {number[]} highs - Array of high prices.
+     * @param {number[]} lows - Array of low prices.
+     * @param {number[]} closes - Array of closing prices.
+     * @param {number} [kPeriod=14] - %K lookback period.
+     * @param {number} [dPeriod=3] - %D smoothing period.
+     * @returns {Object} Object with k and d arrays (0-100) aligned to the input.
+     */
+    calculateStochastic(highs, lows, closes, kPeriod = 14, dPeriod = 3) {
+      ({ highs, lows, closes } = this.#validator.priceArrays('calculateStochastic', { highs, lows, closes }));
+      kPeriod = this.#validatePeriod('calculateStochastic', kPeriod, 'kPeriod');
+      dPeriod = this.#validatePeriod('calculateStochastic', dPeriod, 'dPeriod');
+  
+      const k = closes.map((close, i) => {
+        if (i < kPeriod - 1) return null;
+        const highest = this.maxOrMin(highs.slice(i - kPeriod + 1, i + 1), 'max');
+        const lowest = this.maxOrMin(lows.slice(i - kPeriod + 1, i + 1), 'min');
+        return highest === lowest ? 50 : (close - lowest) / (highest - lowest) * 100;
+      });
+      const d = k.map((_, i) => {
+        const window = k.slice(Math.max(0, i - dPeriod + 1), i + 1);
+        return window.length < dPeriod || window.includes(null) ? null : this.mean(window);
+      });
+  
+      return { k, d };
+    }
+  
+    /**
+     * Calculates the Average Directional Index with the +DI and -DI lines.
+     * @param {number[]} highs - Array of high prices.
+     * @param {number[]} lows - Array of low prices.
+     * @param {number[]} closes - Array of closing prices.
+     * @param {number} [period=14] - Lookback period.
+     * @returns {Object} Object with adx, plusDI and minusDI arrays aligned to the input.
+     */
+    calculateADX(highs, lows, closes, period = 14) {
+      ({ highs, lows, closes } = this.#validator.priceArrays('calculateADX', { highs, lows, closes }));
+      period = this.#validatePeriod('calculateADX', period);
+  
+      const n = closes.length;
+      const trueRanges = this.calculateTrueRange(highs, lows, closes);
+      const plusDM = [null];
+      const minusDM = [null];
+      for (let i = 1; i < n; i++) {
+        const up = highs[i] - highs[i - 1];
+        const down = lows[i - 1] - lows[i];
+        plusDM.push(up > down && up > 0 ? up : 0);
+        minusDM.push(down > up && down > 0 ? down : 0);
+      }
+  
+      const tr = this.#wilderSmooth([null, ...trueRanges.slice(1)], period);
+      const plus = this.#wilderSmooth(plusDM, period);
+      const minus = this.#wilderSmooth(minusDM, period);
+  
+      const plusDI = tr.map((value, i) => (value === null ? null : value === 0 ? 0 : plus[i] / value * 100));
+      const minusDI = tr.map((value, i) => (value === null ? null : value === 0 ? 0 : minus[i] / value * 100));
+      const dx = plusDI.map((value, i) => {
+        if (value === null) return null;
+        const total = value + minusDI[i];
+        return total === 0 ? 0 : Math.abs(value - minusDI[i]) / total * 100;
+      });
+  
+      return { adx: this.#wilderSmooth(dx, period), plusDI, minusDI };
+    }
+  
+    /**
+     * Calculates the Commodity Channel Index.
+     * @param {number[]} highs - Array of high prices.
+     * @param {number[]} lows - Array of low prices.
+     * @param {number[]} closes - Array of closing prices.
+     * @param {number} [period=20] - Lookback period.
+     * @returns {(number|null)[]} CCI aligned to the input, null during warm-up.
+     */
+    calculateCCI(highs, lows, closes, period = 20) {
+      ({ highs, lows, closes } = this.#validator.priceArrays('calculateCCI', { highs, lows, closes }));
+      period = this.#validatePeriod('calculateCCI', period);
+      const typicalPrices = closes.map((close, i) => (highs[i] + lows[i] + close) / 3);
+      const averages = this.calculateSMA(typicalPrices, period);
+  
+      return averages.map((average, i) => {
+        if (average === null) return null;
+        const window = typicalPrices.slice(i - period + 1, i + 1);
+        const meanDeviation = this.mean(window.map(tp => Math.abs(tp - average)));
+        return meanDeviation === 0 ? 0 : (typicalPrices[i] - average) / (0.015 * meanDeviation);
+      });
+    }
+  
+    /**
+     * Calculates On-Balance Volume, starting from zero on the first bar.
+     * @param {number[]} closes - Array of closing prices.
+     * @param {number[]} volumes - Array of volumes.
+     * @returns {number[]} OBV aligned to the input.
+     */
+    calculateOBV(closes, volumes) {
+      ({ closes, volumes } = this.#validator.priceArrays('calculateOBV', { closes, volumes }));
+  
+      const result = [0];
+      for (let i = 1; i < closes.length; i++) {
+        const direction = Math.sign(closes[i] - closes[i - 1]);
+        result.push(result[i - 1] + direction * volumes[i]);
+      }
+      return result;
+    }
+  
+    /**
+     * Calculates the cumulative Volume Weighted Average Price using the typical price.
+     * @param {number[]} highs - Array of high prices.
+     * @param {number[]} lows - Array of low prices.
+     * @param {number[]} closes - Array of closing prices.
+     * @param {number[]} volumes - Array of volumes.
+     * @returns {(number|null)[]} VWAP aligned to the input, null until volume has traded.
+     */
+    calculateVWAP(highs, lows, closes, volumes) {
+      ({ highs, lows, closes, volumes } = this.#validator.priceArrays('calculateVWAP', { highs, lows, closes, volumes }));
+  
+      let cumulativeValue = 0;
+      let cumulativeVolume = 0;
+      return closes.map((close, i) => {
+        cumulativeValue += (highs[i] + lows[i] + close) / 3 * volumes[i];
+        cumulativeVolume += volumes[i];
+        return cumulativeVolume === 0 ? null : cumulativeValue / cumulativeVolume;
+      });
+    }
+  
+    /**
+     * Validates the input of a rolling-window statistic.
+     * @param {string} fn - Public method name used in errors.
+     * @param {number[]} values - Input series.
+     * @param {number} window - Window length.
+     * @param {number} [minWindow=1] - Smallest window the statistic supports.
+     * @returns {Object} The (possibly coerced) values and window.
+     * @throws {InvalidInputError} If the series is empty, contains non-numbers, or the window is invalid.
+     * @private
+     */
+    #validateRolling(fn, values, window, minWindow = 1) {
+      window = this.#validator.number(fn, 'window', window, { integer: true, min: minWindow });
+      return { values: this.#validator.numberArray(fn, 'values', values), window };
+    }
+  
+    /**
+     * Calculates the rolling mean over a fixed window using a running sum.
+     * @param {number[]} values - Input series.
+     * @param {number} window - Window length.
+     * @returns {(number|null)[]} Rolling mean aligned to the input, null until the window fills.
+     */
+    rollingMean(values, window) {
+      ({ values, window } = this.#validateRolling('rollingMean', values, window));
+      return this.calculateSMA(values, window);
+    }
+  
+    /**
+     * Calculates the rolling population standard deviation using Welford's algorithm with removal.
+     * Each value is rounded the same way as standardDeviation so both agree.
+     * @param {number[]} values - Input series.
+     * @param {number} window - Window length.
+     * @returns {(number|null)[]} Rolling standard deviation aligned to the input.
+     * @example
+     * const stats = new Statistics();
+     * stats.rollingStandardDeviation(returns, 20); // 20-bar rolling volatility
+     */
+    rollingStandardDeviation(values, window) {
+      ({ values, window } = this.#validateRolling('rollingStandardDeviation', values, window));
+  
+      const result = new Array(values.length).fill(null);
+      let mean = 0;
+      let m2 = 0;
+      let equalRun = 0;
+  
+      for (let i = 0; i < values.length; i++) {
+        const x = values[i];
+        equalRun = i > 0 && x === values[i - 1] ? equalRun + 1 : 1;
+  
+        if (i < window) {
+          // Welford's update while the window fills
+          const delta = x - mean;
+          mean += delta / (i + 1);
+          m2 += delta * (x - mean);
+        } else if ((i - window) % window === 0) {
+          // Resynchronize once per window so floating-point drift cannot accumulate
+          const current = values.slice(i - window + 1, i + 1);
+          mean = this.mean(current);
+          m2 = current.reduce((sum, v) => sum + (v - mean) * (v - mean), 0);
+        } else {
+          // Slide the full window: replace the oldest value with x in one step
+          const old = values[i - window];
+          const previousMean = mean;
+          mean += (x - old) / window;
+          m2 += (x - old) * (x - mean + old - previousMean);
+        }
+  
+        if (i >= window - 1) {
+          const variance = equalRun >= window ? 0 : Math.max(m2, 0) / window;
+          result[i] = parseFloat(Math.sqrt(variance).toPrecision(6));
+        }
+      }
+      return result;
+    }
+  
+    /**
+     * Calculates the rolling Fisher-Pearson skewness (same formula as calculateSkewness)
+     * from running power sums, shifted by the first value for numerical stability.
+     * @param {number[]} values - Input series.
+     * @param {number} window - Window length (at least 3).
+     * @returns {(number|null)[]} Rolling skewness aligned to the input.
+     */
+    rollingSkewness(values, window) {
+      ({ values, window } = this.#validateRolling('rollingSkewness', values, window, 3));
+  
+      const shift = values[0];
+      const result = new Array(values.length).fill(null);
+      let s1 = 0;
+      let s2 = 0;
+      let s3 = 0;
+  
+      let equalRun = 0;
+  
+      for (let i = 0; i < values.length; i++) {
+        equalRun = i > 0 && values[i] === values[i - 1] ? equalRun + 1 : 1;
+        const x = values[i] - shift;
+        s1 += x;
+        s2 += x * x;
+        s3 += x * x * x;
+        if (i >= window) {
+          const old = values[i - window] - shift;
+          s1 -= old;
+          s2 -= old * old;
+          s3 -= old * old * old;
+        }
+        if (i >= window && (i - window) % window === 0) {
+          // Resynchronize once per window so floating-point drift cannot accumulate
+          s1 = s2 = s3 = 0;
+          for (let j = i - window + 1; j <= i; j++) {
+            const v = values[j] - shift;
+            s1 += v;
+            s2 += v * v;
+            s3 += v * v * v;
+          }
+        }
+  
+        if (i >= window - 1) {
+          const n = window;
+          const mean = s1 / n;
+          const variance = Math.max(s2 / n - mean * mean, 0);
+          const sd = equalRun >= window ? 0 : parseFloat(Math.sqrt(variance).toPrecision(6));
+          if (sd === 0) {
+            result[i] = 0;
+          } else {
+            const cubedDeviations = s3 - 3 * mean * s2 + 3 * mean * mean * s1 - n * Math.pow(mean, 3);
+            result[i] = (n / ((n - 1) * (n - 2))) * cubedDeviations / Math.pow(sd, 3);
+          }
+        }
+      }
+      return result;
+    }
+  
+    /**
+     * Calculates the rolling median using two heaps with lazy deletion (O(n log w)).
+     * @param {number[]} values - Input series.
+     * @param {number} window - Window length.
+     * @returns {(number|null)[]} Rolling median aligned to the input.
+     */
+    rollingMedian(values, window) {
+      ({ values, window } = this.#validateRolling('rollingMedian', values, window));
+  
+      // lower holds the smaller half (max-heap), upper the larger half (min-heap)
+      const lower = new Heap((a, b) => b.value - a.value);
+      const upper = new Heap((a, b) => a.value - b.value);
+      const inLower = new Array(values.length);
+      const result = new Array(values.length).fill(null);
+      let lowerCount = 0;
+      let upperCount = 0;
+  
+      const prune = (heap, i) => {
+        while (heap.size && heap.peek().index <= i - window) heap.pop();
+      };
+  
+      for (let i = 0; i < values.length; i++) {
+        if (i >= window) {
+          if (inLower[i - window]) lowerCount--;
+          else upperCount--;
+        }
+  
+        prune(lower, i);
+        if (lowerCount === 0 || values[i] <= lower.peek().value) {
+          lower.push({ value: values[i], index: i });
+          inLower[i] = true;
+          lowerCount++;
+        } else {
+          upper.push({ value: values[i], index: i });
+          inLower[i] = false;
+          upperCount++;
+        }
+  
+        // Rebalance so lower has the same number of live items as upper, or one more
+        prune(lower, i);
+        prune(upper, i);
+        while (lowerCount > upperCount + 1) {
+          const item = lower.pop();
+          upper.push(item);
+          inLower[item.index] = false;
+          lowerCount--;
+          upperCount++;
+          prune(lower, i);
+        }
+        while (upperCount > lowerCount) {
+          const item = upper.pop();
+          lower.push(item);
+          inLower[item.index] = true;
+          upperCount--;
+          lowerCount++;
+          prune(upper, i);
+        }
+  
+        if (i >= window - 1) {
+          result[i] = lowerCount > upperCount
+            ? lower.peek().value
+            : (lower.peek().value + upper.peek().value) / 2;
+        }
+      }
+      return result;
+    }
+  
+    /**
+     * Calculates a rolling minimum or maximum with a monotonic deque (O(n)).
+     * @param {number[]} values - Input series.
+     * @param {number} window - Window length.
+     * @param {string} choice - Either 'max' or 'min'.
+     * @returns {(number|null)[]} Rolling extreme aligned to the input.
+     * @private
+     */
+    #rollingExtreme(values, window, choice) {
+      const better = choice === 'max' ? (a, b) => a >= b : (a, b) => a <= b;
+      const deque = [];
+      let head = 0;
+  
+      return values.map((value, i) => {
+        while (deque.length > head && better(value, values[deque[deque.length - 1]])) deque.pop();
+        deque.push(i);
+        if (deque[head] <= i - window) head++;
+        return i >= window - 1 ? values[deque[head]] : null;
+      });
+    }
+  
+    /**
+     * Calculates the rolling minimum.
+     * @param {number[]} values - Input series.
+     * @param {number} window - Window length.
+     * @returns {(number|null)[]} Rolling minimum aligned to the input.
+     */
+    rollingMin(values, window) {
+      ({ values, window } = this.#validateRolling('rollingMin', values, window));
+      return this.#rollingExtreme(values, window, 'min');
+    }
+  
+    /**
+     * Calculates the rolling maximum.
+     * @param {number[]} values - Input series.
+     * @param {number} window - Window length.
+     * @returns {(number|null)[]} Rolling maximum aligned to the input.
+     */
+    rollingMax(values, window) {
+      ({ values, window } = this.#validateRolling('rollingMax', values, window));
+      return this.#rollingExtreme(values, window, 'max');
+    }
+  
+    /**
+     * Calculates the rolling range as [min, max] pairs, matching the output of range.
+     * @param {number[]} values - Input series.
+     * @param {number} window - Window length.
+     * @returns {([number, number]|null)[]} Rolling [min, max] aligned to the input.
+     */
+    rollingRange(values, window) {
+      const mins = this.rollingMin(values, window);
+      const maxs = this.rollingMax(values, window);
+      return mins.map((min, i) => (min === null ? null : [min, maxs[i]]));
+    }
+  
+    /**
+     * Calculates any supported rolling statistic by name.
+     * @param {number[]} values - Input series.
+     * @param {number} window - Window length.
+     * @param {string} statistic - One of 'mean', 'median', 'standardDeviation', 'skewness',
+     * 'min', 'max' or 'range'.
+     * @returns {Array} Rolling statistic aligned to the input.
+     * @throws {InvalidInputError} If the statistic is unknown.
+     * @example
+     * const stats = new Statistics();
+     * stats.calculateRolling(returns, 20, 'skewness');
+     */
+    calculateRolling(values, window, statistic) {
+      const methods = {
+        mean: 'rollingMean',
+        median: 'rollingMedian',
+        standardDeviation: 'rollingStandardDeviation',
+        skewness: 'rollingSkewness',
+        min: 'rollingMin',
+        max: 'rollingMax',
+        range: 'rollingRange'
+      };
+      this.#validator.oneOf('calculateRolling', 'statistic', statistic, Object.keys(methods));
+      return this[methods[statistic]](values, window);
+    }
+  
+    /**
+     * Creates a streaming accumulator for mean, variance, skewness and kurtosis.
+     * Pass the output of a previous toJSON() to resume where it left off.
+     * @param {(Object|string)} [state] - Saved state from toJSON().
+     * @returns {RunningStatistics} Accumulator with push(value) and O(1) updates; values are checked
+     * like every other numeric input (see setValidationMode).
+     * @throws {InvalidInputError} If the state is not valid JSON or not a RunningStatistics state.
+     * @example
+     * const stats = new Statistics();
+     * const running = stats.createRunningStatistics();
+     * running.push(1).push(2).push(3);
+     * running.mean; // 2
+     * const saved = JSON.stringify(running);
+     * const restored = stats.createRunningStatistics(saved);
+     */
+    createRunningStatistics(state) {
+      const fn = 'createRunningStatistics';
+      const parseNumber = (arg, value) => this.#validator.number(fn, arg, value);
+      return state
+        ? RunningStatistics.fromJSON(this.#streamState(fn, 'state', state, 'RunningStatistics'), parseNumber)
+        : new RunningStatistics(parseNumber);
+    }
+  
+    /**
+     * Creates a streaming accumulator for live trade metrics (win rate, streaks,
+     * drawdown, expectancy). Pass the output of a previous toJSON() to resume.
+     * @param {Object} [options] - Accumulator options, or saved state from toJSON().
+     * @param {number} [options.startingBalance=0] - Account balance before the first trade.
+     * @returns {TradeAccumulator} Accumulator with push(trade) and O(1) updates.
+     * @throws {InvalidInputError} If the starting balance is not a number, or the saved state is not valid JSON
+     * or not a TradeAccumulator state.
+     * @example
+     * const stats = new Statistics();
+     * const live = stats.createTradeAccumulator({ startingBalance: 10000 });
+     * live.push({ side: 'long', size: 1, entryPrice: 100, exitPrice: 105 });
+     * live.getMetrics(); // { winRate: 100, expectancy: 5, ... }
+     */
+    createTradeAccumulator(options = {}) {
+      const fn = 'createTradeAccumulator';
+      const calculatePnL = trade => this.calculateTradePnL(trade);
+      const parseNumber = (arg, value) => this.#validator.number(fn, arg, value);
+      if (typeof options === 'string' || options?.type !== undefined) {
+        const state = this.#streamState(fn, 'state', options, 'TradeAccumulator');
+        this.#streamState(fn, 'state.pnl', state.pnl, 'RunningStatistics');
+        return TradeAccumulator.fromJSON(state, calculatePnL, parseNumber);
+      }
+      this.#validator.object(fn, 'options', options);
+      const startingBalance = this.#validator.number(fn, 'options.startingBalance', options.startingBalance ?? 0);
+      return new TradeAccumulator(calculatePnL, parseNumber, { startingBalance });
+    }
+  
+    /**
+     * Parses a saved accumulator state and checks its type.
+     * @param {string} fn - Public method name used in errors.
+     * @param {string} arg - Argument name used in errors.
+     * @param {(Object|string)} state - Saved state, or its JSON.
+     * @param {string} type - Expected state type.
+     * @returns {Object} The parsed state.
+     * @throws {InvalidInputError} If the state is not valid JSON, not an object or of another type.
+     * @private
+     */
+    #streamState(fn, arg, state, type) {
+      if (typeof state === 'string') {
+        try {
+          state = JSON.parse(state);
+        } catch (error) {
+          throw new InvalidInputError(fn, arg, 'is not valid JSON');
+        }
+      }
+      this.#validator.object(fn, arg, state);
+      if (state.type !== type) {
+        throw new InvalidInputError(fn, `${arg}.type`, `must be '${type}'`);
+      }
+      return state;
+    }
+  
+    /**
+     * Calculates the Kelly criterion fraction of equity to risk.
+     * Formula: (Win Rate × Payoff - Loss Rate) / Payoff
+     * @param {number} winRate - Win rate percentage (e.g., 61.5 for 61.5%).
+     * @param {(number|string)} payoffRatio - Average win / average loss (1.7 or "1:1.70").
+     * @param {number} [fraction=1] - Kelly multiplier (e.g., 0.5 for half Kelly).
+     * @returns {number} Fraction of equity as decimal (negative when there is no edge).
+     * @throws {InvalidInputError} If the win rate, payoff ratio or fraction is invalid.
+     * @example
+     * const stats = new Statistics();
+     * stats.calculateKellyFraction(61.5, "1:1.70"); // returns 0.3885...
+     * stats.calculateKellyFraction(61.5, 1.7, 0.5); // half Kelly, 0.1943...
+     */
+    calculateKellyFraction(winRate, payoffRatio, fraction = 1) {
+      const fn = 'calculateKellyFraction';
+      const winProbability = this.#validator.number(fn, 'winRate', winRate, { min: 0, max: 100 }) / 100;
+      const rewardRatio = this.#validator.rewardRatio(fn, 'payoffRatio', payoffRatio);
+      fraction = this.#validator.number(fn, 'fraction', fraction, { min: 0 });
+      return (winProbability * rewardRatio - (1 - winProbability)) / rewardRatio * fraction;
+    }
+  
+    /**
+     * Finds Ralph Vince's optimal f: the fraction of the largest loss that maximizes
+     * the terminal wealth relative (TWR) over a list of trade results.
+     * @param {number[]} outcomes - Trade P&L values per unit (must include at least one loss).
+     * @returns {Object} Object with optimalF, twr, geometricMean, biggestLoss and fDollar
+     * (equity required per unit traded at optimal f).
+     * @throws {InvalidInputError} If outcomes are empty, non-numeric or contain no losing trade.
+     * @example
+     * const stats = new Statistics();
+     * stats.calculateOptimalF([9, 18, 7, 1, 10, -5, -3, -17, -7]);
+     * // returns { optimalF: 0.2367, twr: 1.0957, biggestLoss: -17, fDollar: 71.82, ... }
+     */
+    calculateOptimalF(outcomes) {
+      outcomes = this.#validator.numberArray('calculateOptimalF', 'outcomes', outcomes);
+      const biggestLoss = this.maxOrMin(outcomes, 'min');
+      if (biggestLoss >= 0) {
+        throw new InvalidInputError('calculateOptimalF', 'outcomes', 'must include at least one losing trade');
+      }
+  
+      const twr = f => outcomes.reduce((product, pnl) => product * (1 + f * (pnl / -biggestLoss)), 1);
+  
+      // Coarse grid search followed by local refinement; TWR is unimodal in f
+      let best = { f: 0, twr: 1 };
+      for (let step = 0.01, low = 0.01, high = 1; step >= 0.0001; step /= 10) {
+        for (let f = low; f <= high + 1e-12; f += step) {
+          const value = twr(f);
+          if (value > best.twr) best = { f, twr: value };
+        }
+        low = Math.max(step / 10, best.f - step);
+        high = Math.min(1, best.f + step);
+      }
+  
+      const optimalF = parseFloat(best.f.toFixed(4));
+      return {
+        optimalF,
+        twr: best.twr,
+        geometricMean: Math.pow(best.twr, 1 / outcomes.length),
+        biggestLoss,
+        fDollar: optimalF > 0 ? -biggestLoss / optimalF : null
+      };
+    }
+  
+    /**
+     * Applies lot-size and leverage constraints and describes the resulting position.
+     * @param {number} rawUnits - Unconstrained number of units.
+     * @param {Object} params - Sizing parameters.
+     * @param {number} params.equity - Account equity.
+     * @param {number} params.entryPrice - Entry price per unit.
+     * @param {number} [params.riskPerUnit] - Dollar loss per unit if the stop is hit.
+     * @param {number} [params.lotSize=1] - Units must be a multiple of this size.
+     * @param {number} [params.maxLeverage] - Maximum notional / equity.
+     * @param {string} fn - Public method name used in errors.
+     * @returns {Object} Object with units, notional, dollarRisk, riskPercent, leverage and constrainedBy.
+     * @private
+     */
+    #finalizePositionSize(rawUnits, { equity, entryPrice, riskPerUnit = null, lotSize = 1, maxLeverage }, fn) {
+      lotSize = this.#validator.number(fn, 'lotSize', lotSize, { positive: true });
+      if (maxLeverage !== undefined) {
+        maxLeverage = this.#validator.number(fn, 'maxLeverage', maxLeverage, { positive: true });
+      }
+  
+      let units = Math.max(rawUnits, 0);
+      let constrainedBy = null;
+      if (maxLeverage !== undefined) {
+        const maxUnits = equity * maxLeverage / entryPrice;
+        if (units > maxUnits) {
+          units = maxUnits;
+          constrainedBy = 'maxLeverage';
+        }
+      }
+  
+      // Round down to whole lots, avoiding floating-point misses such as 2.9999999
+      const lots = Math.floor(units / lotSize + 1e-9);
+      if (lots === 0 && units > 0) {
+        constrainedBy = 'lotSize';
+      }
+      units = parseFloat((lots * lotSize).toPrecision(12));
+  
+      const notional = units * entryPrice;
+      const dollarRisk = riskPerUnit !== null ? units * riskPerUnit : null;
+      return {
+        units,
+        notional,
+        dollarRisk,
+        riskPercent: dollarRisk !== null ? dollarRisk / equity * 100 : null,
+        leverage: notional / equity,
+        constrainedBy
+      };
+    }
+  
+    /**
+     * Validates the account and price inputs shared by the position sizing functions.
+     * @param {string} fn - Public method name used in errors.
+     * @param {Object} params - Sizing parameters.
+     * @returns {Object} The (possibly coerced) equity and entryPrice, and riskPerUnit: the dollar risk
+     * per unit from entry to stop, or null without a stop.
+     * @throws {InvalidInputError} If equity, entry or stop price is invalid.
+     * @private
+     */
+    #validateSizingInputs(fn, params) {
+      this.#validator.object(fn, 'params', params);
+      const equity = this.#validator.number(fn, 'equity', params.equity, { positive: true });
+      const entryPrice = this.#validator.number(fn, 'entryPrice', params.entryPrice, { positive: true });
+      if (params.stopPrice === undefined) return { equity, entryPrice, riskPerUnit: null };
+      const riskPerUnit = Math.abs(entryPrice - this.#validator.number(fn, 'stopPrice', params.stopPrice));
+      if (riskPerUnit === 0) {
+        throw new InvalidInputError(fn, 'stopPrice', 'must differ from the entry price');
+      }
+      return { equity, entryPrice, riskPerUnit };
+    }
+  
+    /**
+     * Sizes a position so that hitting the stop loses a fixed percentage of equity.
+     * @param {Object} params - Sizing parameters.
+     * @param {number} params.equity - Account equity.
+     * @param {number} params.entryPrice - Entry price.
+     * @param {number} params.stopPrice - Stop-loss price.
+     * @param {number} [params.riskPercent=2] - Percentage of equity to risk (e.g., 2 for 2%).
+     * @param {number} [params.lotSize=1] - Units must be a multiple of this size.
+     * @param {number} [params.maxLeverage] - Maximum notional / equity.
+     * @returns {Object} Object with units, notional, dollarRisk, riskPercent, leverage and constrainedBy.
+     * @example
+     * const stats = new Statistics();
+     * stats.calculateFixedFractionalPositionSize({ equity: 10000, entryPrice: 50, stopPrice: 48 });
+     * // returns { units: 100, notional: 5000, dollarRisk: 200, riskPercent: 2, leverage: 0.5, constrainedBy: null }
+     */
+    calculateFixedFractionalPositionSize(params) {
+      const fn = 'calculateFixedFractionalPositionSize';
+      const { equity, entryPrice, riskPerUnit } = this.#validateSizingInputs(fn, params);
+      if (riskPerUnit === null) {
+        throw new InvalidInputError(fn, 'stopPrice', 'is required for fixed-fractional sizing');
+      }
+      const riskPercent = this.#validator.number(fn, 'riskPercent', params.riskPercent ?? 2, { min: 0 });
+      const rawUnits = equity * riskPercent / 100 / riskPerUnit;
+      return this.#finalizePositionSize(rawUnits, { ...params, equity, entryPrice, riskPerUnit }, fn);
+    }
+  
+    /**
+     * Sizes a position with the (fractional) Kelly criterion, risking the Kelly fraction
+     * of equity between entry and stop.
+     * @param {Object} params - Sizing parameters (see calculateFixedFractionalPositionSize).
+     * @param {number} params.winRate - Win rate percentage (e.g., 61.5 for 61.5%).
+     * @param {(number|string)} params.payoffRatio - Average win / average loss (1.7 or "1:1.70").
+     * @param {number} [params.fraction=0.5] - Kelly multiplier (half Kelly by default).
+     * @returns {Object} Position size plus the kellyFraction used.
+     */
+    calculateKellyPositionSize(params) {
+      const { winRate, payoffRatio, fraction = 0.5 } = params;
+      const kellyFraction = Math.max(this.calculateKellyFraction(winRate, payoffRatio, fraction), 0);
+      return {
+        ...this.calculateFixedFractionalPositionSize({ ...params, riskPercent: kellyFraction * 100 }),
+        kellyFraction
+      };
+    }
+  
+    /**
+     * Sizes a position with Ralph Vince's optimal f: one unit per fDollar of equity.
+     * @param {Object} params - Sizing parameters.
+     * @param {number} params.equity - Account equity.
+     * @param {number} params.entryPrice - Entry price.
+     * @param {number[]} params.outcomes - Historical per-unit trade P&L used to find optimal f.
+     * @param {number} [params.fraction=1] - Multiplier applied to optimal f.
+     * @param {number} [params.lotSize=1] - Units must be a multiple of this size.
+     * @param {number} [params.maxLeverage] - Maximum notional / equity.
+     * @returns {Object} Position size plus the optimalF result. dollarRisk is the loss if the
+     * largest historical loss repeats.
+     */
+    calculateOptimalFPositionSize(params) {
+      const { outcomes, fraction = 1 } = params;
+      const fn = 'calculateOptimalFPositionSize';
+      const { equity, entryPrice } = this.#validateSizingInputs(fn, { equity: params.equity, entryPrice: params.entryPrice });
+      const multiplier = this.#validator.number(fn, 'fraction', fraction, { min: 0 });
+      const optimal = this.calculateOptimalF(outcomes);
+      const f = optimal.optimalF * multiplier;
+      const rawUnits = f > 0 ? equity / (-optimal.biggestLoss / f) : 0;
+      return {
+        ...this.#finalizePositionSize(rawUnits, { ...params, equity, entryPrice, riskPerUnit: -optimal.biggestLoss }, fn),
+        optimalF: optimal
+      };
+    }
+  
+    /**
+     * Sizes a position from volatility, either with an ATR-based stop distance or by
+     * targeting an annualized portfolio volatility.
+     * @param {Object} params - Sizing parameters.
+     * @param {number} params.equity - Account equity.
+     * @param {number} params.entryPrice - Entry price.
+     * @param {number} [params.atr] - Average True Range in price units (ATR mode).
+     * @param {number} [params.atrMultiple=2] - Stop distance in ATRs (ATR mode).
+     * @param {number} [params.riskPercent=2] - Percentage of equity to risk (ATR mode).
+     * @param {number} [params.volatility] - Instrument annualized volatility as decimal (target mode).
+     * @param {number} [params.targetVolatility] - Desired annualized volatility as decimal (target mode).
+     * @param {number} [params.lotSize=1] - Units must be a multiple of this size.
+     * @param {number} [params.maxLeverage] - Maximum notional / equity.
+     * @returns {Object} Position size; dollarRisk is the ATR-stop loss in ATR mode and the
+     * one-standard-deviation annual move in target mode.
+     * @example
+     * const stats = new Statistics();
+     * stats.calculateVolatilityPositionSize({ equity: 10000, entryPrice: 50, atr: 1.25, atrMultiple: 2 });
+     * // returns { units: 80, dollarRisk: 200, ... }
+     */
+    calculateVolatilityPositionSize(params) {
+      let { atr, atrMultiple = 2, riskPercent = 2, volatility, targetVolatility } = params;
+      const fn = 'calculateVolatilityPositionSize';
+      const { equity, entryPrice } = this.#validateSizingInputs(fn, { equity: params.equity, entryPrice: params.entryPrice });
+  
+      if (atr !== undefined) {
+        atr = this.#validator.number(fn, 'atr', atr, { positive: true });
+        atrMultiple = this.#validator.number(fn, 'atrMultiple', atrMultiple, { positive: true });
+        riskPercent = this.#validator.number(fn, 'riskPercent', riskPercent, { min: 0 });
+        const riskPerUnit = atr * atrMultiple;
+        return this.#finalizePositionSize(equity * riskPercent / 100 / riskPerUnit, { ...params, equity, entryPrice, riskPerUnit }, fn);
+      }
+  
+      if (volatility === undefined && targetVolatility === undefined) {
+        throw new InvalidInputError(fn, 'atr', 'or volatility and targetVolatility must be provided');
+      }
+      volatility = this.#validator.number(fn, 'volatility', volatility, { positive: true });
+      targetVolatility = this.#validator.number(fn, 'targetVolatility', targetVolatility, { positive: true });
+      const rawUnits = equity * targetVolatility / volatility / entryPrice;
+      return this.#finalizePositionSize(rawUnits, { ...params, equity, entryPrice, riskPerUnit: entryPrice * volatility }, fn);
+    }
+  
+    /**
+     * Sizes a position with Ryan Jones' fixed-ratio method: each additional unit requires
+     * `delta` more profit than the previous one (N units need delta × N(N-1)/2 of profit).
+     * @param {Object} params - Sizing parameters.
+     * @param {number} params.equity - Current account equity.
+     * @param {number} params.startingEquity - Equity when trading started with one step.
+     * @param {number} params.delta - Profit required per additional step.
+     * @param {number} params.entryPrice - Entry price.
+     * @param {number} [params.stopPrice] - Stop-loss price, used for dollarRisk.
+     * @param {number} [params.unitsPerStep=1] - Units traded per step.
+     * @param {number} [params.lotSize=1] - Units must be a multiple of this size.
+     * @param {number} [params.maxLeverage] - Maximum notional / equity.
+     * @returns {Object} Position size plus the number of steps.
+     */
+    calculateFixedRatioPositionSize(params) {
+      const fn = 'calculateFixedRatioPositionSize';
+      const { equity, entryPrice, riskPerUnit } = this.#validateSizingInputs(fn, params);
+      const startingEquity = this.#validator.number(fn, 'startingEquity', params.startingEquity, { positive: true });
+      const delta = this.#validator.number(fn, 'delta', params.delta, { positive: true });
+      const unitsPerStep = this.#validator.number(fn, 'unitsPerStep', params.unitsPerStep ?? 1, { positive: true });
+  
+      const profit = Math.max(equity - startingEquity, 0);
+      const steps = Math.floor((1 + Math.sqrt(1 + 8 * profit / delta)) / 2);
+      return {
+        ...this.#finalizePositionSize(steps * unitsPerStep, { ...params, equity, entryPrice, riskPerUnit }, fn),
+        steps
+      };
+    }
+  
+  
+    /**
+     * Imports closed trades from a CSV or JSON export into records that analyzeTrades,
+     * buildEquityCurve and createTradeAccumulator accept. Columns are matched by common
+     * header names ("Entry Price", "Qty", "Commission", ...) unless mapped explicitly.
+     * Rows that cannot be parsed are skipped and reported in `errors`.
+     * @param {(string|Object[]|Object)} input - CSV or JSON text, or already parsed JSON rows.
+     * @param {Object} [options] - Import options.
+     * @param {string} [options.format='auto'] - 'auto', 'csv' or 'json' (NDJSON is accepted as JSON).
+     * @param {(string|Object)} [options.adapter] - Broker layout: 'metatrader' or 'ninjatrader', or a custom
+     * adapter object with aliases, columns, dateFormat, delimiter, filter(row) and transform(record, row).
+     * @param {Object} [options.columns] - Field to column mapping, e.g. { entryPrice: 'Avg Price' }. A column
+     * may be a header name, a zero-based index, or an array of headers joined with a space (date + time).
+     * @param {string} [options.delimiter='auto'] - CSV delimiter; detected from the header line by default.
+     * @param {string} [options.decimal='.'] - Decimal separator, '.' or ','.
+     * @param {string} [options.dateFormat='auto'] - 'auto' (ISO 8601 or epoch), 'unix', 'unixms', or a
+     * pattern such as 'DD.MM.YYYY HH:mm' or 'M/D/YYYY h:mm:ss A'.
+     * @param {string} [options.timezone='UTC'] - Time zone of dates without an offset: 'UTC', '+02:00'
+     * or an IANA name such as 'America/New_York'.
+     * @param {string} [options.dataKey] - Dotted path to the row array inside a JSON object.
+     * @param {string} [options.onError='skip'] - 'skip' bad rows, or 'throw' an ImportError listing them.
+     * @returns {Object} Object with trades ({ symbol, strategy, side, size, entryPrice, exitPrice, fees, entryTime,
+     * exitTime, stopLoss }, where present) and errors ({ row, column, field, value, message }; the CSV header is row 1).
+     * @throws {InvalidInputError} If the options are invalid or a required column cannot be found.
+     * @throws {ImportError} In onError: 'throw' mode, if any row was rejected.
+     * @example
+     * const stats = new Statistics();
+     * const { trades, errors } = stats.importTrades(csv, { adapter: 'ninjatrader', timezone: 'America/Chicago' });
+     * stats.analyzeTrades(trades);
+     */
+    importTrades(input, options = {}) {
+      return new Importer('importTrades', 'trades', options, this.#validator).parse(input);
+    }
+  
+    /**
+     * Imports OHLCV bars from a CSV or JSON export into aligned arrays sorted by time,
+     * ready for skewnedStandardDeviation and the technical indicators.
+     * @param {(string|Object[]|Object)} input - CSV or JSON text, or already parsed JSON rows.
+     * @param {Object} [options] - Import options (see importTrades); adapters are 'yahoo' and 'metatrader'.
+     * @returns {Object} Object with times, opens, highs, lows, closes, volumes (null without a volume
+     * column) and errors.
+     * @throws {InvalidInputError} If the options are invalid or a required column cannot be found.
+     * @throws {ImportError} In onError: 'throw' mode, if any row was rejected.
+     * @example
+     * const stats = new Statistics();
+     * const { opens, highs, lows, closes } = stats.importBars(csv, { adapter: 'yahoo' });
+     * stats.skewnedStandardDeviation(opens, highs, lows, closes);
+     */
+    importBars(input, options = {}) {
+      return new Importer('importBars', 'bars', options, this.#validator).parse(input);
+    }
+  
+    /**
+     * Imports closed trades from a readable stream (e.g., fs.createReadStream). CSV is parsed
+     * chunk by chunk, so large statements do not have to be read into one string.
+     * @param {AsyncIterable} stream - Readable stream of CSV or JSON text.
+     * @param {Object} [options] - Import options (see importTrades).
+     * @returns {Promise<Object>} Resolves to { trades, errors }.
+     * @throws {InvalidInputError} If the stream or options are invalid.
+     * @example
+     * const stats = new Statistics();
+     * const { trades } = await stats.importTradesFromStream(fs.createReadStream('statement.csv'));
+     */
+    async importTradesFromStream(stream, options = {}) {
+      this.#validateStream('importTradesFromStream', stream);
+      return new Importer('importTradesFromStream', 'trades', options, this.#validator).parseStream(stream);
+    }
+  
+    /**
+     * Imports OHLCV bars from a readable stream.
+     * @param {AsyncIterable} stream - Readable stream of CSV or JSON text.
+     * @param {Object} [options] - Import options (see importTrades and importBars).
+     * @returns {Promise<Object>} Resolves to { times, opens, highs, lows, closes, volumes, errors }.
+     * @throws {InvalidInputError} If the stream or options are invalid.
+     */
+    async importBarsFromStream(stream, options = {}) {
+      this.#validateStream('importBarsFromStream', stream);
+      return new Importer('importBarsFromStream', 'bars', options, this.#validator).parseStream(stream);
+    }
+  
+    /**
+     * Checks that a value can be read with for await.
+     * @param {string} fn - Public method name used in errors.
+     * @param {*} stream - Value to check.
+     * @throws {InvalidInputError} If the value is not async iterable.
+     * @private
+     */
+    #validateStream(fn, stream) {
+      if (typeof stream?.[Symbol.asyncIterator] !== 'function') {
+        throw new InvalidInputError(fn, 'stream', 'must be a readable stream');
+      }
+    }
+  
+  
+    /**
+     * Calculates population central moments in one pass over the deviations.
+     * @param {number[]} arr - Validated values.
+     * @returns {Object} Object with n, mean, m2, m3 and m4 (divided by n).
+     * @private
+     */
+    #centralMoments(arr) {
+      const n = arr.length;
+      const mean = this.mean(arr);
+      let m2 = 0;
+      let m3 = 0;
+      let m4 = 0;
+      for (const value of arr) {
+        const d = value - mean;
+        m2 += d * d;
+        m3 += d * d * d;
+        m4 += d * d * d * d;
+      }
+      return { n, mean, m2: m2 / n, m3: m3 / n, m4: m4 / n };
+    }
+  
+    /**
+     * Calculates the sample-adjusted excess kurtosis (G2, as reported by Excel's KURT).
+     * A normal distribution scores 0; positive values mean fatter tails than normal.
+     * @param {number[]} arr - Array of numbers.
+     * @returns {number} Excess kurtosis (0 when all values are equal).
+     * @throws {InvalidInputError} If the array has fewer than 4 values or contains non-numeric values.
+     * @example
+     * const stats = new Statistics();
+     * stats.calculateKurtosis([1, 2, 3, 4, 5, 30]); // returns 5.66..., a fat tail
+     */
+    calculateKurtosis(arr) {
+      arr = this.#validator.numberArray('calculateKurtosis', 'arr', arr, { minLength: 4 });
+      if (arr.every(value => value === arr[0])) return 0;
+  
+      const { n, m2, m4 } = this.#centralMoments(arr);
+      const g2 = m4 / (m2 * m2) - 3;
+      return ((n + 1) * g2 + 6) * (n - 1) / ((n - 2) * (n - 3));
+    }
+  
+    /**
+     * Validates a sample for a normality test and returns it sorted.
+     * @param {string} fn - Public method name used in errors.
+     * @param {number[]} arr - Sample.
+     * @param {number} minLength - Smallest sample the test supports.
+     * @param {number} alpha - Significance level.
+     * @returns {number[]} Sorted sample.
+     * @throws {InvalidInputError} If the sample is too small, constant or alpha is not in (0, 1).
+     * @private
+     */
+    #normalitySample(fn, arr, minLength, alpha) {
+      arr = this.#validator.numberArray(fn, 'arr', arr, { minLength });
+      this.#validator.number(fn, 'options.alpha', alpha, { positive: true, max: 1 });
+      if (arr.every(value => value === arr[0])) {
+        throw new InsufficientDataError(fn, 'arr', 'must contain at least two distinct values');
+      }
+      return [...arr].sort((a, b) => a - b);
+    }
+  
+    /**
+     * Runs the Jarque-Bera normality test, which checks whether skewness and excess
+     * kurtosis match a normal distribution. Reliable for larger samples (n > 30).
+     * @param {number[]} arr - Sample (e.g., returns).
+     * @param {Object} [options] - Test options.
+     * @param {number} [options.alpha=0.05] - Significance level.
+     * @returns {Object} Object with statistic, pValue, skewness, excessKurtosis (population
+     * moments) and isNormal (pValue >= alpha).
+     * @throws {InvalidInputError} If the sample has fewer than 3 values or is constant.
+     */
+    jarqueBeraTest(arr, { alpha = 0.05 } = {}) {
+      const sorted = this.#normalitySample('jarqueBeraTest', arr, 3, alpha);
+      const { n, m2, m3, m4 } = this.#centralMoments(sorted);
+      const skewness = m3 / Math.pow(m2, 1.5);
+      const excessKurtosis = m4 / (m2 * m2) - 3;
+      const statistic = n / 6 * (skewness * skewness + excessKurtosis * excessKurtosis / 4);
+      // Chi-squared with 2 degrees of freedom has a closed-form survival function
+      const pValue = Math.exp(-statistic / 2);
+      return { statistic, pValue, skewness, excessKurtosis, isNormal: pValue >= alpha };
+    }
+  
+    /**
+     * Runs the Shapiro-Wilk normality test using Royston's (1995) approximation,
+     * the most powerful of the common tests for small and medium samples.
+     * @param {number[]} arr - Sample of 3 to 5000 values.
+     * @param {Object} [options] - Test options.
+     * @param {number} [options.alpha=0.05] - Significance level.
+     * @returns {Object} Object with statistic (W), pValue and isNormal.
+     * @throws {InvalidInputError} If the sample size is outside 3-5000 or the sample is constant.
+     * @example
+     * const stats = new Statistics();
+     * stats.shapiroWilkTest([148, 154, 158, 160, 161, 162, 166, 170, 182, 195, 236]);
+     * // returns { statistic: 0.7888, pValue: 0.0067, isNormal: false }
+     */
+    shapiroWilkTest(arr, { alpha = 0.05 } = {}) {
+      const fn = 'shapiroWilkTest';
+      const x = this.#normalitySample(fn, arr, 3, alpha);
+      const n = x.length;
+      if (n > 5000) {
+        throw new InvalidInputError(fn, 'arr', 'must contain at most 5000 values');
+      }
+  
+      // Coefficients from expected normal order statistics (Royston's approximation)
+      let weights;
+      if (n === 3) {
+        weights = [-Math.SQRT1_2, 0, Math.SQRT1_2];
+      } else {
+        const m = Array.from({ length: n }, (_, i) => normalQuantile((i + 1 - 0.375) / (n + 0.25)));
+        const mSquared = m.reduce((sum, value) => sum + value * value, 0);
+        const u = 1 / Math.sqrt(n);
+        const last = m[n - 1] / Math.sqrt(mSquared) + polynomial([0, 0.221157, -0.147981, -2.07119, 4.434685, -2.706056], u);
+        weights = new Array(n);
+        weights[n - 1] = last;
+        weights[0] = -last;
+  
+        let epsilon;
+        let fixed = 1;
+        if (n > 5) {
+          const secondLast = m[n - 2] / Math.sqrt(mSquared) + polynomial([0, 0.042981, -0.293762, -1.752461, 5.682633, -3.582633], u);
+          weights[n - 2] = secondLast;
+          weights[1] = -secondLast;
+          epsilon = (mSquared - 2 * m[n - 1] ** 2 - 2 * m[n - 2] ** 2) / (1 - 2 * last ** 2 - 2 * secondLast ** 2);
+          fixed = 2;
+        } else {
+          epsilon = (mSquared - 2 * m[n - 1] ** 2) / (1 - 2 * last ** 2);
+        }
+        for (let i = fixed; i < n - fixed; i++) {
+          weights[i] = m[i] / Math.sqrt(epsilon);
+        }
+      }
+  
+      const mean = this.mean(x);
+      const numerator = weights.reduce((sum, weight, i) => sum + weight * x[i], 0) ** 2;
+      const denominator = x.reduce((sum, value) => sum + (value - mean) ** 2, 0);
+      const statistic = Math.min(numerator / denominator, 1);
+  
+      let pValue;
+      if (n === 3) {
+        pValue = Math.max(0, 6 / Math.PI * (Math.asin(Math.sqrt(statistic)) - Math.asin(Math.sqrt(0.75))));
+      } else if (n <= 11) {
+        const gamma = polynomial([-2.273, 0.459], n);
+        const y = Math.log(1 - statistic);
+        if (y >= gamma) {
+          pValue = 0;
+        } else {
+          const mu = polynomial([0.544, -0.39978, 0.025054, -6.714e-4], n);
+          const sigma = Math.exp(polynomial([1.3822, -0.77857, 0.062767, -0.0020322], n));
+          pValue = 1 - normalCdf((-Math.log(gamma - y) - mu) / sigma);
+        }
+      } else {
+        const logN = Math.log(n);
+        const mu = polynomial([-1.5861, -0.31082, -0.083751, 0.0038915], logN);
+        const sigma = Math.exp(polynomial([-0.4803, -0.082676, 0.0030302], logN));
+        pValue = 1 - normalCdf((Math.log(1 - statistic) - mu) / sigma);
+      }
+  
+      return { statistic, pValue, isNormal: pValue >= alpha };
+    }
+  
+    /**
+     * Runs the Anderson-Darling normality test with estimated mean and standard deviation.
+     * It weights the tails more heavily than Kolmogorov-Smirnov, which suits fat-tail checks.
+     * @param {number[]} arr - Sample of at least 8 values.
+     * @param {Object} [options] - Test options.
+     * @param {number} [options.alpha=0.05] - Significance level.
+     * @returns {Object} Object with statistic (A²), adjustedStatistic (small-sample corrected),
+     * pValue and isNormal.
+     * @throws {InvalidInputError} If the sample has fewer than 8 values or is constant.
+     */
+    andersonDarlingTest(arr, { alpha = 0.05 } = {}) {
+      const x = this.#normalitySample('andersonDarlingTest', arr, 8, alpha);
+      const n = x.length;
+      const mean = this.mean(x);
+      const sd = Math.sqrt(x.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (n - 1));
+  
+      let sum = 0;
+      for (let i = 0; i < n; i++) {
+        const lower = normalCdf((x[i] - mean) / sd);
+        const upper = normalCdf(-(x[n - 1 - i] - mean) / sd);
+        sum += (2 * i + 1) * (Math.log(lower) + Math.log(upper));
+      }
+      const statistic = -n - sum / n;
+      const adjustedStatistic = statistic * (1 + 0.75 / n + 2.25 / (n * n));
+  
+      // D'Agostino & Stephens (1986) p-value approximation
+      const a = adjustedStatistic;
+      let pValue;
+      if (a < 0.2) {
+        pValue = 1 - Math.exp(-13.436 + 101.14 * a - 223.73 * a * a);
+      } else if (a < 0.34) {
+        pValue = 1 - Math.exp(-8.318 + 42.796 * a - 59.938 * a * a);
+      } else if (a < 0.6) {
+        pValue = Math.exp(0.9177 - 4.279 * a - 1.38 * a * a);
+      } else if (a < 10) {
+        pValue = Math.exp(1.2937 - 5.709 * a + 0.0186 * a * a);
+      } else {
+        pValue = 3.7e-24;
+      }
+      return { statistic, adjustedStatistic, pValue, isNormal: pValue >= alpha };
+    }
+  
+    /**
+     * Runs the Kolmogorov-Smirnov normality test. With a known mean and standard deviation
+     * the classic Kolmogorov distribution is used; otherwise they are estimated from the
+     * sample and the Lilliefors correction (Dallal-Wilkinson approximation) applies.
+     * @param {number[]} arr - Sample of at least 5 values.
+     * @param {Object} [options] - Test options.
+     * @param {number} [options.mean] - Hypothesized mean (requires standardDeviation).
+     * @param {number} [options.standardDeviation] - Hypothesized standard deviation (requires mean).
+     * @param {number} [options.alpha=0.05] - Significance level.
+     * @returns {Object} Object with statistic (D), pValue, method ('lilliefors' or 'kolmogorov') and isNormal.
+     * @throws {InvalidInputError} If the sample has fewer than 5 values, is constant, or only one parameter is given.
+     */
+    kolmogorovSmirnovTest(arr, { mean, standardDeviation, alpha = 0.05 } = {}) {
+      const fn = 'kolmogorovSmirnovTest';
+      const x = this.#normalitySample(fn, arr, 5, alpha);
+      const n = x.length;
+      const known = mean !== undefined || standardDeviation !== undefined;
+      if (known) {
+        mean = this.#validator.number(fn, 'options.mean', mean);
+        standardDeviation = this.#validator.number(fn, 'options.standardDeviation', standardDeviation, { positive: true });
+      } else {
+        mean = this.mean(x);
+        standardDeviation = Math.sqrt(x.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (n - 1));
+      }
+  
+      let statistic = 0;
+      x.forEach((value, i) => {
+        const p = normalCdf((value - mean) / standardDeviation);
+        statistic = Math.max(statistic, (i + 1) / n - p, p - i / n);
+      });
+  
+      let pValue;
+      if (known) {
+        pValue = kolmogorovSurvival((Math.sqrt(n) + 0.12 + 0.11 / Math.sqrt(n)) * statistic);
+      } else {
+        // Dallal & Wilkinson (1986), with Stephens' (1974) formula above p = 0.1
+        const kd = n <= 100 ? statistic : statistic * Math.pow(n / 100, 0.49);
+        const nd = Math.min(n, 100);
+        pValue = Math.exp(-7.01256 * kd * kd * (nd + 2.78019) + 2.99587 * kd * Math.sqrt(nd + 2.78019) -
+          0.122119 + 0.974598 / Math.sqrt(nd) + 1.67997 / nd);
+        if (pValue > 0.1) {
+          const k = (Math.sqrt(n) - 0.01 + 0.85 / Math.sqrt(n)) * statistic;
+          if (k <= 0.302) pValue = 1;
+          else if (k <= 0.5) pValue = 2.76773 - 19.828315 * k + 80.709644 * k ** 2 - 138.55152 * k ** 3 + 81.218052 * k ** 4;
+          else if (k <= 0.9) pValue = -4.901232 + 40.662806 * k - 97.490286 * k ** 2 + 94.029866 * k ** 3 - 32.355711 * k ** 4;
+          else if (k <= 1.31) pValue = 6.198765 - 19.558097 * k + 23.186922 * k ** 2 - 12.234627 * k ** 3 + 2.423045 * k ** 4;
+          else pValue = 0;
+        }
+      }
+      return { statistic, pValue, method: known ? 'kolmogorov' : 'lilliefors', isNormal: pValue >= alpha };
+    }
+  
+    /**
+     * Runs every normality test the sample is large enough for.
+     * @param {number[]} arr - Validated sample.
+     * @param {number} alpha - Significance level.
+     * @returns {Object} Object with jarqueBera, shapiroWilk, andersonDarling and kolmogorovSmirnov
+     * results (null where the sample is too small, too large or constant).
+     * @private
+     */
+    #normalityTests(arr, alpha) {
+      const constant = arr.every(value => value === arr[0]);
+      const run = (test, minLength, maxLength = Infinity) =>
+        !constant && arr.length >= minLength && arr.length <= maxLength ? test.call(this, arr, { alpha }) : null;
+      return {
+        jarqueBera: run(this.jarqueBeraTest, 3),
+        shapiroWilk: run(this.shapiroWilkTest, 3, 5000),
+        andersonDarling: run(this.andersonDarlingTest, 8),
+        kolmogorovSmirnov: run(this.kolmogorovSmirnovTest, 5)
+      };
+    }
+  
+    /**
+     * Builds a histogram with equal-width bins.
+     * @param {number[]} arr - Array of numbers.
+     * @param {Object} [options] - Histogram options.
+     * @param {(number|string)} [options.bins='sturges'] - Number of bins, or a rule: 'sturges', 'scott'
+     * or 'freedmanDiaconis'.
+     * @returns {Object} Object with binWidth and bins ({ lower, upper, count, frequency }); the last
+     * bin includes its upper edge and frequency is a decimal share of all values.
+     * @throws {InvalidInputError} If the array is empty or the bin option is invalid.
+     * @example
+     * const stats = new Statistics();
+     * stats.calculateHistogram([1, 2, 2, 3, 3, 3, 4], { bins: 3 });
+     * // returns { binWidth: 1, bins: [{ lower: 1, upper: 2, count: 1, frequency: 0.1428... }, ...] }
+     */
+    calculateHistogram(arr, { bins = 'sturges' } = {}) {
+      const fn = 'calculateHistogram';
+      arr = this.#validator.numberArray(fn, 'arr', arr);
+      const n = arr.length;
+      const min = this.maxOrMin(arr, 'min');
+      const max = this.maxOrMin(arr, 'max');
+  
+      let count;
+      if (typeof bins === 'number') {
+        count = this.#validator.number(fn, 'options.bins', bins, { integer: true, positive: true });
+      } else {
+        this.#validator.oneOf(fn, 'options.bins', bins, ['sturges', 'scott', 'freedmanDiaconis']);
+        let width = 0;
+        if (bins === 'scott') {
+          width = 3.49 * this.standardDeviation(arr).sd * Math.pow(n, -1 / 3);
+        } else if (bins === 'freedmanDiaconis') {
+          width = 2 * (this.percentile(arr, 75) - this.percentile(arr, 25)) * Math.pow(n, -1 / 3);
+        }
+        // Sturges is also the fallback when the spread-based rules give a zero width
+        count = width > 0 ? Math.max(1, Math.ceil((max - min) / width)) : Math.ceil(Math.log2(n)) + 1;
+      }
+  
+      if (max === min) {
+        return { binWidth: 0, bins: [{ lower: min, upper: max, count: n, frequency: 1 }] };
+      }
+  
+      const binWidth = (max - min) / count;
+      const counts = new Array(count).fill(0);
+      for (const value of arr) {
+        counts[Math.min(Math.floor((value - min) / binWidth), count - 1)]++;
+      }
+      return {
+        binWidth,
+        bins: counts.map((binCount, i) => ({
+          lower: min + i * binWidth,
+          upper: i === count - 1 ? max : min + (i + 1) * binWidth,
+          count: binCount,
+          frequency: binCount / n
+        }))
+      };
+    }
+  
+    /**
+     * Summarizes a distribution with the quantiles used for tail analysis.
+     * @param {number[]} arr - Array of numbers.
+     * @returns {Object} Object with min, p1, p5, q1, median, q3, p95, p99, max and iqr.
+     * @throws {InvalidInputError} If the array is empty or contains non-numeric values.
+     */
+    calculateQuantileSummary(arr) {
+      arr = this.#validator.numberArray('calculateQuantileSummary', 'arr', arr);
+      const q1 = this.percentile(arr, 25);
+      const q3 = this.percentile(arr, 75);
+      return {
+        min: this.maxOrMin(arr, 'min'),
+        p1: this.percentile(arr, 1),
+        p5: this.percentile(arr, 5),
+        q1,
+        median: this.median(arr),
+        q3,
+        p95: this.percentile(arr, 95),
+        p99: this.percentile(arr, 99),
+        max: this.maxOrMin(arr, 'max'),
+        iqr: q3 - q1
+      };
+    }
+  
+    /**
+     * Describes the tails of a return distribution from its excess kurtosis and skewness.
+     * @param {number} kurtosis - Excess kurtosis.
+     * @param {(number|null)} skewness - Skewness, or null if unknown.
+     * @returns {Object} Object with value, level ('low', 'normal', 'elevated' or 'extreme') and interpretation.
+     * @private
+     */
+    #interpretTailRisk(kurtosis, skewness) {
+      const { low, elevated, extreme } = this.#rules.tailRisk;
+      const bound = this.#rules.skewness.moderate;
+      const level = kurtosis > extreme ? 'extreme' : kurtosis > elevated ? 'elevated' : kurtosis < low ? 'low' : 'normal';
+  
+      let key;
+      if (level === 'low' || level === 'normal') {
+        key = level;
+      } else if (skewness !== null && skewness < -bound) {
+        key = 'fatLeft';
+      } else if (skewness !== null && skewness > bound) {
+        key = 'fatRight';
+      } else {
+        key = level === 'extreme' ? 'veryFat' : 'fat';
+      }
+      return { value: kurtosis, level, interpretation: this.#messages.text(`tailRisk.${key}`) };
+    }
+  
+    /**
+     * Produces a full distribution profile: moments, quantiles, histogram, normality tests
+     * and a tail-risk interpretation.
+     * @param {number[]} arr - Array of numbers (e.g., returns).
+     * @param {Object} [options] - Options.
+     * @param {(number|string)} [options.bins='sturges'] - Histogram bins (see calculateHistogram).
+     * @param {number} [options.alpha=0.05] - Significance level for the normality tests.
+     * @returns {Object} Object with count, mean, standardDeviation, skewness and excessKurtosis (null
+     * when there are too few values), quantiles, histogram, normality and tailRisk.
+     * @throws {InvalidInputError} If the array is empty or contains non-numeric values.
+     * @example
+     * const stats = new Statistics();
+     * const profile = stats.analyzeDistribution(stats.calculateReturns(closes));
+     * profile.normality.shapiroWilk.isNormal; // false for most daily return series
+     * profile.tailRisk.interpretation;
+     */
+    analyzeDistribution(arr, { bins = 'sturges', alpha = 0.05 } = {}) {
+      const fn = 'analyzeDistribution';
+      arr = this.#validator.numberArray(fn, 'arr', arr);
+      alpha = this.#validator.number(fn, 'options.alpha', alpha, { positive: true, max: 1 });
+  
+      const skewness = arr.length >= 3 ? this.calculateSkewness(arr) : null;
+      const excessKurtosis = arr.length >= 4 ? this.calculateKurtosis(arr) : null;
+      return {
+        count: arr.length,
+        mean: this.mean(arr),
+        standardDeviation: this.standardDeviation(arr).sd,
+        skewness,
+        excessKurtosis,
+        quantiles: this.calculateQuantileSummary(arr),
+        histogram: this.calculateHistogram(arr, { bins }),
+        normality: this.#normalityTests(arr, alpha),
+        tailRisk: excessKurtosis !== null ? this.#interpretTailRisk(excessKurtosis, skewness) : null
+      };
+    }
+  
+  
+    /**
+     * Validates the options shared by the Value-at-Risk methods.
+     * @param {string} fn - Public method name used in errors.
+     * @param {Object} options - VaR options (see calculateValueAtRisk).
+     * @returns {Object} Validated settings with defaults applied.
+     * @throws {InvalidInputError} If any option is invalid.
+     * @private
+     */
+    #valueAtRiskOptions(fn, options) {
+      this.#validator.object(fn, 'options', options);
+      const {
+        method = 'historical',
+        confidenceLevel = 95,
+        horizon = 1,
+        simulations = 10000,
+        sampling = 'normal',
+        seed,
+        portfolioValue
+      } = options;
+  
+      this.#validator.oneOf(fn, 'options.method', method, ['historical', 'gaussian', 'cornishFisher', 'monteCarlo']);
+      this.#validator.number(fn, 'options.confidenceLevel', confidenceLevel, { positive: true });
+      if (confidenceLevel >= 100) {
+        throw new InvalidInputError(fn, 'options.confidenceLevel', 'must be below 100');
+      }
+      this.#validator.oneOf(fn, 'options.sampling', sampling, ['normal', 'bootstrap']);
+      return {
+        method,
+        confidenceLevel: Number(confidenceLevel),
+        horizon: this.#validator.number(fn, 'options.horizon', horizon, { integer: true, positive: true }),
+        simulations: this.#validator.number(fn, 'options.simulations', simulations, { integer: true, positive: true }),
+        sampling,
+        seed: seed === undefined ? undefined : this.#validator.number(fn, 'options.seed', seed, { integer: true }),
+        portfolioValue: portfolioValue === undefined
+          ? undefined
+          : this.#validator.number(fn, 'options.portfolioValue', portfolioValue, { positive: true })
+      };
+    }
+  
+    /**
+     * Calculates VaR and Expected Shortfall as the empirical tail of a sample of returns.
+     * @param {number[]} sample - Returns.
+     * @param {number} tail - Tail probability (e.g., 0.05).
+     * @returns {Object} Object with valueAtRisk and expectedShortfall as positive losses.
+     * @private
+     */
+    #empiricalValueAtRisk(sample, tail) {
+      const quantile = this.percentile(sample, tail * 100);
+      const tailReturns = sample.filter(r => r <= quantile);
+      return { valueAtRisk: -quantile, expectedShortfall: -this.mean(tailReturns) };
+    }
+  
+    /**
+     * Calculates Gaussian VaR and Expected Shortfall.
+     * @param {number} mean - Mean return over the horizon.
+     * @param {number} sd - Standard deviation over the horizon.
+     * @param {number} tail - Tail probability.
+     * @returns {Object} Object with valueAtRisk and expectedShortfall.
+     * @private
+     */
+    #gaussianValueAtRisk(mean, sd, tail) {
+      const z = normalQuantile(tail);
+      const density = Math.exp(-z * z / 2) / Math.sqrt(2 * Math.PI);
+      return { valueAtRisk: -(mean + z * sd), expectedShortfall: -(mean - sd * density / tail) };
+    }
+  
+    /**
+     * Calculates Cornish-Fisher VaR, adjusting the normal quantile for skewness and excess
+     * kurtosis. Expected Shortfall averages the adjusted quantiles across the tail.
+     * @param {number} mean - Mean return over the horizon.
+     * @param {number} sd - Standard deviation over the horizon.
+     * @param {number} skewness - Skewness over the horizon.
+     * @param {number} kurtosis - Excess kurtosis over the horizon.
+     * @param {number} tail - Tail probability.
+     * @returns {Object} Object with valueAtRisk and expectedShortfall.
+     * @private
+     */
+    #cornishFisherValueAtRisk(mean, sd, skewness, kurtosis, tail) {
+      const quantile = p => {
+        const z = normalQuantile(p);
+        const adjusted = z +
+          (z * z - 1) * skewness / 6 +
+          (z ** 3 - 3 * z) * kurtosis / 24 -
+          (2 * z ** 3 - 5 * z) * skewness * skewness / 36;
+        return mean + adjusted * sd;
+      };
+  
+      // Midpoint rule over the tail probabilities
+      const steps = 1000;
+      let tailSum = 0;
+      for (let k = 0; k < steps; k++) {
+        tailSum += quantile(tail * (k + 0.5) / steps);
+      }
+      return { valueAtRisk: -quantile(tail), expectedShortfall: -tailSum / steps };
+    }
+  
+    /**
+     * Creates a standard normal sampler (Box-Muller) on top of a seedable generator.
+     * @param {number} [seed] - Seed for reproducible draws.
+     * @returns {function(): number} Function returning standard normal draws.
+     * @private
+     */
+    #normalSampler(seed) {
+      const random = this.createRandomGenerator(seed);
+      return () => Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+    }
+  
+    /**
+     * Simulates compounded horizon returns.
+     * @param {Object} settings - Validated VaR settings.
+     * @param {function(): number} draw - Function returning one single-period return.
+     * @returns {number[]} Simulated horizon returns.
+     * @private
+     */
+    #simulateHorizonReturns({ simulations, horizon }, draw) {
+      const results = new Array(simulations);
+      for (let s = 0; s < simulations; s++) {
+        let growth = 1;
+        for (let h = 0; h < horizon; h++) growth *= 1 + draw();
+        results[s] = growth - 1;
+      }
+      return results;
+    }
+  
+    /**
+     * Calculates VaR and Expected Shortfall for one validated return series.
+     * @param {string} fn - Public method name used in errors.
+     * @param {number[]} returns - Validated returns.
+     * @param {Object} settings - Validated VaR settings.
+     * @returns {Object} Object with valueAtRisk and expectedShortfall.
+     * @private
+     */
+    #seriesValueAtRisk(fn, returns, settings) {
+      const { method, horizon, confidenceLevel, sampling, seed } = settings;
+      const tail = 1 - confidenceLevel / 100;
+      const { sd, mean } = this.standardDeviation(returns);
+  
+      if (method === 'historical') {
+        if (returns.length - horizon + 1 < 2) {
+          throw new InsufficientDataError(fn, 'returns', `must contain at least ${horizon + 1} values for a ${horizon}-period horizon`);
+        }
+        // Overlapping compounded returns over the horizon
+        const sample = [];
+        for (let i = 0; i + horizon <= returns.length; i++) {
+          sample.push(returns.slice(i, i + horizon).reduce((growth, r) => growth * (1 + r), 1) - 1);
+        }
+        return this.#empiricalValueAtRisk(sample, tail);
+      }
+  
+      if (method === 'gaussian') {
+        return this.#gaussianValueAtRisk(mean * horizon, sd * Math.sqrt(horizon), tail);
+      }
+  
+      if (method === 'cornishFisher') {
+        if (returns.length < 4) {
+          throw new InsufficientDataError(fn, 'returns', 'must contain at least 4 values for Cornish-Fisher VaR');
+        }
+        // Skewness and excess kurtosis of a sum of i.i.d. returns shrink with the horizon
+        return this.#cornishFisherValueAtRisk(
+          mean * horizon,
+          sd * Math.sqrt(horizon),
+          this.calculateSkewness(returns) / Math.sqrt(horizon),
+          this.calculateKurtosis(returns) / horizon,
+          tail
+        );
+      }
+  
+      let draw;
+      if (sampling === 'bootstrap') {
+        const random = this.createRandomGenerator(seed);
+        draw = () => returns[Math.floor(random() * returns.length)];
+      } else {
+        const normal = this.#normalSampler(seed);
+        draw = () => mean + sd * normal();
+      }
+      return this.#empiricalValueAtRisk(this.#simulateHorizonReturns(settings, draw), tail);
+    }
+  
+    /**
+     * Builds the public VaR result.
+     * @param {Object} settings - Validated VaR settings.
+     * @param {Object} risk - Object with valueAtRisk and expectedShortfall.
+     * @returns {Object} VaR result.
+     * @private
+     */
+    #valueAtRiskResult({ method, confidenceLevel, horizon, portfolioValue }, { valueAtRisk, expectedShortfall }) {
+      return {
+        method,
+        confidenceLevel,
+        horizon,
+        valueAtRisk,
+        expectedShortfall,
+        ...(portfolioValue !== undefined && {
+          valueAtRiskAmount: valueAtRisk * portfolioValue,
+          expectedShortfallAmount: expectedShortfall * portfolioValue
+        })
+      };
+    }
+  
+    /**
+     * Calculates Value-at-Risk and Expected Shortfall (Conditional VaR) of a return series.
+     * Both are reported as positive losses in return units (0.025 = 2.5% of the position).
+     * @param {number[]} returns - Periodic returns as decimals (e.g., from calculateReturns).
+     * @param {Object} [options] - VaR options.
+     * @param {string} [options.method='historical'] - 'historical', 'gaussian', 'cornishFisher' (Gaussian adjusted
+     * for skewness and excess kurtosis) or 'monteCarlo'.
+     * @param {number} [options.confidenceLevel=95] - Confidence level percentage (e.g., 99).
+     * @param {number} [options.horizon=1] - Holding period in return periods. Historical VaR uses overlapping
+     * compounded returns, parametric methods scale with the square root of time and Monte Carlo compounds
+     * simulated paths.
+     * @param {number} [options.simulations=10000] - Monte Carlo paths.
+     * @param {string} [options.sampling='normal'] - Monte Carlo draws: 'normal' (fitted Gaussian) or 'bootstrap'.
+     * @param {number} [options.seed] - Seed for reproducible Monte Carlo results.
+     * @param {number} [options.portfolioValue] - Adds valueAtRiskAmount and expectedShortfallAmount in currency.
+     * @returns {Object} Object with method, confidenceLevel, horizon, valueAtRisk and expectedShortfall.
+     * @throws {InvalidInputError} If returns or options are invalid.
+     * @example
+     * const stats = new Statistics();
+     * stats.calculateValueAtRisk(returns, { method: 'cornishFisher', confidenceLevel: 99, horizon: 10 });
+     * // returns { method: 'cornishFisher', confidenceLevel: 99, horizon: 10, valueAtRisk: 0.081, expectedShortfall: 0.097 }
+     */
+    calculateValueAtRisk(returns, options = {}) {
+      const fn = 'calculateValueAtRisk';
+      returns = this.#validator.numberArray(fn, 'returns', returns, { minLength: 2 });
+      const settings = this.#valueAtRiskOptions(fn, options);
+      return this.#valueAtRiskResult(settings, this.#seriesValueAtRisk(fn, returns, settings));
+    }
+  
+    /**
+     * Calculates the covariance matrix of aligned return series.
+     * @param {number[][]} series - One return series per asset.
+     * @param {boolean} [sample=false] - Divide by n - 1 instead of n.
+     * @returns {number[][]} Covariance matrix.
+     * @private
+     */
+    #covarianceMatrix(series, sample = false) {
+      const means = series.map(values => this.mean(values));
+      const n = series[0].length;
+      return series.map((a, i) => series.map((b, j) => {
+        let sum = 0;
+        for (let t = 0; t < n; t++) sum += (a[t] - means[i]) * (b[t] - means[j]);
+        return sum / (sample ? n - 1 : n);
+      }));
+    }
+  
+    /**
+     * Cholesky factorization that tolerates positive semi-definite matrices (e.g., perfectly
+     * correlated assets) by zeroing degenerate columns.
+     * @param {string} fn - Public method name used in errors.
+     * @param {number[][]} matrix - Symmetric covariance matrix.
+     * @returns {number[][]} Lower-triangular L with L Lᵀ = matrix.
+     * @throws {InvalidInputError} If the matrix is not positive semi-definite.
+     * @private
+     */
+    #cholesky(fn, matrix) {
+      const size = matrix.length;
+      const lower = Array.from({ length: size }, () => new Array(size).fill(0));
+      for (let j = 0; j < size; j++) {
+        let diagonal = matrix[j][j];
+        for (let k = 0; k < j; k++) diagonal -= lower[j][k] ** 2;
+        const tolerance = 1e-12 * Math.max(1, Math.abs(matrix[j][j]));
+        if (diagonal < -tolerance) {
+          throw new InvalidInputError(fn, 'options.covarianceMatrix', 'must be positive semi-definite');
+        }
+        if (diagonal <= tolerance) continue;
+        lower[j][j] = Math.sqrt(diagonal);
+        for (let i = j + 1; i < size; i++) {
+          let sum = matrix[i][j];
+          for (let k = 0; k < j; k++) sum -= lower[i][k] * lower[j][k];
+          lower[i][j] = sum / lower[j][j];
+        }
+      }
+      return lower;
+    }
+  
+    /**
+     * Calculates Value-at-Risk and Expected Shortfall of a weighted portfolio, either from the
+     * assets' return history or from a covariance matrix.
+     * @param {number[]} weights - Portfolio weights as decimals (e.g., [0.6, 0.4]).
+     * @param {Object} options - VaR options (see calculateValueAtRisk) plus the portfolio inputs.
+     * @param {number[][]} [options.returns] - Aligned return series, one per asset. Required for the
+     * historical and Cornish-Fisher methods and for bootstrap sampling.
+     * @param {number[][]} [options.covarianceMatrix] - Asset covariance matrix (estimated from returns when omitted).
+     * @param {number[]} [options.expectedReturns] - Mean asset returns per period (from returns, or 0 when
+     * only a covariance matrix is given).
+     * @returns {Object} VaR result plus portfolioMean and portfolioStandardDeviation per period; Gaussian
+     * results also include contributions, the component VaR of each asset (they sum to valueAtRisk).
+     * @throws {InvalidInputError} If weights, series or the covariance matrix are invalid or inconsistent.
+     * @example
+     * const stats = new Statistics();
+     * stats.calculatePortfolioValueAtRisk([0.6, 0.4], {
+     *   covarianceMatrix: [[0.0004, 0.0001], [0.0001, 0.0009]],
+     *   method: 'gaussian',
+     *   confidenceLevel: 99
+     * });
+     * // returns { valueAtRisk: 0.0426, contributions: [0.0213, 0.0213], portfolioStandardDeviation: 0.0183, ... }
+     */
+    calculatePortfolioValueAtRisk(weights, options = {}) {
+      const fn = 'calculatePortfolioValueAtRisk';
+      weights = this.#validator.numberArray(fn, 'weights', weights);
+      const settings = this.#valueAtRiskOptions(fn, options);
+      const size = weights.length;
+  
+      let returns = null;
+      if (options.returns !== undefined) {
+        this.#validator.array(fn, 'options.returns', options.returns, { minLength: 1 });
+        if (options.returns.length !== size) {
+          throw new InvalidInputError(fn, 'options.returns', `must contain one series per weight (${size})`);
+        }
+        returns = options.returns.map((series, i) =>
+          this.#validator.numberArray(fn, `options.returns[${i}]`, series, { minLength: 2 }));
+        if (returns.some(series => series.length !== returns[0].length)) {
+          throw new InvalidInputError(fn, 'options.returns', 'must contain series of the same length');
+        }
+      }
+  
+      let covariance;
+      if (options.covarianceMatrix !== undefined) {
+        this.#validator.array(fn, 'options.covarianceMatrix', options.covarianceMatrix, { minLength: size });
+        covariance = options.covarianceMatrix.map((row, i) => {
+          row = this.#validator.numberArray(fn, `options.covarianceMatrix[${i}]`, row, { minLength: size });
+          if (row.length !== size) {
+            throw new InvalidInputError(fn, 'options.covarianceMatrix', `must be a ${size}x${size} matrix`);
+          }
+          return row;
+        });
+        if (covariance.length !== size) {
+          throw new InvalidInputError(fn, 'options.covarianceMatrix', `must be a ${size}x${size} matrix`);
+        }
+        covariance.forEach((row, i) => row.forEach((value, j) => {
+          if (Math.abs(value - covariance[j][i]) > 1e-12 * Math.max(1, Math.abs(value))) {
+            throw new InvalidInputError(fn, 'options.covarianceMatrix', 'must be symmetric');
+          }
+        }));
+      } else if (returns !== null) {
+        covariance = this.#covarianceMatrix(returns);
+      } else {
+        throw new InvalidInputError(fn, 'options', 'must include returns or a covarianceMatrix');
+      }
+  
+      let means;
+      if (options.expectedReturns !== undefined) {
+        means = this.#validator.numberArray(fn, 'options.expectedReturns', options.expectedReturns);
+        if (means.length !== size) {
+          throw new InvalidInputError(fn, 'options.expectedReturns', `must contain one value per weight (${size})`);
+        }
+      } else {
+        means = returns !== null ? returns.map(series => this.mean(series)) : new Array(size).fill(0);
+      }
+  
+      const weighted = covariance.map(row => row.reduce((sum, value, j) => sum + value * weights[j], 0));
+      const portfolioMean = weights.reduce((sum, weight, i) => sum + weight * means[i], 0);
+      const portfolioVariance = weights.reduce((sum, weight, i) => sum + weight * weighted[i], 0);
+      const portfolioStandardDeviation = Math.sqrt(Math.max(portfolioVariance, 0));
+      const { method, horizon, confidenceLevel } = settings;
+      const tail = 1 - confidenceLevel / 100;
+  
+      let risk;
+      let contributions;
+      if (method === 'gaussian') {
+        risk = this.#gaussianValueAtRisk(portfolioMean * horizon, portfolioStandardDeviation * Math.sqrt(horizon), tail);
+        // Euler allocation: each asset's share of the portfolio mean and volatility
+        const z = normalQuantile(tail);
+        contributions = weights.map((weight, i) => -(weight * means[i] * horizon +
+          (portfolioStandardDeviation > 0 ? z * Math.sqrt(horizon) * weight * weighted[i] / portfolioStandardDeviation : 0)));
+      } else if (method === 'monteCarlo' && settings.sampling === 'normal') {
+        const lower = this.#cholesky(fn, covariance);
+        const normal = this.#normalSampler(settings.seed);
+        risk = this.#empiricalValueAtRisk(this.#simulateHorizonReturns(settings, () => {
+          const shocks = weights.map(() => normal());
+          return weights.reduce((sum, weight, i) =>
+            sum + weight * (means[i] + lower[i].reduce((shock, l, k) => shock + l * shocks[k], 0)), 0);
+        }), tail);
+      } else {
+        if (returns === null) {
+          throw new InvalidInputError(fn, 'options.returns', `are required for the ${method} method${method === 'monteCarlo' ? ' with bootstrap sampling' : ''}`);
+        }
+        const portfolioReturns = returns[0].map((_, t) => weights.reduce((sum, weight, i) => sum + weight * returns[i][t], 0));
+        risk = this.#seriesValueAtRisk(fn, portfolioReturns, settings);
+      }
+  
+      return {
+        ...this.#valueAtRiskResult(settings, risk),
+        portfolioMean,
+        portfolioStandardDeviation,
+        ...(contributions && { contributions })
+      };
+    }
+  
+    /**
+     * Runs Kupiec's proportion-of-failures (POF) test on VaR breaches: whether losses beyond
+     * VaR happen as often as the confidence level promises.
+     * @param {number[]} returns - Realized returns.
+     * @param {(number|number[])} valueAtRisk - VaR forecast as a positive loss, either one value or one per return.
+     * @param {Object} [options] - Test options.
+     * @param {number} [options.confidenceLevel=95] - Confidence level percentage the VaR was computed at.
+     * @param {number} [options.alpha=0.05] - Significance level of the test.
+     * @returns {Object} Object with observations, breaches, expectedBreaches, breachRate, statistic (likelihood
+     * ratio, chi-squared with 1 degree of freedom), pValue and rejected (true when the VaR model should be rejected).
+     * @throws {InvalidInputError} If the inputs are invalid or misaligned.
+     * @example
+     * const stats = new Statistics();
+     * stats.kupiecTest(returns, 0.02, { confidenceLevel: 99 });
+     * // returns { observations: 250, breaches: 6, expectedBreaches: 2.5, pValue: 0.0594, rejected: false, ... }
+     */
+    kupiecTest(returns, valueAtRisk, { confidenceLevel = 95, alpha = 0.05 } = {}) {
+      const fn = 'kupiecTest';
+      returns = this.#validator.numberArray(fn, 'returns', returns);
+      const forecasts = Array.isArray(valueAtRisk)
+        ? this.#validator.numberArray(fn, 'valueAtRisk', valueAtRisk)
+        : new Array(returns.length).fill(this.#validator.number(fn, 'valueAtRisk', valueAtRisk));
+      if (forecasts.length !== returns.length) {
+        throw new InvalidInputError(fn, 'valueAtRisk', 'must contain one forecast per return');
+      }
+      this.#validator.number(fn, 'options.confidenceLevel', confidenceLevel, { positive: true });
+      if (confidenceLevel >= 100) {
+        throw new InvalidInputError(fn, 'options.confidenceLevel', 'must be below 100');
+      }
+      alpha = this.#validator.number(fn, 'options.alpha', alpha, { positive: true, max: 1 });
+  
+      const observations = returns.length;
+      const breaches = returns.filter((r, i) => r < -forecasts[i]).length;
+      const p = 1 - confidenceLevel / 100;
+      const observed = breaches / observations;
+      // x log(y) with the 0 log(0) = 0 convention
+      const xlogy = (x, y) => (x === 0 ? 0 : x * Math.log(y));
+      const statistic = Math.max(0, -2 * (
+        xlogy(observations - breaches, 1 - p) + xlogy(breaches, p) -
+        xlogy(observations - breaches, 1 - observed) - xlogy(breaches, observed)
+      ));
+      const pValue = erfc(Math.sqrt(statistic / 2));
+  
+      return {
+        observations,
+        breaches,
+        expectedBreaches: observations * p,
+        breachRate: observed,
+        statistic,
+        pValue,
+        rejected: pValue < alpha
+      };
+    }
+  
+    /**
+     * Backtests a VaR method by forecasting each period's VaR from a rolling window of the
+     * preceding returns, counting breaches and running Kupiec's POF test on them.
+     * @param {number[]} returns - Return series.
+     * @param {Object} [options] - VaR options (see calculateValueAtRisk; the horizon is always 1).
+     * @param {number} [options.window=250] - Number of past returns each forecast uses.
+     * @param {number} [options.alpha=0.05] - Significance level of the Kupiec test.
+     * @returns {Object} Object with forecasts (null during the first window), breaches (indices where
+     * the loss exceeded the forecast) and kupiec (see kupiecTest).
+     * @throws {InvalidInputError} If the series is not longer than the window or options are invalid.
+     */
+    backtestValueAtRisk(returns, options = {}) {
+      const fn = 'backtestValueAtRisk';
+      returns = this.#validator.numberArray(fn, 'returns', returns);
+      const { window = 250, alpha = 0.05, ...rest } = options;
+      const settings = { ...this.#valueAtRiskOptions(fn, rest), horizon: 1 };
+      this.#validator.number(fn, 'options.window', window, { integer: true, min: 2 });
+      if (returns.length <= window) {
+        throw new InsufficientDataError(fn, 'returns', `must contain more than ${window} values (the window)`);
+      }
+  
+      const forecasts = new Array(returns.length).fill(null);
+      const breaches = [];
+      for (let i = window; i < returns.length; i++) {
+        forecasts[i] = this.#seriesValueAtRisk(fn, returns.slice(i - window, i), settings).valueAtRisk;
+        if (returns[i] < -forecasts[i]) breaches.push(i);
+      }
+  
+      return {
+        forecasts,
+        breaches,
+        kupiec: this.kupiecTest(returns.slice(window), forecasts.slice(window), {
+          confidenceLevel: settings.confidenceLevel,
+          alpha
+        })
+      };
+    }
+  
+  
+    /**
+     * Validates two paired series of the same length.
+     * @param {string} fn - Public method name used in errors.
+     * @param {Object<string, *>} pair - The two series keyed by argument name.
+     * @param {number} [minLength=2] - Minimum number of values.
+     * @returns {number[][]} The (possibly coerced) series.
+     * @throws {InvalidInputError} If either series is invalid or the lengths differ.
+     * @private
+     */
+    #pairedSeries(fn, pair, minLength = 2) {
+      const [[xName, x], [yName, y]] = Object.entries(pair);
+      const first = this.#validator.numberArray(fn, xName, x, { minLength });
+      const second = this.#validator.numberArray(fn, yName, y, { minLength });
+      if (first.length !== second.length) {
+        throw new InvalidInputError(fn, yName, `must have the same length as ${xName}`);
+      }
+      return [first, second];
+    }
+  
+    /**
+     * Aligns return series keyed by symbol. Plain arrays must already be aligned; { times, values }
+     * series are joined on the timestamps present in every series.
+     * @param {string} fn - Public method name used in errors.
+     * @param {Object<string, (number[]|Object)>} seriesBySymbol - Series keyed by symbol.
+     * @param {Object} [rules] - Extra rules.
+     * @param {number} [rules.minSymbols=1] - Minimum number of series.
+     * @param {number} [rules.minLength=2] - Minimum number of aligned values.
+     * @returns {Object} Object with symbols, times (null for plain arrays) and series keyed by symbol.
+     * @throws {InvalidInputError} If a series is invalid or the series cannot be aligned.
+     * @private
+     */
+    #alignSeries(fn, seriesBySymbol, { minSymbols = 1, minLength = 2 } = {}) {
+      this.#validator.object(fn, 'seriesBySymbol', seriesBySymbol);
+      const symbols = Object.keys(seriesBySymbol);
+      if (symbols.length < minSymbols) {
+        throw new InsufficientDataError(fn, 'seriesBySymbol', `must contain at least ${minSymbols} series`);
+      }
+  
+      const timed = symbols.filter(symbol => !Array.isArray(seriesBySymbol[symbol]));
+      const series = {};
+      let times = null;
+      if (timed.length === 0) {
+        symbols.forEach(symbol => {
+          series[symbol] = this.#validator.numberArray(fn, `seriesBySymbol.${symbol}`, seriesBySymbol[symbol]);
+        });
+        if (new Set(symbols.map(symbol => series[symbol].length)).size > 1) {
+          throw new InvalidInputError(fn, 'seriesBySymbol', 'must contain series of the same length, or { times, values } series to align by timestamp');
+        }
+      } else {
+        if (timed.length !== symbols.length) {
+          throw new InvalidInputError(fn, 'seriesBySymbol', 'must not mix plain arrays with { times, values } series');
+        }
+        const lookups = symbols.map(symbol => {
+          const arg = `seriesBySymbol.${symbol}`;
+          const entry = this.#validator.object(fn, arg, seriesBySymbol[symbol]);
+          const values = this.#validator.numberArray(fn, `${arg}.values`, entry.values);
+          this.#validator.array(fn, `${arg}.times`, entry.times);
+          if (entry.times.length !== values.length) {
+            throw new InvalidInputError(fn, `${arg}.times`, 'must have the same length as values');
+          }
+          const lookup = new Map();
+          entry.times.forEach((time, i) => {
+            const timestamp = new Date(time).getTime();
+            if (isNaN(timestamp)) {
+              throw new InvalidInputError(fn, `${arg}.times`, `contains an invalid date at index ${i}`);
+            }
+            if (lookup.has(timestamp)) {
+              throw new InvalidInputError(fn, `${arg}.times`, `contains a duplicate timestamp at index ${i}`);
+            }
+            lookup.set(timestamp, values[i]);
+          });
+          return lookup;
+        });
+  
+        // Inner join: keep only the timestamps every series has
+        const timestamps = [...lookups[0].keys()]
+          .filter(timestamp => lookups.every(lookup => lookup.has(timestamp)))
+          .sort((a, b) => a - b);
+        symbols.forEach((symbol, k) => {
+          series[symbol] = timestamps.map(timestamp => lookups[k].get(timestamp));
+        });
+        times = timestamps.map(timestamp => new Date(timestamp));
+      }
+  
+      if (series[symbols[0]].length < minLength) {
+        throw new InsufficientDataError(fn, 'seriesBySymbol', `must share at least ${minLength} aligned values`);
+      }
+      return { symbols, times, series };
+    }
+  
+    /**
+     * Aligns return series keyed by symbol so they can be compared period by period.
+     * @param {Object<string, (number[]|Object)>} seriesBySymbol - Either equal-length arrays, or
+     * { times, values } objects (times as Date, epoch milliseconds or ISO strings) that are joined
+     * on the timestamps present in every series.
+     * @returns {Object} Object with symbols, times (Date[], or null for plain arrays) and series keyed by symbol.
+     * @throws {InvalidInputError} If a series is invalid, lengths differ or timestamps repeat.
+     * @example
+     * const stats = new Statistics();
+     * stats.alignSeries({
+     *   SPY: { times: ['2024-01-02', '2024-01-03', '2024-01-04'], values: [0.01, -0.02, 0.005] },
+     *   QQQ: { times: ['2024-01-02', '2024-01-04'], values: [0.015, 0.007] }
+     * });
+     * // returns { symbols: ['SPY', 'QQQ'], times: [Date, Date], series: { SPY: [0.01, 0.005], QQQ: [0.015, 0.007] } }
+     */
+    alignSeries(seriesBySymbol) {
+      return this.#alignSeries('alignSeries', seriesBySymbol, { minLength: 1 });
+    }
+  
+    /**
+     * Assigns average ranks (1-based), giving tied values the mean of their positions.
+     * @param {number[]} values - Input values.
+     * @returns {number[]} Ranks aligned to the input.
+     * @private
+     */
+    #ranks(values) {
+      const order = values.map((value, index) => ({ value, index })).sort((a, b) => a.value - b.value);
+      const ranks = new Array(values.length);
+      for (let start = 0; start < order.length;) {
+        let end = start;
+        while (end + 1 < order.length && order[end + 1].value === order[start].value) end++;
+        const rank = (start + end) / 2 + 1;
+        for (let k = start; k <= end; k++) ranks[order[k].index] = rank;
+        start = end + 1;
+      }
+      return ranks;
+    }
+  
+    /**
+     * Calculates the correlation of two validated, equal-length series.
+     * @param {number[]} x - First series.
+     * @param {number[]} y - Second series.
+     * @param {string} method - 'pearson', 'spearman' or 'kendall'.
+     * @returns {(number|null)} Correlation, or null if either series is constant.
+     * @private
+     */
+    #correlation(x, y, method) {
+      if (x.every(v => v === x[0]) || y.every(v => v === y[0])) return null;
+  
+      if (method === 'kendall') {
+        // Tau-b, which corrects for ties in either series
+        let concordant = 0;
+        let discordant = 0;
+        let tiesX = 0;
+        let tiesY = 0;
+        for (let i = 0; i < x.length; i++) {
+          for (let j = i + 1; j < x.length; j++) {
+            const dx = Math.sign(x[i] - x[j]);
+            const dy = Math.sign(y[i] - y[j]);
+            if (dx === 0 && dy === 0) continue;
+            if (dx === 0) tiesX++;
+            else if (dy === 0) tiesY++;
+            else if (dx === dy) concordant++;
+            else discordant++;
+          }
+        }
+        return (concordant - discordant) / Math.sqrt((concordant + discordant + tiesX) * (concordant + discordant + tiesY));
+      }
+  
+      if (method === 'spearman') {
+        x = this.#ranks(x);
+        y = this.#ranks(y);
+      }
+      const meanX = this.mean(x);
+      const meanY = this.mean(y);
+      let sxy = 0;
+      let sxx = 0;
+      let syy = 0;
+      for (let i = 0; i < x.length; i++) {
+        sxy += (x[i] - meanX) * (y[i] - meanY);
+        sxx += (x[i] - meanX) ** 2;
+        syy += (y[i] - meanY) ** 2;
+      }
+      return Math.max(-1, Math.min(1, sxy / Math.sqrt(sxx * syy)));
+    }
+  
+    /**
+     * Calculates the covariance of two aligned series.
+     * @param {number[]} x - First series.
+     * @param {number[]} y - Second series, aligned with x.
+     * @param {Object} [options] - Options.
+     * @param {boolean} [options.sample=false] - Sample covariance (n - 1) instead of population (n),
+     * which matches standardDeviation.
+     * @returns {number} Covariance.
+     * @throws {InvalidInputError} If the series are invalid or have different lengths.
+     */
+    calculateCovariance(x, y, { sample = false } = {}) {
+      [x, y] = this.#pairedSeries('calculateCovariance', { x, y });
+      return this.#covarianceMatrix([x, y], sample)[0][1];
+    }
+  
+    /**
+     * Calculates the correlation of two aligned series.
+     * @param {number[]} x - First series.
+     * @param {number[]} y - Second series, aligned with x.
+     * @param {Object} [options] - Options.
+     * @param {string} [options.method='pearson'] - 'pearson' (linear), 'spearman' (rank) or 'kendall' (tau-b).
+     * Rank methods are robust to outliers and fat tails.
+     * @returns {(number|null)} Correlation between -1 and 1, or null if either series is constant.
+     * @throws {InvalidInputError} If the series are invalid, have different lengths or the method is unknown.
+     * @example
+     * const stats = new Statistics();
+     * stats.calculateCorrelation([1, 2, 3, 4], [1, 3, 2, 4], { method: 'kendall' }); // 0.6667
+     */
+    calculateCorrelation(x, y, { method = 'pearson' } = {}) {
+      const fn = 'calculateCorrelation';
+      [x, y] = this.#pairedSeries(fn, { x, y });
+      this.#validator.oneOf(fn, 'options.method', method, ['pearson', 'spearman', 'kendall']);
+      return this.#correlation(x, y, method);
+    }
+  
+    /**
+     * Calculates the covariance matrix of return series keyed by symbol.
+     * @param {Object<string, (number[]|Object)>} seriesBySymbol - Series keyed by symbol (see alignSeries).
+     * @param {Object} [options] - Options.
+     * @param {boolean} [options.sample=false] - Sample covariance (n - 1) instead of population (n).
+     * @returns {Object} Object with symbols, times and matrix (rows and columns in symbol order).
+     * @throws {InvalidInputError} If the series are invalid or cannot be aligned.
+     */
+    calculateCovarianceMatrix(seriesBySymbol, { sample = false } = {}) {
+      const { symbols, times, series } = this.#alignSeries('calculateCovarianceMatrix', seriesBySymbol);
+      return { symbols, times, matrix: this.#covarianceMatrix(symbols.map(symbol => series[symbol]), sample) };
+    }
+  
+    /**
+     * Calculates the correlation matrix of return series keyed by symbol.
+     * @param {Object<string, (number[]|Object)>} seriesBySymbol - Series keyed by symbol (see alignSeries).
+     * @param {Object} [options] - Options.
+     * @param {string} [options.method='pearson'] - 'pearson', 'spearman' or 'kendall'.
+     * @returns {Object} Object with symbols, times and matrix (null entries for constant series).
+     * @throws {InvalidInputError} If the series are invalid, cannot be aligned or the method is unknown.
+     * @example
+     * const stats = new Statistics();
+     * stats.calculateCorrelationMatrix({ SPY: spyReturns, QQQ: qqqReturns, GLD: gldReturns }).matrix;
+     * // [[1, 0.92, 0.05], [0.92, 1, 0.01], [0.05, 0.01, 1]]
+     */
+    calculateCorrelationMatrix(seriesBySymbol, { method = 'pearson' } = {}) {
+      const fn = 'calculateCorrelationMatrix';
+      const { symbols, times, series } = this.#alignSeries(fn, seriesBySymbol);
+      this.#validator.oneOf(fn, 'options.method', method, ['pearson', 'spearman', 'kendall']);
+      return { symbols, times, matrix: this.#correlationMatrix(symbols.map(symbol => series[symbol]), method) };
+    }
+  
+    /**
+     * Calculates a symmetric correlation matrix.
+     * @param {number[][]} series - Aligned series.
+     * @param {string} method - Correlation method.
+     * @returns {(number|null)[][]} Correlation matrix.
+     * @private
+     */
+    #correlationMatrix(series, method) {
+      const matrix = series.map(() => new Array(series.length).fill(null));
+      series.forEach((a, i) => {
+        matrix[i][i] = a.every(v => v === a[0]) ? null : 1;
+        for (let j = i + 1; j < series.length; j++) {
+          matrix[i][j] = matrix[j][i] = this.#correlation(a, series[j], method);
+        }
+      });
+      return matrix;
+    }
+  
+    /**
+     * Calculates the rolling correlation of two aligned series. Pearson uses running sums
+     * shifted by the first values for numerical stability; rank methods re-rank each window.
+     * @param {number[]} x - First series.
+     * @param {number[]} y - Second series, aligned with x.
+     * @param {number} window - Window length (at least 2).
+     * @param {Object} [options] - Options.
+     * @param {string} [options.method='pearson'] - 'pearson', 'spearman' or 'kendall'.
+     * @returns {(number|null)[]} Rolling correlation aligned to the input, null until the window fills
+     * and for windows where either series is constant.
+     * @throws {InvalidInputError} If the series or window are invalid.
+     * @example
+     * const stats = new Statistics();
+     * stats.rollingCorrelation(spyReturns, tltReturns, 60); // 60-bar stock/bond correlation
+     */
+    rollingCorrelation(x, y, window, { method = 'pearson' } = {}) {
+      const fn = 'rollingCorrelation';
+      [x, y] = this.#pairedSeries(fn, { x, y }, 1);
+      this.#validator.number(fn, 'window', window, { integer: true, min: 2 });
+      this.#validator.oneOf(fn, 'options.method', method, ['pearson', 'spearman', 'kendall']);
+  
+      const result = new Array(x.length).fill(null);
+      if (method !== 'pearson') {
+        for (let i = window - 1; i < x.length; i++) {
+          result[i] = this.#correlation(x.slice(i - window + 1, i + 1), y.slice(i - window + 1, i + 1), method);
+        }
+        return result;
+      }
+  
+      const shiftX = x[0];
+      const shiftY = y[0];
+      let sx = 0;
+      let sy = 0;
+      let sxx = 0;
+      let syy = 0;
+      let sxy = 0;
+      for (let i = 0; i < x.length; i++) {
+        const dx = x[i] - shiftX;
+        const dy = y[i] - shiftY;
+        sx += dx;
+        sy += dy;
+        sxx += dx * dx;
+        syy += dy * dy;
+        sxy += dx * dy;
+        if (i >= window) {
+          const ox = x[i - window] - shiftX;
+          const oy = y[i - window] - shiftY;
+          sx -= ox;
+          sy -= oy;
+          sxx -= ox * ox;
+          syy -= oy * oy;
+          sxy -= ox * oy;
+        }
+  
+        if (i >= window - 1) {
+          const varianceX = sxx - sx * sx / window;
+          const varianceY = syy - sy * sy / window;
+          // Treat variance lost to rounding as a constant window
+          if (varianceX <= 1e-12 * sxx || varianceY <= 1e-12 * syy) continue;
+          result[i] = Math.max(-1, Math.min(1, (sxy - sx * sy / window) / Math.sqrt(varianceX * varianceY)));
+        }
+      }
+      return result;
+    }
+  
+    /**
+     * Calculates beta, Jensen's alpha, correlation and R² of two validated series.
+     * @param {number[]} returns - Asset returns.
+     * @param {number[]} benchmarkReturns - Benchmark returns.
+     * @param {Object} ratioOptions - Validated riskFreeRate and periodsPerYear.
+     * @returns {Object} Beta statistics.
+     * @private
+     */
+    #betaStatistics(returns, benchmarkReturns, { riskFreeRate, periodsPerYear }) {
+      const [[varianceAsset, covariance], [, varianceBenchmark]] = this.#covarianceMatrix([returns, benchmarkReturns]);
+      const correlation = this.#correlation(returns, benchmarkReturns, 'pearson');
+      if (varianceBenchmark === 0) {
+        return { beta: null, alpha: null, correlation, rSquared: null, observations: returns.length };
+      }
+  
+      const beta = covariance / varianceBenchmark;
+      const periodRiskFree = riskFreeRate / periodsPerYear;
+      const alpha = (this.mean(returns) - periodRiskFree - beta * (this.mean(benchmarkReturns) - periodRiskFree)) * periodsPerYear;
+      return {
+        beta,
+        alpha,
+        correlation,
+        rSquared: varianceAsset === 0 ? null : correlation * correlation,
+        observations: returns.length
+      };
+    }
+  
+    /**
+     * Calculates beta and Jensen's alpha of a return series against a benchmark.
+     * @param {number[]} returns - Periodic asset returns as decimals.
+     * @param {number[]} benchmarkReturns - Periodic benchmark returns aligned with returns.
+     * @param {Object} [options] - Ratio options.
+     * @param {number} [options.riskFreeRate=0] - Annual risk-free rate as decimal.
+     * @param {number} [options.periodsPerYear=252] - Number of return periods per year.
+     * @returns {Object} Object with beta, alpha (annualized), correlation, rSquared and observations; beta,
+     * alpha and rSquared are null when the benchmark is constant.
+     * @throws {InvalidInputError} If the series are invalid or have different lengths.
+     * @example
+     * const stats = new Statistics();
+     * const { beta } = stats.calculateBeta(strategyReturns, spyReturns, { riskFreeRate: 0.04 });
+     * stats.calculateTreynorRatio(strategyReturns, beta, { riskFreeRate: 0.04 });
+     */
+    calculateBeta(returns, benchmarkReturns, options = {}) {
+      const fn = 'calculateBeta';
+      [returns, benchmarkReturns] = this.#pairedSeries(fn, { returns, benchmarkReturns });
+      return this.#betaStatistics(returns, benchmarkReturns, this.#validateRatioOptions(fn, options));
+    }
+  
+    /**
+     * Calculates beta and alpha of every symbol against a benchmark symbol from the same set of series.
+     * @param {Object<string, (number[]|Object)>} seriesBySymbol - Series keyed by symbol (see alignSeries),
+     * including the benchmark.
+     * @param {string} benchmark - Symbol of the benchmark series.
+     * @param {Object} [options] - Ratio options (see calculateBeta).
+     * @returns {Object} Object with benchmark, times and results keyed by symbol (see calculateBeta).
+     * @throws {InvalidInputError} If the series are invalid or the benchmark symbol is missing.
+     * @example
+     * const stats = new Statistics();
+     * stats.calculateBetas({ SPY: spy, AAPL: aapl, XOM: xom }, 'SPY').results.AAPL.beta; // 1.21
+     */
+    calculateBetas(seriesBySymbol, benchmark, options = {}) {
+      const fn = 'calculateBetas';
+      const { symbols, times, series } = this.#alignSeries(fn, seriesBySymbol, { minSymbols: 2 });
+      this.#validator.oneOf(fn, 'benchmark', benchmark, symbols);
+      const ratioOptions = this.#validateRatioOptions(fn, options);
+  
+      const results = {};
+      symbols.filter(symbol => symbol !== benchmark).forEach(symbol => {
+        results[symbol] = this.#betaStatistics(series[symbol], series[benchmark], ratioOptions);
+      });
+      return { benchmark, times, results };
+    }
+  
+    /**
+     * Groups instruments into clusters that move together (average-linkage hierarchical clustering
+     * on correlation) and reports how many independent bets the basket really holds.
+     * @param {Object<string, (number[]|Object)>} seriesBySymbol - Series keyed by symbol (see alignSeries).
+     * @param {Object} [options] - Options.
+     * @param {string} [options.method='pearson'] - Correlation method.
+     * @param {number} [options.threshold=0.7] - Minimum average correlation for clusters to merge and for
+     * pairs to be listed as highly correlated.
+     * @returns {Object} Object with symbols, matrix, averageCorrelation, clusters ({ symbols,
+     * averageCorrelation }, largest first), highlyCorrelatedPairs and diversification ({ effectiveBets,
+     * interpretation }, the interpretation in the current language).
+     * @throws {InvalidInputError} If the series are invalid or options are out of range.
+     * @example
+     * const stats = new Statistics();
+     * const report = stats.analyzeCorrelationClusters({ SPY: spy, QQQ: qqq, IWM: iwm, GLD: gld, TLT: tlt });
+     * report.clusters; // [{ symbols: ['SPY', 'QQQ', 'IWM'], averageCorrelation: 0.88 }, { symbols: ['GLD'], ... }, ...]
+     * report.diversification.effectiveBets; // 3
+     */
+    analyzeCorrelationClusters(seriesBySymbol, { method = 'pearson', threshold = 0.7 } = {}) {
+      const fn = 'analyzeCorrelationClusters';
+      const { symbols, series } = this.#alignSeries(fn, seriesBySymbol, { minSymbols: 2 });
+      this.#validator.oneOf(fn, 'options.method', method, ['pearson', 'spearman', 'kendall']);
+      threshold = this.#validator.number(fn, 'options.threshold', threshold, { min: -1, max: 1 });
+      const matrix = this.#correlationMatrix(symbols.map(symbol => series[symbol]), method);
+  
+      // Average correlation between two groups of symbol indices, ignoring undefined pairs
+      const linkage = (a, b) => {
+        const values = [];
+        a.forEach(i => b.forEach(j => {
+          if (i !== j && matrix[i][j] !== null) values.push(matrix[i][j]);
+        }));
+        return values.length ? this.mean(values) : null;
+      };
+  
+      let clusters = symbols.map((_, i) => [i]);
+      while (clusters.length > 1) {
+        let best = null;
+        for (let a = 0; a < clusters.length; a++) {
+          for (let b = a + 1; b < clusters.length; b++) {
+            const correlation = linkage(clusters[a], clusters[b]);
+            if (correlation !== null && (best === null || correlation > best.correlation)) best = { a, b, correlation };
+          }
+        }
+        if (best === null || best.correlation < threshold) break;
+        clusters = clusters.filter((_, k) => k !== best.a && k !== best.b).concat([[...clusters[best.a], ...clusters[best.b]]]);
+      }
+  
+      const highlyCorrelatedPairs = [];
+      for (let i = 0; i < symbols.length; i++) {
+        for (let j = i + 1; j < symbols.length; j++) {
+          if (matrix[i][j] !== null && matrix[i][j] >= threshold) {
+            highlyCorrelatedPairs.push({ symbols: [symbols[i], symbols[j]], correlation: matrix[i][j] });
+          }
+        }
+      }
+      highlyCorrelatedPairs.sort((a, b) => b.correlation - a.correlation);
+  
+      const effectiveBets = clusters.length;
+      let interpretation;
+      if (effectiveBets === symbols.length) {
+        interpretation = this.#messages.text('correlationClusters.diversified');
+      } else if (effectiveBets === 1) {
+        interpretation = this.#messages.text('correlationClusters.single');
+      } else {
+        interpretation = this.#messages.text('correlationClusters.grouped', { groups: effectiveBets, instruments: symbols.length });
+      }
+  
+      return {
+        symbols,
+        matrix,
+        averageCorrelation: linkage(symbols.map((_, i) => i), symbols.map((_, i) => i)),
+        clusters: clusters
+          .map(members => ({
+            symbols: members.map(i => symbols[i]),
+            averageCorrelation: members.length > 1 ? linkage(members, members) : null
+          }))
+          .sort((a, b) => b.symbols.length - a.symbols.length),
+        highlyCorrelatedPairs,
+        diversification: { effectiveBets, interpretation }
+      };
+    }
+  
+  
+    /**
+     * Builds a function that returns the group key of a trade.
+     * Calendar groupings read the trade's time field in the given time zone.
+     * @param {string} fn - Public method name used in errors.
+     * @param {(string|string[]|function(Object): *)} groupBy - Grouping (see analyzePortfolio).
+     * @param {Object} options - Validated timeField and timezone.
+     * @returns {function(Object, number): string} Function returning the key of trades[i].
+     * @private
+     */
+    #tradeGrouper(fn, groupBy, { timeField, timezone }) {
+      if (typeof groupBy === 'function') {
+        return (trade, i) => String(groupBy(trade, i) ?? 'none');
+      }
+  
+      const fields = Array.isArray(groupBy) ? groupBy : [groupBy];
+      this.#validator.array(fn, 'options.groupBy', fields, { minLength: 1 });
+      fields.forEach((field, i) => this.#validator.string(fn, Array.isArray(groupBy) ? `options.groupBy[${i}]` : 'options.groupBy', field));
+  
+      const calendar = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        weekday: 'long',
+        year: 'numeric',
+        month: '2-digit',
+        hour: '2-digit',
+        hourCycle: 'h23'
+      });
+      const calendarFields = ['weekday', 'hour', 'month'];
+  
+      const keyOf = (trade, field, i) => {
+        if (!calendarFields.includes(field)) {
+          const value = field === 'side' && typeof trade[field] === 'string' ? trade[field].toLowerCase() : trade[field];
+          return value === undefined || value === null || value === '' ? (field === 'side' ? 'long' : 'none') : String(value);
+        }
+        const time = new Date(trade[timeField]);
+        if (trade[timeField] === undefined || trade[timeField] === null || isNaN(time.getTime())) {
+          throw new InvalidInputError(fn, `trades[${i}].${timeField}`, `must be a valid date to group by ${field}`);
+        }
+        const parts = Object.fromEntries(calendar.formatToParts(time).map(({ type, value }) => [type, value]));
+        if (field === 'weekday') return parts.weekday;
+        if (field === 'hour') return parts.hour;
+        return `${parts.year}-${parts.month}`;
+      };
+      return (trade, i) => fields.map(field => keyOf(trade, field, i)).join(' / ');
+    }
+  
+    /**
+     * Groups a trade ledger (by symbol, strategy tag, side, weekday, hour, month or any trade field)
+     * and reports the full metric set per group alongside the combined portfolio, plus each
+     * group's share of total P&L and risk.
+     * @param {Object[]} trades - Closed trades (see calculateTradePnL). When every trade has a valid
+     * time field they are ordered by it, otherwise they are taken in the given order.
+     * @param {Object} [options] - Report options.
+     * @param {(string|string[]|function(Object): *)} [options.groupBy='symbol'] - Trade field to group by
+     * ('symbol', 'strategy', 'side' or any other key), a calendar grouping ('weekday', 'hour', 'month'),
+     * an array of these for nested groups (keys joined with " / "), or a function returning the key.
+     * @param {number} [options.startingBalance=10000] - Balance each equity curve starts from.
+     * @param {number} [options.riskPerTrade=2] - Risk percentage per trade (see analyzeTrades).
+     * @param {string} [options.timeField='exitTime'] - Trade field used for ordering and calendar groupings.
+     * @param {string} [options.timezone='UTC'] - IANA time zone for calendar groupings (e.g., 'America/New_York').
+     * @returns {Object} Object with groupBy, portfolio ({ metrics, equityCurve }) and groups, largest net
+     * profit first. Each group has key, metrics (see analyzeTrades), maxDrawdown and ulcerIndex of its own
+     * equity curve, and contribution: pnl (share of portfolio net profit), risk (share of the variance of
+     * the portfolio's P&L, by day when trades are timed and by trade otherwise; shares sum to 1) and
+     * drawdown (share of the loss during the portfolio's deepest drawdown). Shares are decimals, or null
+     * when the portfolio total is zero.
+     * @throws {InvalidInputError} If trades or options are invalid.
+     * @example
+     * const stats = new Statistics();
+     * const report = stats.analyzePortfolio(trades, { groupBy: ['strategy', 'symbol'] });
+     * report.groups[0]; // { key: 'breakout / ES', metrics: { winRate: 48.2, ... }, contribution: { pnl: 0.61, risk: 0.44, ... } }
+     * report.portfolio.equityCurve.maxDrawdown.percent;
+     */
+    analyzePortfolio(trades, options = {}) {
+      const fn = 'analyzePortfolio';
+      this.#validator.array(fn, 'trades', trades, { minLength: 1 });
+      this.#validator.object(fn, 'options', options);
+      const {
+        groupBy = 'symbol',
+        riskPerTrade = 2,
+        timeField = 'exitTime',
+        timezone = 'UTC'
+      } = options;
+      const startingBalance = this.#validator.number(fn, 'options.startingBalance', options.startingBalance ?? 10000, { positive: true });
+      this.#validator.number(fn, 'options.riskPerTrade', riskPerTrade, { positive: true, max: 100 });
+      this.#validator.string(fn, 'options.timeField', timeField);
+      this.#validator.string(fn, 'options.timezone', timezone);
+      try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      } catch (error) {
+        throw new InvalidInputError(fn, 'options.timezone', 'must be a supported IANA time zone');
+      }
+      if (typeof groupBy !== 'function' && typeof groupBy !== 'string' && !Array.isArray(groupBy)) {
+        throw new InvalidInputError(fn, 'options.groupBy', 'must be a field name, an array of field names or a function');
+      }
+  
+      // Validate every trade up front so errors point at the caller's index
+      const ledger = trades.map((trade, i) => ({
+        trade,
+        index: i,
+        pnl: this.#tradePnL(fn, trade, `trades[${i}]`),
+        time: trade && trade[timeField] !== undefined && trade[timeField] !== null
+          ? new Date(trade[timeField]).getTime()
+          : NaN
+      }));
+      const timed = ledger.every(entry => !isNaN(entry.time));
+      if (timed) ledger.sort((a, b) => a.time - b.time || a.index - b.index);
+  
+      const grouper = this.#tradeGrouper(fn, groupBy, { timeField, timezone });
+      const groups = new Map();
+      ledger.forEach((entry, position) => {
+        entry.position = position;
+        const key = grouper(entry.trade, entry.index);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(entry);
+      });
+  
+      const pnls = ledger.map(entry => entry.pnl);
+      const equityCurve = this.buildEquityCurve(pnls, startingBalance);
+      const netProfit = pnls.reduce((sum, pnl) => sum + pnl, 0);
+  
+      // Risk buckets: calendar days (UTC) for timed ledgers, single trades otherwise
+      const bucketOf = entry => (timed ? Math.floor(entry.time / 86400000) : entry.position);
+      const buckets = [...new Set(ledger.map(bucketOf))];
+      const bucketIndex = new Map(buckets.map((bucket, i) => [bucket, i]));
+      const bucketTotals = new Array(buckets.length).fill(0);
+      ledger.forEach(entry => { bucketTotals[bucketIndex.get(bucketOf(entry))] += entry.pnl; });
+      const totalMean = this.mean(bucketTotals);
+      const totalVariance = bucketTotals.reduce((sum, value) => sum + (value - totalMean) ** 2, 0);
+  
+      // The deepest drawdown runs from equity index peakIndex to troughIndex, i.e. trades peakIndex..troughIndex - 1
+      const { peakIndex, troughIndex, absolute: drawdownDepth } = equityCurve.maxDrawdown;
+  
+      const share = (part, total) => (total === 0 ? null : part / total);
+      const results = [...groups.entries()].map(([key, entries]) => {
+        const groupPnls = entries.map(entry => entry.pnl);
+        const groupCurve = this.buildEquityCurve(groupPnls, startingBalance);
+        const groupNet = groupPnls.reduce((sum, pnl) => sum + pnl, 0);
+  
+        const bucketValues = new Array(buckets.length).fill(0);
+        entries.forEach(entry => { bucketValues[bucketIndex.get(bucketOf(entry))] += entry.pnl; });
+        const groupMean = this.mean(bucketValues);
+        const covariance = bucketValues.reduce((sum, value, i) => sum + (value - groupMean) * (bucketTotals[i] - totalMean), 0);
+  
+        const drawdownLoss = peakIndex === null
+          ? 0
+          : -entries
+            .filter(entry => entry.position >= peakIndex && entry.position < troughIndex)
+            .reduce((sum, entry) => sum + entry.pnl, 0);
+  
+        return {
+          key,
+          metrics: this.analyzeTrades(entries.map(entry => entry.trade), { riskPerTrade }),
+          netProfit: groupNet,
+          maxDrawdown: groupCurve.maxDrawdown,
+          ulcerIndex: groupCurve.ulcerIndex,
+          contribution: {
+            pnl: share(groupNet, netProfit),
+            risk: share(covariance, totalVariance),
+            drawdown: share(drawdownLoss, drawdownDepth)
+          }
+        };
+      });
+      results.sort((a, b) => b.netProfit - a.netProfit);
+  
+      return {
+        groupBy: typeof groupBy === 'function' ? 'custom' : groupBy,
+        portfolio: {
+          metrics: this.analyzeTrades(ledger.map(entry => entry.trade), { riskPerTrade }),
+          equityCurve
+        },
+        groups: results
+      };
+    }
+  
+  
+    /**
+     * Calculates Kaufman's efficiency ratio: net price change divided by the sum of absolute
+     * bar-to-bar changes. 1 is a straight-line trend, values near 0 are choppy, directionless markets.
+     * @param {number[]} closes - Array of closing prices.
+     * @param {number} [period=10] - Lookback period.
+     * @returns {(number|null)[]} Efficiency ratio aligned to the input, null during warm-up.
+     * @throws {InvalidInputError} If closes or period are invalid.
+     */
+    calculateEfficiencyRatio(closes, period = 10) {
+      ({ closes } = this.#validator.priceArrays('calculateEfficiencyRatio', { closes }));
+      period = this.#validatePeriod('calculateEfficiencyRatio', period);
+  
+      const result = new Array(closes.length).fill(null);
+      let path = 0;
+      for (let i = 1; i < closes.length; i++) {
+        path += Math.abs(closes[i] - closes[i - 1]);
+        if (i > period) path -= Math.abs(closes[i - period] - closes[i - period - 1]);
+        if (i >= period) {
+          result[i] = path === 0 ? 0 : Math.min(1, Math.abs(closes[i] - closes[i - period]) / path);
+        }
+      }
+      return result;
+    }
+  
+    /**
+     * Estimates the Hurst exponent of a return series with classic rescaled range (R/S) analysis.
+     * H > 0.5 indicates persistent (trending) behaviour, H < 0.5 mean reversion and H ≈ 0.5 a
+     * random walk. Classic R/S is biased upwards on short samples, so compare values across
+     * series of similar length rather than against 0.5 alone.
+     * @param {number[]} returns - Periodic returns (not prices).
+     * @param {Object} [options] - Options.
+     * @param {number} [options.minWindow=8] - Smallest sub-series length; windows double up to half the sample.
+     * @returns {(number|null)} Hurst exponent, or null if every sub-series is constant.
+     * @throws {InvalidInputError} If returns are invalid or shorter than 4 × minWindow.
+     * @example
+     * const stats = new Statistics();
+     * stats.calculateHurstExponent(stats.calculateReturns(closes)); // e.g. 0.58
+     */
+    calculateHurstExponent(returns, { minWindow = 8 } = {}) {
+      const fn = 'calculateHurstExponent';
+      minWindow = this.#validator.number(fn, 'options.minWindow', minWindow, { integer: true, min: 4 });
+      returns = this.#validator.numberArray(fn, 'returns', returns, { minLength: 4 * minWindow });
+      return this.#hurstExponent(returns, minWindow);
+    }
+  
+    /**
+     * Calculates the R/S Hurst exponent of validated returns.
+     * @param {number[]} returns - Returns.
+     * @param {number} minWindow - Smallest window.
+     * @returns {(number|null)} Hurst exponent, or null if it cannot be measured.
+     * @private
+     */
+    #hurstExponent(returns, minWindow) {
+      const points = [];
+      for (let size = minWindow; size <= returns.length / 2; size *= 2) {
+        const ratios = [];
+        for (let start = 0; start + size <= returns.length; start += size) {
+          const chunk = returns.slice(start, start + size);
+          const mean = this.mean(chunk);
+          let cumulative = 0;
+          let max = 0;
+          let min = 0;
+          let squares = 0;
+          for (const value of chunk) {
+            cumulative += value - mean;
+            max = Math.max(max, cumulative);
+            min = Math.min(min, cumulative);
+            squares += (value - mean) ** 2;
+          }
+          const sd = Math.sqrt(squares / size);
+          if (sd > 0) ratios.push((max - min) / sd);
+        }
+        if (ratios.length) points.push([Math.log(size), Math.log(this.mean(ratios))]);
+      }
+      if (points.length < 2) return null;
+  
+      // Least-squares slope of log(R/S) against log(window)
+      const meanX = this.mean(points.map(([x]) => x));
+      const meanY = this.mean(points.map(([, y]) => y));
+      const numerator = points.reduce((sum, [x, y]) => sum + (x - meanX) * (y - meanY), 0);
+      const denominator = points.reduce((sum, [x]) => sum + (x - meanX) ** 2, 0);
+      return numerator / denominator;
+    }
+  
+    /**
+     * Fits a Gaussian hidden Markov model with the Baum-Welch (EM) algorithm and decodes the most
+     * likely state sequence with Viterbi. States are ordered by variance, so state 0 is always the
+     * calmest. Initialization splits the sorted values into equal groups, so results are deterministic.
+     * @param {number[]} values - Observations (e.g., log returns).
+     * @param {Object} [options] - Options.
+     * @param {number} [options.states=2] - Number of hidden states (2 or 3).
+     * @param {number} [options.maxIterations=100] - Maximum EM iterations.
+     * @param {number} [options.tolerance=1e-6] - Stop when the log-likelihood improves by less than this.
+     * @returns {Object} Object with means, variances, transitionMatrix, initialProbabilities, logLikelihood,
+     * iterations, converged, path (Viterbi state per observation) and probabilities (smoothed state
+     * probabilities per observation).
+     * @throws {InvalidInputError} If values are invalid, too short (5 per state) or constant.
+     * @example
+     * const stats = new Statistics();
+     * const model = stats.fitHiddenMarkovModel(logReturns, { states: 2 });
+     * model.transitionMatrix[1][1]; // probability that a volatile day is followed by another one
+     */
+    fitHiddenMarkovModel(values, { states = 2, maxIterations = 100, tolerance = 1e-6 } = {}) {
+      const fn = 'fitHiddenMarkovModel';
+      states = this.#validator.number(fn, 'options.states', states, { integer: true, min: 2, max: 3 });
+      maxIterations = this.#validator.number(fn, 'options.maxIterations', maxIterations, { integer: true, positive: true });
+      tolerance = this.#validator.number(fn, 'options.tolerance', tolerance, { positive: true });
+      values = this.#validator.numberArray(fn, 'values', values, { minLength: 5 * states });
+      if (values.every(v => v === values[0])) {
+        throw new InvalidInputError(fn, 'values', 'must contain at least 2 distinct values');
+      }
+      return this.#fitHiddenMarkovModel(values, states, maxIterations, tolerance);
+    }
+  
+    /**
+     * Baum-Welch and Viterbi for a Gaussian HMM on validated values.
+     * @param {number[]} values - Observations.
+     * @param {number} k - Number of states.
+     * @param {number} maxIterations - Maximum EM iterations.
+     * @param {number} tolerance - Log-likelihood convergence tolerance.
+     * @returns {Object} Fitted model (see fitHiddenMarkovModel).
+     * @private
+     */
+    #fitHiddenMarkovModel(values, k, maxIterations, tolerance) {
+      const n = values.length;
+      const sorted = [...values].sort((a, b) => a - b);
+      const totalMean = this.mean(values);
+      const varianceFloor = 1e-6 * this.mean(values.map(v => (v - totalMean) ** 2));
+  
+      let means = [];
+      let variances = [];
+      for (let s = 0; s < k; s++) {
+        const group = sorted.slice(Math.floor(s * n / k), Math.floor((s + 1) * n / k));
+        const mean = this.mean(group);
+        means.push(mean);
+        variances.push(Math.max(this.mean(group.map(v => (v - mean) ** 2)), varianceFloor));
+      }
+      let transition = Array.from({ length: k }, (_, i) => Array.from({ length: k }, (_, j) => (i === j ? 0.9 : 0.1 / (k - 1))));
+      let initial = new Array(k).fill(1 / k);
+  
+      const density = (x, s) => Math.max(
+        Math.exp(-((x - means[s]) ** 2) / (2 * variances[s])) / Math.sqrt(2 * Math.PI * variances[s]),
+        1e-300
+      );
+  
+      let logLikelihood = -Infinity;
+      let gamma = [];
+      let iterations = 0;
+      let converged = false;
+      while (iterations < maxIterations) {
+        iterations++;
+        const emissions = values.map(x => means.map((_, s) => density(x, s)));
+  
+        // Forward pass, scaled per step to avoid underflow
+        const alpha = [];
+        const scale = [];
+        for (let t = 0; t < n; t++) {
+          const row = emissions[t].map((b, s) => b * (t === 0
+            ? initial[s]
+            : alpha[t - 1].reduce((sum, a, j) => sum + a * transition[j][s], 0)));
+          const total = row.reduce((sum, v) => sum + v, 0);
+          scale.push(total);
+          alpha.push(row.map(v => v / total));
+        }
+  
+        const beta = new Array(n);
+        beta[n - 1] = new Array(k).fill(1);
+        for (let t = n - 2; t >= 0; t--) {
+          beta[t] = transition.map(row => row.reduce(
+            (sum, a, s) => sum + a * emissions[t + 1][s] * beta[t + 1][s], 0) / scale[t + 1]);
+        }
+  
+        gamma = alpha.map((row, t) => {
+          const weights = row.map((a, s) => a * beta[t][s]);
+          const total = weights.reduce((sum, v) => sum + v, 0);
+          return weights.map(v => v / total);
+        });
+        const expectedTransitions = Array.from({ length: k }, () => new Array(k).fill(0));
+        for (let t = 0; t < n - 1; t++) {
+          for (let i = 0; i < k; i++) {
+            for (let j = 0; j < k; j++) {
+              expectedTransitions[i][j] += alpha[t][i] * transition[i][j] * emissions[t + 1][j] * beta[t + 1][j] / scale[t + 1];
+            }
+          }
+        }
+  
+        initial = gamma[0];
+        transition = expectedTransitions.map(row => {
+          const total = row.reduce((sum, v) => sum + v, 0);
+          return total > 0 ? row.map(v => v / total) : new Array(k).fill(1 / k);
+        });
+        means = means.map((mean, s) => {
+          const weight = gamma.reduce((sum, row) => sum + row[s], 0);
+          return weight > 0 ? gamma.reduce((sum, row, t) => sum + row[s] * values[t], 0) / weight : mean;
+        });
+        variances = variances.map((variance, s) => {
+          const weight = gamma.reduce((sum, row) => sum + row[s], 0);
+          if (weight === 0) return variance;
+          return Math.max(gamma.reduce((sum, row, t) => sum + row[s] * (values[t] - means[s]) ** 2, 0) / weight, varianceFloor);
+        });
+  
+        const previous = logLikelihood;
+        logLikelihood = scale.reduce((sum, c) => sum + Math.log(c), 0);
+        if (Math.abs(logLikelihood - previous) < tolerance) {
+          converged = true;
+          break;
+        }
+      }
+  
+      // Viterbi decoding in log space with the final parameters
+      const logTransition = transition.map(row => row.map(p => Math.log(p)));
+      let scores = means.map((_, s) => Math.log(initial[s] || 1e-300) + Math.log(density(values[0], s)));
+      const backPointers = [];
+      for (let t = 1; t < n; t++) {
+        const pointers = [];
+        scores = means.map((_, s) => {
+          let best = 0;
+          for (let j = 1; j < k; j++) {
+            if (scores[j] + logTransition[j][s] > scores[best] + logTransition[best][s]) best = j;
+          }
+          pointers.push(best);
+          return scores[best] + logTransition[best][s] + Math.log(density(values[t], s));
+        });
+        backPointers.push(pointers);
+      }
+      const path = new Array(n);
+      path[n - 1] = scores.indexOf(Math.max(...scores));
+      for (let t = n - 2; t >= 0; t--) path[t] = backPointers[t][path[t + 1]];
+  
+      // Relabel states from lowest to highest variance
+      const order = variances.map((variance, s) => [variance, s]).sort((a, b) => a[0] - b[0]).map(([, s]) => s);
+      const rank = new Array(k);
+      order.forEach((s, r) => { rank[s] = r; });
+      return {
+        means: order.map(s => means[s]),
+        variances: order.map(s => variances[s]),
+        transitionMatrix: order.map(i => order.map(j => transition[i][j])),
+        initialProbabilities: order.map(s => initial[s]),
+        logLikelihood,
+        iterations,
+        converged,
+        path: path.map(s => rank[s]),
+        probabilities: gamma.map(row => order.map(s => row[s]))
+      };
+    }
+  
+    /**
+     * Summarizes a sequence of regime labels: transition counts and probabilities, how long each
+     * regime lasts, how often it occurs and the regime in force at the end.
+     * @param {(string|null)[]} labels - Label per bar; null bars are skipped.
+     * @returns {Object} Object with counts, probabilities, averageDuration, frequency and current
+     * ({ label, duration }).
+     * @private
+     */
+    #transitionStatistics(labels) {
+      const sequence = labels.filter(label => label !== null);
+      const counts = {};
+      const runs = {};
+      let runLength = 0;
+      sequence.forEach((label, i) => {
+        counts[label] = counts[label] || {};
+        runLength++;
+        const next = sequence[i + 1];
+        if (next !== undefined) counts[label][next] = (counts[label][next] || 0) + 1;
+        if (next !== label) {
+          (runs[label] = runs[label] || []).push(runLength);
+          runLength = 0;
+        }
+      });
+  
+      const probabilities = {};
+      Object.entries(counts).forEach(([from, row]) => {
+        const total = Object.values(row).reduce((sum, count) => sum + count, 0);
+        probabilities[from] = {};
+        Object.entries(row).forEach(([to, count]) => { probabilities[from][to] = count / total; });
+      });
+      const averageDuration = {};
+      const frequency = {};
+      Object.entries(runs).forEach(([label, lengths]) => {
+        averageDuration[label] = this.mean(lengths);
+        frequency[label] = this.sumOneArray(lengths) / sequence.length;
+      });
+  
+      const last = sequence[sequence.length - 1];
+      return {
+        counts,
+        probabilities,
+        averageDuration,
+        frequency,
+        current: last === undefined ? null : { label: last, duration: runs[last][runs[last].length - 1] }
+      };
+    }
+  
+    /**
+     * Labels every bar with a trend and volatility regime from validated price arrays.
+     * @param {string} fn - Public method name used in errors.
+     * @param {number[]} highs - Highs.
+     * @param {number[]} lows - Lows.
+     * @param {number[]} closes - Closes.
+     * @param {Object} options - Regime options (see detectRegimes).
+     * @returns {Object} Regime report (see detectRegimes); current is null when no bar could be labeled.
+     * @private
+     */
+    #detectRegimes(fn, highs, lows, closes, options) {
+      this.#validator.object(fn, 'options', options);
+      let {
+        period = 14,
+        adxThreshold = 25,
+        efficiencyThreshold = 0.3,
+        volatilityWindow = 20,
+        volatilityLookback = 252,
+        volatilityPercentiles = [33, 67],
+        biasThreshold = 0.15,
+        hmm = false
+      } = options;
+      period = this.#validatePeriod(fn, period, 'options.period');
+      adxThreshold = this.#validator.number(fn, 'options.adxThreshold', adxThreshold, { min: 0, max: 100 });
+      efficiencyThreshold = this.#validator.number(fn, 'options.efficiencyThreshold', efficiencyThreshold, { min: 0, max: 1 });
+      volatilityWindow = this.#validator.number(fn, 'options.volatilityWindow', volatilityWindow, { integer: true, min: 2 });
+      volatilityLookback = this.#validator.number(fn, 'options.volatilityLookback', volatilityLookback, { integer: true, min: 2 });
+      const [lowPercentile, highPercentile] = this.#validator.numberArray(fn, 'options.volatilityPercentiles', volatilityPercentiles, { minLength: 2 });
+      if (!(lowPercentile >= 0 && lowPercentile < highPercentile && highPercentile <= 100)) {
+        throw new InvalidInputError(fn, 'options.volatilityPercentiles', 'must be [low, high] with 0 <= low < high <= 100');
+      }
+      biasThreshold = this.#validator.number(fn, 'options.biasThreshold', biasThreshold, { min: 0, max: 1 });
+  
+      const n = closes.length;
+      const { adx, plusDI, minusDI } = this.calculateADX(highs, lows, closes, period);
+      const efficiencyRatio = this.calculateEfficiencyRatio(closes, period);
+  
+      // Realized volatility of log returns, aligned to bars (bar i uses returns up to i)
+      const logReturns = closes.slice(1).map((close, i) => Math.log(close / closes[i]));
+      if (logReturns.some(r => !isFinite(r))) {
+        throw new InvalidInputError(fn, 'closes', 'must contain only positive prices');
+      }
+      const realizedVolatility = [null, ...(logReturns.length ? this.rollingStandardDeviation(logReturns, volatilityWindow) : [])];
+  
+      // Percentile rank of today's volatility within the trailing lookback, kept in a sorted window
+      const history = [];
+      const countAtMost = value => {
+        let low = 0;
+        let high = history.length;
+        while (low < high) {
+          const mid = (low + high) >> 1;
+          if (history[mid] <= value) low = mid + 1;
+          else high = mid;
+        }
+        return low;
+      };
+      const volatilityPercentile = realizedVolatility.map((value, i) => {
+        const expired = i >= volatilityLookback ? realizedVolatility[i - volatilityLookback] : null;
+        if (expired !== null) history.splice(countAtMost(expired) - 1, 1);
+        if (value === null) return null;
+        history.splice(countAtMost(value), 0, value);
+        if (history.length < Math.min(volatilityLookback, volatilityWindow)) return null;
+        return countAtMost(value) / history.length * 100;
+      });
+  
+      const trend = closes.map((_, i) => {
+        if (adx[i] === null || efficiencyRatio[i] === null) return null;
+        if (adx[i] < adxThreshold || efficiencyRatio[i] < efficiencyThreshold) return 'ranging';
+        return plusDI[i] >= minusDI[i] ? 'trending up' : 'trending down';
+      });
+      const volatility = volatilityPercentile.map(rank => {
+        if (rank === null) return null;
+        return rank <= lowPercentile ? 'low' : rank > highPercentile ? 'high' : 'moderate';
+      });
+      const labels = trend.map((t, i) => (t === null || volatility[i] === null ? null : `${t}, ${volatility[i]} volatility`));
+  
+      const hurstExponent = logReturns.length >= 32 ? this.#hurstExponent(logReturns, 8) : null;
+      const persistence = hurstExponent === null
+        ? null
+        : hurstExponent > 0.55 ? 'trending' : hurstExponent < 0.45 ? 'mean-reverting' : 'random walk';
+  
+      let hiddenMarkov = null;
+      if (hmm) {
+        const settings = hmm === true ? {} : this.#validator.object(fn, 'options.hmm', hmm);
+        const states = this.#validator.number(fn, 'options.hmm.states', settings.states ?? 2, { integer: true, min: 2, max: 3 });
+        if (logReturns.length < 5 * states || logReturns.every(r => r === logReturns[0])) {
+          throw new InsufficientDataError(fn, 'closes', `must contain at least ${5 * states + 1} bars with changing prices for a ${states}-state HMM`);
+        }
+        const model = this.#fitHiddenMarkovModel(
+          logReturns,
+          states,
+          this.#validator.number(fn, 'options.hmm.maxIterations', settings.maxIterations ?? 100, { integer: true, positive: true }),
+          this.#validator.number(fn, 'options.hmm.tolerance', settings.tolerance ?? 1e-6, { positive: true })
+        );
+        const names = states === 2 ? ['calm', 'volatile'] : ['calm', 'normal', 'turbulent'];
+        const hmmLabels = [null, ...model.path.map(s => names[s])];
+        hiddenMarkov = { ...model, stateNames: names, labels: hmmLabels, transitions: this.#transitionStatistics(hmmLabels) };
+      }
+  
+      const transitions = this.#transitionStatistics(labels);
+      const lastLabeled = labels.map(label => label !== null).lastIndexOf(true);
+  
+      // Bias keeps the interpretMarketPatterns definition, measured over the last period bars
+      const recent = logReturns.slice(-period);
+      const upShare = recent.filter(r => r > 0).length / Math.max(recent.length, 1);
+      const downShare = recent.filter(r => r < 0).length / Math.max(recent.length, 1);
+      const bias = Math.abs(upShare - downShare) < biasThreshold ? 'neutral' : upShare > downShare ? 'bullish' : 'bearish';
+  
+      const current = lastLabeled === -1
+        ? null
+        : {
+          index: lastLabeled,
+          label: labels[lastLabeled],
+          marketType: trend[lastLabeled],
+          volatility: volatility[lastLabeled],
+          duration: transitions.current.duration,
+          bias,
+          hurstExponent,
+          persistence
+        };
+  
+      return {
+        summary: current ? this.#marketSummary(current.marketType, bias, current.volatility) : null,
+        current,
+        labels,
+        trend,
+        volatility,
+        signals: { adx, efficiencyRatio, realizedVolatility, volatilityPercentile },
+        hurstExponent,
+        transitions,
+        hmm: hiddenMarkov,
+        bars: n
+      };
+    }
+  
+    /**
+     * Detects market regimes from measurable signals and labels every bar. Trend comes from ADX
+     * and the efficiency ratio (both must clear their thresholds, with +DI/-DI giving the direction),
+     * volatility from the percentile rank of realized volatility within a trailing lookback. The
+     * Hurst exponent describes persistence over the whole sample, and an optional Gaussian HMM
+     * fitted by EM gives a model-based calm/volatile labelling.
+     * @param {number[]} highs - Array of high prices.
+     * @param {number[]} lows - Array of low prices.
+     * @param {number[]} closes - Array of closing prices (positive).
+     * @param {Object} [options] - Regime options.
+     * @param {number} [options.period=14] - ADX and efficiency ratio period.
+     * @param {number} [options.adxThreshold=25] - Minimum ADX for a trending bar.
+     * @param {number} [options.efficiencyThreshold=0.3] - Minimum efficiency ratio for a trending bar.
+     * @param {number} [options.volatilityWindow=20] - Realized volatility window in bars.
+     * @param {number} [options.volatilityLookback=252] - Bars the volatility percentile is ranked against.
+     * @param {number[]} [options.volatilityPercentiles=[33, 67]] - Percentile bounds of low and high volatility.
+     * @param {number} [options.biasThreshold=0.15] - Up/down day imbalance for a directional bias (as in interpretMarketPatterns).
+     * @param {(boolean|Object)} [options.hmm=false] - Fit an HMM on log returns: true, or { states, maxIterations, tolerance }.
+     * @returns {Object} Object with summary (same wording as interpretMarketPatterns, in the current language), current regime, labels,
+     * trend and volatility per bar (null during warm-up), signals, hurstExponent, transitions
+     * (see below) and hmm. Transitions hold counts, probabilities, averageDuration and frequency
+     * per label, plus the current label and how many bars it has lasted.
+     * @throws {InvalidInputError} If the arrays are invalid or too short to label a single bar.
+     * @example
+     * const stats = new Statistics();
+     * const regimes = stats.detectRegimes(highs, lows, closes, { hmm: { states: 2 } });
+     * regimes.summary; // "Market is trending up with bullish bias and low volatility"
+     * regimes.transitions.probabilities['ranging, high volatility']; // where high-volatility ranges lead next
+     */
+    detectRegimes(highs, lows, closes, options = {}) {
+      const fn = 'detectRegimes';
+      ({ highs, lows, closes } = this.#validator.priceArrays(fn, { highs, lows, closes }));
+      const result = this.#detectRegimes(fn, highs, lows, closes, options);
+      if (result.current === null) {
+        throw new InsufficientDataError(fn, 'closes', 'must contain enough bars to label at least one regime (ADX warm-up and volatility window)');
+      }
+      return result;
+    }
+  
+  
+    /**
+     * Validates walk-forward window options.
+     * @param {string} fn - Public method name used in errors.
+     * @param {Object} options - Window options (see createWalkForwardWindows).
+     * @returns {Object} Validated inSample, outOfSample, step, gap and mode.
+     * @private
+     */
+    #walkForwardSettings(fn, options) {
+      this.#validator.object(fn, 'options', options);
+      const { mode = 'rolling', gap = 0 } = options;
+      this.#validator.oneOf(fn, 'options.mode', mode, ['rolling', 'anchored']);
+      const inSample = this.#validator.number(fn, 'options.inSample', options.inSample, { integer: true, positive: true });
+      const outOfSample = this.#validator.number(fn, 'options.outOfSample', options.outOfSample, { integer: true, positive: true });
+      return {
+        mode,
+        inSample,
+        outOfSample,
+        step: this.#validator.number(fn, 'options.step', options.step ?? outOfSample, { integer: true, positive: true }),
+        gap: this.#validator.number(fn, 'options.gap', gap, { integer: true, min: 0 })
+      };
+    }
+  
+    /**
+     * Builds in-sample/out-of-sample windows over a series of the given length.
+     * @param {string} fn - Public method name used in errors.
+     * @param {number} length - Series length.
+     * @param {Object} settings - Validated window settings.
+     * @returns {Object[]} Windows with inSample and outOfSample { start, end } (end exclusive).
+     * @throws {InsufficientDataError} If not even one window fits.
+     * @private
+     */
+    #walkForwardWindows(fn, length, { mode, inSample, outOfSample, step, gap }) {
+      const windows = [];
+      for (let start = 0; start + inSample + gap + outOfSample <= length; start += step) {
+        const inSampleEnd = start + inSample;
+        windows.push({
+          inSample: { start: mode === 'anchored' ? 0 : start, end: inSampleEnd },
+          outOfSample: { start: inSampleEnd + gap, end: inSampleEnd + gap + outOfSample }
+        });
+      }
+      if (windows.length === 0) {
+        throw new InsufficientDataError(fn, 'data', `must contain at least ${inSample + gap + outOfSample} values (inSample + gap + outOfSample)`);
+      }
+      return windows;
+    }
+  
+    /**
+     * Splits a series into walk-forward windows. Rolling windows keep a fixed in-sample length;
+     * anchored windows always start at 0 and grow. Each out-of-sample window starts after its
+     * in-sample window (plus the gap) and windows advance by step.
+     * @param {number} length - Number of bars or trades.
+     * @param {Object} options - Window options.
+     * @param {number} options.inSample - In-sample length (the first in-sample length when anchored).
+     * @param {number} options.outOfSample - Out-of-sample length.
+     * @param {number} [options.step=outOfSample] - How far each window advances.
+     * @param {number} [options.gap=0] - Values skipped between in-sample and out-of-sample (e.g., to purge
+     * lookback overlap).
+     * @param {string} [options.mode='rolling'] - 'rolling' or 'anchored'.
+     * @returns {Object[]} Windows with inSample and outOfSample { start, end } indices (end exclusive).
+     * @throws {InvalidInputError} If options are invalid or no window fits.
+     * @example
+     * const stats = new Statistics();
+     * stats.createWalkForwardWindows(10, { inSample: 4, outOfSample: 2, mode: 'anchored' });
+     * // [{ inSample: { start: 0, end: 4 }, outOfSample: { start: 4, end: 6 } },
+     * //  { inSample: { start: 0, end: 6 }, outOfSample: { start: 6, end: 8 } },
+     * //  { inSample: { start: 0, end: 8 }, outOfSample: { start: 8, end: 10 } }]
+     */
+    createWalkForwardWindows(length, options) {
+      const fn = 'createWalkForwardWindows';
+      length = this.#validator.number(fn, 'length', length, { integer: true, min: 0 });
+      return this.#walkForwardWindows(fn, length, this.#walkForwardSettings(fn, options ?? {}));
+    }
+  
+    /**
+     * Runs a scoring function and normalizes its result to { score, metrics }.
+     * @param {string} fn - Public method name used in errors.
+     * @param {Function} score - User scoring function.
+     * @param {Array} data - Window data.
+     * @param {*} parameters - Parameter set.
+     * @param {Object} context - Window context passed to the scoring function.
+     * @returns {Object} Object with score and metrics.
+     * @private
+     */
+    #walkForwardScore(fn, score, data, parameters, context) {
+      const result = score(data, parameters, context);
+      const value = typeof result === 'object' && result !== null ? result.score : result;
+      if (typeof value !== 'number' || isNaN(value)) {
+        throw new InvalidInputError(fn, 'options.score', 'must return a number or an object with a numeric score');
+      }
+      if (typeof result !== 'object') return { score: value, metrics: null };
+      const { score: _, ...metrics } = result;
+      return { score: value, metrics };
+    }
+  
+    /**
+     * Walk-forward evaluation: for each window, picks the best parameter set on the in-sample data
+     * and scores it on the unseen out-of-sample data that follows, so results are not fitted to
+     * the history they are measured on.
+     * @param {Array} data - Time series values, bars or a trade ledger in chronological order.
+     * @param {Object} options - Harness options, including the window options of createWalkForwardWindows.
+     * @param {function(Array, *, Object): (number|Object)} options.score - Scores a slice of data with a
+     * parameter set; returns a number or { score, ...metrics }. Receives a context of
+     * { fold, sample ('inSample' or 'outOfSample'), start, end }.
+     * @param {(Object[]|Object<string, Array>)} [options.parameters] - Candidate parameter sets, either as a list
+     * or as { name: values[] } for a full grid. Without parameters the score is simply run on each window.
+     * @param {boolean} [options.maximize=true] - Pick the highest in-sample score (false for the lowest).
+     * @param {boolean} [options.scaleByLength=true] - Treat scores as totals (e.g., net profit) and compare
+     * them per bar when computing walk-forward efficiency; use false for ratios such as Sharpe.
+     * @returns {Object} Object with windows settings, folds (per fold: inSample and outOfSample { start, end,
+     * score, metrics }, parameters and efficiency) and aggregate ({ inSample and outOfSample score summaries,
+     * efficiency, positiveFolds, parameterStability }). Efficiency is out-of-sample over in-sample
+     * performance, null when the in-sample score is not positive.
+     * @throws {InvalidInputError} If data or options are invalid, or a score is not numeric.
+     * @example
+     * const stats = new Statistics();
+     * // runStrategy is your own code: it trades the closes with the given parameters
+     * const report = stats.walkForward(closes, {
+     *   inSample: 500,
+     *   outOfSample: 100,
+     *   parameters: { fastPeriod: [5, 10, 20], slowPeriod: [50, 100] },
+     *   score: (slice, params) => stats.analyzeTrades(runStrategy(slice, params)).netProfit
+     * });
+     * report.aggregate.efficiency; // e.g. 0.64 - out-of-sample keeps 64% of in-sample performance
+     */
+    walkForward(data, options) {
+      const fn = 'walkForward';
+      this.#validator.array(fn, 'data', data, { minLength: 1 });
+      const settings = this.#walkForwardSettings(fn, options ?? {});
+      const { score, parameters, maximize = true, scaleByLength = true } = options;
+      if (typeof score !== 'function') {
+        throw new InvalidInputError(fn, 'options.score', 'must be a function');
+      }
+      this.#validator.oneOf(fn, 'options.maximize', maximize, [true, false]);
+      this.#validator.oneOf(fn, 'options.scaleByLength', scaleByLength, [true, false]);
+  
+      let candidates = [undefined];
+      if (parameters !== undefined) {
+        if (Array.isArray(parameters)) {
+          candidates = this.#validator.array(fn, 'options.parameters', parameters, { minLength: 1 });
+        } else {
+          // Cartesian product of { name: values[] }
+          const grid = this.#validator.object(fn, 'options.parameters', parameters);
+          candidates = Object.entries(grid).reduce((sets, [name, values]) => {
+            this.#validator.array(fn, `options.parameters.${name}`, values, { minLength: 1 });
+            return sets.flatMap(set => values.map(value => ({ ...set, [name]: value })));
+          }, [{}]);
+        }
+      }
+  
+      const windows = this.#walkForwardWindows(fn, data.length, settings);
+      const rate = (value, length) => (scaleByLength ? value / length : value);
+      const folds = windows.map((window, fold) => {
+        const inSampleData = data.slice(window.inSample.start, window.inSample.end);
+        let best = null;
+        candidates.forEach(candidate => {
+          const result = this.#walkForwardScore(fn, score, inSampleData, candidate, { fold, sample: 'inSample', ...window.inSample });
+          const better = best === null || (maximize ? result.score > best.result.score : result.score < best.result.score);
+          if (better) best = { candidate, result };
+        });
+  
+        const outOfSample = this.#walkForwardScore(
+          fn,
+          score,
+          data.slice(window.outOfSample.start, window.outOfSample.end),
+          best.candidate,
+          { fold, sample: 'outOfSample', ...window.outOfSample }
+        );
+        const inSampleRate = rate(best.result.score, window.inSample.end - window.inSample.start);
+        return {
+          fold,
+          inSample: { ...window.inSample, ...best.result },
+          outOfSample: { ...window.outOfSample, ...outOfSample },
+          parameters: best.candidate,
+          efficiency: inSampleRate > 0 ? rate(outOfSample.score, window.outOfSample.end - window.outOfSample.start) / inSampleRate : null
+        };
+      });
+  
+      const summarize = scores => ({
+        mean: this.mean(scores),
+        median: this.median(scores),
+        standardDeviation: this.standardDeviation(scores).sd,
+        min: Math.min(...scores),
+        max: Math.max(...scores),
+        total: this.sumOneArray(scores)
+      });
+      const inSampleRates = folds.map(f => rate(f.inSample.score, f.inSample.end - f.inSample.start));
+      const outOfSampleRates = folds.map(f => rate(f.outOfSample.score, f.outOfSample.end - f.outOfSample.start));
+      const meanInSample = this.mean(inSampleRates);
+  
+      // How often the most common parameter set won
+      const chosen = folds.map(f => JSON.stringify(f.parameters ?? null));
+      const tally = chosen.reduce((counts, key) => counts.set(key, (counts.get(key) || 0) + 1), new Map());
+      const [mostFrequent, frequency] = [...tally.entries()].sort((a, b) => b[1] - a[1])[0];
+  
+      return {
+        settings,
+        folds,
+        aggregate: {
+          folds: folds.length,
+          inSample: summarize(folds.map(f => f.inSample.score)),
+          outOfSample: summarize(folds.map(f => f.outOfSample.score)),
+          efficiency: meanInSample > 0 ? this.mean(outOfSampleRates) / meanInSample : null,
+          positiveFolds: folds.filter(f => f.outOfSample.score > 0).length / folds.length,
+          parameterStability: {
+            parameters: parameters === undefined ? null : JSON.parse(mostFrequent),
+            share: frequency / folds.length,
+            distinct: tally.size
+          }
+        }
+      };
+    }
+  
+  
+    /**
+     * Runs a bar-by-bar backtest. On every bar pending orders are filled from that bar's prices,
+     * then the strategy sees the completed bar and may submit orders for the next one.
+     * @param {Object} bars - OHLCV data, e.g. the result of importBars.
+     * @param {number[]} bars.opens - Opening prices.
+     * @param {number[]} bars.highs - High prices.
+     * @param {number[]} bars.lows - Low prices.
+     * @param {number[]} bars.closes - Closing prices.
+     * @param {number[]} [bars.volumes] - Volumes.
+     * @param {Array} [bars.times] - Bar times, copied to fills and trades.
+     * @param {(function(Object): (Object|Object[]|void)|Object)} strategy - Called with a context for each bar,
+     * or an object with onBar(context) and optional onFill(fill, context). The context has index, bar,
+     * bars, value(field, offset), position, cash, equity, orders, trades and the order helpers buy(size,
+     * options), sell(size, options), order(order), close(options), cancel(id) and cancelAll(). Returned
+     * orders are submitted as well. Orders take side, size, type ('market', 'limit', 'stop'), price,
+     * timeInForce ('gtc' or 'day') and tag.
+     * @param {Object} [options] - Backtest options.
+     * @param {number} [options.startingBalance=10000] - Starting cash.
+     * @param {(number|Object)} [options.slippage=0] - Adverse slippage per unit: a price amount, or { fixed, percent }.
+     * @param {(number|Object)} [options.commission=0] - Commission per order, or { perOrder, perUnit, percent, minimum }.
+     * @param {boolean} [options.closeAtEnd=true] - Close any open position at the last close.
+     * @param {string} [options.symbol] - Symbol written to every trade (for analyzePortfolio).
+     * @param {string} [options.strategy] - Strategy tag written to every trade (for analyzePortfolio).
+     * @returns {Object} Object with trades (ready for analyzeTrades, buildEquityCurve and analyzePortfolio),
+     * fills, equityCurve (buildEquityCurve of the bar-by-bar equity), returns (per bar), position
+     * (open position, or null) and metrics (analyzeTrades of the trades, or null without trades).
+     * @throws {InvalidInputError} If bars, options or a submitted order are invalid.
+     * @example
+     * const stats = new Statistics();
+     * const sma = stats.calculateSMA(bars.closes, 20);
+     * const result = stats.runBacktest(bars, ({ index, bar, position, buy, close }) => {
+     *   if (sma[index] === null) return;
+     *   if (position.size === 0 && bar.close > sma[index]) buy(100);
+     *   if (position.size > 0 && bar.close < sma[index]) close();
+     * }, { commission: { perUnit: 0.005, minimum: 1 }, slippage: { percent: 0.02 } });
+     * result.metrics.winRate;
+     */
+    runBacktest(bars, strategy, options = {}) {
+      const fn = 'runBacktest';
+      this.#validator.object(fn, 'bars', bars);
+      const { opens, highs, lows, closes } = this.#validator.priceArrays(fn, {
+        opens: bars.opens,
+        highs: bars.highs,
+        lows: bars.lows,
+        closes: bars.closes
+      });
+      const length = closes.length;
+      let volumes = null;
+      if (bars.volumes !== undefined && bars.volumes !== null) {
+        volumes = this.#validator.numberArray(fn, 'bars.volumes', bars.volumes);
+        if (volumes.length !== length) throw new InvalidInputError(fn, 'bars.volumes', 'must have the same length as closes');
+      }
+      let times = null;
+      if (bars.times !== undefined && bars.times !== null) {
+        times = this.#validator.array(fn, 'bars.times', bars.times);
+        if (times.length !== length) throw new InvalidInputError(fn, 'bars.times', 'must have the same length as closes');
+      }
+      for (let i = 0; i < length; i++) {
+        if (highs[i] < lows[i] || opens[i] > highs[i] || opens[i] < lows[i] || closes[i] > highs[i] || closes[i] < lows[i]) {
+          throw new InvalidInputError(fn, 'bars', `bar ${i} has open or close outside its high/low range`);
+        }
+      }
+  
+      if (typeof strategy !== 'function' && typeof strategy?.onBar !== 'function') {
+        throw new InvalidInputError(fn, 'strategy', 'must be a function or an object with an onBar function');
+      }
+      if (strategy.onFill !== undefined && typeof strategy !== 'function' && typeof strategy.onFill !== 'function') {
+        throw new InvalidInputError(fn, 'strategy.onFill', 'must be a function');
+      }
+  
+      this.#validator.object(fn, 'options', options);
+      const startingBalance = this.#validator.number(fn, 'options.startingBalance', options.startingBalance ?? 10000, { positive: true });
+      const costs = (name, value, keys) => {
+        const spec = typeof value === 'object' && value !== null ? value : { [keys[0]]: value };
+        return Object.fromEntries(keys.map(key =>
+          [key, this.#validator.number(fn, `options.${name}.${key}`, spec[key] ?? 0, { min: 0 })]));
+      };
+      const closeAtEnd = options.closeAtEnd ?? true;
+      this.#validator.oneOf(fn, 'options.closeAtEnd', closeAtEnd, [true, false]);
+      const tag = name => (options[name] === undefined || options[name] === null
+        ? null
+        : this.#validator.string(fn, `options.${name}`, options[name]));
+  
+      const engine = new Backtester(fn, { times, opens, highs, lows, closes, volumes }, {
+        validator: this.#validator,
+        startingBalance,
+        slippage: costs('slippage', options.slippage ?? 0, ['fixed', 'percent']),
+        commission: costs('commission', options.commission ?? 0, ['perOrder', 'perUnit', 'percent', 'minimum']),
+        closeAtEnd,
+        symbol: tag('symbol'),
+        strategy: tag('strategy')
+      }).run(strategy);
+  
+      const equity = [startingBalance, ...engine.equity];
+      const { size, averagePrice } = engine.position;
+      return {
+        trades: engine.trades,
+        fills: engine.fills,
+        equityCurve: this.buildEquityCurve(equity.slice(1).map((value, i) => value - equity[i]), startingBalance),
+        returns: equity.slice(1).map((value, i) => (equity[i] > 0 ? (value - equity[i]) / equity[i] : null)),
+        position: size === 0 ? null : { side: size > 0 ? 'long' : 'short', size: Math.abs(size), averagePrice },
+        metrics: engine.trades.length ? this.analyzeTrades(engine.trades) : null
+      };
+    }
+  
+    /**
+     * Validates a confidence level percentage strictly between 0 and 100.
+     * @param {string} fn - Public method name used in errors.
+     * @param {number} confidenceLevel - Confidence level percentage.
+     * @returns {number} The (possibly coerced) confidence level.
+     * @private
+     */
+    #confidenceLevel(fn, confidenceLevel) {
+      confidenceLevel = this.#validator.number(fn, 'options.confidenceLevel', confidenceLevel, { positive: true });
+      if (confidenceLevel >= 100) {
+        throw new InvalidInputError(fn, 'options.confidenceLevel', 'must be below 100');
+      }
+      return confidenceLevel;
+    }
+  
+    /**
+     * Validates a sample of per-trade P&L values or trade objects.
+     * @param {string} fn - Public method name used in errors.
+     * @param {Array<(number|Object)>} values - P&L values, or trades (see calculateTradePnL).
+     * @param {number} minLength - Minimum number of values.
+     * @returns {number[]} Numeric values.
+     * @private
+     */
+    #significanceSample(fn, values, minLength) {
+      this.#validator.array(fn, 'values', values, { minLength });
+      return values.map((item, i) => (
+        typeof item === 'object' && item !== null
+          ? this.#tradePnL(fn, item, `values[${i}]`)
+          : this.#validator.number(fn, `values[${i}]`, item)
+      ));
+    }
+  
+    /**
+     * Calculates a confidence interval for a win rate. A 75% win rate over 4 trades is
+     * compatible with a true win rate anywhere from about 30% to 95%.
+     * @param {number} wins - Number of winning trades.
+     * @param {number} trades - Total number of trades.
+     * @param {Object} [options] - Interval options.
+     * @param {number} [options.confidenceLevel=95] - Confidence level percentage.
+     * @param {string} [options.method='wilson'] - 'wilson' (score interval) or 'clopperPearson' (exact, conservative).
+     * @returns {Object} Object with method, confidenceLevel, wins, trades, winRate, lower and upper (percentages).
+     * @throws {InvalidInputError} If the counts or options are invalid.
+     * @example
+     * const stats = new Statistics();
+     * stats.calculateWinRateConfidenceInterval(3, 4);
+     * // returns { method: 'wilson', winRate: 75, lower: 30.06, upper: 95.44, ... }
+     */
+    calculateWinRateConfidenceInterval(wins, trades, { confidenceLevel = 95, method = 'wilson' } = {}) {
+      const fn = 'calculateWinRateConfidenceInterval';
+      trades = this.#validator.number(fn, 'trades', trades, { integer: true, positive: true });
+      wins = this.#validator.number(fn, 'wins', wins, { integer: true, min: 0, max: trades });
+      confidenceLevel = this.#confidenceLevel(fn, confidenceLevel);
+      this.#validator.oneOf(fn, 'options.method', method, ['wilson', 'clopperPearson']);
+  
+      const tail = (1 - confidenceLevel / 100) / 2;
+      const rate = wins / trades;
+      let lower;
+      let upper;
+      if (method === 'wilson') {
+        const z = normalQuantile(1 - tail);
+        const z2n = z * z / trades;
+        const center = (rate + z2n / 2) / (1 + z2n);
+        const halfWidth = z * Math.sqrt(rate * (1 - rate) / trades + z2n / (4 * trades)) / (1 + z2n);
+        lower = Math.max(0, center - halfWidth);
+        upper = Math.min(1, center + halfWidth);
+      } else {
+        lower = wins === 0 ? 0 : betaQuantile(tail, wins, trades - wins + 1);
+        upper = wins === trades ? 1 : betaQuantile(1 - tail, wins + 1, trades - wins);
+      }
+  
+      return { method, confidenceLevel, wins, trades, winRate: rate * 100, lower: lower * 100, upper: upper * 100 };
+    }
+  
+    /**
+     * Calculates a percentile bootstrap confidence interval for a statistic of a trade or return
+     * sample, such as expectancy (mean P&L per trade) or the Sharpe ratio.
+     * @param {Array<(number|Object)>} values - P&L values or returns, or trade objects (see calculateTradePnL).
+     * @param {Object} [options] - Bootstrap options.
+     * @param {(string|function(number[]): number)} [options.statistic='mean'] - 'mean', 'median', 'sharpe'
+     * (annualized, see calculateSharpeRatio) or a function of a resampled array.
+     * @param {number} [options.confidenceLevel=95] - Confidence level percentage.
+     * @param {number} [options.resamples=10000] - Number of bootstrap resamples.
+     * @param {number} [options.seed] - Seed for reproducible resampling.
+     * @param {number} [options.riskFreeRate=0] - Annual risk-free rate for 'sharpe'.
+     * @param {number} [options.periodsPerYear=252] - Periods per year for 'sharpe'.
+     * @returns {Object} Object with statistic, confidenceLevel, estimate (on the original sample), lower, upper,
+     * standardError (standard deviation of the resampled statistics) and resamples (resamples with a defined
+     * statistic; a Sharpe ratio is undefined when a resample has no variance).
+     * @throws {InvalidInputError} If the values or options are invalid.
+     * @throws {InsufficientDataError} If the statistic is undefined for the sample.
+     * @example
+     * const stats = new Statistics();
+     * stats.bootstrapConfidenceInterval(trades, { statistic: 'mean', seed: 7 });
+     * // returns { statistic: 'mean', estimate: 42.5, lower: -12.1, upper: 96.8, ... }
+     */
+    bootstrapConfidenceInterval(values, options = {}) {
+      const fn = 'bootstrapConfidenceInterval';
+      this.#validator.object(fn, 'options', options);
+      const sample = this.#significanceSample(fn, values, 2);
+      const { statistic = 'mean', confidenceLevel = 95, resamples = 10000, seed } = options;
+      const level = this.#confidenceLevel(fn, confidenceLevel);
+      const count = this.#validator.number(fn, 'options.resamples', resamples, { integer: true, positive: true });
+      const random = this.createRandomGenerator(
+        seed === undefined ? undefined : this.#validator.number(fn, 'options.seed', seed, { integer: true })
+      );
+  
+      let measure;
+      if (typeof statistic === 'function') {
+        measure = statistic;
+      } else {
+        this.#validator.oneOf(fn, 'options.statistic', statistic, ['mean', 'median', 'sharpe']);
+        const { riskFreeRate, periodsPerYear } = this.#validateRatioOptions(fn, options);
+        measure = {
+          mean: arr => this.mean(arr),
+          median: arr => this.percentile(arr, 50),
+          sharpe: arr => this.calculateSharpeRatio(arr, { riskFreeRate, periodsPerYear })
+        }[statistic];
+      }
+  
+      const estimate = measure(sample);
+      if (!Number.isFinite(estimate)) {
+        throw new InsufficientDataError(fn, 'values', 'must produce a finite statistic');
+      }
+  
+      const n = sample.length;
+      const resampled = [];
+      for (let b = 0; b < count; b++) {
+        const draw = new Array(n);
+        for (let i = 0; i < n; i++) draw[i] = sample[Math.floor(random() * n)];
+        const value = measure(draw);
+        if (Number.isFinite(value)) resampled.push(value);
+      }
+      if (resampled.length < 2) {
+        throw new InsufficientDataError(fn, 'values', 'must vary across resamples');
+      }
+  
+      const tail = (100 - level) / 2;
+      return {
+        statistic: typeof statistic === 'function' ? 'custom' : statistic,
+        confidenceLevel: level,
+        estimate,
+        lower: this.percentile(resampled, tail),
+        upper: this.percentile(resampled, 100 - tail),
+        standardError: this.standardDeviation(resampled).sd,
+        resamples: resampled.length
+      };
+    }
+  
+    /**
+     * Runs a one-sample Student's t-test on the mean of per-trade P&L or returns: whether the
+     * average trade is different from (by default, greater than) a hypothesized mean.
+     * @param {Array<(number|Object)>} values - P&L values or returns, or trade objects (see calculateTradePnL).
+     * @param {Object} [options] - Test options.
+     * @param {number} [options.mean=0] - Mean under the null hypothesis.
+     * @param {string} [options.alternative='greater'] - 'greater', 'less' or 'twoSided'.
+     * @param {number} [options.alpha=0.05] - Significance level.
+     * @returns {Object} Object with mean, standardError, statistic, degreesOfFreedom, pValue, significant and
+     * confidenceInterval { lower, upper } at 1 - alpha (one-sided tests leave one bound null). The statistic
+     * and pValue are null when every value is identical.
+     * @throws {InvalidInputError} If the values or options are invalid.
+     * @example
+     * const stats = new Statistics();
+     * stats.tTest([120, -80, 95, 40, -60, 150, 70, -30]);
+     * // returns { mean: 38.125, statistic: 1.255, degreesOfFreedom: 7, pValue: 0.125, significant: false, ... }
+     */
+    tTest(values, { mean = 0, alternative = 'greater', alpha = 0.05 } = {}) {
+      const fn = 'tTest';
+      const sample = this.#significanceSample(fn, values, 2);
+      mean = this.#validator.number(fn, 'options.mean', mean);
+      this.#validator.oneOf(fn, 'options.alternative', alternative, ['greater', 'less', 'twoSided']);
+      alpha = this.#validator.number(fn, 'options.alpha', alpha, { positive: true, max: 1 });
+  
+      const n = sample.length;
+      const degreesOfFreedom = n - 1;
+      const average = this.mean(sample);
+      const variance = sample.reduce((sum, value) => sum + (value - average) ** 2, 0) / degreesOfFreedom;
+      const standardError = Math.sqrt(variance / n);
+  
+      let statistic = null;
+      let pValue = null;
+      if (standardError > 0) {
+        statistic = (average - mean) / standardError;
+        pValue = alternative === 'greater' ? 1 - studentTCdf(statistic, degreesOfFreedom)
+          : alternative === 'less' ? studentTCdf(statistic, degreesOfFreedom)
+            : 2 * studentTCdf(-Math.abs(statistic), degreesOfFreedom);
+      }
+  
+      const critical = studentTQuantile(1 - (alternative === 'twoSided' ? alpha / 2 : alpha), degreesOfFreedom);
+      return {
+        mean: average,
+        hypothesizedMean: mean,
+        alternative,
+        standardError,
+        statistic,
+        degreesOfFreedom,
+        pValue,
+        significant: pValue !== null && pValue < alpha,
+        confidenceInterval: {
+          lower: alternative === 'less' ? null : average - critical * standardError,
+          upper: alternative === 'greater' ? null : average + critical * standardError
+        }
+      };
+    }
+  
+    /**
+     * Estimates how many trades are needed to confirm an edge: the sample size at which a
+     * one-sided test at significance alpha detects the observed edge with the requested power.
+     * @param {(Array<(number|Object)>|Object)} input - Per-trade P&L values or trades, { mean, standardDeviation }
+     * of per-trade P&L, or { winRate, payoffRatio } (win rate percentage and average win / average loss,
+     * a number or "1:X"), which is tested against the breakeven win rate 1 / (1 + payoffRatio).
+     * Objects may carry trades (the number of trades taken so far).
+     * @param {Object} [options] - Test options.
+     * @param {number} [options.alpha=0.05] - Significance level.
+     * @param {number} [options.power=0.8] - Probability of detecting the edge if it is real.
+     * @returns {Object} Object with method ('mean' or 'winRate'), effectSize, minimumTrades (null when there is no
+     * edge to confirm), currentTrades (null if unknown) and confirmed (whether currentTrades reaches minimumTrades;
+     * null if unknown). The 'winRate' method also reports breakevenWinRate.
+     * @throws {InvalidInputError} If the input or options are invalid.
+     * @example
+     * const stats = new Statistics();
+     * stats.calculateMinimumTrades({ winRate: 55, payoffRatio: 1.2, trades: 40 });
+     * // returns { method: 'winRate', breakevenWinRate: 45.45, minimumTrades: 169, currentTrades: 40, confirmed: false, ... }
+     */
+    calculateMinimumTrades(input, { alpha = 0.05, power = 0.8 } = {}) {
+      const fn = 'calculateMinimumTrades';
+      alpha = this.#validator.number(fn, 'options.alpha', alpha, { positive: true, max: 0.5 });
+      power = this.#validator.number(fn, 'options.power', power, { positive: true, max: 1 });
+      if (power >= 1) {
+        throw new InvalidInputError(fn, 'options.power', 'must be below 1');
+      }
+      const zAlpha = normalQuantile(1 - alpha);
+      const zPower = normalQuantile(power);
+  
+      let method;
+      let effectSize;
+      let minimumTrades = null;
+      let currentTrades = null;
+      let breakevenWinRate;
+      if (Array.isArray(input) || (input && input.winRate === undefined)) {
+        let mean;
+        let standardDeviation;
+        if (Array.isArray(input)) {
+          const sample = this.#significanceSample(fn, input, 2);
+          mean = this.mean(sample);
+          standardDeviation = Math.sqrt(sample.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (sample.length - 1));
+          currentTrades = sample.length;
+        } else {
+          this.#validator.object(fn, 'input', input);
+          mean = this.#validator.number(fn, 'input.mean', input.mean);
+          standardDeviation = this.#validator.number(fn, 'input.standardDeviation', input.standardDeviation, { positive: true });
+        }
+        if (standardDeviation === 0) {
+          throw new InvalidInputError(fn, 'input', 'must have a non-zero standard deviation');
+        }
+        method = 'mean';
+        effectSize = mean / standardDeviation;
+        if (effectSize > 0) minimumTrades = Math.ceil(((zAlpha + zPower) / effectSize) ** 2);
+      } else {
+        this.#validator.object(fn, 'input', input);
+        const rate = this.#validator.number(fn, 'input.winRate', input.winRate, { min: 0, max: 100 }) / 100;
+        const payoffRatio = this.#validator.rewardRatio(fn, 'input.payoffRatio', input.payoffRatio);
+        const breakeven = 1 / (1 + payoffRatio);
+        method = 'winRate';
+        breakevenWinRate = breakeven * 100;
+        effectSize = (rate - breakeven) / Math.sqrt(breakeven * (1 - breakeven));
+        if (rate > breakeven && rate < 1) {
+          minimumTrades = Math.ceil(((zAlpha * Math.sqrt(breakeven * (1 - breakeven)) +
+            zPower * Math.sqrt(rate * (1 - rate))) / (rate - breakeven)) ** 2);
+        } else if (rate === 1) {
+          // Every trade wins: the edge is confirmed once breakeven^n falls below alpha
+          minimumTrades = Math.max(1, Math.ceil(Math.log(alpha) / Math.log(breakeven)));
+        }
+      }
+      if (!Array.isArray(input) && input.trades !== undefined) {
+        currentTrades = this.#validator.number(fn, 'input.trades', input.trades, { integer: true, min: 0 });
+      }
+  
+      return {
+        method,
+        ...(method === 'winRate' && { breakevenWinRate }),
+        effectSize,
+        alpha,
+        power,
+        minimumTrades,
+        currentTrades,
+        confirmed: currentTrades === null ? null : minimumTrades !== null && currentTrades >= minimumTrades
+      };
+    }
+  
+    /**
+     * Calculates the per-period Sharpe ratio and the moments its standard error depends on.
+     * @param {string} fn - Public method name used in errors.
+     * @param {number[]} returns - Return series.
+     * @returns {Object} Object with sharpeRatio, skewness, kurtosis (raw, 3 for a normal distribution)
+     * and observations.
+     * @private
+     */
+    #sharpeMoments(fn, returns) {
+      returns = this.#validator.numberArray(fn, 'returns', returns, { minLength: 3 });
+      const { n, mean, m2, m3, m4 } = this.#centralMoments(returns);
+      if (m2 === 0) {
+        throw new InvalidInputError(fn, 'returns', 'must not all be equal');
+      }
+      return { sharpeRatio: mean / Math.sqrt(m2), skewness: m3 / m2 ** 1.5, kurtosis: m4 / (m2 * m2), observations: n };
+    }
+  
+    /**
+     * Probability that the true Sharpe ratio exceeds a benchmark, given the sample length,
+     * skewness and kurtosis (Bailey and López de Prado).
+     * @param {Object} moments - Result of #sharpeMoments.
+     * @param {number} benchmark - Per-period benchmark Sharpe ratio.
+     * @returns {number} Probability between 0 and 1.
+     * @private
+     */
+    #sharpeProbability({ sharpeRatio, skewness, kurtosis, observations }, benchmark) {
+      const variance = 1 - skewness * sharpeRatio + (kurtosis - 1) / 4 * sharpeRatio * sharpeRatio;
+      return normalCdf((sharpeRatio - benchmark) * Math.sqrt(observations - 1) / Math.sqrt(Math.max(variance, 1e-12)));
+    }
+  
+    /**
+     * Calculates the Probabilistic Sharpe Ratio: the probability that the true Sharpe ratio of a
+     * return series exceeds a benchmark, accounting for track record length and non-normal returns.
+     * Sharpe ratios here are per period (not annualized).
+     * @param {number[]} returns - Periodic returns as decimals.
+     * @param {Object} [options] - Ratio options.
+     * @param {number} [options.benchmark=0] - Per-period benchmark Sharpe ratio.
+     * @returns {Object} Object with sharpeRatio, benchmark, probability, observations, skewness and kurtosis.
+     * @throws {InvalidInputError} If returns are invalid, shorter than 3 values or constant.
+     * @example
+     * const stats = new Statistics();
+     * stats.calculateProbabilisticSharpeRatio(dailyReturns, { benchmark: 0.05 });
+     * // returns { sharpeRatio: 0.11, benchmark: 0.05, probability: 0.91, observations: 500, ... }
+     */
+    calculateProbabilisticSharpeRatio(returns, { benchmark = 0 } = {}) {
+      const fn = 'calculateProbabilisticSharpeRatio';
+      const moments = this.#sharpeMoments(fn, returns);
+      benchmark = this.#validator.number(fn, 'options.benchmark', benchmark);
+      return { ...moments, benchmark, probability: this.#sharpeProbability(moments, benchmark) };
+    }
+  
+    /**
+     * Calculates the Deflated Sharpe Ratio: the Probabilistic Sharpe Ratio against the Sharpe ratio
+     * the best of N unskilled trials would be expected to reach by luck. Use it when the strategy was
+     * selected from many backtested variants. Sharpe ratios here are per period (not annualized).
+     * @param {number[]} returns - Periodic returns of the selected strategy.
+     * @param {Object} options - Trial options; provide trialSharpeRatios, or trials and sharpeVariance.
+     * @param {number[]} [options.trialSharpeRatios] - Per-period Sharpe ratios of every variant tried.
+     * @param {number} [options.trials] - Number of variants tried.
+     * @param {number} [options.sharpeVariance] - Variance of the per-period Sharpe ratios across trials.
+     * @param {number} [options.alpha=0.05] - Significance level.
+     * @returns {Object} Object with sharpeRatio, expectedMaxSharpeRatio, trials, sharpeVariance, probability
+     * (the deflated Sharpe ratio), significant (probability above 1 - alpha), observations, skewness and kurtosis.
+     * @throws {InvalidInputError} If returns or options are invalid.
+     * @example
+     * const stats = new Statistics();
+     * stats.calculateDeflatedSharpeRatio(bestReturns, { trialSharpeRatios: variants.map(v => v.sharpe) });
+     * // returns { sharpeRatio: 0.12, expectedMaxSharpeRatio: 0.09, probability: 0.81, significant: false, ... }
+     */
+    calculateDeflatedSharpeRatio(returns, options = {}) {
+      const fn = 'calculateDeflatedSharpeRatio';
+      this.#validator.object(fn, 'options', options);
+      const moments = this.#sharpeMoments(fn, returns);
+      const alpha = this.#validator.number(fn, 'options.alpha', options.alpha ?? 0.05, { positive: true, max: 1 });
+  
+      let trials;
+      let sharpeVariance;
+      if (options.trialSharpeRatios !== undefined) {
+        const ratios = this.#validator.numberArray(fn, 'options.trialSharpeRatios', options.trialSharpeRatios, { minLength: 2 });
+        trials = ratios.length;
+        const mean = this.mean(ratios);
+        sharpeVariance = ratios.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (trials - 1);
+      } else {
+        if (options.trials === undefined || options.sharpeVariance === undefined) {
+          throw new InvalidInputError(fn, 'options', 'must include trialSharpeRatios, or trials and sharpeVariance');
+        }
+        trials = this.#validator.number(fn, 'options.trials', options.trials, { integer: true, min: 2 });
+        sharpeVariance = this.#validator.number(fn, 'options.sharpeVariance', options.sharpeVariance, { min: 0 });
+      }
+  
+      // Expected maximum of N standard normal draws (extreme value approximation)
+      const eulerMascheroni = 0.5772156649015329;
+      const expectedMaxSharpeRatio = Math.sqrt(sharpeVariance) * (
+        (1 - eulerMascheroni) * normalQuantile(1 - 1 / trials) +
+        eulerMascheroni * normalQuantile(1 - 1 / (trials * Math.E))
+      );
+      const probability = this.#sharpeProbability(moments, expectedMaxSharpeRatio);
+  
+      return {
+        ...moments,
+        expectedMaxSharpeRatio,
+        trials,
+        sharpeVariance,
+        probability,
+        significant: probability > 1 - alpha
+      };
+    }
+  
+    /**
+     * Calculates the Probability of Backtest Overfitting with combinatorially symmetric cross-validation
+     * (CSCV). The variants' returns are split into equal blocks; for every way of picking half the blocks
+     * as in-sample, the best in-sample variant is ranked out-of-sample. PBO is the share of splits where
+     * it ranks in the bottom half.
+     * @param {Object} variants - Return series keyed by variant name (arrays, or { times, values }; see alignSeries).
+     * @param {Object} [options] - CSCV options.
+     * @param {number} [options.partitions=16] - Even number of blocks, at most 20 (16 gives 12,870 splits and
+     * 20 gives 184,756; the count roughly quadruples with every 2 more blocks).
+     * @param {string} [options.metric='sharpe'] - Performance measure: 'sharpe' (per period), 'mean' or 'total'.
+     * @returns {Object} Object with variants (names), probability (PBO), combinations, logits (one per split), probabilityOfLoss
+     * (share of splits where the selected variant loses out-of-sample) and performanceDegradation
+     * { slope, intercept } (least-squares fit of out-of-sample on in-sample performance of the selected variant).
+     * @throws {InvalidInputError} If the variants or options are invalid.
+     * @throws {InsufficientDataError} If there are fewer observations than partitions.
+     * @example
+     * const stats = new Statistics();
+     * stats.calculateProbabilityOfBacktestOverfitting({ fast: fastReturns, slow: slowReturns, mixed: mixedReturns });
+     * // returns { probability: 0.62, combinations: 12870, probabilityOfLoss: 0.48, ... }
+     */
+    calculateProbabilityOfBacktestOverfitting(variants, { partitions = 16, metric = 'sharpe' } = {}) {
+      const fn = 'calculateProbabilityOfBacktestOverfitting';
+      partitions = this.#validator.number(fn, 'options.partitions', partitions, { integer: true, min: 2 });
+      if (partitions % 2 !== 0) {
+        throw new InvalidInputError(fn, 'options.partitions', 'must be even');
+      }
+      if (partitions > 20) {
+        throw new InvalidInputError(fn, 'options.partitions', 'must be at most 20 (more blocks give too many splits to evaluate)');
+      }
+      this.#validator.oneOf(fn, 'options.metric', metric, ['sharpe', 'mean', 'total']);
+      const { symbols, series: aligned } = this.#alignSeries(fn, variants, { minSymbols: 2, minLength: partitions });
+      const series = symbols.map(symbol => aligned[symbol]);
+  
+      // Per-block sums, so every split is scored without revisiting the returns
+      const length = series[0].length;
+      const blockSize = Math.floor(length / partitions);
+      const blocks = series.map(values => Array.from({ length: partitions }, (_, b) => {
+        const end = b === partitions - 1 ? length : (b + 1) * blockSize;
+        let sum = 0;
+        let sumSquares = 0;
+        for (let t = b * blockSize; t < end; t++) {
+          sum += values[t];
+          sumSquares += values[t] * values[t];
+        }
+        return { count: end - b * blockSize, sum, sumSquares };
+      }));
+      const score = (variant, selected) => {
+        let count = 0;
+        let sum = 0;
+        let sumSquares = 0;
+        for (const b of selected) {
+          count += blocks[variant][b].count;
+          sum += blocks[variant][b].sum;
+          sumSquares += blocks[variant][b].sumSquares;
+        }
+        const mean = sum / count;
+        if (metric === 'total') return sum;
+        if (metric === 'mean') return mean;
+        const sd = Math.sqrt(Math.max(0, sumSquares / count - mean * mean));
+        return sd === 0 ? (mean === 0 ? 0 : Math.sign(mean) * Infinity) : mean / sd;
+      };
+  
+      const logits = [];
+      const inSampleBest = [];
+      const outOfSampleBest = [];
+      let losses = 0;
+      const half = partitions / 2;
+      const chosen = [];
+      const visit = start => {
+        if (chosen.length === half) {
+          const complement = [];
+          for (let b = 0; b < partitions; b++) if (!chosen.includes(b)) complement.push(b);
+          const inSample = series.map((_, v) => score(v, chosen));
+          const outOfSample = series.map((_, v) => score(v, complement));
+          const best = inSample.indexOf(Math.max(...inSample));
+          // Average rank of the selected variant out-of-sample (1 = worst)
+          const below = outOfSample.filter(value => value < outOfSample[best]).length;
+          const ties = outOfSample.filter(value => value === outOfSample[best]).length;
+          const relativeRank = (below + (ties + 1) / 2) / (series.length + 1);
+          logits.push(Math.log(relativeRank / (1 - relativeRank)));
+          inSampleBest.push(inSample[best]);
+          outOfSampleBest.push(outOfSample[best]);
+          if (outOfSample[best] < 0) losses++;
+          return;
+        }
+        for (let b = start; b <= partitions - (half - chosen.length); b++) {
+          chosen.push(b);
+          visit(b + 1);
+          chosen.pop();
+        }
+      };
+      visit(0);
+  
+      // Least-squares fit over finite pairs (a constant block can make a Sharpe ratio infinite)
+      const pairs = inSampleBest.map((x, i) => [x, outOfSampleBest[i]]).filter(([x, y]) => Number.isFinite(x) && Number.isFinite(y));
+      let performanceDegradation = { slope: null, intercept: null };
+      if (pairs.length >= 2) {
+        const meanX = this.mean(pairs.map(([x]) => x));
+        const meanY = this.mean(pairs.map(([, y]) => y));
+        let sxx = 0;
+        let sxy = 0;
+        for (const [x, y] of pairs) {
+          sxx += (x - meanX) ** 2;
+          sxy += (x - meanX) * (y - meanY);
+        }
+        if (sxx > 0) performanceDegradation = { slope: sxy / sxx, intercept: meanY - sxy / sxx * meanX };
+      }
+  
+      return {
+        variants: symbols,
+        probability: logits.filter(logit => logit <= 0).length / logits.length,
+        combinations: logits.length,
+        logits,
+        probabilityOfLoss: losses / logits.length,
+        performanceDegradation
+      };
+    }
+  
+    /**
+     * Validates the bar series used by analyzeExcursions for one symbol.
+     * @param {string} fn - Public method name used in errors.
+     * @param {Object} bars - { times, highs, lows } arrays.
+     * @param {string} name - Argument name used in errors.
+     * @returns {Object} Object with times (milliseconds, ascending), highs and lows.
+     * @private
+     */
+    #excursionBars(fn, bars, name) {
+      this.#validator.object(fn, name, bars);
+      const { highs, lows } = this.#validator.priceArrays(fn, { highs: bars.highs, lows: bars.lows });
+      let times = null;
+      if (bars.times !== undefined && bars.times !== null) {
+        this.#validator.array(fn, `${name}.times`, bars.times);
+        if (bars.times.length !== highs.length) {
+          throw new InvalidInputError(fn, `${name}.times`, 'must have the same length as highs');
+        }
+        times = bars.times.map((time, i) => {
+          const timestamp = new Date(time).getTime();
+          if (isNaN(timestamp)) throw new InvalidInputError(fn, `${name}.times`, `contains an invalid date at index ${i}`);
+          return timestamp;
+        });
+        if (times.some((time, i) => i > 0 && time < times[i - 1])) {
+          throw new InvalidInputError(fn, `${name}.times`, 'must be in ascending order');
+        }
+      }
+      return { times, highs, lows };
+    }
+  
+    /**
+     * Finds the bar range a trade was held over: from the bar containing the entry to the bar
+     * containing the exit, by entryIndex/exitIndex when present and by entryTime/exitTime otherwise.
+     * @param {string} fn - Public method name used in errors.
+     * @param {Object} trade - Trade.
+     * @param {string} name - Argument name used in errors.
+     * @param {Object} series - Validated bars (see #excursionBars).
+     * @returns {number[]} First and last bar index.
+     * @private
+     */
+    #holdingBars(fn, trade, name, { times, highs }) {
+      const last = highs.length - 1;
+      if (trade.entryIndex !== undefined && trade.entryIndex !== null && trade.exitIndex !== undefined && trade.exitIndex !== null) {
+        const entry = this.#validator.number(fn, `${name}.entryIndex`, trade.entryIndex, { integer: true, min: 0, max: last });
+        const exit = this.#validator.number(fn, `${name}.exitIndex`, trade.exitIndex, { integer: true, min: entry, max: last });
+        return [entry, exit];
+      }
+      if (times === null) {
+        throw new InvalidInputError(fn, name, 'needs entryIndex and exitIndex when the bars have no times');
+      }
+      // Index of the last bar starting at or before a time
+      const barAt = (time, arg) => {
+        const timestamp = new Date(time ?? NaN).getTime();
+        if (isNaN(timestamp)) throw new InvalidInputError(fn, `${name}.${arg}`, 'must be a valid date');
+        if (timestamp < times[0]) throw new InvalidInputError(fn, `${name}.${arg}`, 'is before the first bar');
+        let low = 0;
+        let high = last;
+        while (low < high) {
+          const middle = Math.ceil((low + high) / 2);
+          if (times[middle] <= timestamp) low = middle;
+          else high = middle - 1;
+        }
+        return low;
+      };
+      const entry = barAt(trade.entryTime, 'entryTime');
+      const exit = barAt(trade.exitTime, 'exitTime');
+      if (exit < entry) throw new InvalidInputError(fn, `${name}.exitTime`, 'must not be before entryTime');
+      return [entry, exit];
+    }
+  
+    /**
+     * Summarizes excursions and efficiencies of a group of analyzed trades.
+     * @param {Object[]} group - Analyzed trades.
+     * @returns {Object} Object with count, average and median MAE/MFE percentages and average efficiencies.
+     * @private
+     */
+    #excursionSummary(group) {
+      const average = values => (values.length > 0 ? this.mean(values) : null);
+      const median = values => (values.length > 0 ? this.percentile(values, 50) : null);
+      const defined = key => group.map(trade => trade[key]).filter(value => value !== null);
+      const mae = group.map(trade => trade.maePercent);
+      const mfe = group.map(trade => trade.mfePercent);
+      return {
+        count: group.length,
+        averageMaePercent: average(mae),
+        medianMaePercent: median(mae),
+        averageMfePercent: average(mfe),
+        medianMfePercent: median(mfe),
+        averageEntryEfficiency: average(defined('entryEfficiency')),
+        averageExitEfficiency: average(defined('exitEfficiency')),
+        averageTotalEfficiency: average(defined('totalEfficiency'))
+      };
+    }
+  
+    /**
+     * Replays every trade with a fixed stop or target distance, assuming the order fills at its
+     * price when the trade's excursion went beyond the stop or reached the target.
+     * @param {Object[]} analyzed - Analyzed trades.
+     * @param {string} excursion - 'maePercent' (stop) or 'mfePercent' (target).
+     * @param {number} distance - Distance from the entry as a percentage of the entry price.
+     * @returns {number} Net P&L of all trades with the order in place.
+     * @private
+     */
+    #replayExcursionLevel(analyzed, excursion, distance) {
+      const stop = excursion === 'maePercent';
+      return analyzed.reduce((total, trade) => total + ((stop ? trade.maePercent > distance : trade.mfePercent >= distance)
+        ? (stop ? -1 : 1) * distance / 100 * trade.entryPrice * trade.size - trade.fees
+        : trade.pnl), 0);
+    }
+  
+    /**
+     * Analyzes maximum adverse and favorable excursion (MAE/MFE) of closed trades from the bars
+     * they were held over, with entry/exit efficiency, R-multiples and stop and target levels
+     * suggested by the excursions of winners and losers.
+     *
+     * Bars are identified by their start time and the entry and exit bars count in full, so
+     * excursions on coarse bars can include moves from before the entry or after the exit.
+     * Efficiencies follow Sweeney: entry efficiency is the share of the holding range left above
+     * the entry (below it for shorts), exit efficiency the share below the exit, and total
+     * efficiency the captured move over the range.
+     * @param {Object[]} trades - Closed trades (see calculateTradePnL) with entryTime and exitTime, or
+     * entryIndex and exitIndex (as produced by runBacktest). A trade's initial risk comes from initialRisk
+     * (currency) or stopLoss (price).
+     * @param {Object} bars - { times, highs, lows } arrays (e.g., from importBars), or such objects keyed by
+     * trade symbol for trades in several symbols.
+     * @param {Object} [options] - Analysis options.
+     * @param {number} [options.coverage=90] - Percentage of winners the suggested stop should keep and the
+     * suggested target should be reached by.
+     * @param {number} [options.initialRisk] - Risk per trade in currency for trades without initialRisk or stopLoss.
+     * @returns {Object} Object with trades (per trade: pnl, mae, mfe in price units, maeAmount and mfeAmount in
+     * currency, maePercent and mfePercent of the entry price, entryEfficiency, exitEfficiency and totalEfficiency
+     * as decimals or null for a flat range, rMultiple or null, bars held), winners, losers and all (see the
+     * summaries), rMultiples ({ count, expectancy, median, standardDeviation, min, max, histogram } or null)
+     * and suggestions { stopLoss, target } (distancePercent, trade counts and the replayed netProfit versus
+     * the actual one; null without winners).
+     * @throws {InvalidInputError} If trades, bars or options are invalid, or a trade falls outside the bars.
+     * @example
+     * const stats = new Statistics();
+     * const bars = stats.importBars(csv);
+     * const report = stats.analyzeExcursions(trades, bars, { coverage: 90 });
+     * report.suggestions.stopLoss;
+     * // { distancePercent: 1.8, winnersStopped: 2, losersCut: 11, netProfit: 5230, actualNetProfit: 4100 }
+     */
+    analyzeExcursions(trades, bars, { coverage = 90, initialRisk } = {}) {
+      const fn = 'analyzeExcursions';
+      this.#validator.array(fn, 'trades', trades, { minLength: 1 });
+      this.#validator.object(fn, 'bars', bars);
+      coverage = this.#validator.number(fn, 'options.coverage', coverage, { positive: true, max: 100 });
+      if (initialRisk !== undefined) {
+        initialRisk = this.#validator.number(fn, 'options.initialRisk', initialRisk, { positive: true });
+      }
+  
+      // One series for every trade, or one per symbol
+      const keyed = bars.highs === undefined;
+      const seriesCache = new Map();
+      const seriesFor = (trade, name) => {
+        const symbol = keyed ? trade.symbol : null;
+        if (!seriesCache.has(symbol)) {
+          if (keyed && (symbol === undefined || symbol === null || !Object.hasOwn(bars, symbol))) {
+            throw new InvalidInputError(fn, `${name}.symbol`, 'has no bars');
+          }
+          seriesCache.set(symbol, this.#excursionBars(fn, keyed ? bars[symbol] : bars, keyed ? `bars.${symbol}` : 'bars'));
+        }
+        return seriesCache.get(symbol);
+      };
+  
+      const analyzed = trades.map((trade, i) => {
+        const name = `trades[${i}]`;
+        const pnl = this.#tradePnL(fn, trade, name);
+        const side = typeof trade.side === 'string' ? trade.side.toLowerCase() : trade.side ?? 'long';
+        const size = Number(trade.size);
+        const entryPrice = Number(trade.entryPrice);
+        const exitPrice = Number(trade.exitPrice);
+        const fees = trade.fees === undefined || trade.fees === null ? 0 : Number(trade.fees);
+  
+        const series = seriesFor(trade, name);
+        const [entry, exit] = this.#holdingBars(fn, trade, name, series);
+        let highest = Math.max(entryPrice, exitPrice);
+        let lowest = Math.min(entryPrice, exitPrice);
+        for (let b = entry; b <= exit; b++) {
+          highest = Math.max(highest, series.highs[b]);
+          lowest = Math.min(lowest, series.lows[b]);
+        }
+  
+        const long = side === 'long';
+        const mae = long ? entryPrice - lowest : highest - entryPrice;
+        const mfe = long ? highest - entryPrice : entryPrice - lowest;
+        const range = highest - lowest;
+        const efficiency = value => (range > 0 ? value / range : null);
+  
+        let risk = null;
+        if (trade.initialRisk !== undefined && trade.initialRisk !== null) {
+          risk = this.#validator.number(fn, `${name}.initialRisk`, trade.initialRisk, { positive: true });
+        } else if (trade.stopLoss !== undefined && trade.stopLoss !== null) {
+          risk = Math.abs(entryPrice - this.#validator.number(fn, `${name}.stopLoss`, trade.stopLoss)) * size;
+        } else if (initialRisk !== undefined) {
+          risk = initialRisk;
+        }
+  
+        return {
+          ...(trade.symbol !== undefined && { symbol: trade.symbol }),
+          side,
+          size,
+          entryPrice,
+          exitPrice,
+          fees,
+          pnl,
+          mae,
+          mfe,
+          maeAmount: mae * size,
+          mfeAmount: mfe * size,
+          maePercent: mae / entryPrice * 100,
+          mfePercent: mfe / entryPrice * 100,
+          entryEfficiency: efficiency(long ? highest - entryPrice : entryPrice - lowest),
+          exitEfficiency: efficiency(long ? exitPrice - lowest : highest - exitPrice),
+          totalEfficiency: efficiency(long ? exitPrice - entryPrice : entryPrice - exitPrice),
+          rMultiple: risk > 0 ? pnl / risk : null,
+          bars: exit - entry + 1
+        };
+      });
+  
+      const winners = analyzed.filter(trade => trade.pnl > 0);
+      const losers = analyzed.filter(trade => trade.pnl < 0);
+  
+      const rValues = analyzed.map(trade => trade.rMultiple).filter(value => value !== null);
+      const rMultiples = rValues.length === 0 ? null : {
+        count: rValues.length,
+        expectancy: this.mean(rValues),
+        median: this.percentile(rValues, 50),
+        standardDeviation: this.standardDeviation(rValues).sd,
+        min: this.maxOrMin(rValues, 'min'),
+        max: this.maxOrMin(rValues, 'max'),
+        histogram: this.calculateHistogram(rValues)
+      };
+  
+      const actualNetProfit = analyzed.reduce((total, trade) => total + trade.pnl, 0);
+      let suggestions = { stopLoss: null, target: null };
+      if (winners.length > 0) {
+        // The stop sits beyond the adverse excursion of most winners; the target where most winners reached
+        const stopDistance = this.percentile(winners.map(trade => trade.maePercent), coverage);
+        const targetDistance = this.percentile(winners.map(trade => trade.mfePercent), 100 - coverage);
+        suggestions = {
+          stopLoss: stopDistance > 0 ? {
+            distancePercent: stopDistance,
+            winnersStopped: winners.filter(trade => trade.maePercent > stopDistance).length,
+            losersCut: losers.filter(trade => trade.maePercent > stopDistance).length,
+            netProfit: this.#replayExcursionLevel(analyzed, 'maePercent', stopDistance),
+            actualNetProfit
+          } : null,
+          target: {
+            distancePercent: targetDistance,
+            winnersReaching: winners.filter(trade => trade.mfePercent >= targetDistance).length,
+            losersReaching: losers.filter(trade => trade.mfePercent >= targetDistance).length,
+            netProfit: this.#replayExcursionLevel(analyzed, 'mfePercent', targetDistance),
+            actualNetProfit
+          }
+        };
+      }
+  
+      return {
+        trades: analyzed,
+        winners: this.#excursionSummary(winners),
+        losers: this.#excursionSummary(losers),
+        all: this.#excursionSummary(analyzed),
+        rMultiples,
+        suggestions
+      };
+    }
+  
+    /**
+     * Validates OHLC arrays for the range-based volatility estimators: prices must be positive
+     * and every open and close must lie within its bar's high/low range.
+     * @param {string} fn - Public method name used in errors.
+     * @param {Object} arrays - { opens, highs, lows, closes }.
+     * @returns {Object} Validated arrays.
+     * @private
+     */
+    #volatilityBars(fn, arrays) {
+      const { opens, highs, lows, closes } = this.#validator.priceArrays(fn, arrays);
+      for (let i = 0; i < closes.length; i++) {
+        if (lows[i] <= 0) throw new InvalidInputError(fn, 'lows', `must be positive (index ${i})`);
+        if (highs[i] < lows[i] || opens[i] > highs[i] || opens[i] < lows[i] || closes[i] > highs[i] || closes[i] < lows[i]) {
+          throw new InvalidInputError(fn, 'bars', `bar ${i} has open or close outside its high/low range`);
+        }
+      }
+      return { opens, highs, lows, closes };
+    }
+  
+    /**
+     * Estimates per-period volatility from the bars start..end (inclusive).
+     * Close-to-close and Yang-Zhang use the end - start periods that have a previous close in the slice.
+     * @param {string} method - Estimator name.
+     * @param {Object} bars - Validated OHLC arrays.
+     * @param {number} start - First bar index.
+     * @param {number} end - Last bar index.
+     * @returns {number} Per-period volatility (standard deviation of log returns).
+     * @private
+     */
+    #volatilityEstimate(method, { opens, highs, lows, closes }, start, end) {
+      const sampleVariance = values => {
+        const mean = this.mean(values);
+        return values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (values.length - 1);
+      };
+      const rogersSatchell = i => {
+        const u = Math.log(highs[i] / opens[i]);
+        const d = Math.log(lows[i] / opens[i]);
+        const c = Math.log(closes[i] / opens[i]);
+        return u * (u - c) + d * (d - c);
+      };
+      const sum = (from, term) => {
+        let total = 0;
+        for (let i = from; i <= end; i++) total += term(i);
+        return total;
+      };
+      const count = end - start + 1;
+  
+      if (method === 'parkinson') {
+        return Math.sqrt(sum(start, i => Math.log(highs[i] / lows[i]) ** 2) / (4 * Math.LN2 * count));
+      }
+      if (method === 'garmanKlass') {
+        return Math.sqrt(Math.max(0, sum(start, i =>
+          0.5 * Math.log(highs[i] / lows[i]) ** 2 - (2 * Math.LN2 - 1) * Math.log(closes[i] / opens[i]) ** 2) / count));
+      }
+      if (method === 'rogersSatchell') {
+        return Math.sqrt(sum(start, rogersSatchell) / count);
+      }
+  
+      const periods = [];
+      for (let i = start + 1; i <= end; i++) periods.push(i);
+      if (method === 'closeToClose') {
+        return Math.sqrt(sampleVariance(periods.map(i => Math.log(closes[i] / closes[i - 1]))));
+      }
+      // Yang-Zhang: overnight variance plus a weighted mix of open-to-close and Rogers-Satchell variance
+      const n = periods.length;
+      const k = 0.34 / (1.34 + (n + 1) / (n - 1));
+      const overnight = sampleVariance(periods.map(i => Math.log(opens[i] / closes[i - 1])));
+      const openToClose = sampleVariance(periods.map(i => Math.log(closes[i] / opens[i])));
+      const rangeBased = periods.reduce((total, i) => total + rogersSatchell(i), 0) / n;
+      return Math.sqrt(Math.max(0, overnight + k * openToClose + (1 - k) * rangeBased));
+    }
+  
+    /**
+     * Calculates per-bar volatility with every estimator for skewnedStandardDeviation.
+     * @param {number[]} opens - Validated opening prices.
+     * @param {number[]} highs - Validated high prices.
+     * @param {number[]} lows - Validated low prices.
+     * @param {number[]} closes - Validated closing prices.
+     * @returns {(Object|null)} Estimates keyed by method (null where there are too few bars), or null if the
+     * bars are not valid for the range-based estimators.
+     * @private
+     */
+    #barVolatility(opens, highs, lows, closes) {
+      try {
+        this.#volatilityBars('skewnedStandardDeviation', { opens, highs, lows, closes });
+      } catch (error) {
+        if (error instanceof InvalidInputError) return null;
+        throw error;
+      }
+      const bars = { opens, highs, lows, closes };
+      const last = closes.length - 1;
+      const estimate = (method, minBars) => (closes.length >= minBars ? this.#volatilityEstimate(method, bars, 0, last) : null);
+      return {
+        closeToClose: estimate('closeToClose', 3),
+        parkinson: estimate('parkinson', 1),
+        garmanKlass: estimate('garmanKlass', 1),
+        rogersSatchell: estimate('rogersSatchell', 1),
+        yangZhang: estimate('yangZhang', 3)
+      };
+    }
+  
+    /**
+     * Calculates realized volatility from OHLC bars with a choice of estimators. The range-based
+     * estimators use the intrabar high and low and need far fewer bars than close-to-close for the
+     * same accuracy.
+     * - closeToClose: sample standard deviation of log close-to-close returns.
+     * - parkinson: high-low range; assumes no drift and no opening gaps.
+     * - garmanKlass: high-low range and open-to-close move; assumes no drift and no gaps.
+     * - rogersSatchell: allows drift; ignores opening gaps.
+     * - yangZhang: overnight, open-to-close and Rogers-Satchell variance; handles drift and gaps.
+     * @param {number[]} opens - Opening prices.
+     * @param {number[]} highs - High prices.
+     * @param {number[]} lows - Low prices.
+     * @param {number[]} closes - Closing prices.
+     * @param {Object} [options] - Estimator options.
+     * @param {string} [options.method='yangZhang'] - 'closeToClose', 'parkinson', 'garmanKlass', 'rogersSatchell'
+     * or 'yangZhang'.
+     * @param {number} [options.periodsPerYear=252] - Bars per year used to annualize (1 for per-bar volatility).
+     * @param {number} [options.window] - Rolling window in bars; returns one value per bar instead.
+     * @returns {(number|Array<number|null>)} Annualized volatility as a decimal, or with a window one value per
+     * bar (null until the window is full).
+     * @throws {InvalidInputError} If the bars are invalid, prices are not positive or options are invalid.
+     * @throws {InsufficientDataError} If there are too few bars (3 for closeToClose and yangZhang).
+     * @example
+     * const stats = new Statistics();
+     * stats.calculateRealizedVolatility(opens, highs, lows, closes, { method: 'parkinson' }); // e.g. 0.182
+     * stats.calculateRealizedVolatility(opens, highs, lows, closes, { window: 20 }); // [null, ..., 0.175, 0.171]
+     */
+    calculateRealizedVolatility(opens, highs, lows, closes, { method = 'yangZhang', periodsPerYear = 252, window } = {}) {
+      const fn = 'calculateRealizedVolatility';
+      const bars = this.#volatilityBars(fn, { opens, highs, lows, closes });
+      this.#validator.oneOf(fn, 'options.method', method, ['closeToClose', 'parkinson', 'garmanKlass', 'rogersSatchell', 'yangZhang']);
+      periodsPerYear = this.#validator.number(fn, 'options.periodsPerYear', periodsPerYear, { positive: true });
+      const minBars = method === 'closeToClose' || method === 'yangZhang' ? 3 : 1;
+      const length = bars.closes.length;
+      const scale = Math.sqrt(periodsPerYear);
+  
+      if (window === undefined) {
+        if (length < minBars) {
+          throw new InsufficientDataError(fn, 'closes', `must contain at least ${minBars} values for ${method}`);
+        }
+        return this.#volatilityEstimate(method, bars, 0, length - 1) * scale;
+      }
+      window = this.#validator.number(fn, 'options.window', window, { integer: true, min: minBars });
+      return bars.closes.map((_, i) => (i + 1 < window ? null : this.#volatilityEstimate(method, bars, i - window + 1, i) * scale));
+    }
+  
+    /**
+     * Calculates exponentially weighted (RiskMetrics) volatility:
+     * variance_t = lambda * variance_(t-1) + (1 - lambda) * return_t^2.
+     * @param {number[]} returns - Periodic returns as decimals.
+     * @param {Object} [options] - EWMA options.
+     * @param {number} [options.lambda=0.94] - Decay factor between 0 and 1 (0.94 is RiskMetrics' daily value).
+     * @param {number} [options.periodsPerYear=252] - Periods per year used to annualize.
+     * @param {number} [options.seedPeriods=20] - The starting variance is the mean squared return of this many
+     * first returns.
+     * @returns {Object} Object with volatility (annualized forecast for the next period), series (annualized
+     * estimate after each return) and lambda.
+     * @throws {InvalidInputError} If returns or options are invalid.
+     * @example
+     * const stats = new Statistics();
+     * stats.calculateEWMAVolatility(stats.calculateReturns(closes)).volatility; // e.g. 0.214
+     */
+    calculateEWMAVolatility(returns, { lambda = 0.94, periodsPerYear = 252, seedPeriods = 20 } = {}) {
+      const fn = 'calculateEWMAVolatility';
+      returns = this.#validator.numberArray(fn, 'returns', returns);
+      lambda = this.#validator.number(fn, 'options.lambda', lambda, { positive: true });
+      if (lambda >= 1) throw new InvalidInputError(fn, 'options.lambda', 'must be below 1');
+      periodsPerYear = this.#validator.number(fn, 'options.periodsPerYear', periodsPerYear, { positive: true });
+      seedPeriods = this.#validator.number(fn, 'options.seedPeriods', seedPeriods, { integer: true, positive: true });
+  
+      let variance = this.mean(returns.slice(0, seedPeriods).map(r => r * r));
+      const series = returns.map(r => {
+        variance = lambda * variance + (1 - lambda) * r * r;
+        return Math.sqrt(variance * periodsPerYear);
+      });
+      return { volatility: series[series.length - 1], series, lambda };
+    }
+  
+    /**
+     * Minimizes a function with the Nelder-Mead simplex method.
+     * @param {function(number[]): number} objective - Function to minimize.
+     * @param {number[]} start - Starting point.
+     * @param {Object} settings - Optimizer settings.
+     * @param {number} settings.maxIterations - Iteration limit.
+     * @param {number} settings.tolerance - Stop when the simplex values differ by less than this.
+     * @returns {Object} Object with point, value and iterations.
+     * @private
+     */
+    #nelderMead(objective, start, { maxIterations, tolerance }) {
+      const dimensions = start.length;
+      let simplex = [start, ...start.map((_, d) => start.map((x, j) => (j === d ? x + 0.5 : x)))]
+        .map(point => ({ point, value: objective(point) }));
+      const combine = (a, b, weight) => a.map((x, j) => x + weight * (b[j] - x));
+  
+      let iterations = 0;
+      for (; iterations < maxIterations; iterations++) {
+        simplex.sort((a, b) => a.value - b.value);
+        const best = simplex[0];
+        const worst = simplex[dimensions];
+        if (Math.abs(worst.value - best.value) < tolerance) break;
+  
+        const centroid = start.map((_, j) => simplex.slice(0, dimensions).reduce((sum, vertex) => sum + vertex.point[j], 0) / dimensions);
+        const evaluate = point => ({ point, value: objective(point) });
+        const reflected = evaluate(combine(centroid, worst.point, -1));
+        if (reflected.value < best.value) {
+          const expanded = evaluate(combine(centroid, worst.point, -2));
+          simplex[dimensions] = expanded.value < reflected.value ? expanded : reflected;
+        } else if (reflected.value < simplex[dimensions - 1].value) {
+          simplex[dimensions] = reflected;
+        } else {
+          const contracted = evaluate(combine(centroid, worst.point, 0.5));
+          if (contracted.value < worst.value) {
+            simplex[dimensions] = contracted;
+          } else {
+            simplex = simplex.map((vertex, v) => (v === 0 ? vertex : evaluate(combine(best.point, vertex.point, 0.5))));
+          }
+        }
+      }
+      simplex.sort((a, b) => a.value - b.value);
+      return { point: simplex[0].point, value: simplex[0].value, iterations };
+    }
+  
+    /**
+     * Fits a GARCH(1,1) model to returns by maximum likelihood and forecasts volatility:
+     * variance_t = omega + alpha * shock_(t-1)^2 + beta * variance_(t-1).
+     * Uses variance targeting (omega = sample variance * (1 - alpha - beta)), so the long-run
+     * volatility equals the sample volatility and only alpha and beta are optimized.
+     * @param {number[]} returns - Periodic returns as decimals (at least 20).
+     * @param {Object} [options] - Model options.
+     * @param {number} [options.periodsPerYear=252] - Periods per year used to annualize.
+     * @param {number} [options.horizon=10] - Number of periods to forecast.
+     * @param {number} [options.maxIterations=500] - Optimizer iteration limit.
+     * @returns {Object} Object with omega, alpha, beta, persistence (alpha + beta), halfLife (periods for a
+     * volatility shock to halve), mean, logLikelihood, longRunVolatility, currentVolatility (next period),
+     * conditionalVolatility (per return, from the returns before it), forecast (per future period) — all
+     * volatilities annualized — and horizonVolatility (volatility of the cumulative return over the horizon,
+     * not annualized).
+     * @throws {InvalidInputError} If returns or options are invalid, or the returns have no variance.
+     * @throws {InsufficientDataError} If there are fewer than 20 returns.
+     * @example
+     * const stats = new Statistics();
+     * const garch = stats.fitGARCH(stats.calculateReturns(closes), { horizon: 5 });
+     * // returns { alpha: 0.08, beta: 0.9, persistence: 0.98, currentVolatility: 0.24, forecast: [0.24, ...], ... }
+     */
+    fitGARCH(returns, { periodsPerYear = 252, horizon = 10, maxIterations = 500 } = {}) {
+      const fn = 'fitGARCH';
+      returns = this.#validator.numberArray(fn, 'returns', returns);
+      if (returns.length < 20) {
+        throw new InsufficientDataError(fn, 'returns', 'must contain at least 20 values');
+      }
+      periodsPerYear = this.#validator.number(fn, 'options.periodsPerYear', periodsPerYear, { positive: true });
+      horizon = this.#validator.number(fn, 'options.horizon', horizon, { integer: true, positive: true });
+      maxIterations = this.#validator.number(fn, 'options.maxIterations', maxIterations, { integer: true, positive: true });
+  
+      const mean = this.mean(returns);
+      const shocks = returns.map(r => r - mean);
+      const longRunVariance = this.mean(shocks.map(shock => shock * shock));
+      if (longRunVariance === 0) {
+        throw new InvalidInputError(fn, 'returns', 'must not all be equal');
+      }
+  
+      // Unconstrained parameters: logit of the persistence (capped below 1) and of alpha's share of it
+      const logistic = x => 1 / (1 + Math.exp(-x));
+      const logit = p => Math.log(p / (1 - p));
+      const maxPersistence = 0.9999;
+      const unpack = ([x, y]) => {
+        const persistence = maxPersistence * logistic(x);
+        return { alpha: persistence * logistic(y), beta: persistence * (1 - logistic(y)), persistence };
+      };
+      const filter = ({ alpha, beta, persistence }) => {
+        const omega = longRunVariance * (1 - persistence);
+        const variances = new Array(shocks.length);
+        let variance = longRunVariance;
+        let logLikelihood = 0;
+        for (let t = 0; t < shocks.length; t++) {
+          if (t > 0) variance = omega + alpha * shocks[t - 1] ** 2 + beta * variance;
+          variances[t] = variance;
+          logLikelihood -= 0.5 * (Math.log(2 * Math.PI) + Math.log(variance) + shocks[t] ** 2 / variance);
+        }
+        const next = omega + alpha * shocks[shocks.length - 1] ** 2 + beta * variance;
+        return { omega, variances, next, logLikelihood };
+      };
+  
+      const { point } = this.#nelderMead(
+        x => -filter(unpack(x)).logLikelihood,
+        [logit(0.95 / maxPersistence), logit(0.1 / 0.95)],
+        { maxIterations, tolerance: 1e-10 }
+      );
+      const { alpha, beta, persistence } = unpack(point);
+      const { omega, variances, next, logLikelihood } = filter({ alpha, beta, persistence });
+  
+      const forecastVariances = Array.from({ length: horizon }, (_, h) =>
+        longRunVariance + persistence ** h * (next - longRunVariance));
+      const annualize = variance => Math.sqrt(variance * periodsPerYear);
+  
+      return {
+        omega,
+        alpha,
+        beta,
+        persistence,
+        halfLife: Math.log(0.5) / Math.log(persistence),
+        mean,
+        logLikelihood,
+        longRunVolatility: annualize(longRunVariance),
+        currentVolatility: annualize(next),
+        conditionalVolatility: variances.map(annualize),
+        forecast: forecastVariances.map(annualize),
+        horizonVolatility: Math.sqrt(forecastVariances.reduce((sum, variance) => sum + variance, 0))
+      };
+    }
+  
+    /**
+     * Validates a timestamped bar series. Closes and times are required; opens, highs, lows and
+     * volumes are optional but must match their length.
+     * @param {string} fn - Public method name used in errors.
+     * @param {Object} bars - { times, opens, highs, lows, closes, volumes } (see importBars).
+     * @returns {Object} Object with times (epoch milliseconds), closes, and opens, highs, lows and volumes (or null).
+     * @private
+     */
+    #timedBars(fn, bars) {
+      this.#validator.object(fn, 'bars', bars);
+      const arrays = { closes: bars.closes };
+      ['opens', 'highs', 'lows'].forEach(name => {
+        if (bars[name] !== undefined && bars[name] !== null) arrays[name] = bars[name];
+      });
+      const prices = this.#validator.priceArrays(fn, arrays);
+      const length = prices.closes.length;
+  
+      this.#validator.array(fn, 'bars.times', bars.times);
+      if (bars.times.length !== length) {
+        throw new InvalidInputError(fn, 'bars.times', 'must have the same length as closes');
+      }
+      const times = bars.times.map((time, i) => {
+        const timestamp = time === null || time === undefined ? NaN : new Date(time).getTime();
+        if (isNaN(timestamp)) throw new InvalidInputError(fn, 'bars.times', `contains an invalid date at index ${i}`);
+        return timestamp;
+      });
+      if (times.some((time, i) => i > 0 && time <= times[i - 1])) {
+        throw new InvalidInputError(fn, 'bars.times', 'must be in ascending order without duplicates');
+      }
+  
+      let volumes = null;
+      if (bars.volumes !== undefined && bars.volumes !== null) {
+        volumes = this.#validator.numberArray(fn, 'bars.volumes', bars.volumes, { allowNull: true });
+        if (volumes.length !== length) {
+          throw new InvalidInputError(fn, 'bars.volumes', 'must have the same length as closes');
+        }
+        if (volumes.every(volume => volume === null)) volumes = null;
+      }
+      return { times, opens: prices.opens ?? null, highs: prices.highs ?? null, lows: prices.lows ?? null, closes: prices.closes, volumes };
+    }
+  
+    /**
+     * Validates the time zone and trading session options of the calendar methods.
+     * @param {string} fn - Public method name used in errors.
+     * @param {Object} options - { timezone, session }.
+     * @returns {Object} Settings for the calendar helpers: { timezone, session }.
+     * @private
+     */
+    #calendarSettings(fn, { timezone, session }) {
+      this.#validator.string(fn, 'options.timezone', timezone);
+      if (!isTimeZone(timezone)) {
+        throw new InvalidInputError(fn, 'options.timezone', 'must be UTC, an offset such as "+02:00" or an IANA time zone');
+      }
+      if (session !== null) this.#validator.object(fn, 'options.session', session);
+      const parsed = parseSession(session);
+      if (parsed === null) {
+        throw new InvalidInputError(fn, 'options.session', 'must have start and end times such as "09:30" and "16:00"');
+      }
+      return { timezone, session: parsed };
+    }
+  
+    /**
+     * Validates a bar interval.
+     * @param {string} fn - Public method name used in errors.
+     * @param {string} arg - Argument name used in errors.
+     * @param {string} interval - Interval such as '5m', '1h', '1D', '1W' or '1M'.
+     * @returns {Object} Parsed interval: { unit, count }.
+     * @private
+     */
+    #barInterval(fn, arg, interval) {
+      this.#validator.string(fn, arg, interval);
+      const parsed = parseInterval(interval);
+      if (parsed === null) {
+        throw new InvalidInputError(fn, arg, 'must be an interval such as "5m", "1h", "1D", "1W" or "1M"');
+      }
+      return parsed;
+    }
+  
+    /**
+     * Resamples timestamped bars to a longer interval (e.g., 1m → 1h → 1D → 1W). Each bucket opens
+     * at its first bar's open, closes at its last bar's close, and takes the highest high, lowest low
+     * and summed volume. The result has the same shape as importBars, so it can be passed to
+     * skewnedStandardDeviation, the indicators, the volatility estimators or runBacktest.
+     * @param {Object} bars - { times, opens, highs, lows, closes, volumes } (see importBars). Times are Date
+     * objects, epoch milliseconds or ISO strings in ascending order; only closes and times are required
+     * (missing opens, highs and lows are taken from the closes).
+     * @param {string} interval - Target interval: minutes ('5m'), hours ('1h', '4h'), days ('1D'),
+     * weeks starting Monday ('1W') or months ('1M').
+     * @param {Object} [options] - Resampling options.
+     * @param {string} [options.timezone='UTC'] - Time zone that bucket boundaries follow: 'UTC', '+02:00' or
+     * an IANA name such as 'America/New_York' (buckets move with daylight saving time).
+     * @param {Object} [options.session=null] - Trading session { start, end } in local 'HH:mm' time, e.g.
+     * { start: '09:30', end: '16:00' }. Bars outside it are dropped and days start at the session start.
+     * A session that ends before it starts (e.g., futures from '18:00' to '17:00') runs overnight and
+     * counts towards the following day.
+     * @returns {Object} Object with interval, timezone, times (bucket start as Date), opens, highs, lows,
+     * closes, volumes (null when the bars have none) and counts (source bars per bucket).
+     * @throws {InvalidInputError} If the bars or options are invalid.
+     * @example
+     * const stats = new Statistics();
+     * const { times, opens, highs, lows, closes } = stats.importBars(fs.readFileSync('spy-1m.csv', 'utf8'));
+     * const daily = stats.resampleBars({ times, opens, highs, lows, closes }, '1D', {
+     *   timezone: 'America/New_York',
+     *   session: { start: '09:30', end: '16:00' }
+     * });
+     * stats.skewnedStandardDeviation(daily.opens, daily.highs, daily.lows, daily.closes);
+     */
+    resampleBars(bars, interval, { timezone = 'UTC', session = null } = {}) {
+      const fn = 'resampleBars';
+      const series = this.#timedBars(fn, bars);
+      const parsed = this.#barInterval(fn, 'interval', interval);
+      const settings = this.#calendarSettings(fn, { timezone, session });
+  
+      const result = { interval, timezone, times: [], opens: [], highs: [], lows: [], closes: [], volumes: [], counts: [] };
+      let current = null;
+      series.times.forEach((time, i) => {
+        if (session !== null && !locate(time, settings).inSession) return;
+        const close = series.closes[i];
+        const open = series.opens ? series.opens[i] : close;
+        const high = series.highs ? series.highs[i] : Math.max(open, close);
+        const low = series.lows ? series.lows[i] : Math.min(open, close);
+        const volume = series.volumes ? series.volumes[i] : null;
+        const start = bucketStart(time, parsed, settings);
+  
+        if (start !== current) {
+          current = start;
+          result.times.push(new Date(start));
+          result.opens.push(open);
+          result.highs.push(high);
+          result.lows.push(low);
+          result.closes.push(close);
+          result.volumes.push(volume);
+          result.counts.push(1);
+          return;
+        }
+        const last = result.closes.length - 1;
+        result.highs[last] = Math.max(result.highs[last], high);
+        result.lows[last] = Math.min(result.lows[last], low);
+        result.closes[last] = close;
+        if (volume !== null) result.volumes[last] = (result.volumes[last] ?? 0) + volume;
+        result.counts[last]++;
+      });
+      if (series.volumes === null) result.volumes = null;
+      return result;
+    }
+  
+    /**
+     * Finds missing bars and price gaps in a timestamped bar series. Expected bars are the interval
+     * buckets inside the trading session on trading days, so nights, weekends and listed holidays are
+     * not reported as missing.
+     * @param {Object} bars - { times, opens, highs, lows, closes } (see resampleBars). Opens are needed for price gaps.
+     * @param {Object} [options] - Detection options.
+     * @param {string} [options.interval] - Expected bar interval (see resampleBars); inferred from the
+     * median spacing of the bars when omitted.
+     * @param {string} [options.timezone='UTC'] - Time zone of the session and trading days.
+     * @param {Object} [options.session=null] - Trading session { start, end } (see resampleBars); the full day when null.
+     * @param {number[]} [options.tradingDays=[1, 2, 3, 4, 5]] - Trading weekdays (0 = Sunday … 6 = Saturday);
+     * use all seven for markets that trade every day.
+     * @param {Array} [options.holidays=[]] - Closed trading dates ('YYYY-MM-DD' or Date).
+     * @param {number} [options.minGapPercent=1] - Smallest open-to-previous-close move reported as a price gap.
+     * @returns {Object} Object with interval, expectedBars, missingBars, completeness (percentage of expected
+     * bars present), timeGaps ({ index of the bar after the gap, from, to, firstMissing, missingBars }) and
+     * priceGaps ({ index, time, previousClose, open, gapPercent, direction, filledIndex (first bar from the
+     * gap on that trades back to the previous close, or null) }, or null without opens).
+     * @throws {InvalidInputError} If the bars or options are invalid.
+     * @throws {InsufficientDataError} If there are fewer than 2 bars.
+     * @example
+     * const stats = new Statistics();
+     * const gaps = stats.detectGaps(bars, { interval: '1D', holidays: ['2024-01-15'] });
+     * // returns { interval: '1D', expectedBars: 250, missingBars: 2, completeness: 99.2, timeGaps: [...], priceGaps: [...] }
+     */
+    detectGaps(bars, { interval, timezone = 'UTC', session = null, tradingDays = [1, 2, 3, 4, 5], holidays = [], minGapPercent = 1 } = {}) {
+      const fn = 'detectGaps';
+      const series = this.#timedBars(fn, bars);
+      const { times, opens, highs, lows, closes } = series;
+      if (times.length < 2) {
+        throw new InsufficientDataError(fn, 'bars.closes', 'must contain at least 2 values');
+      }
+      const settings = this.#calendarSettings(fn, { timezone, session });
+      this.#validator.array(fn, 'options.tradingDays', tradingDays, { minLength: 1 });
+      tradingDays.forEach((day, i) => this.#validator.number(fn, `options.tradingDays[${i}]`, day, { integer: true, min: 0, max: 6 }));
+      this.#validator.array(fn, 'options.holidays', holidays, { minLength: 0 });
+      const closed = new Set(holidays.map((holiday, i) => {
+        const date = holiday === null || holiday === undefined ? new Date(NaN) : new Date(holiday);
+        if (isNaN(date.getTime())) throw new InvalidInputError(fn, `options.holidays[${i}]`, 'must be a valid date');
+        return date.toISOString().slice(0, 10);
+      }));
+      minGapPercent = this.#validator.number(fn, 'options.minGapPercent', minGapPercent, { min: 0 });
+  
+      if (interval === undefined) {
+        const spacings = times.slice(1).map((time, i) => time - times[i]).sort((a, b) => a - b);
+        const spacing = spacings[Math.floor(spacings.length / 2)];
+        const minutes = Math.max(1, Math.round(spacing / 60000));
+        if (spacing >= 27 * DAY) interval = '1M';
+        else if (spacing >= 6 * DAY) interval = '1W';
+        else if (spacing >= 20 * 60 * 60000) interval = '1D';
+        else interval = minutes % 60 === 0 ? `${minutes / 60}h` : `${minutes}m`;
+      }
+      const parsed = this.#barInterval(fn, 'options.interval', interval);
+      const intraday = parsed.unit === 'minute' || parsed.unit === 'hour';
+  
+      const isOpen = place => {
+        if (parsed.unit === 'week' || parsed.unit === 'month') return true;
+        const tradingDay = tradingDays.includes(new Date(place.tradingDate).getUTCDay()) && !closed.has(dateKey(place.tradingDate));
+        return tradingDay && (!intraday || place.inSession);
+      };
+  
+      const buckets = times.map(time => bucketStart(time, parsed, settings));
+      const timeGaps = [];
+      let presentBars = 1;
+      for (let i = 1; i < times.length; i++) {
+        if (buckets[i] === buckets[i - 1]) continue;
+        presentBars++;
+        let missingBars = 0;
+        let firstMissing = null;
+        let slot = nextBucket(buckets[i - 1], parsed, settings);
+        while (slot < buckets[i]) {
+          const place = locate(slot, settings);
+          if (isOpen(place)) {
+            missingBars++;
+            firstMissing ??= slot;
+            slot = nextBucket(slot, parsed, settings);
+          } else {
+            // Skip closed hours a session at a time rather than bar by bar
+            slot = intraday ? nextSession(slot, settings) : nextBucket(slot, parsed, settings);
+          }
+        }
+        if (missingBars > 0) {
+          timeGaps.push({ index: i, from: new Date(times[i - 1]), to: new Date(times[i]), firstMissing: new Date(firstMissing), missingBars });
+        }
+      }
+      const missingBars = timeGaps.reduce((sum, gap) => sum + gap.missingBars, 0);
+  
+      let priceGaps = null;
+      if (opens !== null) {
+        priceGaps = [];
+        for (let i = 1; i < times.length; i++) {
+          const previousClose = closes[i - 1];
+          if (previousClose === 0 || opens[i] === previousClose) continue;
+          const gapPercent = (opens[i] - previousClose) / Math.abs(previousClose) * 100;
+          if (Math.abs(gapPercent) < minGapPercent) continue;
+          const direction = gapPercent > 0 ? 'up' : 'down';
+          let filledIndex = null;
+          for (let j = i; j < times.length && filledIndex === null; j++) {
+            const low = lows ? lows[j] : Math.min(opens[j], closes[j]);
+            const high = highs ? highs[j] : Math.max(opens[j], closes[j]);
+            if (direction === 'up' ? low <= previousClose : high >= previousClose) filledIndex = j;
+          }
+          priceGaps.push({ index: i, time: new Date(times[i]), previousClose, open: opens[i], gapPercent, direction, filledIndex });
+        }
+      }
+  
+      return {
+        interval,
+        expectedBars: presentBars + missingBars,
+        missingBars,
+        completeness: presentBars / (presentBars + missingBars) * 100,
+        timeGaps,
+        priceGaps
+      };
+    }
+  
+    /**
+     * Breaks the close-to-close returns of timestamped bars down by calendar: by weekday, by hour of
+     * the day (intraday bars), by month of the year, and as a monthly returns table (one row per year,
+     * the usual heat-map layout). Days follow the trading session, so an overnight futures session
+     * counts towards the day it ends.
+     * @param {Object} bars - { times, closes } (see resampleBars); closes must be positive.
+     * @param {Object} [options] - Calendar options.
+     * @param {string} [options.timezone='UTC'] - Time zone of the calendar (see resampleBars).
+     * @param {Object} [options.session=null] - Trading session { start, end }; bars outside it are dropped.
+     * @returns {Object} Object with timezone, byWeekday (Monday first), byHour (null for bars a day or
+     * longer apart), byMonth (statistics of the monthly returns per calendar month), and monthly
+     * ({ year, months (12 compounded returns, null without data), total (compounded year return) }).
+     * Groups have key, count, mean, median, total (compounded), positive (share of positive returns),
+     * best and worst. Returns are decimals.
+     * @throws {InvalidInputError} If the bars or options are invalid.
+     * @throws {InsufficientDataError} If fewer than 2 bars remain.
+     * @example
+     * const stats = new Statistics();
+     * const calendar = stats.analyzeCalendarReturns(daily, { timezone: 'America/New_York' });
+     * // calendar.byWeekday: [{ key: 'Monday', count: 50, mean: 0.0008, positive: 0.54, ... }, ...]
+     * // calendar.monthly: [{ year: 2024, months: [0.016, 0.052, ..., null], total: 0.21 }]
+     */
+    analyzeCalendarReturns(bars, { timezone = 'UTC', session = null } = {}) {
+      const fn = 'analyzeCalendarReturns';
+      const series = this.#timedBars(fn, bars);
+      const settings = this.#calendarSettings(fn, { timezone, session });
+      const places = [];
+      const closes = [];
+      series.times.forEach((time, i) => {
+        const place = locate(time, settings);
+        if (session !== null && !place.inSession) return;
+        if (series.closes[i] <= 0) throw new InvalidInputError(fn, 'closes', `must be positive (index ${i})`);
+        places.push(place);
+        closes.push(series.closes[i]);
+      });
+      if (closes.length < 2) {
+        throw new InsufficientDataError(fn, 'bars.closes', 'must contain at least 2 values');
+      }
+  
+      const compound = values => values.reduce((growth, value) => growth * (1 + value), 1) - 1;
+      const summarize = (key, values) => ({
+        key,
+        count: values.length,
+        mean: this.mean(values),
+        median: this.median(values),
+        total: compound(values),
+        positive: values.filter(value => value > 0).length / values.length,
+        best: Math.max(...values),
+        worst: Math.min(...values)
+      });
+      const group = (entries, order) => {
+        const groups = new Map();
+        entries.forEach(({ key, value }) => {
+          if (!groups.has(key)) groups.set(key, []);
+          groups.get(key).push(value);
+        });
+        return order.filter(key => groups.has(key)).map(key => summarize(key, groups.get(key)));
+      };
+  
+      const returns = closes.slice(1).map((close, i) => ({ place: places[i + 1], value: close / closes[i] - 1 }));
+      const dateOf = ({ place }) => new Date(place.tradingDate);
+  
+      const weekdays = [...WEEKDAYS.slice(1), WEEKDAYS[0]];
+      const byWeekday = group(returns.map(entry => ({ key: WEEKDAYS[dateOf(entry).getUTCDay()], value: entry.value })), weekdays);
+  
+      const spacings = places.slice(1).map((place, i) => place.local - places[i].local).sort((a, b) => a - b);
+      const intraday = spacings[Math.floor(spacings.length / 2)] < 20 * 60 * 60000;
+      const hours = Array.from({ length: 24 }, (_, hour) => String(hour).padStart(2, '0'));
+      const byHour = intraday
+        ? group(returns.map(entry => ({ key: hours[Math.floor(entry.place.minutes / 60)], value: entry.value })), hours)
+        : null;
+  
+      // Monthly returns compound every bar return dated in the month, so each month runs from the previous month's last close
+      const months = new Map();
+      returns.forEach(entry => {
+        const date = dateOf(entry);
+        const key = date.getUTCFullYear() * 12 + date.getUTCMonth();
+        if (!months.has(key)) months.set(key, []);
+        months.get(key).push(entry.value);
+      });
+      const monthlyReturns = [...months].map(([key, values]) => ({ year: Math.floor(key / 12), month: key % 12, value: compound(values) }));
+      const byMonth = group(monthlyReturns.map(({ month, value }) => ({ key: MONTHS[month], value })), MONTHS);
+  
+      const years = [...new Set(monthlyReturns.map(({ year }) => year))];
+      const monthly = years.map(year => {
+        const row = new Array(12).fill(null);
+        monthlyReturns.filter(entry => entry.year === year).forEach(({ month, value }) => { row[month] = value; });
+        return { year, months: row, total: compound(row.filter(value => value !== null)) };
+      });
+  
+      return { timezone, byWeekday, byHour, byMonth, monthly };
+    }
+  
+    /**
+     * Converts a result value to a report value: numbers (infinite ones as "∞" text so the report
+     * survives JSON), strings, or null.
+     * @param {*} value - Result value.
+     * @returns {(number|string|null)} Report value.
+     * @private
+     */
+    #reportValue(value) {
+      if (value === null || value === undefined) return null;
+      if (typeof value === 'number') {
+        if (Number.isNaN(value)) return null;
+        return Number.isFinite(value) ? value : (value > 0 ? '∞' : '-∞');
+      }
+      return String(value);
+    }
+  
+    /**
+     * Builds metric rows from [label, value, format] entries, leaving out undefined values.
+     * Values may come from either result mode; formatted strings are kept as they are.
+     * @param {Array<Array>} fields - Entries.
+     * @returns {Object[]} Rows of { label, value, format }.
+     * @private
+     */
+    #reportRows(fields) {
+      return fields
+        .filter(([, value]) => value !== undefined)
+        .map(([label, value, format]) => ({ label, value: this.#reportValue(value), ...(format && { format }) }));
+    }
+  
+    /**
+     * Checks a report section (see createReport) before rendering.
+     * @param {string} fn - Public method name used in errors.
+     * @param {Object} section - Section.
+     * @param {string} name - Argument name used in errors.
+     * @private
+     */
+    #reportSection(fn, section, name) {
+      this.#validator.object(fn, name, section);
+      this.#validator.oneOf(fn, `${name}.type`, section.type, SECTION_TYPES);
+      this.#validator.string(fn, `${name}.title`, section.title);
+      const required = {
+        metrics: ['rows'],
+        text: ['items'],
+        line: ['series'],
+        histogram: ['bins'],
+        table: ['columns', 'rows'],
+        heatmap: ['columns', 'rows']
+      }[section.type];
+      required.forEach(field => this.#validator.array(fn, `${name}.${field}`, section[field], { minLength: 0 }));
+      if (section.type === 'line') {
+        section.series.forEach((series, i) => {
+          this.#validator.object(fn, `${name}.series[${i}]`, series);
+          this.#validator.array(fn, `${name}.series[${i}].values`, series.values, { minLength: 0 });
+        });
+      }
+    }
+  
+    /**
+     * Collects analysis results into a report that can be saved as JSON and rendered later with
+     * renderReport. The report holds only data (values, formats, chart points and histogram bins),
+     * so the same results always give the same report and the same rendered output.
+     * @param {Object} results - Results to include; every entry is optional.
+     * @param {Object} [results.metrics] - Flat metrics, e.g. from analyzeTrades (nested objects are left out).
+     * @param {(Object|number[])} [results.equityCurve] - buildEquityCurve result, or account balances;
+     * gives equity and drawdown charts.
+     * @param {number[]} [results.returns] - Period returns as decimals; gives summary statistics and a histogram.
+     * @param {Object} [results.riskOfRuin] - calculateDetailedRiskOfRuin result (taken from metrics.riskOfRuin when omitted).
+     * @param {Object} [results.skewness] - interpretSkewness result.
+     * @param {Object} [results.marketPatterns] - interpretMarketPatterns result.
+     * @param {Object} [results.calendar] - analyzeCalendarReturns result; gives the monthly returns heat-map.
+     * @param {Object[]} [results.sections] - Extra sections in the report format (see src/report.js), appended last.
+     * @param {Object} [options] - Report options.
+     * @param {string} [options.title='Trading Report'] - Report title.
+     * @param {string} [options.description=null] - Introductory paragraph.
+     * @param {(Date|string|number)} [options.generatedAt=null] - Time shown in the report; left out by default
+     * so reports of the same results are identical.
+     * @param {(number|string)} [options.bins='sturges'] - Histogram bins (see calculateHistogram).
+     * @returns {Object} Report: { version, title, description, generatedAt, sections }.
+     * @throws {InvalidInputError} If a result or option is invalid.
+     * @example
+     * const stats = new Statistics();
+     * stats.setResultMode('numeric');
+     * const report = stats.createReport({
+     *   metrics: stats.analyzeTrades(trades),
+     *   equityCurve: stats.buildEquityCurve(trades, 10000),
+     *   skewness: stats.interpretSkewness(distribution.skewness, distribution.kurtosis.returns)
+     * }, { title: 'Breakout strategy review' });
+     * fs.writeFileSync('review.json', JSON.stringify(report));
+     * fs.writeFileSync('review.html', stats.renderReport(report));
+     */
+    createReport(results, { title = 'Trading Report', description = null, generatedAt = null, bins = 'sturges' } = {}) {
+      const fn = 'createReport';
+      this.#validator.object(fn, 'results', results);
+      this.#validator.string(fn, 'options.title', title);
+      if (description !== null) this.#validator.string(fn, 'options.description', description);
+      if (generatedAt !== null) {
+        const date = new Date(generatedAt);
+        if (isNaN(date.getTime())) throw new InvalidInputError(fn, 'options.generatedAt', 'must be a valid date');
+        generatedAt = date.toISOString();
+      }
+      const entries = ['metrics', 'equityCurve', 'returns', 'riskOfRuin', 'skewness', 'marketPatterns', 'calendar', 'sections'];
+      Object.keys(results).forEach(key => {
+        if (!entries.includes(key)) {
+          throw new InvalidInputError(fn, 'results', `has unknown entry "${key}" (expected ${entries.join(', ')})`);
+        }
+      });
+  
+      const label = key => key.replace(/([a-z0-9])([A-Z])/g, '$1 $2').replace(/^./, letter => letter.toUpperCase());
+      const percent = digits => ({ type: 'percent', digits });
+      const sections = [];
+      const { metrics, equityCurve, returns, skewness, marketPatterns, calendar } = results;
+  
+      if (metrics !== undefined) {
+        this.#validator.object(fn, 'results.metrics', metrics);
+        const rows = Object.entries(metrics)
+          .filter(([, value]) => value === null || typeof value !== 'object')
+          .map(([key, value]) => [label(key), value]);
+        sections.push({ type: 'metrics', title: 'Metrics', rows: this.#reportRows(rows) });
+      }
+  
+      if (equityCurve !== undefined) {
+        const name = 'results.equityCurve';
+        let equity;
+        if (Array.isArray(equityCurve)) {
+          equity = this.#validator.numberArray(fn, name, equityCurve);
+        } else {
+          this.#validator.object(fn, name, equityCurve);
+          equity = this.#validator.numberArray(fn, `${name}.equity`, equityCurve.equity);
+        }
+        let peak = -Infinity;
+        const drawdowns = equity.map(value => {
+          peak = Math.max(peak, value);
+          return peak > 0 ? (value - peak) / peak : 0;
+        });
+        const start = equity[0];
+        const end = equity[equity.length - 1];
+        sections.push(
+          {
+            type: 'metrics',
+            title: 'Equity',
+            rows: this.#reportRows([
+              ['Starting Balance', start, { type: 'fixed', digits: 2 }],
+              ['Final Balance', end, { type: 'fixed', digits: 2 }],
+              ['Total Return', start > 0 ? (end - start) / start : null, percent(2)],
+              ['Maximum Drawdown', -this.maxOrMin(drawdowns, 'min'), percent(2)]
+            ])
+          },
+          { type: 'line', title: 'Equity Curve', series: [{ name: 'Equity', values: equity }], format: { type: 'fixed', digits: 2 } },
+          { type: 'line', title: 'Drawdown', series: [{ name: 'Drawdown', values: drawdowns }], format: percent(1), area: true }
+        );
+      }
+  
+      if (returns !== undefined) {
+        const values = this.#validator.numberArray(fn, 'results.returns', returns);
+        const mean = this.mean(values);
+        const deviation = values.length > 1
+          ? Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (values.length - 1))
+          : null;
+        const histogram = this.calculateHistogram(values, { bins });
+        sections.push(
+          {
+            type: 'metrics',
+            title: 'Returns',
+            rows: this.#reportRows([
+              ['Periods', values.length],
+              ['Mean', mean, percent(2)],
+              ['Median', this.median(values), percent(2)],
+              ['Standard Deviation', deviation, percent(2)],
+              ['Best', this.maxOrMin(values, 'max'), percent(2)],
+              ['Worst', this.maxOrMin(values, 'min'), percent(2)],
+              ['Positive', values.filter(value => value > 0).length / values.length, percent(1)]
+            ])
+          },
+          {
+            type: 'histogram',
+            title: 'Return Distribution',
+            bins: histogram.bins.map(({ lower, upper, count }) => ({ lower, upper, count })),
+            format: percent(2)
+          }
+        );
+      }
+  
+      const riskOfRuin = results.riskOfRuin ?? (metrics?.riskOfRuin !== null && typeof metrics?.riskOfRuin === 'object' ? metrics.riskOfRuin : undefined);
+      if (riskOfRuin !== undefined) {
+        this.#validator.object(fn, 'results.riskOfRuin', riskOfRuin);
+        const format = RESULT_FORMATS.calculateDetailedRiskOfRuin;
+        sections.push({
+          type: 'metrics',
+          title: 'Risk of Ruin',
+          rows: this.#reportRows([
+            ['Risk of Ruin', riskOfRuin.riskOfRuin, format.riskOfRuin],
+            ['Survival Probability', riskOfRuin.survivalProbability, format.survivalProbability],
+            ['Risk Status', riskOfRuin.riskStatus],
+            ['Kelly Percentage', riskOfRuin.metrics?.kellyPercentage, format.metrics.kellyPercentage],
+            ['Recommended Risk per Trade', riskOfRuin.metrics?.recommendedRiskPerTrade, format.metrics.recommendedRiskPerTrade],
+            ['Drawdown Risk', riskOfRuin.metrics?.drawdownRisk, format.metrics.drawdownRisk]
+          ])
+        });
+        const { description: summary, recommendation } = riskOfRuin.interpretation ?? {};
+        if (summary !== undefined || recommendation !== undefined) {
+          sections.push({
+            type: 'text',
+            title: 'Risk Assessment',
+            items: [['Assessment', summary], ['Recommendation', recommendation]]
+              .filter(([, text]) => text !== undefined)
+              .map(([itemLabel, text]) => ({ label: itemLabel, text: String(text) }))
+          });
+        }
+      }
+  
+      if (skewness !== undefined) {
+        this.#validator.object(fn, 'results.skewness', skewness);
+        const analysis = skewness.analysis ?? {};
+        const format = { type: 'fixed', digits: 4 };
+        const keys = ['returns', 'prices', 'ranges', 'tailRisk'].filter(key => analysis[key]);
+        const names = { returns: 'Returns Skewness', prices: 'Prices Skewness', ranges: 'Ranges Skewness', tailRisk: 'Excess Kurtosis' };
+        sections.push(
+          {
+            type: 'metrics',
+            title: 'Skewness',
+            rows: this.#reportRows([
+              ...keys.map(key => [names[key], analysis[key].value, format]),
+              ['Tail Risk Level', analysis.tailRisk?.level]
+            ])
+          },
+          {
+            type: 'text',
+            title: 'Skewness Interpretation',
+            items: [
+              ...(skewness.marketBias !== undefined ? [{ label: 'Market Bias', text: String(skewness.marketBias) }] : []),
+              ...keys.map(key => ({ label: label(key), text: String(analysis[key].interpretation) }))
+            ]
+          }
+        );
+      }
+  
+      if (marketPatterns !== undefined) {
+        this.#validator.object(fn, 'results.marketPatterns', marketPatterns);
+        const { details = {}, metrics: shares = {} } = marketPatterns;
+        const format = RESULT_FORMATS.interpretMarketPatterns;
+        sections.push(
+          {
+            type: 'metrics',
+            title: 'Market Patterns',
+            rows: this.#reportRows([
+              ['Market Type', details.marketType],
+              ['Bias', details.bias],
+              ['Volatility', details.volatility],
+              ['Up Strength', details.strength?.upStrength, format.details.strength.upStrength],
+              ['Down Strength', details.strength?.downStrength, format.details.strength.downStrength],
+              ['Up Bars', shares.upPercentage, format.metrics.upPercentage],
+              ['Down Bars', shares.downPercentage, format.metrics.downPercentage],
+              ['Neutral Bars', shares.neutralPercentage, format.metrics.neutralPercentage]
+            ])
+          },
+          ...(marketPatterns.summary !== undefined
+            ? [{ type: 'text', title: 'Market Summary', items: [{ label: null, text: String(marketPatterns.summary) }] }]
+            : [])
+        );
+      }
+  
+      if (calendar !== undefined) {
+        this.#validator.object(fn, 'results.calendar', calendar);
+        this.#validator.array(fn, 'results.calendar.monthly', calendar.monthly);
+        sections.push({
+          type: 'heatmap',
+          title: 'Monthly Returns',
+          columns: [...MONTHS.map(month => month.slice(0, 3)), 'Year'],
+          rows: calendar.monthly.map(({ year, months, total }) => ({
+            label: String(year),
+            values: [...months, total].map(value => this.#reportValue(value))
+          })),
+          format: percent(1)
+        });
+        const groupTable = (title, first, groups) => ({
+          type: 'table',
+          title,
+          columns: [
+            { label: first },
+            { label: 'Count' },
+            { label: 'Mean', format: percent(3) },
+            { label: 'Median', format: percent(3) },
+            { label: 'Positive', format: percent(1) },
+            { label: 'Total', format: percent(2) }
+          ],
+          rows: groups.map(group => [group.key, group.count, group.mean, group.median, group.positive, group.total].map(value => this.#reportValue(value)))
+        });
+        if (Array.isArray(calendar.byWeekday)) sections.push(groupTable('Returns by Weekday', 'Weekday', calendar.byWeekday));
+        if (Array.isArray(calendar.byHour)) sections.push(groupTable('Returns by Hour', 'Hour', calendar.byHour));
+      }
+  
+      if (results.sections !== undefined) {
+        this.#validator.array(fn, 'results.sections', results.sections, { minLength: 0 });
+        results.sections.forEach((section, i) => this.#reportSection(fn, section, `results.sections[${i}]`));
+        sections.push(...JSON.parse(JSON.stringify(results.sections)));
+      }
+  
+      return { version: REPORT_VERSION, title, description, generatedAt, sections };
+    }
+  
+    /**
+     * Renders a report from createReport as a self-contained HTML document (inline CSS and SVG
+     * charts, no network-loaded assets) or as Markdown. Numbers follow the format options (see
+     * setFormatOptions).
+     * @param {(Object|string)} report - Report, or its JSON text.
+     * @param {Object} [options] - Rendering options.
+     * @param {string} [options.format='html'] - 'html' or 'markdown'.
+     * @returns {string} The document.
+     * @throws {InvalidInputError} If the report or options are invalid.
+     * @example
+     * const stats = new Statistics();
+     * const markdown = stats.renderReport(fs.readFileSync('review.json', 'utf8'), { format: 'markdown' });
+     */
+    renderReport(report, { format = 'html' } = {}) {
+      const fn = 'renderReport';
+      if (typeof report === 'string') {
+        try {
+          report = JSON.parse(report);
+        } catch (error) {
+          throw new InvalidInputError(fn, 'report', 'must be a report or its JSON text');
+        }
+      }
+      this.#validator.object(fn, 'report', report);
+      if (report.version !== REPORT_VERSION) {
+        throw new InvalidInputError(fn, 'report.version', `must be ${REPORT_VERSION}`);
+      }
+      this.#validator.string(fn, 'report.title', report.title);
+      this.#validator.array(fn, 'report.sections', report.sections, { minLength: 0 });
+      report.sections.forEach((section, i) => this.#reportSection(fn, section, `report.sections[${i}]`));
+      this.#validator.oneOf(fn, 'options.format', format, ['html', 'markdown']);
+  
+      const renderer = new ReportRenderer(this.#formatter);
+      return format === 'html' ? renderer.html(report) : renderer.markdown(report);
+    }
   };
   
   
   
   
   
-  module.exports = new Statistics();
\ No newline at end of file
+  module.exports = new Statistics();
+  module.exports.StatisticsError = StatisticsError;
+  module.exports.InvalidInputError = InvalidInputError;
+  module.exports.InsufficientDataError = InsufficientDataError;
+  module.exports.ImportError = ImportError;
\ No newline at end of file
@@ -0,0 +1,199 @@
+/**
+ * Thresholds and message catalogs behind the narrative outputs (skewness, market pattern,
+ * probability status, risk of ruin and tail-risk interpretations).
+ *
+ * Rules:
+ * - skewness: |skew| below `moderate` is balanced, beyond `high` is highly skewed
+ * - marketPatterns: `bias` is the up/down share difference for a directional bias, streaks within
+ *   `rangingStreak` of each other mean ranging, and neutral-bar shares above `lowVolatility` or
+ *   below `highVolatility` set the volatility when the patterns carry no volatility measurement
+ * - probability: the win rate (percent) a strategy needs, `winRates[i]` up to reward ratio
+ *   `ratioSteps[i]` and the last one beyond, with `breakEvenMargin` points below it for break even
+ * - riskOfRuin: upper bounds of the minimal, low, moderate and high risk statuses, and the risk of
+ *   ruin below which a positive-Kelly strategy counts as well optimized
+ * - tailRisk: excess kurtosis below `low` is thin-tailed, above `elevated` and `extreme` fat-tailed
+ */
+const DEFAULT_RULES = {
+  skewness: { moderate: 0.5, high: 1 },
+  marketPatterns: { bias: 0.15, rangingStreak: 1, lowVolatility: 0.2, highVolatility: 0.1 },
+  probability: { ratioSteps: [1, 2], winRates: [55, 45, 35], breakEvenMargin: 5 },
+  riskOfRuin: { minimal: 0.01, low: 0.25, moderate: 0.5, high: 0.75, wellOptimized: 0.1 },
+  tailRisk: { low: -1, elevated: 1, extreme: 3 }
+};
+  
+/**
+ * Allowed range of each rule (validator number options; array rules apply them to every entry).
+ * Shares and probabilities are decimals between 0 and 1, win rates and margins are percentages.
+ */
+const RULE_LIMITS = {
+  skewness: { moderate: { min: 0 }, high: { min: 0 } },
+  marketPatterns: {
+    bias: { min: 0, max: 1 },
+    rangingStreak: { min: 0 },
+    lowVolatility: { min: 0, max: 1 },
+    highVolatility: { min: 0, max: 1 }
+  },
+  probability: { ratioSteps: { positive: true }, winRates: { min: 0, max: 100 }, breakEvenMargin: { min: 0, max: 100 } },
+  riskOfRuin: {
+    minimal: { min: 0, max: 1 },
+    low: { min: 0, max: 1 },
+    moderate: { min: 0, max: 1 },
+    high: { min: 0, max: 1 },
+    wellOptimized: { min: 0, max: 1 }
+  },
+  tailRisk: { low: {}, elevated: {}, extreme: {} }
+};
+  
+/**
+ * Rule presets per trading style. Shorter holding periods react to smaller directional
+ * imbalances: day trading 0.05-0.10, swing trading 0.15-0.20, position trading 0.25-0.30.
+ */
+const TRADING_STYLES = {
+  day: { marketPatterns: { bias: 0.05 } },
+  swing: {},
+  position: { marketPatterns: { bias: 0.25 } }
+};
+  
+/**
+ * Message catalogs by language. Templates fill {name} placeholders; numbers are formatted
+ * with the current format options before they are inserted.
+ */
+const MESSAGES = {
+  en: {
+    'skewness.insufficientData': 'insufficient data',
+    'skewness.symmetric': 'approximately symmetric',
+    'skewness.highlyNegative': 'highly negatively skewed',
+    'skewness.moderatelyNegative': 'moderately negatively skewed',
+    'skewness.highlyPositive': 'highly positively skewed',
+    'skewness.moderatelyPositive': 'moderately positively skewed',
+    'returns.positive': 'More frequent small losses but potential for larger gains. Good for long positions.',
+    'returns.negative': 'More frequent small gains but risk of larger losses. Consider quick profit taking.',
+    'returns.balanced': 'Balanced return distribution. No strong bias in gains or losses.',
+    'prices.balanced': 'Price movements are balanced. No strong directional bias.',
+    'prices.up': 'Price tends to make larger upward moves. Favor upside breakouts.',
+    'prices.down': 'Price tends to make larger downward moves. Watch for downside risks.',
+    'ranges.wide': 'Expect occasional large trading ranges. Watch for breakout opportunities.',
+    'ranges.quiet': 'Trading ranges are typically consistent with occasional very quiet days.',
+    'ranges.consistent': 'Trading ranges are fairly consistent. Good for range-based strategies.',
+    'marketBias.explosiveUp': 'Market shows potential for explosive upward moves',
+    'marketBias.sharpDown': 'Market shows risk of sharp downward moves',
+    'marketBias.balanced': 'Market is well-balanced with no strong directional bias',
+    'marketBias.longUp': 'Market favors longer-term upward positions',
+    'marketBias.shortTerm': 'Market favors shorter-term trading approaches',
+    'marketBias.mixed': 'Market shows mixed signals - trade with caution',
+    'tailRisk.low': 'Thin tails. Extreme moves are rare and returns stay in a narrow band.',
+    'tailRisk.normal': 'Tails are close to normal. Volatility-based risk estimates are reasonable.',
+    'tailRisk.fatLeft': 'Fat left tail. Large losses are more likely than a normal distribution implies. Use hard stops and size for crash risk.',
+    'tailRisk.fatRight': 'Fat right tail. Occasional outsized gains drive results. Avoid cutting winners early.',
+    'tailRisk.veryFat': 'Very fat tails. Extreme moves in both directions are far more common than normal. Normal-based VaR badly understates risk.',
+    'tailRisk.fat': 'Fat tails. Large moves occur more often than normal. Normal-based risk estimates understate risk.',
+    'marketPatterns.summary': 'Market is {marketType} with {bias} bias and {volatility} volatility',
+    'marketType.trendingUp': 'trending up',
+    'marketType.trendingDown': 'trending down',
+    'marketType.ranging': 'ranging',
+    'bias.bullish': 'bullish',
+    'bias.bearish': 'bearish',
+    'bias.neutral': 'neutral',
+    'volatility.low': 'low',
+    'volatility.moderate': 'moderate',
+    'volatility.high': 'high',
+    'riskStatus.minimal': 'Minimal Risk',
+    'riskStatus.low': 'Low Risk',
+    'riskStatus.moderate': 'Moderate Risk',
+    'riskStatus.high': 'High Risk',
+    'riskStatus.extreme': 'Extreme Risk',
+    'risk.sustainable': 'Positive expectancy with sustainable risk levels. Edge preserved with {ratio}x reward ratio.',
+    'risk.drawdown': 'Positive expectancy but high risk of drawdown. Consider reducing position size.',
+    'risk.depletion': 'High probability of capital depletion. Strategy needs revision.',
+    'risk.mixed': 'Mixed risk profile. Monitor performance closely and adjust risk parameters.',
+    'recommendation.optimized': 'Current strategy is well-optimized. Consider {risk}% risk per trade.',
+    'recommendation.reduce': 'Consider reducing risk per trade to {risk}% for better capital preservation.',
+    'recommendation.review': 'Review strategy parameters. Current risk level may not be sustainable.',
+    'correlationClusters.diversified': 'No strongly correlated groups. Positions diversify each other.',
+    'correlationClusters.single': 'All instruments move together. The basket behaves like one position; size it as a single bet.',
+    'correlationClusters.grouped': '{groups} independent groups across {instruments} instruments. Positions within a group add up to one larger bet.'
+  },
+  de: {
+    'skewness.insufficientData': 'unzureichende Daten',
+    'skewness.symmetric': 'annähernd symmetrisch',
+    'skewness.highlyNegative': 'stark linksschief',
+    'skewness.moderatelyNegative': 'mäßig linksschief',
+    'skewness.highlyPositive': 'stark rechtsschief',
+    'skewness.moderatelyPositive': 'mäßig rechtsschief',
+    'returns.positive': 'Häufiger kleine Verluste, aber Potenzial für größere Gewinne. Gut für Long-Positionen.',
+    'returns.negative': 'Häufiger kleine Gewinne, aber Risiko größerer Verluste. Gewinne frühzeitig sichern.',
+    'returns.balanced': 'Ausgewogene Renditeverteilung. Keine deutliche Neigung zu Gewinnen oder Verlusten.',
+    'prices.balanced': 'Die Kursbewegungen sind ausgewogen. Keine deutliche Richtungstendenz.',
+    'prices.up': 'Der Kurs macht eher größere Aufwärtsbewegungen. Ausbrüche nach oben bevorzugen.',
+    'prices.down': 'Der Kurs macht eher größere Abwärtsbewegungen. Auf Abwärtsrisiken achten.',
+    'ranges.wide': 'Gelegentlich große Handelsspannen zu erwarten. Auf Ausbruchschancen achten.',
+    'ranges.quiet': 'Die Handelsspannen sind meist gleichmäßig, mit gelegentlich sehr ruhigen Tagen.',
+    'ranges.consistent': 'Die Handelsspannen sind recht gleichmäßig. Gut für Range-Strategien.',
+    'marketBias.explosiveUp': 'Der Markt hat Potenzial für explosive Aufwärtsbewegungen',
+    'marketBias.sharpDown': 'Der Markt birgt das Risiko scharfer Abwärtsbewegungen',
+    'marketBias.balanced': 'Der Markt ist ausgewogen und ohne deutliche Richtungstendenz',
+    'marketBias.longUp': 'Der Markt begünstigt längerfristige Long-Positionen',
+    'marketBias.shortTerm': 'Der Markt begünstigt kurzfristige Handelsansätze',
+    'marketBias.mixed': 'Der Markt sendet gemischte Signale - vorsichtig handeln',
+    'tailRisk.low': 'Dünne Ränder. Extreme Bewegungen sind selten und die Renditen bleiben in einem engen Band.',
+    'tailRisk.normal': 'Die Ränder sind annähernd normal. Volatilitätsbasierte Risikoschätzungen sind angemessen.',
+    'tailRisk.fatLeft': 'Breiter linker Rand. Große Verluste sind wahrscheinlicher als bei einer Normalverteilung. Feste Stopps setzen und Positionen auf Crash-Risiko auslegen.',
+    'tailRisk.fatRight': 'Breiter rechter Rand. Gelegentliche Ausreißergewinne bestimmen das Ergebnis. Gewinner nicht zu früh schließen.',
+    'tailRisk.veryFat': 'Sehr breite Ränder. Extreme Bewegungen in beide Richtungen sind viel häufiger als normal. Normalverteilter VaR unterschätzt das Risiko deutlich.',
+    'tailRisk.fat': 'Breite Ränder. Große Bewegungen treten häufiger auf als normal. Normalverteilte Risikoschätzungen unterschätzen das Risiko.',
+    'marketPatterns.summary': 'Der Markt ist {marketType} mit {bias} Tendenz und {volatility} Volatilität',
+    'marketType.trendingUp': 'im Aufwärtstrend',
+    'marketType.trendingDown': 'im Abwärtstrend',
+    'marketType.ranging': 'seitwärts',
+    'bias.bullish': 'bullischer',
+    'bias.bearish': 'bärischer',
+    'bias.neutral': 'neutraler',
+    'volatility.low': 'niedriger',
+    'volatility.moderate': 'mittlerer',
+    'volatility.high': 'hoher',
+    'riskStatus.minimal': 'Minimales Risiko',
+    'riskStatus.low': 'Geringes Risiko',
+    'riskStatus.moderate': 'Mittleres Risiko',
+    'riskStatus.high': 'Hohes Risiko',
+    'riskStatus.extreme': 'Extremes Risiko',
+    'risk.sustainable': 'Positive Erwartung bei tragbarem Risiko. Der Vorteil bleibt mit {ratio}x Chance-Risiko-Verhältnis erhalten.',
+    'risk.drawdown': 'Positive Erwartung, aber hohes Drawdown-Risiko. Positionsgröße verringern.',
+    'risk.depletion': 'Hohe Wahrscheinlichkeit, das Kapital aufzubrauchen. Die Strategie muss überarbeitet werden.',
+    'risk.mixed': 'Gemischtes Risikoprofil. Die Performance genau beobachten und die Risikoparameter anpassen.',
+    'recommendation.optimized': 'Die Strategie ist gut abgestimmt. {risk} % Risiko pro Trade erwägen.',
+    'recommendation.reduce': 'Das Risiko pro Trade auf {risk} % senken, um das Kapital besser zu schützen.',
+    'recommendation.review': 'Die Strategieparameter überprüfen. Das aktuelle Risiko ist möglicherweise nicht tragbar.',
+    'correlationClusters.diversified': 'Keine stark korrelierten Gruppen. Die Positionen diversifizieren einander.',
+    'correlationClusters.single': 'Alle Instrumente bewegen sich gemeinsam. Der Korb verhält sich wie eine Position; als eine einzige Wette dimensionieren.',
+    'correlationClusters.grouped': '{groups} unabhängige Gruppen bei {instruments} Instrumenten. Positionen innerhalb einer Gruppe ergeben zusammen eine größere Wette.'
+  }
+};
+  
+/**
+ * Looks up messages in the catalog of the current language, falling back to English for
+ * messages a catalog does not define.
+ */
+class MessageCatalog {
+    /**
+     * @param {Object} [options] - Catalog options.
+     * @param {string} [options.language='en'] - Language of the messages.
+     * @param {Object} [options.catalogs=MESSAGES] - Message catalogs by language.
+     */
+    constructor({ language = 'en', catalogs = MESSAGES } = {}) {
+      this.language = language;
+      this.catalogs = catalogs;
+    }
+  
+    /**
+     * Returns a message with its placeholders filled in.
+     * @param {string} key - Message key (e.g., 'risk.sustainable').
+     * @param {Object} [values] - Placeholder values.
+     * @returns {string} The message.
+     */
+    text(key, values = {}) {
+      const template = this.catalogs[this.language]?.[key] ?? MESSAGES.en[key];
+      return template.replace(/\{(\w+)\}/g, (placeholder, name) => (name in values ? String(values[name]) : placeholder));
+    }
+  }
+  
+  module.exports = { DEFAULT_RULES, RULE_LIMITS, TRADING_STYLES, MESSAGES, MessageCatalog };
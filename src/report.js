@@ -0,0 +1,371 @@
+/**
+ * Renders analysis reports (see createReport) as self-contained HTML or Markdown.
+ * A report is plain JSON: { version, title, description, generatedAt, sections }, where each
+ * section has a type and a title:
+ * - 'metrics': rows of { label, value, format }
+ * - 'text': items of { label, text }
+ * - 'line': series of { name, values }, optional labels for the first and last point and area fill
+ * - 'histogram': bins of { lower, upper, count }
+ * - 'table': columns of { label, format } and rows of values
+ * - 'heatmap': columns (labels), rows of { label, values } and a format, shaded by sign and size
+ * Values are numbers with an optional format descriptor (see RESULT_FORMATS), strings or null.
+ * Rendering is deterministic: the same report always gives the same output, and the HTML loads
+ * nothing from the network (charts are inline SVG).
+ */
+const REPORT_VERSION = 1;
+const SECTION_TYPES = ['metrics', 'text', 'line', 'histogram', 'table', 'heatmap'];
+const COLORS = ['#2563eb', '#dc2626', '#059669', '#d97706', '#7c3aed'];
+const SPARKS = '▁▂▃▄▅▆▇█';
+const CHART = { width: 720, height: 240, left: 64, right: 16, top: 16, bottom: 28 };
+  
+const STYLE = `body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; color: #1f2937; max-width: 960px; margin: 2rem auto; padding: 0 1rem; line-height: 1.5; }
+h1 { margin-bottom: 0.25rem; }
+h2 { border-bottom: 1px solid #e5e7eb; padding-bottom: 0.25rem; margin-top: 2rem; }
+.meta { color: #6b7280; margin-top: 0; }
+table { border-collapse: collapse; margin: 0.5rem 0; }
+th, td { border: 1px solid #e5e7eb; padding: 0.25rem 0.6rem; text-align: right; }
+th:first-child, td:first-child { text-align: left; }
+th { background: #f9fafb; }
+dl { margin: 0.5rem 0; }
+dt { font-weight: 600; }
+dd { margin: 0 0 0.5rem 0; }
+svg { display: block; max-width: 100%; height: auto; }
+svg text { font-size: 11px; fill: #6b7280; }
+.legend span { margin-right: 1rem; }`;
+  
+/**
+ * Escapes text for HTML content and attributes.
+ * @param {*} text - Text.
+ * @returns {string} Escaped text.
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+  
+/**
+ * Escapes text for a Markdown table cell.
+ * @param {string} text - Text.
+ * @returns {string} Escaped text.
+ */
+function escapeCell(text) {
+  return text.replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+  
+/**
+ * Finds the lowest and highest value with a loop, so long series cannot overflow the call stack.
+ * @param {number[]} values - Values.
+ * @returns {number[]} Lowest and highest value.
+ */
+function extent(values) {
+  let min = Infinity;
+  let max = -Infinity;
+  for (const value of values) {
+    if (value < min) min = value;
+    if (value > max) max = value;
+  }
+  return [min, max];
+}
+  
+/**
+ * Rounds an SVG coordinate so the markup stays short and stable.
+ * @param {number} value - Coordinate.
+ * @returns {number} Coordinate with at most one decimal.
+ */
+function coordinate(value) {
+  return Math.round(value * 10) / 10;
+}
+  
+class ReportRenderer {
+    /**
+     * @param {Formatter} formatter - Formats the numbers (precision and locale).
+     */
+    constructor(formatter) {
+      this.formatter = formatter;
+    }
+  
+    /**
+     * Formats a report value.
+     * @param {(number|string|null)} value - Value.
+     * @param {Object} [format] - Format descriptor; numbers without one get 2 decimals, 4 below 1
+     * and none for integers.
+     * @returns {string} Display text ("—" for null).
+     */
+    value(value, format) {
+      if (value === null || value === undefined) return '—';
+      if (typeof value !== 'number') return String(value);
+      if (format) return this.formatter.format(value, format) ?? '—';
+      const digits = Number.isInteger(value) ? 0 : Math.abs(value) < 1 ? 4 : 2;
+      return this.formatter.number(value, digits);
+    }
+  
+    /**
+     * Renders a report as a standalone HTML document.
+     * @param {Object} report - Report.
+     * @returns {string} HTML.
+     */
+    html(report) {
+      const body = [`<h1>${escapeHtml(report.title)}</h1>`];
+      if (report.generatedAt) body.push(`<p class="meta">Generated ${escapeHtml(report.generatedAt)}</p>`);
+      if (report.description) body.push(`<p>${escapeHtml(report.description)}</p>`);
+      report.sections.forEach(section => {
+        body.push(`<section>\n<h2>${escapeHtml(section.title)}</h2>\n${this.#htmlSection(section)}\n</section>`);
+      });
+      return [
+        '<!DOCTYPE html>',
+        '<html lang="en">',
+        '<head>',
+        '<meta charset="utf-8">',
+        '<meta name="viewport" content="width=device-width, initial-scale=1">',
+        `<title>${escapeHtml(report.title)}</title>`,
+        `<style>\n${STYLE}\n</style>`,
+        '</head>',
+        '<body>',
+        ...body,
+        '</body>',
+        '</html>',
+        ''
+      ].join('\n');
+    }
+  
+    /**
+     * Renders a report as Markdown. Charts become Unicode sparklines with their range, and
+     * histograms become tables with text bars.
+     * @param {Object} report - Report.
+     * @returns {string} Markdown.
+     */
+    markdown(report) {
+      const blocks = [`# ${report.title}`];
+      if (report.generatedAt) blocks.push(`_Generated ${report.generatedAt}_`);
+      if (report.description) blocks.push(report.description);
+      report.sections.forEach(section => {
+        blocks.push(`## ${section.title}`, this.#markdownSection(section));
+      });
+      return blocks.join('\n\n') + '\n';
+    }
+  
+    /**
+     * Renders the body of a section as HTML.
+     * @param {Object} section - Section.
+     * @returns {string} HTML.
+     * @private
+     */
+    #htmlSection(section) {
+      switch (section.type) {
+        case 'metrics':
+          return this.#htmlTable(['Metric', 'Value'], section.rows.map(row => [row.label, this.value(row.value, row.format)]));
+        case 'text':
+          return `<dl>\n${section.items.map(item => (item.label ? `<dt>${escapeHtml(item.label)}</dt>\n` : '') + `<dd>${escapeHtml(item.text)}</dd>`).join('\n')}\n</dl>`;
+        case 'line':
+          return this.#lineChart(section);
+        case 'histogram':
+          return this.#histogramChart(section);
+        case 'table':
+          return this.#htmlTable(
+            section.columns.map(column => column.label),
+            section.rows.map(row => row.map((value, i) => this.value(value, section.columns[i]?.format)))
+          );
+        default:
+          return this.#heatmap(section);
+      }
+    }
+  
+    /**
+     * Renders the body of a section as Markdown.
+     * @param {Object} section - Section.
+     * @returns {string} Markdown.
+     * @private
+     */
+    #markdownSection(section) {
+      switch (section.type) {
+        case 'metrics':
+          return this.#markdownTable(['Metric', 'Value'], section.rows.map(row => [row.label, this.value(row.value, row.format)]));
+        case 'text':
+          return section.items.map(item => (item.label ? `**${item.label}:** ` : '') + item.text).join('\n\n');
+        case 'line':
+          return section.series.map(series => {
+            const values = series.values.filter(value => value !== null);
+            if (values.length === 0) return `${series.name}: no data`;
+            const [low, high] = extent(values);
+            const range = `start ${this.value(values[0], section.format)}, end ${this.value(values[values.length - 1], section.format)}, ` +
+              `low ${this.value(low, section.format)}, high ${this.value(high, section.format)}`;
+            return `${series.name}: \`${this.#sparkline(values)}\`  \n${range}`;
+          }).join('\n\n');
+        case 'histogram': {
+          const most = Math.max(...section.bins.map(bin => bin.count), 1);
+          return this.#markdownTable(['Range', 'Count', ''], section.bins.map(bin => [
+            `${this.value(bin.lower, section.format)} to ${this.value(bin.upper, section.format)}`,
+            String(bin.count),
+            '█'.repeat(Math.round(bin.count / most * 20))
+          ]));
+        }
+        case 'table':
+          return this.#markdownTable(
+            section.columns.map(column => column.label),
+            section.rows.map(row => row.map((value, i) => this.value(value, section.columns[i]?.format)))
+          );
+        default:
+          return this.#markdownTable(
+            ['', ...section.columns],
+            section.rows.map(row => [row.label, ...row.values.map(value => (value === null ? '' : this.value(value, section.format)))])
+          );
+      }
+    }
+  
+    /**
+     * Renders an HTML table.
+     * @param {string[]} header - Column labels.
+     * @param {string[][]} rows - Cell texts.
+     * @returns {string} HTML.
+     * @private
+     */
+    #htmlTable(header, rows) {
+      const cells = (tag, texts) => texts.map(text => `<${tag}>${escapeHtml(text)}</${tag}>`).join('');
+      return `<table>\n<thead><tr>${cells('th', header)}</tr></thead>\n<tbody>\n` +
+        rows.map(row => `<tr>${cells('td', row)}</tr>`).join('\n') + '\n</tbody>\n</table>';
+    }
+  
+    /**
+     * Renders a Markdown table.
+     * @param {string[]} header - Column labels.
+     * @param {string[][]} rows - Cell texts.
+     * @returns {string} Markdown.
+     * @private
+     */
+    #markdownTable(header, rows) {
+      const line = texts => `| ${texts.map(text => escapeCell(String(text))).join(' | ')} |`;
+      return [line(header), line(header.map((_, i) => (i === 0 ? '---' : '---:'))), ...rows.map(line)].join('\n');
+    }
+  
+    /**
+     * Draws a sparkline of at most 60 characters, averaging values into buckets when longer.
+     * @param {number[]} values - Values.
+     * @returns {string} Sparkline.
+     * @private
+     */
+    #sparkline(values) {
+      const width = Math.min(values.length, 60);
+      const points = Array.from({ length: width }, (_, i) => {
+        const bucket = values.slice(Math.floor(i * values.length / width), Math.floor((i + 1) * values.length / width));
+        return bucket.reduce((sum, value) => sum + value, 0) / bucket.length;
+      });
+      const min = Math.min(...points);
+      const span = Math.max(...points) - min;
+      return points.map(point => SPARKS[span === 0 ? 0 : Math.round((point - min) / span * (SPARKS.length - 1))]).join('');
+    }
+  
+    /**
+     * Draws the frame of a chart: horizontal grid lines with value labels for the y range.
+     * @param {number} min - Lowest value.
+     * @param {number} max - Highest value.
+     * @param {Object} [format] - Format of the value labels.
+     * @returns {Object} Object with y (value to pixel) and markup.
+     * @private
+     */
+    #frame(min, max, format) {
+      if (min === max) {
+        min -= 1;
+        max += 1;
+      }
+      const { height, top, bottom, left, width, right } = CHART;
+      const y = value => coordinate(top + (max - value) / (max - min) * (height - top - bottom));
+      const markup = Array.from({ length: 5 }, (_, i) => {
+        const value = min + (max - min) * i / 4;
+        return `<line x1="${left}" y1="${y(value)}" x2="${width - right}" y2="${y(value)}" stroke="#e5e7eb"/>` +
+          `<text x="${left - 6}" y="${y(value) + 4}" text-anchor="end">${escapeHtml(this.value(value, format))}</text>`;
+      });
+      return { y, markup };
+    }
+  
+    /**
+     * Draws a line chart as inline SVG.
+     * @param {Object} section - 'line' section.
+     * @returns {string} SVG markup (with a legend for several series).
+     * @private
+     */
+    #lineChart(section) {
+      const { width, height, left, right, bottom } = CHART;
+      const all = section.series.flatMap(series => series.values).filter(value => value !== null);
+      if (all.length === 0) return '<p>No data</p>';
+      const [low, high] = extent(all);
+      const min = section.area ? Math.min(0, low) : low;
+      const max = section.area ? Math.max(0, high) : high;
+      const { y, markup } = this.#frame(min, max, section.format);
+      const length = Math.max(...section.series.map(series => series.values.length));
+      const x = i => coordinate(left + (length > 1 ? i / (length - 1) : 0.5) * (width - left - right));
+  
+      const shapes = section.series.map((series, index) => {
+        const color = COLORS[index % COLORS.length];
+        const points = series.values.map((value, i) => (value === null ? null : `${x(i)},${y(value)}`)).filter(Boolean);
+        const line = `<polyline fill="none" stroke="${color}" stroke-width="1.5" points="${points.join(' ')}"/>`;
+        if (!section.area || points.length < 2) return line;
+        const baseline = y(0);
+        const first = points[0].split(',')[0];
+        const last = points[points.length - 1].split(',')[0];
+        return `<polygon fill="${color}" fill-opacity="0.15" stroke="none" points="${first},${baseline} ${points.join(' ')} ${last},${baseline}"/>${line}`;
+      });
+  
+      const labels = section.labels
+        ? `<text x="${left}" y="${height - 8}">${escapeHtml(section.labels[0])}</text>` +
+          `<text x="${width - right}" y="${height - 8}" text-anchor="end">${escapeHtml(section.labels[1])}</text>`
+        : '';
+      const legend = section.series.length > 1
+        ? `\n<p class="legend">${section.series.map((series, i) => `<span style="color: ${COLORS[i % COLORS.length]}">■ ${escapeHtml(series.name)}</span>`).join('')}</p>`
+        : '';
+      return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" role="img" aria-label="${escapeHtml(section.title)}">` +
+        `${markup.join('')}<line x1="${left}" y1="${height - bottom}" x2="${width - right}" y2="${height - bottom}" stroke="#9ca3af"/>` +
+        `${shapes.join('')}${labels}</svg>${legend}`;
+    }
+  
+    /**
+     * Draws a histogram as inline SVG.
+     * @param {Object} section - 'histogram' section.
+     * @returns {string} SVG markup.
+     * @private
+     */
+    #histogramChart(section) {
+      const { width, height, left, right, bottom } = CHART;
+      if (section.bins.length === 0) return '<p>No data</p>';
+      const most = Math.max(...section.bins.map(bin => bin.count), 1);
+      const { y, markup } = this.#frame(0, most, { type: 'fixed', digits: 0 });
+      const slot = (width - left - right) / section.bins.length;
+      const bars = section.bins.map((bin, i) => {
+        const top = y(bin.count);
+        const title = `${this.value(bin.lower, section.format)} to ${this.value(bin.upper, section.format)}: ${bin.count}`;
+        return `<rect x="${coordinate(left + i * slot + 1)}" y="${top}" width="${coordinate(Math.max(slot - 2, 1))}" ` +
+          `height="${coordinate(height - bottom - top)}" fill="${COLORS[0]}"><title>${escapeHtml(title)}</title></rect>`;
+      });
+      const first = section.bins[0];
+      const last = section.bins[section.bins.length - 1];
+      return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" role="img" aria-label="${escapeHtml(section.title)}">` +
+        `${markup.join('')}${bars.join('')}` +
+        `<text x="${left}" y="${height - 8}">${escapeHtml(this.value(first.lower, section.format))}</text>` +
+        `<text x="${width - right}" y="${height - 8}" text-anchor="end">${escapeHtml(this.value(last.upper, section.format))}</text></svg>`;
+    }
+  
+    /**
+     * Renders a heat-map table: green cells for positive values and red for negative ones,
+     * stronger for larger magnitudes.
+     * @param {Object} section - 'heatmap' section.
+     * @returns {string} HTML.
+     * @private
+     */
+    #heatmap(section) {
+      const magnitude = Math.max(0, ...section.rows.flatMap(row => row.values).filter(value => typeof value === 'number').map(Math.abs));
+      const cell = value => {
+        if (value === null || value === undefined) return '<td></td>';
+        if (typeof value !== 'number' || magnitude === 0) return `<td>${escapeHtml(this.value(value, section.format))}</td>`;
+        const alpha = coordinate(0.1 + 0.6 * Math.abs(value) / magnitude);
+        const color = value >= 0 ? `rgba(5, 150, 105, ${alpha})` : `rgba(220, 38, 38, ${alpha})`;
+        return `<td style="background: ${color}">${escapeHtml(this.value(value, section.format))}</td>`;
+      };
+      const header = ['', ...section.columns].map(label => `<th>${escapeHtml(label)}</th>`).join('');
+      const rows = section.rows.map(row => `<tr><th>${escapeHtml(row.label)}</th>${row.values.map(cell).join('')}</tr>`);
+      return `<table>\n<thead><tr>${header}</tr></thead>\n<tbody>\n${rows.join('\n')}\n</tbody>\n</table>`;
+    }
+  }
+  
+  module.exports = { ReportRenderer, REPORT_VERSION, SECTION_TYPES };
@@ -0,0 +1,320 @@
+/**
+ * Running mean, variance, skewness and kurtosis in O(1) per value.
+ * Uses Welford's algorithm extended to higher moments (Terriberry), so the
+ * results agree with the batch methods without keeping the history.
+ */
+class RunningStatistics {
+    /**
+     * @param {function(string, *): number} parseNumber - Validates a value and returns it as a number,
+     * given the argument name to report (the library's validator, so the validation mode applies).
+     */
+    constructor(parseNumber) {
+      this.parseNumber = parseNumber;
+      this.count = 0;
+      this.mean = 0;
+      this.m2 = 0;
+      this.m3 = 0;
+      this.m4 = 0;
+      this.min = Infinity;
+      this.max = -Infinity;
+    }
+  
+    /**
+     * Adds a value to the accumulator.
+     * @param {number|string} value - The new value (numeric strings are accepted in lenient mode).
+     * @returns {RunningStatistics} The accumulator, for chaining.
+     * @throws {InvalidInputError} If the value is not a valid number.
+     */
+    push(value) {
+      const x = this.parseNumber('value', value);
+  
+      const previousCount = this.count;
+      this.count++;
+      const n = this.count;
+      const delta = x - this.mean;
+      const deltaN = delta / n;
+      const deltaN2 = deltaN * deltaN;
+      const term1 = delta * deltaN * previousCount;
+  
+      this.mean += deltaN;
+      this.m4 += term1 * deltaN2 * (n * n - 3 * n + 3) + 6 * deltaN2 * this.m2 - 4 * deltaN * this.m3;
+      this.m3 += term1 * deltaN * (n - 2) - 3 * deltaN * this.m2;
+      this.m2 += term1;
+      this.min = Math.min(this.min, x);
+      this.max = Math.max(this.max, x);
+      return this;
+    }
+  
+    /**
+     * @returns {number|null} Population variance (same convention as standardDeviation).
+     */
+    get variance() {
+      return this.count > 0 ? this.m2 / this.count : null;
+    }
+  
+    /**
+     * @returns {number|null} Sample variance (n - 1 denominator).
+     */
+    get sampleVariance() {
+      return this.count > 1 ? this.m2 / (this.count - 1) : null;
+    }
+  
+    /**
+     * @returns {number|null} Population standard deviation.
+     */
+    get standardDeviation() {
+      return this.count > 0 ? Math.sqrt(this.variance) : null;
+    }
+  
+    /**
+     * @returns {number|null} Fisher-Pearson skewness (same formula as calculateSkewness).
+     */
+    get skewness() {
+      const n = this.count;
+      if (n < 3) return null;
+      if (this.m2 === 0) return 0;
+      const sd = Math.sqrt(this.m2 / n);
+      return (n / ((n - 1) * (n - 2))) * this.m3 / Math.pow(sd, 3);
+    }
+  
+    /**
+     * @returns {number|null} Sample-adjusted excess kurtosis (0 for a normal distribution).
+     */
+    get kurtosis() {
+      const n = this.count;
+      if (n < 4) return null;
+      if (this.m2 === 0) return 0;
+      const g2 = n * this.m4 / (this.m2 * this.m2) - 3;
+      return ((n + 1) * g2 + 6) * (n - 1) / ((n - 2) * (n - 3));
+    }
+  
+    /**
+     * Serializes the accumulator state so it can be persisted and restored with fromJSON.
+     * @returns {Object} Plain state object.
+     */
+    toJSON() {
+      return {
+        type: 'RunningStatistics',
+        count: this.count,
+        mean: this.mean,
+        m2: this.m2,
+        m3: this.m3,
+        m4: this.m4,
+        min: this.count > 0 ? this.min : null,
+        max: this.count > 0 ? this.max : null
+      };
+    }
+  
+    /**
+     * Restores an accumulator from the parsed output of toJSON.
+     * @param {Object} state - Saved state, already checked to be a RunningStatistics state.
+     * @param {function(string, *): number} parseNumber - Number parser (see constructor).
+     * @param {string} [path='state'] - Name of the state in errors.
+     * @returns {RunningStatistics} The restored accumulator.
+     * @throws {InvalidInputError} If a field of the state is not a number.
+     */
+    static fromJSON(state, parseNumber, path = 'state') {
+      const accumulator = new RunningStatistics(parseNumber);
+      for (const key of ['count', 'mean', 'm2', 'm3', 'm4']) {
+        accumulator[key] = parseNumber(`${path}.${key}`, state[key]);
+      }
+      accumulator.min = state.min === null ? Infinity : parseNumber(`${path}.min`, state.min);
+      accumulator.max = state.max === null ? -Infinity : parseNumber(`${path}.max`, state.max);
+      return accumulator;
+    }
+  }
+  
+/**
+ * Numeric fields of a saved TradeAccumulator state besides startingBalance and pnl.
+ */
+const STATE_FIELDS = [
+  'equity', 'peak', 'maxDrawdown', 'maxDrawdownPercent', 'wins', 'losses', 'grossProfit', 'grossLoss',
+  'currentStreak', 'maxConsecutiveWins', 'maxConsecutiveLosses'
+];
+  
+/**
+ * Running trade metrics for live sessions: win rate, streaks, drawdown and expectancy,
+ * updated in O(1) per closed trade.
+ */
+class TradeAccumulator {
+    /**
+     * @param {function(Object): number} calculatePnL - Converts a trade object into net P&L.
+     * @param {function(string, *): number} parseNumber - Validates a P&L value (see RunningStatistics).
+     * @param {Object} [options] - Accumulator options.
+     * @param {number} [options.startingBalance=0] - Account balance before the first trade (already validated).
+     */
+    constructor(calculatePnL, parseNumber, { startingBalance = 0 } = {}) {
+      this.calculatePnL = calculatePnL;
+      this.parseNumber = parseNumber;
+      this.startingBalance = startingBalance;
+      this.equity = startingBalance;
+      this.peak = startingBalance;
+      this.maxDrawdown = 0;
+      this.maxDrawdownPercent = 0;
+      this.wins = 0;
+      this.losses = 0;
+      this.grossProfit = 0;
+      this.grossLoss = 0;
+      this.currentStreak = 0;
+      this.maxConsecutiveWins = 0;
+      this.maxConsecutiveLosses = 0;
+      this.pnl = new RunningStatistics(parseNumber);
+    }
+  
+    /**
+     * Adds a closed trade.
+     * @param {(Object|number)} trade - Trade object (see calculateTradePnL) or its net P&L.
+     * @returns {TradeAccumulator} The accumulator, for chaining.
+     * @throws {InvalidInputError} If the trade or P&L value is invalid.
+     */
+    push(trade) {
+      const pnl = typeof trade === 'object' && trade !== null
+        ? this.calculatePnL(trade)
+        : this.parseNumber('trade', trade);
+      this.pnl.push(pnl);
+  
+      if (pnl > 0) {
+        this.wins++;
+        this.grossProfit += pnl;
+        this.currentStreak = this.currentStreak > 0 ? this.currentStreak + 1 : 1;
+        this.maxConsecutiveWins = Math.max(this.maxConsecutiveWins, this.currentStreak);
+      } else if (pnl < 0) {
+        this.losses++;
+        this.grossLoss += pnl;
+        this.currentStreak = this.currentStreak < 0 ? this.currentStreak - 1 : -1;
+        this.maxConsecutiveLosses = Math.max(this.maxConsecutiveLosses, -this.currentStreak);
+      } else {
+        this.currentStreak = 0;
+      }
+  
+      this.equity += pnl;
+      this.peak = Math.max(this.peak, this.equity);
+      this.maxDrawdown = Math.max(this.maxDrawdown, this.drawdown);
+      this.maxDrawdownPercent = Math.max(this.maxDrawdownPercent, this.drawdownPercent);
+      return this;
+    }
+  
+    /**
+     * @returns {number} Number of trades added so far.
+     */
+    get count() {
+      return this.pnl.count;
+    }
+  
+    /**
+     * @returns {number|null} Win rate percentage (e.g., 61.5 for 61.5%).
+     */
+    get winRate() {
+      return this.count > 0 ? this.wins / this.count * 100 : null;
+    }
+  
+    /**
+     * @returns {number} Average expected P&L per trade.
+     */
+    get expectancy() {
+      return this.count > 0 ? this.pnl.mean : 0;
+    }
+  
+    /**
+     * @returns {number|null} Average winner divided by the absolute average loser.
+     */
+    get payoffRatio() {
+      if (this.wins === 0 || this.losses === 0) return null;
+      return (this.grossProfit / this.wins) / Math.abs(this.grossLoss / this.losses);
+    }
+  
+    /**
+     * @returns {number|null} Gross profit divided by absolute gross loss.
+     */
+    get profitFactor() {
+      return this.grossLoss !== 0 ? this.grossProfit / Math.abs(this.grossLoss) : null;
+    }
+  
+    /**
+     * @returns {number} Current distance below the equity peak.
+     */
+    get drawdown() {
+      return this.peak - this.equity;
+    }
+  
+    /**
+     * @returns {number} Current drawdown as a percentage of the equity peak.
+     */
+    get drawdownPercent() {
+      return this.peak > 0 ? this.drawdown / this.peak * 100 : 0;
+    }
+  
+    /**
+     * Returns the current metrics, using the same names as analyzeTrades where they overlap.
+     * @returns {Object} Current trade metrics.
+     */
+    getMetrics() {
+      return {
+        totalTrades: this.count,
+        winningTrades: this.wins,
+        losingTrades: this.losses,
+        grossProfit: this.grossProfit,
+        grossLoss: this.grossLoss,
+        netProfit: this.grossProfit + this.grossLoss,
+        winRate: this.winRate,
+        averageWin: this.wins ? this.grossProfit / this.wins : 0,
+        averageLoss: this.losses ? this.grossLoss / this.losses : 0,
+        payoffRatio: this.payoffRatio,
+        profitFactor: this.profitFactor,
+        expectancy: this.expectancy,
+        currentWinStreak: Math.max(this.currentStreak, 0),
+        currentLossStreak: Math.max(-this.currentStreak, 0),
+        maxConsecutiveWins: this.maxConsecutiveWins,
+        maxConsecutiveLosses: this.maxConsecutiveLosses,
+        equity: this.equity,
+        drawdown: this.drawdown,
+        drawdownPercent: this.drawdownPercent,
+        maxDrawdown: this.maxDrawdown,
+        maxDrawdownPercent: this.maxDrawdownPercent
+      };
+    }
+  
+    /**
+     * Serializes the accumulator state so it can be persisted and restored with fromJSON.
+     * @returns {Object} Plain state object.
+     */
+    toJSON() {
+      return {
+        type: 'TradeAccumulator',
+        startingBalance: this.startingBalance,
+        equity: this.equity,
+        peak: this.peak,
+        maxDrawdown: this.maxDrawdown,
+        maxDrawdownPercent: this.maxDrawdownPercent,
+        wins: this.wins,
+        losses: this.losses,
+        grossProfit: this.grossProfit,
+        grossLoss: this.grossLoss,
+        currentStreak: this.currentStreak,
+        maxConsecutiveWins: this.maxConsecutiveWins,
+        maxConsecutiveLosses: this.maxConsecutiveLosses,
+        pnl: this.pnl.toJSON()
+      };
+    }
+  
+    /**
+     * Restores an accumulator from the parsed output of toJSON.
+     * @param {Object} state - Saved state, already checked to be a TradeAccumulator state whose pnl
+     * is a RunningStatistics state.
+     * @param {function(Object): number} calculatePnL - Converts a trade object into net P&L.
+     * @param {function(string, *): number} parseNumber - Number parser (see RunningStatistics).
+     * @returns {TradeAccumulator} The restored accumulator.
+     * @throws {InvalidInputError} If a field of the state is not a number.
+     */
+    static fromJSON(state, calculatePnL, parseNumber) {
+      const startingBalance = parseNumber('state.startingBalance', state.startingBalance);
+      const accumulator = new TradeAccumulator(calculatePnL, parseNumber, { startingBalance });
+      for (const key of STATE_FIELDS) {
+        accumulator[key] = parseNumber(`state.${key}`, state[key]);
+      }
+      accumulator.pnl = RunningStatistics.fromJSON(state.pnl, parseNumber, 'state.pnl');
+      return accumulator;
+    }
+  }
+  
+  module.exports = { RunningStatistics, TradeAccumulator };
@@ -0,0 +1,216 @@
+const { InvalidInputError, InsufficientDataError } = require('./errors');
+
+/**
+ * Central input validation shared by every public method.
+ * In lenient mode (the default) numeric strings such as "1.5" are coerced to numbers;
+ * in strict mode only real numbers are accepted. Both modes reject anything that
+ * cannot be interpreted as the expected type.
+ */
+class Validator {
+    /**
+     * @param {Object} [options] - Validator options.
+     * @param {boolean} [options.strict=false] - Reject numeric strings instead of coercing them.
+     */
+    constructor({ strict = false } = {}) {
+      this.strict = strict;
+    }
+  
+    /**
+     * Converts a value to a number according to the current mode.
+     * @param {*} value - Value to convert.
+     * @returns {number} The number, or NaN if the value is not acceptable.
+     * @private
+     */
+    #toNumber(value) {
+      if (typeof value === 'number') return value;
+      if (!this.strict && typeof value === 'string' && value.trim() !== '') {
+        return Number(value);
+      }
+      return NaN;
+    }
+  
+    /**
+     * Validates a single number.
+     * @param {string} fn - Public method name.
+     * @param {string} arg - Argument name.
+     * @param {*} value - Value to validate.
+     * @param {Object} [rules] - Extra rules.
+     * @param {number} [rules.min] - Inclusive lower bound.
+     * @param {number} [rules.max] - Inclusive upper bound.
+     * @param {boolean} [rules.integer=false] - Require an integer.
+     * @param {boolean} [rules.positive=false] - Require a value greater than zero.
+     * @returns {number} The (possibly coerced) number.
+     * @throws {InvalidInputError} If the value breaks any rule.
+     */
+    number(fn, arg, value, { min, max, integer = false, positive = false } = {}) {
+      const number = this.#toNumber(value);
+      if (isNaN(number)) {
+        throw new InvalidInputError(fn, arg, this.strict ? 'must be a number' : 'must be a number or numeric string');
+      }
+      if (integer && !Number.isInteger(number)) {
+        throw new InvalidInputError(fn, arg, 'must be an integer');
+      }
+      if (positive && !(number > 0)) {
+        throw new InvalidInputError(fn, arg, 'must be greater than zero');
+      }
+      if (min !== undefined && number < min) {
+        throw new InvalidInputError(fn, arg, `must be at least ${min}`);
+      }
+      if (max !== undefined && number > max) {
+        throw new InvalidInputError(fn, arg, `must be at most ${max}`);
+      }
+      return number;
+    }
+  
+    /**
+     * Validates an array.
+     * @param {string} fn - Public method name.
+     * @param {string} arg - Argument name.
+     * @param {*} value - Value to validate.
+     * @param {Object} [rules] - Extra rules.
+     * @param {number} [rules.minLength=0] - Minimum number of elements.
+     * @returns {Array} The array.
+     * @throws {InvalidInputError|InsufficientDataError} If the value is not a long enough array.
+     */
+    array(fn, arg, value, { minLength = 0 } = {}) {
+      if (!Array.isArray(value)) {
+        throw new InvalidInputError(fn, arg, 'must be an array');
+      }
+      if (value.length < minLength) {
+        throw new InsufficientDataError(
+          fn,
+          arg,
+          minLength === 1 ? 'must not be empty' : `must contain at least ${minLength} values`
+        );
+      }
+      return value;
+    }
+  
+    /**
+     * Validates an array of numbers.
+     * @param {string} fn - Public method name.
+     * @param {string} arg - Argument name.
+     * @param {*} value - Value to validate.
+     * @param {Object} [rules] - Extra rules.
+     * @param {number} [rules.minLength=1] - Minimum number of elements.
+     * @param {boolean} [rules.allowNull=false] - Accept null entries (e.g., indicator warm-up values).
+     * @returns {(number|null)[]} The (possibly coerced) array.
+     * @throws {InvalidInputError|InsufficientDataError} If the array or any element is invalid.
+     */
+    numberArray(fn, arg, value, { minLength = 1, allowNull = false } = {}) {
+      this.array(fn, arg, value, { minLength });
+  
+      let coerced = value;
+      for (let i = 0; i < value.length; i++) {
+        const item = value[i];
+        if (typeof item === 'number' && !isNaN(item)) continue;
+        if (allowNull && item === null) continue;
+  
+        const number = this.#toNumber(item);
+        if (isNaN(number)) {
+          throw new InvalidInputError(fn, arg, `contains a non-numeric value at index ${i}`);
+        }
+        if (coerced === value) coerced = [...value];
+        coerced[i] = number;
+      }
+      return coerced;
+    }
+  
+    /**
+     * Validates that price (or volume) arrays are provided, non-empty and aligned.
+     * @param {string} fn - Public method name.
+     * @param {Object<string, *>} arrays - Arrays keyed by argument name.
+     * @param {Object} [rules] - Extra rules.
+     * @param {boolean} [rules.allowNull=false] - Accept null entries (e.g., indicator warm-up values).
+     * @returns {Object<string, number[]>} The (possibly coerced) arrays keyed by argument name.
+     * @throws {InvalidInputError} If any array is missing, empty, non-numeric or misaligned.
+     */
+    priceArrays(fn, arrays, { allowNull = false } = {}) {
+      const names = Object.keys(arrays);
+      for (const name of names) {
+        if (!arrays[name]?.length) {
+          throw new InvalidInputError(fn, name, 'All price arrays must be provided and non-empty');
+        }
+      }
+      if (new Set(names.map(name => arrays[name].length)).size !== 1) {
+        throw new InvalidInputError(fn, names.join(', '), 'All price arrays must have the same length');
+      }
+  
+      const result = {};
+      names.forEach(name => {
+        result[name] = this.numberArray(fn, name, arrays[name], { allowNull });
+      });
+      return result;
+    }
+  
+    /**
+     * Validates a plain object.
+     * @param {string} fn - Public method name.
+     * @param {string} arg - Argument name.
+     * @param {*} value - Value to validate.
+     * @returns {Object} The object.
+     * @throws {InvalidInputError} If the value is not a non-null, non-array object.
+     */
+    object(fn, arg, value) {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        throw new InvalidInputError(fn, arg, 'must be an object');
+      }
+      return value;
+    }
+  
+    /**
+     * Validates a string.
+     * @param {string} fn - Public method name.
+     * @param {string} arg - Argument name.
+     * @param {*} value - Value to validate.
+     * @returns {string} The string.
+     * @throws {InvalidInputError} If the value is not a non-empty string.
+     */
+    string(fn, arg, value) {
+      if (typeof value !== 'string' || value === '') {
+        throw new InvalidInputError(fn, arg, 'must be a non-empty string');
+      }
+      return value;
+    }
+  
+    /**
+     * Validates that a value is one of a fixed set of choices.
+     * @param {string} fn - Public method name.
+     * @param {string} arg - Argument name.
+     * @param {*} value - Value to validate.
+     * @param {Array} choices - Allowed values.
+     * @returns {*} The value.
+     * @throws {InvalidInputError} If the value is not an allowed choice.
+     */
+    oneOf(fn, arg, value, choices) {
+      if (!choices.includes(value)) {
+        throw new InvalidInputError(fn, arg, `must be one of: ${choices.join(', ')}`);
+      }
+      return value;
+    }
+  
+    /**
+     * Validates a reward ratio given as a number (1.7) or a "1:X" string ("1:1.70").
+     * @param {string} fn - Public method name.
+     * @param {string} arg - Argument name.
+     * @param {*} value - Value to validate.
+     * @returns {number} The reward multiple.
+     * @throws {InvalidInputError} If the ratio is not a positive number or "1:X" string.
+     */
+    rewardRatio(fn, arg, value) {
+      let ratio = NaN;
+      if (typeof value === 'string' && value.includes(':')) {
+        const [risk, reward] = value.split(':').map(Number);
+        ratio = risk > 0 ? reward / risk : NaN;
+      } else {
+        ratio = this.#toNumber(value);
+      }
+  
+      if (isNaN(ratio) || ratio <= 0) {
+        throw new InvalidInputError(fn, arg, 'must be a positive number or a "1:X" string');
+      }
+      return ratio;
+    }
+  }
+  
+  module.exports = Validator;
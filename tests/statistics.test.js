@@ -1,11 +1,13 @@
+const { Readable } = require('stream');
 const Statistics = require('../src/index');
+const { run, EXIT_CODES } = require('../src/cli');
 
 describe('Statistics', () => {
     // Basic Statistical Methods
     describe('Basic Statistics', () => {
         test('mean calculation', () => {
             expect(Statistics.mean([1, 2, 3, 4, 5])).toBe(3);
-            expect(Statistics.mean([])).toBe(NaN);
+            expect(() => Statistics.mean([])).toThrow(Statistics.InsufficientDataError);
         });
 
         test('median calculation', () => {
@@ -61,6 +63,11 @@ describe('Statistics', () => {
                 avgLoss: "-100.00",
                 riskReward: "1:1.00"
             });
+            expect(Statistics.calculateProfitMetrics(1000, 10, 0, 0)).toEqual({
+                avgProfit: "100.00",
+                avgLoss: 0,
+                riskReward: "N/A"
+            });
         });
 
         test('calculateExpectedValue', () => {
@@ -214,4 +221,1853 @@ describe('Additional Tests', () => {
         expect(Statistics.determineProbabilityStatus(75, 1.95)).toBe("Profitable");
         expect(Statistics.determineProbabilityStatus(40, 1.5)).toBe("Not Profitable");
     });
-});
\ No newline at end of file
+});
+describe('Trade Ledger Analysis', () => {
+    const trades = [
+        { side: 'long', size: 10, entryPrice: 100, exitPrice: 110, fees: 2, entryTime: '2024-01-01T10:00:00Z', exitTime: '2024-01-01T12:00:00Z' },
+        { side: 'short', size: 10, entryPrice: 100, exitPrice: 105, fees: 2, entryTime: '2024-01-02T10:00:00Z', exitTime: '2024-01-02T11:00:00Z' },
+        { side: 'long', size: 5, entryPrice: 50, exitPrice: 60, fees: 0 },
+        { side: 'long', size: 5, entryPrice: 50, exitPrice: 58, fees: 0 },
+        { side: 'short', size: 5, entryPrice: 50, exitPrice: 54, fees: 0 }
+    ];
+
+    test('calculateTradePnL', () => {
+        expect(Statistics.calculateTradePnL(trades[0])).toBe(98);
+        expect(Statistics.calculateTradePnL(trades[1])).toBe(-52);
+        expect(() => Statistics.calculateTradePnL({ side: 'sideways', size: 1, entryPrice: 1, exitPrice: 2 })).toThrow();
+        expect(() => Statistics.calculateTradePnL({ side: 'long', size: 1 })).toThrow();
+    });
+
+    test('analyzeTrades', () => {
+        const report = Statistics.analyzeTrades(trades);
+        expect(report.totalTrades).toBe(5);
+        expect(report.winningTrades).toBe(3);
+        expect(report.losingTrades).toBe(2);
+        expect(report.winRate).toBe(60);
+        expect(report.grossProfit).toBe(188);
+        expect(report.grossLoss).toBe(-72);
+        expect(report.totalFees).toBe(4);
+        expect(report.averageWin).toBeCloseTo(62.667, 3);
+        expect(report.averageLoss).toBe(-36);
+        expect(report.payoffRatio).toBeCloseTo(1.7407, 4);
+        expect(report.profitFactor).toBeCloseTo(2.6111, 4);
+        expect(report.expectancy).toBeCloseTo(23.2);
+        expect(report.maxConsecutiveWins).toBe(2);
+        expect(report.maxConsecutiveLosses).toBe(1);
+        expect(report.averageHoldingTime).toBe(90 * 60 * 1000);
+        expect(report.riskOfRuin).toEqual(
+            Statistics.calculateDetailedRiskOfRuin(60, '1:1.74', 2, 1)
+        );
+    });
+
+    test('analyzeTrades without losing trades', () => {
+        const report = Statistics.analyzeTrades([trades[0]]);
+        expect(report.payoffRatio).toBeNull();
+        expect(report.profitFactor).toBeNull();
+        expect(report.riskOfRuin).toBeNull();
+    });
+
+    test('analyzeTrades rejects invalid input', () => {
+        expect(() => Statistics.analyzeTrades([])).toThrow();
+        expect(() => Statistics.analyzeTrades([{ side: 'long' }])).toThrow(/trades\[0\]\.size/);
+    });
+});
+
+describe('Equity Curve Analysis', () => {
+    test('buildEquityCurve from P&L values', () => {
+        const curve = Statistics.buildEquityCurve([100, -50, -100, 200, -10], 1000);
+        expect(curve.equity).toEqual([1000, 1100, 1050, 950, 1150, 1140]);
+        expect(curve.peaks).toEqual([1000, 1100, 1100, 1100, 1150, 1150]);
+        expect(curve.drawdowns).toEqual([0, 0, 50, 150, 0, 10]);
+        expect(curve.finalBalance).toBe(1140);
+        expect(curve.maxDrawdown.absolute).toBe(150);
+        expect(curve.maxDrawdown.percent).toBeCloseTo(13.636, 3);
+        expect(curve.maxDrawdown.peakIndex).toBe(1);
+        expect(curve.maxDrawdown.troughIndex).toBe(3);
+        expect(curve.maxDrawdownDuration).toBe(3);
+        expect(curve.timeToRecovery).toBe(1);
+        expect(curve.ulcerIndex).toBeCloseTo(5.8789, 4);
+        expect(curve.episodes).toHaveLength(2);
+        expect(curve.episodes[1]).toMatchObject({ startIndex: 4, troughIndex: 5, recoveryIndex: null, recoveryTime: null });
+    });
+
+    test('buildEquityCurve from trades', () => {
+        const curve = Statistics.buildEquityCurve([
+            { side: 'long', size: 1, entryPrice: 100, exitPrice: 90 },
+            { side: 'short', size: 1, entryPrice: 100, exitPrice: 80 }
+        ], 100);
+        expect(curve.equity).toEqual([100, 90, 110]);
+        expect(curve.maxDrawdown.percent).toBe(10);
+    });
+
+    test('buildEquityCurve handles long bar-by-bar curves', () => {
+        const pnls = Array.from({ length: 200000 }, (_, i) => (i % 2 === 0 ? 1 : -1));
+        pnls[1] = -11;
+        const curve = Statistics.buildEquityCurve(pnls, 1000);
+        expect(curve.equity).toHaveLength(200001);
+        expect(curve.maxDrawdown.percent).toBeCloseTo(11 / 1001 * 100, 10);
+    });
+
+    test('buildEquityCurve rejects invalid input', () => {
+        expect(() => Statistics.buildEquityCurve('abc', 1000)).toThrow();
+        expect(() => Statistics.buildEquityCurve([1, 2], 0)).toThrow();
+        expect(() => Statistics.buildEquityCurve([1, 'x'], 1000)).toThrow(/pnls\[1\]/);
+    });
+});
+
+describe('Risk-Adjusted Ratios', () => {
+    const returns = [0.01, -0.02, 0.015, 0.005, -0.01, 0.02];
+
+    test('calculateReturns', () => {
+        const result = Statistics.calculateReturns([100, 110, 99]);
+        expect(result[0]).toBeCloseTo(0.1);
+        expect(result[1]).toBeCloseTo(-0.1);
+    });
+
+    test('calculateSharpeRatio', () => {
+        const { sd, mean } = Statistics.standardDeviation(returns);
+        expect(Statistics.calculateSharpeRatio(returns)).toBeCloseTo(mean / sd * Math.sqrt(252), 6);
+        expect(Statistics.calculateSharpeRatio(returns, { riskFreeRate: 0.02, periodsPerYear: 12 }))
+            .toBeCloseTo((mean - 0.02 / 12) / sd * Math.sqrt(12), 4);
+        expect(Statistics.calculateSharpeRatio([0.01, 0.01])).toBeNull();
+    });
+
+    test('calculateSortinoRatio', () => {
+        const downside = Math.sqrt((0.02 ** 2 + 0.01 ** 2) / 6);
+        expect(Statistics.calculateDownsideDeviation(returns)).toBeCloseTo(downside, 10);
+        expect(Statistics.calculateSortinoRatio(returns, { periodsPerYear: 1 }))
+            .toBeCloseTo((0.02 / 6) / downside, 10);
+        expect(Statistics.calculateSortinoRatio([0.01, 0.02])).toBeNull();
+    });
+
+    test('calculateCalmarRatio', () => {
+        // One year of returns: +10%, -20%, +50% -> final 1.32, max drawdown 20%
+        expect(Statistics.calculateCalmarRatio([0.1, -0.2, 0.5], { periodsPerYear: 3 })).toBeCloseTo(0.32 / 0.2, 10);
+        expect(Statistics.calculateCalmarRatio([0.1, 0.1])).toBeNull();
+        expect(Statistics.calculateCalmarRatio([0.1, -1, 0.2])).toBeNull();
+        expect(Statistics.calculateCalmarRatio([0.1, -1.5])).toBeNull();
+    });
+
+    test('calculateOmegaRatio', () => {
+        expect(Statistics.calculateOmegaRatio(returns)).toBeCloseTo(0.05 / 0.03, 10);
+        expect(Statistics.calculateOmegaRatio(returns, 0.01)).toBeCloseTo(0.015 / 0.055, 10);
+    });
+
+    test('calculateInformationRatio', () => {
+        const benchmark = [0.005, -0.01, 0.01, 0, 0, 0.01];
+        const active = returns.map((r, i) => r - benchmark[i]);
+        const { sd, mean } = Statistics.standardDeviation(active);
+        expect(Statistics.calculateInformationRatio(returns, benchmark, { periodsPerYear: 12 }))
+            .toBeCloseTo(mean / sd * Math.sqrt(12), 6);
+        expect(() => Statistics.calculateInformationRatio(returns, [0.01])).toThrow();
+    });
+
+    test('calculateTreynorRatio', () => {
+        expect(Statistics.calculateTreynorRatio(returns, 1.2, { riskFreeRate: 0.02, periodsPerYear: 252 }))
+            .toBeCloseTo((0.02 / 6 * 252 - 0.02) / 1.2, 10);
+        expect(Statistics.calculateTreynorRatio(returns, 0)).toBeNull();
+        expect(() => Statistics.calculateTreynorRatio(returns, 'high')).toThrow();
+    });
+
+    test('calculateRiskAdjustedRatios', () => {
+        const result = Statistics.calculateRiskAdjustedRatios(returns, { beta: 1.2 });
+        expect(result.sharpe).toBe(Statistics.calculateSharpeRatio(returns));
+        expect(result.sortino).toBe(Statistics.calculateSortinoRatio(returns));
+        expect(result.treynor).toBe(Statistics.calculateTreynorRatio(returns, 1.2));
+        expect(result.informationRatio).toBeNull();
+        expect(() => Statistics.calculateRiskAdjustedRatios([])).toThrow();
+        expect(() => Statistics.calculateRiskAdjustedRatios(returns, { periodsPerYear: 0 })).toThrow(/calculateRiskAdjustedRatios: invalid options.periodsPerYear/);
+        expect(() => Statistics.calculateRiskAdjustedRatios(returns, { minimumAcceptableReturn: 'high' })).toThrow(/minimumAcceptableReturn/);
+    });
+});
+
+describe('Monte Carlo Simulation', () => {
+    test('percentile', () => {
+        expect(Statistics.percentile([1, 2, 3, 4, 5], 25)).toBe(2);
+        expect(Statistics.percentile([5, 1, 4, 2, 3], 50)).toBe(3);
+        expect(Statistics.percentile([1, 2], 50)).toBe(1.5);
+        expect(() => Statistics.percentile([], 50)).toThrow();
+        expect(() => Statistics.percentile([1], 150)).toThrow();
+    });
+
+    test('createRandomGenerator is deterministic for a seed', () => {
+        const a = Statistics.createRandomGenerator(42);
+        const b = Statistics.createRandomGenerator(42);
+        const values = [a(), a(), a()];
+        expect([b(), b(), b()]).toEqual(values);
+        values.forEach(v => {
+            expect(v).toBeGreaterThanOrEqual(0);
+            expect(v).toBeLessThan(1);
+        });
+    });
+
+    test('simulateMonteCarlo parametric is reproducible with a seed', () => {
+        const options = { winRate: 30, riskRewardRatio: '1:2', riskPerTrade: 2, seed: 42 };
+        const first = Statistics.simulateMonteCarlo(options);
+        const second = Statistics.simulateMonteCarlo(options);
+        expect(first).toEqual(second);
+        expect(first.method).toBe('parametric');
+        expect(first.probabilityOfRuin).toBe(first.ruinCount / 1000);
+        expect(first.probabilityOfRuin).toBeGreaterThan(0);
+        expect(first.finalEquity.confidenceInterval[0]).toBeLessThanOrEqual(first.finalEquity.median);
+        expect(first.maxDrawdown.percentiles[95]).toBeGreaterThanOrEqual(first.maxDrawdown.percentiles[5]);
+    });
+
+    test('simulateMonteCarlo handles losing strategies and sizing modes', () => {
+        const losing = Statistics.simulateMonteCarlo({ winRate: 40, riskRewardRatio: 1, riskPerTrade: 5, seed: 1 });
+        expect(losing.probabilityOfRuin).toBeGreaterThan(0.5);
+
+        const winning = Statistics.simulateMonteCarlo({ outcomes: [1], sizing: 'fixed-dollar', riskAmount: 100, numTrades: 10, simulations: 5, seed: 1 });
+        expect(winning.method).toBe('bootstrap');
+        expect(winning.probabilityOfRuin).toBe(0);
+        expect(winning.finalEquity.min).toBe(11000);
+        expect(winning.maxDrawdown.max).toBe(0);
+
+        const ruined = Statistics.simulateMonteCarlo({ outcomes: [-1], sizing: 'fixed-dollar', riskAmount: 1000, ruinThreshold: 30, simulations: 5, seed: 1 });
+        expect(ruined.probabilityOfRuin).toBe(1);
+        expect(ruined.finalEquity.max).toBe(7000);
+    });
+
+    test('simulateMonteCarlo rejects invalid options', () => {
+        expect(() => Statistics.simulateMonteCarlo({})).toThrow();
+        expect(() => Statistics.simulateMonteCarlo({ outcomes: [1], sizing: 'martingale' })).toThrow();
+        expect(() => Statistics.simulateMonteCarlo({ winRate: 150, riskRewardRatio: 2 })).toThrow();
+    });
+});
+
+describe('Technical Indicators', () => {
+    const closes = [44.34, 44.09, 44.15, 43.61, 44.33, 44.83, 45.10, 45.42, 45.84, 46.08,
+        45.89, 46.03, 45.61, 46.28, 46.28, 46.00, 46.03, 46.41, 46.22, 45.64];
+    const highs = closes.map(c => c + 0.5);
+    const lows = closes.map(c => c - 0.5);
+    const volumes = closes.map((_, i) => 1000 + i * 10);
+
+    test('moving averages', () => {
+        expect(Statistics.calculateSMA([1, 2, 3, 4, 5], 3)).toEqual([null, null, 2, 3, 4]);
+        expect(Statistics.calculateEMA([1, 2, 3, 4, 5], 3)).toEqual([null, null, 2, 3, 4]);
+        expect(Statistics.calculateWMA([1, 2, 3, 4], 3)).toEqual([null, null, 14 / 6, 20 / 6]);
+        // Lenient mode coerces numeric strings before they are used
+        expect(Statistics.calculateWMA([1, 2, 3, 4], '3')).toEqual([null, null, 14 / 6, 20 / 6]);
+        expect(Statistics.calculateEMA([1, 2, 3, 4, 5], '3')).toEqual([null, null, 2, 3, 4]);
+        const ema = Statistics.calculateEMA([2, 4, 6, 10], 2);
+        expect(ema.slice(0, 3)).toEqual([null, 3, 5]);
+        expect(ema[3]).toBeCloseTo(25 / 3, 10);
+        expect(() => Statistics.calculateSMA([1, 2], 0)).toThrow();
+        expect(() => Statistics.calculateSMA([], 2)).toThrow('All price arrays must be provided and non-empty');
+    });
+
+    test('calculateRSI', () => {
+        const rsi = Statistics.calculateRSI(closes);
+        expect(rsi.slice(0, 14).every(v => v === null)).toBe(true);
+        expect(rsi[14]).toBeCloseTo(70.46, 2);
+        expect(Statistics.calculateRSI([1, 2, 3, 4], 2)[3]).toBe(100);
+    });
+
+    test('calculateMACD', () => {
+        const { macd, signal, histogram } = Statistics.calculateMACD(closes, 3, 6, 3);
+        expect(macd[4]).toBeNull();
+        expect(macd[5]).not.toBeNull();
+        expect(signal[6]).toBeNull();
+        expect(signal[7]).toBeCloseTo(0.306, 3);
+        expect(histogram[7]).toBeCloseTo(macd[7] - signal[7], 10);
+        expect(() => Statistics.calculateMACD(closes, 26, 12)).toThrow();
+        // Numeric strings compare as numbers, not lexically
+        expect(Statistics.calculateMACD(closes, '9', '10', '2')).toEqual(Statistics.calculateMACD(closes, 9, 10, 2));
+        expect(Statistics.calculateMACD(closes, '3', '6', '3').signal[7]).toBeCloseTo(0.306, 3);
+    });
+
+    test('calculateBollingerBands', () => {
+        const bands = Statistics.calculateBollingerBands([2, 4, 4, 4, 5, 5, 7, 9], 8, 2);
+        expect(bands.middle[7]).toBe(5);
+        expect(bands.upper[7]).toBe(9);
+        expect(bands.lower[7]).toBe(1);
+        expect(bands.upper[6]).toBeNull();
+    });
+
+    test('calculateATR and calculateTrueRange', () => {
+        expect(Statistics.calculateTrueRange([10, 12, 11], [9, 10, 8], [9.5, 11, 9])).toEqual([1, 2.5, 3]);
+        const atr = Statistics.calculateATR([10, 12, 11], [9, 10, 8], [9.5, 11, 9], 2);
+        expect(atr).toEqual([null, 1.75, 2.375]);
+        expect(() => Statistics.calculateATR([1, 2], [1], [1, 2])).toThrow('All price arrays must have the same length');
+    });
+
+    test('calculateStochastic', () => {
+        const { k, d } = Statistics.calculateStochastic([3, 4, 5, 6], [1, 2, 3, 4], [2, 4, 4, 5], 2, 2);
+        expect(k).toEqual([null, 100, 2 / 3 * 100, 2 / 3 * 100]);
+        expect(d[1]).toBeNull();
+        expect(d[2]).toBeCloseTo((100 + 200 / 3) / 2, 10);
+    });
+
+    test('calculateADX', () => {
+        const { adx, plusDI, minusDI } = Statistics.calculateADX(highs, lows, closes, 5);
+        expect(plusDI[4]).toBeNull();
+        expect(plusDI[5]).not.toBeNull();
+        expect(adx[8]).toBeNull();
+        expect(adx[9]).toBeGreaterThan(0);
+        expect(adx[9]).toBeLessThanOrEqual(100);
+        expect(minusDI).toHaveLength(closes.length);
+    });
+
+    test('calculateCCI', () => {
+        const cci = Statistics.calculateCCI([3, 4, 5], [1, 2, 3], [2, 3, 4], 3);
+        expect(cci[1]).toBeNull();
+        expect(cci[2]).toBeCloseTo(100, 10);
+    });
+
+    test('calculateOBV and calculateVWAP', () => {
+        expect(Statistics.calculateOBV([10, 11, 10, 10], [100, 200, 50, 70])).toEqual([0, 200, 150, 150]);
+        const vwap = Statistics.calculateVWAP([11, 13], [9, 11], [10, 12], [100, 300]);
+        expect(vwap).toEqual([10, 11.5]);
+        expect(Statistics.calculateVWAP(highs, lows, closes, volumes)).toHaveLength(closes.length);
+        expect(() => Statistics.calculateOBV(closes, [1, 2])).toThrow();
+    });
+});
+
+describe('Rolling Statistics', () => {
+    const values = [5, 1, 4, 2, 8, 8, 8, 3, 7, 6];
+
+    const naive = (fn, window) => values.map((_, i) =>
+        i < window - 1 ? null : fn(values.slice(i - window + 1, i + 1))
+    );
+
+    test('rollingMean', () => {
+        expect(Statistics.rollingMean([1, 2, 3, 4], 2)).toEqual([null, 1.5, 2.5, 3.5]);
+        expect(Statistics.rollingMean([1, 2, 3, 4], '2')).toEqual([null, 1.5, 2.5, 3.5]);
+    });
+
+    test('rollingMedian matches median over each window', () => {
+        [1, 2, 3, 4, 5].forEach(window => {
+            expect(Statistics.rollingMedian(values, window)).toEqual(naive(arr => Statistics.median(arr), window));
+        });
+    });
+
+    test('rollingStandardDeviation matches standardDeviation over each window', () => {
+        [2, 3, 4].forEach(window => {
+            expect(Statistics.rollingStandardDeviation(values, window))
+                .toEqual(naive(arr => Statistics.standardDeviation(arr).sd, window));
+        });
+    });
+
+    test('rollingSkewness matches calculateSkewness over each window', () => {
+        const rolling = Statistics.rollingSkewness(values, 3);
+        const expected = naive(arr => Statistics.calculateSkewness(arr), 3);
+        rolling.forEach((value, i) => {
+            if (expected[i] === null) expect(value).toBeNull();
+            else expect(value).toBeCloseTo(expected[i], 8);
+        });
+        expect(rolling[6]).toBe(0);
+        expect(() => Statistics.rollingSkewness(values, 2)).toThrow();
+    });
+
+    test('rollingMin, rollingMax and rollingRange', () => {
+        expect(Statistics.rollingMin(values, 3)).toEqual(naive(arr => Math.min(...arr), 3));
+        expect(Statistics.rollingMax(values, 3)).toEqual(naive(arr => Math.max(...arr), 3));
+        expect(Statistics.rollingRange(values, 3)).toEqual(naive(arr => Statistics.range(arr), 3));
+    });
+
+    test('calculateRolling', () => {
+        expect(Statistics.calculateRolling(values, 3, 'median')).toEqual(Statistics.rollingMedian(values, 3));
+        expect(() => Statistics.calculateRolling(values, 3, 'mystery')).toThrow();
+        expect(() => Statistics.calculateRolling(values, 0, 'mean')).toThrow();
+        expect(() => Statistics.calculateRolling(['a'], 1, 'mean')).toThrow();
+    });
+});
+
+describe('Streaming Accumulators', () => {
+    test('createRunningStatistics agrees with batch methods', () => {
+        const data = [2, 3, 3, 4, 5, 5, 5, 6, 8];
+        const running = Statistics.createRunningStatistics();
+        data.forEach(value => running.push(value));
+
+        expect(running.count).toBe(9);
+        expect(running.mean).toBeCloseTo(Statistics.mean(data), 10);
+        expect(running.standardDeviation).toBeCloseTo(Statistics.standardDeviation(data).sd, 5);
+        expect(running.skewness).toBeCloseTo(Statistics.calculateSkewness(data), 4);
+        expect(running.sampleVariance).toBeCloseTo(running.variance * 9 / 8, 10);
+        expect(running.kurtosis).toBeCloseTo(0.407026, 5);
+        expect(running.min).toBe(2);
+        expect(running.max).toBe(8);
+        expect(() => running.push('abc')).toThrow();
+    });
+
+    test('createRunningStatistics resumes from toJSON', () => {
+        const running = Statistics.createRunningStatistics().push(1).push(2);
+        const restored = Statistics.createRunningStatistics(JSON.stringify(running));
+        restored.push(6);
+        expect(restored.count).toBe(3);
+        expect(restored.mean).toBe(3);
+        expect(restored.max).toBe(6);
+        expect(() => Statistics.createRunningStatistics({ type: 'Other' })).toThrow();
+    });
+
+    test('accumulators check values and saved state with the shared validator', () => {
+        const running = Statistics.createRunningStatistics();
+        expect(() => running.push('12abc')).toThrow(Statistics.InvalidInputError);
+        expect(running.push('12').mean).toBe(12);
+        Statistics.setValidationMode('strict');
+        try {
+            expect(() => running.push('3')).toThrow(Statistics.InvalidInputError);
+            expect(() => Statistics.createTradeAccumulator().push('5')).toThrow(Statistics.InvalidInputError);
+        } finally {
+            Statistics.setValidationMode('lenient');
+        }
+
+        expect(() => Statistics.createRunningStatistics('{not json')).toThrow(Statistics.InvalidInputError);
+        expect(() => Statistics.createRunningStatistics({ type: 'Other' })).toThrow(/state\.type/);
+        expect(() => Statistics.createRunningStatistics({ ...running.toJSON(), mean: 'x' })).toThrow(/state\.mean/);
+        const saved = Statistics.createTradeAccumulator().push(5).toJSON();
+        expect(() => Statistics.createTradeAccumulator('{"type":')).toThrow(Statistics.InvalidInputError);
+        expect(() => Statistics.createTradeAccumulator({ ...saved, pnl: null })).toThrow(/state\.pnl/);
+        expect(() => Statistics.createTradeAccumulator({ ...saved, equity: 'x' })).toThrow(/state\.equity/);
+    });
+
+    test('createTradeAccumulator tracks live trade metrics', () => {
+        const live = Statistics.createTradeAccumulator({ startingBalance: 1000 });
+        [100, -50, -100, 200, -10].forEach(pnl => live.push(pnl));
+        const metrics = live.getMetrics();
+
+        expect(metrics.totalTrades).toBe(5);
+        expect(metrics.winRate).toBe(40);
+        expect(metrics.expectancy).toBe(28);
+        expect(metrics.profitFactor).toBe(1.875);
+        expect(metrics.maxConsecutiveLosses).toBe(2);
+        expect(metrics.currentLossStreak).toBe(1);
+        expect(metrics.equity).toBe(1140);
+        expect(metrics.maxDrawdown).toBe(150);
+        expect(metrics.maxDrawdownPercent).toBeCloseTo(13.636, 3);
+
+        const curve = Statistics.buildEquityCurve([100, -50, -100, 200, -10], 1000);
+        expect(metrics.maxDrawdownPercent).toBe(curve.maxDrawdown.percent);
+    });
+
+    test('createTradeAccumulator resumes from toJSON and accepts trade objects', () => {
+        const live = Statistics.createTradeAccumulator({ startingBalance: 1000 }).push(-20).push(-30);
+        const restored = Statistics.createTradeAccumulator(JSON.parse(JSON.stringify(live)));
+        restored.push({ side: 'short', size: 10, entryPrice: 50, exitPrice: 45, fees: 5 });
+
+        const metrics = restored.getMetrics();
+        expect(metrics.totalTrades).toBe(3);
+        expect(metrics.maxConsecutiveLosses).toBe(2);
+        expect(metrics.currentWinStreak).toBe(1);
+        expect(metrics.equity).toBe(995);
+        expect(metrics.expectancy).toBeCloseTo(-5 / 3, 10);
+    });
+
+    test('createTradeAccumulator validates the starting balance', () => {
+        expect(Statistics.createTradeAccumulator({ startingBalance: '10000' }).push(5).getMetrics().equity).toBe(10005);
+        expect(() => Statistics.createTradeAccumulator({ startingBalance: 'lots' })).toThrow(/options\.startingBalance/);
+        const saved = JSON.parse(JSON.stringify(Statistics.createTradeAccumulator({ startingBalance: 100 })));
+        expect(() => Statistics.createTradeAccumulator({ ...saved, startingBalance: 'x' })).toThrow(/state\.startingBalance/);
+    });
+});
+
+describe('Position Sizing', () => {
+    const outcomes = [9, 18, 7, 1, 10, -5, -3, -17, -7];
+
+    test('calculateKellyFraction', () => {
+        expect(Statistics.calculateKellyFraction(61.5, '1:1.70')).toBeCloseTo(0.38853, 5);
+        expect(Statistics.calculateKellyFraction(61.5, 1.7, 0.5)).toBeCloseTo(0.19426, 5);
+        expect(Statistics.calculateKellyFraction(30, 1)).toBeLessThan(0);
+        expect(() => Statistics.calculateKellyFraction(150, 2)).toThrow();
+        expect(() => Statistics.calculateKellyFraction(50, 'abc')).toThrow();
+    });
+
+    test('calculateOptimalF', () => {
+        const result = Statistics.calculateOptimalF(outcomes);
+        expect(result.optimalF).toBeGreaterThan(0.23);
+        expect(result.optimalF).toBeLessThan(0.25);
+        expect(result.biggestLoss).toBe(-17);
+        expect(result.twr).toBeGreaterThan(1.09);
+        expect(result.fDollar).toBeCloseTo(17 / result.optimalF, 10);
+        expect(() => Statistics.calculateOptimalF([1, 2, 3])).toThrow();
+    });
+
+    test('calculateFixedFractionalPositionSize', () => {
+        expect(Statistics.calculateFixedFractionalPositionSize({ equity: 10000, entryPrice: 50, stopPrice: 48 })).toEqual({
+            units: 100,
+            notional: 5000,
+            dollarRisk: 200,
+            riskPercent: 2,
+            leverage: 0.5,
+            constrainedBy: null
+        });
+
+        const lots = Statistics.calculateFixedFractionalPositionSize({ equity: 10000, entryPrice: 50, stopPrice: 47, lotSize: 25 });
+        expect(lots.units).toBe(50);
+
+        const capped = Statistics.calculateFixedFractionalPositionSize({ equity: 10000, entryPrice: 50, stopPrice: 49.9, maxLeverage: 1 });
+        expect(capped.units).toBe(200);
+        expect(capped.constrainedBy).toBe('maxLeverage');
+
+        expect(() => Statistics.calculateFixedFractionalPositionSize({ equity: 10000, entryPrice: 50 })).toThrow();
+        expect(() => Statistics.calculateFixedFractionalPositionSize({ equity: 0, entryPrice: 50, stopPrice: 48 })).toThrow();
+    });
+
+    test('calculateKellyPositionSize', () => {
+        const result = Statistics.calculateKellyPositionSize({ equity: 10000, entryPrice: 50, stopPrice: 49, winRate: 61.5, payoffRatio: 1.7 });
+        expect(result.kellyFraction).toBeCloseTo(0.19426, 5);
+        expect(result.units).toBe(1942);
+
+        const noEdge = Statistics.calculateKellyPositionSize({ equity: 10000, entryPrice: 50, stopPrice: 49, winRate: 30, payoffRatio: 1 });
+        expect(noEdge.units).toBe(0);
+    });
+
+    test('calculateOptimalFPositionSize', () => {
+        const result = Statistics.calculateOptimalFPositionSize({ equity: 10000, entryPrice: 50, outcomes });
+        expect(result.units).toBe(Math.floor(10000 / result.optimalF.fDollar));
+        expect(result.dollarRisk).toBe(result.units * 17);
+    });
+
+    test('calculateVolatilityPositionSize', () => {
+        const atr = Statistics.calculateVolatilityPositionSize({ equity: 10000, entryPrice: 50, atr: 1.25, atrMultiple: 2 });
+        expect(atr.units).toBe(80);
+        expect(atr.dollarRisk).toBe(200);
+
+        const target = Statistics.calculateVolatilityPositionSize({ equity: 10000, entryPrice: 50, volatility: 0.4, targetVolatility: 0.1 });
+        expect(target.units).toBe(50);
+        expect(target.leverage).toBe(0.25);
+
+        expect(() => Statistics.calculateVolatilityPositionSize({ equity: 10000, entryPrice: 50 })).toThrow();
+    });
+
+    test('calculateFixedRatioPositionSize', () => {
+        const params = { startingEquity: 10000, delta: 1000, entryPrice: 50, stopPrice: 45, unitsPerStep: 10 };
+        expect(Statistics.calculateFixedRatioPositionSize({ ...params, equity: 10000 }).steps).toBe(1);
+        expect(Statistics.calculateFixedRatioPositionSize({ ...params, equity: 10999 }).steps).toBe(1);
+        expect(Statistics.calculateFixedRatioPositionSize({ ...params, equity: 11000 }).steps).toBe(2);
+        const result = Statistics.calculateFixedRatioPositionSize({ ...params, equity: 13000 });
+        expect(result.steps).toBe(3);
+        expect(result.units).toBe(30);
+        expect(result.dollarRisk).toBe(150);
+    });
+
+    test('position sizing works on the validated values of numeric strings', () => {
+        const asStrings = params => Object.fromEntries(Object.entries(params).map(([key, value]) => [key, String(value)]));
+        const sizers = [
+            ['calculateFixedFractionalPositionSize', { equity: 10000, entryPrice: 50, stopPrice: 48, riskPercent: 1.5, lotSize: 5, maxLeverage: 2 }],
+            ['calculateVolatilityPositionSize', { equity: 10000, entryPrice: 50, atr: 1.25, atrMultiple: 2, riskPercent: 2 }],
+            ['calculateVolatilityPositionSize', { equity: 10000, entryPrice: 50, volatility: 0.4, targetVolatility: 0.1 }],
+            ['calculateFixedRatioPositionSize', { equity: 13000, startingEquity: 10000, delta: 1000, entryPrice: 50, stopPrice: 45, unitsPerStep: 10 }]
+        ];
+        sizers.forEach(([method, params]) => {
+            expect(Statistics[method](asStrings(params))).toEqual(Statistics[method](params));
+        });
+        expect(Statistics.calculateOptimalFPositionSize({ equity: '10000', entryPrice: '50', fraction: '0.5', outcomes }))
+            .toEqual(Statistics.calculateOptimalFPositionSize({ equity: 10000, entryPrice: 50, fraction: 0.5, outcomes }));
+    });
+});
+
+describe('Input Validation', () => {
+    afterEach(() => {
+        Statistics.setValidationMode('lenient');
+    });
+
+    test('errors are typed and carry context', () => {
+        let error;
+        try {
+            Statistics.calculateSMA([1, 2, 3], 1.5);
+        } catch (e) {
+            error = e;
+        }
+        expect(error).toBeInstanceOf(Statistics.InvalidInputError);
+        expect(error).toBeInstanceOf(Statistics.StatisticsError);
+        expect(error.functionName).toBe('calculateSMA');
+        expect(error.argumentName).toBe('period');
+        expect(error.message).toBe('calculateSMA: invalid period - must be an integer');
+        expect(() => Statistics.calculateSkewness([1, 2])).toThrow(Statistics.InsufficientDataError);
+    });
+
+    test('lenient mode coerces numeric strings, strict mode rejects them', () => {
+        expect(Statistics.getValidationMode()).toBe('lenient');
+        expect(Statistics.mean(['1', '2'])).toBe(1.5);
+        Statistics.setValidationMode('strict');
+        expect(Statistics.getValidationMode()).toBe('strict');
+        expect(() => Statistics.mean(['1', '2'])).toThrow(/index 0/);
+        expect(() => Statistics.setValidationMode('loose')).toThrow(Statistics.InvalidInputError);
+    });
+
+    test('garbage input throws instead of returning NaN', () => {
+        expect(() => Statistics.mean([1, 'abc'])).toThrow(/index 1/);
+        expect(() => Statistics.interpretSkewness('abc')).toThrow(Statistics.InvalidInputError);
+        expect(() => Statistics.calculateProfitMetrics('abc', 1000)).toThrow();
+        expect(() => Statistics.calculateRolling([1, 2, 3], 2, 'mode')).toThrow(/statistic/);
+    });
+
+    test('reward ratios accept numbers and "1:X" strings', () => {
+        expect(Statistics.calculateExpectedValue(0.5, 2)).toBe(Statistics.calculateExpectedValue(0.5, '1:2'));
+        expect(Statistics.calculateRiskOfRuin(60, 1.5, 2)).toBe(Statistics.calculateRiskOfRuin(60, '1:1.5', 2));
+        expect(() => Statistics.calculateExpectedValue(0.5, '1:0')).toThrow(/riskRewardRatio/);
+    });
+
+    test('calculateSuccessRate handles zero trades', () => {
+        expect(Statistics.calculateSuccessRate(0, 0)).toBe('0');
+    });
+});
+
+describe('Result Modes', () => {
+    afterEach(() => {
+        Statistics.setResultMode('formatted');
+        Statistics.setFormatOptions();
+    });
+
+    test('numeric mode returns decimals instead of display strings', () => {
+        Statistics.setResultMode('numeric');
+        expect(Statistics.getResultMode()).toBe('numeric');
+        expect(Statistics.calculateSuccessRate(75, 100)).toBe(0.75);
+        expect(Statistics.calculateSuccessRate(0, 0)).toBeNull();
+        expect(Statistics.calculateRiskOfRuin(45, '1:1.95', 2)).toBe(1);
+        expect(Statistics.calculateProfitMetrics(1000, 10, -500, 5)).toEqual({
+            avgProfit: 100,
+            avgLoss: -100,
+            riskReward: 1
+        });
+        expect(Statistics.calculateProfitMetrics(0, 0, -500, 5)).toEqual({ avgProfit: 0, avgLoss: -100, riskReward: null });
+
+        const risk = Statistics.calculateDetailedRiskOfRuin(61.5, '1:1.70', 2, 2);
+        expect(risk.metrics.kellyPercentage).toBeCloseTo(0.3885, 4);
+        expect(risk.survivalProbability).toBeCloseTo(1 - risk.riskOfRuin, 10);
+
+        const patterns = Statistics.interpretMarketPatterns({
+            consecutiveMovements: { up: 3, down: 2 },
+            distribution: { upDays: 10, downDays: 8, neutralDays: 2 }
+        });
+        expect(patterns.metrics).toEqual({ upPercentage: 0.5, downPercentage: 0.4, neutralPercentage: 0.1 });
+        expect(patterns.details.strength).toEqual({ upStrength: 0.15, downStrength: 0.1 });
+    });
+
+    test('formatResult reproduces the formatted output', () => {
+        const formatted = Statistics.calculateDetailedRiskOfRuin(61.5, '1:1.70', 2, 2);
+        Statistics.setResultMode('numeric');
+        const numeric = Statistics.calculateDetailedRiskOfRuin(61.5, '1:1.70', 2, 2);
+        expect(Statistics.formatResult('calculateDetailedRiskOfRuin', numeric)).toEqual(formatted);
+        expect(formatted.metrics.kellyPercentage).toBe('38.85%');
+        expect(() => Statistics.formatResult('mean', 1)).toThrow(Statistics.InvalidInputError);
+    });
+
+    test('analyzeTrades follows the result mode', () => {
+        const trades = [
+            { side: 'long', size: 1, entryPrice: 100, exitPrice: 110 },
+            { side: 'short', size: 1, entryPrice: 100, exitPrice: 105 }
+        ];
+        expect(Statistics.analyzeTrades(trades).riskRewardRatio).toBe('1:2.00');
+        Statistics.setResultMode('numeric');
+        const report = Statistics.analyzeTrades(trades);
+        expect(report.riskRewardRatio).toBe(2);
+        // Win rates are percentages in both modes
+        expect(report.winRate).toBe(50);
+        expect(typeof report.riskOfRuin.riskOfRuin).toBe('number');
+    });
+
+    test('precision and locale are configurable', () => {
+        Statistics.setFormatOptions({ locale: 'en-US', precision: 1 });
+        expect(Statistics.getFormatOptions()).toEqual({ locale: 'en-US', precision: 1 });
+        expect(Statistics.calculateProfitMetrics(123456, 10, -500, 5)).toEqual({
+            avgProfit: '12,345.6',
+            avgLoss: '-100.0',
+            riskReward: '1:0.0'
+        });
+        expect(() => Statistics.setFormatOptions({ precision: -1 })).toThrow(Statistics.InvalidInputError);
+        expect(() => Statistics.setFormatOptions({ locale: 'not a locale!' })).toThrow(/locale/);
+        expect(() => Statistics.setResultMode('raw')).toThrow(Statistics.InvalidInputError);
+    });
+});
+
+describe('Data Import', () => {
+    const csv = [
+        'Symbol,Side,Qty,Entry Price,Exit Price,Commission,Entry Time,Exit Time',
+        'AAPL,Buy,100,"1,050.00",1060.5,2,2024-01-02 09:30:00,2024-01-02 15:59:00',
+        'MSFT,Sell,50,300,290,1.5,2024-01-03T10:00:00Z,2024-01-03T11:00:00Z',
+        'BAD,Buy,abc,1,2,0,,',
+        'TSLA,Hold,10,1,2,0,,'
+    ].join('\n');
+
+    test('importTrades maps common headers and reports bad rows', () => {
+        const { trades, errors } = Statistics.importTrades(csv, { timezone: 'America/New_York' });
+        expect(trades).toHaveLength(2);
+        expect(trades[0]).toMatchObject({ symbol: 'AAPL', side: 'long', size: 100, entryPrice: 1050, exitPrice: 1060.5, fees: 2 });
+        expect(trades[0].entryTime.toISOString()).toBe('2024-01-02T14:30:00.000Z');
+        expect(trades[1].side).toBe('short');
+        expect(errors).toEqual([
+            { row: 4, column: 'Qty', field: 'size', value: 'abc', message: 'size is not a number' },
+            expect.objectContaining({ row: 5, field: 'side', value: 'Hold' })
+        ]);
+        expect(Statistics.analyzeTrades(trades).netProfit).toBe(1050 - 2 + 500 - 1.5);
+    });
+
+    test('column mapping, decimal commas and date patterns', () => {
+        const text = 'Datum;Menge;Einstieg;Ausstieg\n01.02.2024 10:00;-1;1.234,5;1.240,0\n';
+        const { trades } = Statistics.importTrades(text, {
+            decimal: ',',
+            dateFormat: 'DD.MM.YYYY HH:mm',
+            timezone: '+01:00',
+            columns: { entryTime: 'Datum', size: 'Menge', entryPrice: 'Einstieg', exitPrice: 3 }
+        });
+        expect(trades).toEqual([{
+            entryTime: new Date('2024-02-01T09:00:00Z'),
+            size: 1,
+            side: 'short',
+            entryPrice: 1234.5,
+            exitPrice: 1240
+        }]);
+    });
+
+    test('broker adapters', () => {
+        const metatrader = [
+            'Ticket\tOpen Time\tType\tSize\tItem\tPrice\tS / L\tT / P\tClose Time\tPrice\tCommission\tTaxes\tSwap\tProfit',
+            '1\t2024.03.01 10:00:00\tbuy\t0.10\teurusd\t1.08000\t0\t0\t2024.03.01 12:00:00\t1.08200\t-0.50\t0\t-0.25\t20.00',
+            '2\t2024.03.01 09:00:00\tbalance\t\t\t\t\t\t\t\t\t\t\t1000'
+        ].join('\n');
+        const mt = Statistics.importTrades(metatrader, { adapter: 'metatrader' });
+        expect(mt.errors).toEqual([]);
+        expect(mt.trades).toEqual([expect.objectContaining({ side: 'long', size: 0.1, entryPrice: 1.08, exitPrice: 1.082, fees: 0.75 })]);
+
+        const ninjatrader = 'Trade number,Instrument,Market pos.,Qty,Entry price,Exit price,Entry time,Exit time,Commission\n' +
+            '1,ES 03-24,Short,2,5000.25,4990.25,3/1/2024 9:35:00 AM,3/1/2024 1:05:00 PM,$4.12\n';
+        const nt = Statistics.importTrades(ninjatrader, { adapter: 'ninjatrader', timezone: 'America/Chicago' });
+        expect(nt.trades[0]).toMatchObject({ symbol: 'ES 03-24', side: 'short', size: 2, fees: 4.12 });
+        expect(nt.trades[0].exitTime.toISOString()).toBe('2024-03-01T19:05:00.000Z');
+    });
+
+    test('importBars returns sorted aligned arrays', () => {
+        const yahoo = 'Date,Open,High,Low,Close,Adj Close,Volume\n' +
+            '2024-01-03,11,12,10,11.5,11.4,2000\n2024-01-02,10,11,9,10.5,10.4,1000\n2024-01-04,10,9,8,9,9,1\n';
+        const bars = Statistics.importBars(yahoo, { adapter: 'yahoo' });
+        expect(bars.closes).toEqual([10.5, 11.5]);
+        expect(bars.volumes).toEqual([1000, 2000]);
+        expect(bars.times[0].toISOString()).toBe('2024-01-02T00:00:00.000Z');
+        expect(bars.errors).toHaveLength(1);
+        expect(bars.errors[0].row).toBe(4);
+
+        const json = Statistics.importBars({ bars: [{ t: 1704153600, o: 1, h: 2, l: 0.5, c: 1.5 }] }, { columns: { time: 't' } });
+        expect(json.times[0].toISOString()).toBe('2024-01-02T00:00:00.000Z');
+        expect(json.volumes).toBeNull();
+    });
+
+    test('configuration problems throw', () => {
+        expect(() => Statistics.importTrades('a,b\n1,2')).toThrow(/options\.columns\.size/);
+        expect(() => Statistics.importTrades(csv, { adapter: 'unknown' })).toThrow(Statistics.InvalidInputError);
+        expect(() => Statistics.importTrades(csv, { timezone: 'Mars/Base' })).toThrow(/timezone/);
+        expect(() => Statistics.importTrades(csv, { onError: 'throw' })).toThrow(Statistics.ImportError);
+    });
+
+    test('streams are parsed chunk by chunk', async () => {
+        const chunks = csv.match(/[\s\S]{1,7}/g).map(chunk => Buffer.from(chunk));
+        const result = await Statistics.importTradesFromStream(Readable.from(chunks));
+        expect(result).toEqual(Statistics.importTrades(csv));
+        await expect(Statistics.importBarsFromStream('not a stream')).rejects.toThrow(Statistics.InvalidInputError);
+    });
+});
+
+describe('Distribution Analysis', () => {
+    const weights = [148, 154, 158, 160, 161, 162, 166, 170, 182, 195, 236];
+
+    test('calculateKurtosis returns sample-adjusted excess kurtosis', () => {
+        expect(Statistics.calculateKurtosis([1, 2, 3, 4])).toBeCloseTo(-1.2);
+        expect(Statistics.calculateKurtosis([1, 2, 3, 4, 5, 30])).toBeCloseTo(5.6638, 4);
+        expect(Statistics.calculateKurtosis([2, 2, 2, 2])).toBe(0);
+        expect(() => Statistics.calculateKurtosis([1, 2, 3])).toThrow(Statistics.InsufficientDataError);
+    });
+
+    test('shapiroWilkTest matches the reference implementation', () => {
+        const result = Statistics.shapiroWilkTest(weights);
+        expect(result.statistic).toBeCloseTo(0.78881, 5);
+        expect(result.pValue).toBeCloseTo(0.006704, 5);
+        expect(result.isNormal).toBe(false);
+        expect(Statistics.shapiroWilkTest([1, 2, 4]).pValue).toBeCloseTo(0.6369, 4);
+        expect(() => Statistics.shapiroWilkTest([3, 3, 3])).toThrow(/distinct/);
+    });
+
+    test('normality tests separate normal from skewed samples', () => {
+        const random = Statistics.createRandomGenerator(7);
+        const uniform = Array.from({ length: 200 }, () => random());
+        // Box-Muller transform
+        const normal = uniform.map(u => Math.sqrt(-2 * Math.log(1 - u)) * Math.cos(2 * Math.PI * random()));
+        const exponential = uniform.map(u => -Math.log(1 - u));
+
+        for (const test of ['jarqueBeraTest', 'shapiroWilkTest', 'andersonDarlingTest', 'kolmogorovSmirnovTest']) {
+            expect(Statistics[test](normal).isNormal).toBe(true);
+            expect(Statistics[test](exponential).pValue).toBeLessThan(0.001);
+        }
+        const known = Statistics.kolmogorovSmirnovTest(normal, { mean: 0, standardDeviation: 1 });
+        expect(known.method).toBe('kolmogorov');
+        expect(known.pValue).toBeGreaterThan(0.05);
+    });
+
+    test('jarqueBeraTest uses the chi-squared(2) survival function', () => {
+        const result = Statistics.jarqueBeraTest(weights);
+        expect(result.statistic).toBeCloseTo(6.9828, 4);
+        expect(result.pValue).toBeCloseTo(Math.exp(-result.statistic / 2), 12);
+    });
+
+    test('calculateHistogram and calculateQuantileSummary', () => {
+        const histogram = Statistics.calculateHistogram([1, 2, 2, 3, 3, 3, 4], { bins: 3 });
+        expect(histogram.binWidth).toBe(1);
+        expect(histogram.bins.map(bin => bin.count)).toEqual([1, 2, 4]);
+        expect(Statistics.calculateHistogram([5, 5]).bins).toEqual([{ lower: 5, upper: 5, count: 2, frequency: 1 }]);
+        expect(() => Statistics.calculateHistogram([1, 2], { bins: 'auto' })).toThrow(Statistics.InvalidInputError);
+
+        const summary = Statistics.calculateQuantileSummary([1, 2, 3, 4, 5]);
+        expect(summary).toMatchObject({ min: 1, q1: 2, median: 3, q3: 4, max: 5, iqr: 2 });
+    });
+
+    test('analyzeDistribution and tail-risk interpretation', () => {
+        const profile = Statistics.analyzeDistribution(weights);
+        expect(profile.count).toBe(11);
+        expect(profile.normality.shapiroWilk.statistic).toBeCloseTo(0.78881, 5);
+        expect(profile.tailRisk.level).toBe('extreme');
+        expect(Statistics.analyzeDistribution([1, 2]).normality.andersonDarling).toBeNull();
+
+        const interpretation = Statistics.interpretSkewness({ returns: -0.8, prices: 0.1, ranges: 0.2 }, 4.12);
+        expect(interpretation.analysis.tailRisk.value).toBe('4.1200');
+        expect(interpretation.analysis.tailRisk.interpretation).toMatch(/left tail/);
+        expect(Statistics.interpretSkewness({ returns: 0, prices: 0, ranges: 0 }).analysis.tailRisk).toBeUndefined();
+    });
+});
+
+describe('Value at Risk', () => {
+    const random = Statistics.createRandomGenerator(7);
+    // Box-Muller transform around a 0.05% daily drift and 1% volatility
+    const returns = Array.from({ length: 500 }, () =>
+        0.0005 + 0.01 * Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random()));
+
+    test('calculateValueAtRisk returns historical VaR and ES from the empirical tail', () => {
+        const series = [-0.05, -0.03, -0.01, 0, 0.01, 0.02, 0.02, 0.03, 0.04, 0.05];
+        const result = Statistics.calculateValueAtRisk(series, { confidenceLevel: 90, portfolioValue: 1000 });
+        expect(result.method).toBe('historical');
+        expect(result.valueAtRisk).toBeCloseTo(0.032);
+        expect(result.expectedShortfall).toBeCloseTo(0.05);
+        expect(result.valueAtRiskAmount).toBeCloseTo(32);
+    });
+
+    test('parametric and simulated methods agree on normal returns', () => {
+        const gaussian = Statistics.calculateValueAtRisk(returns, { method: 'gaussian', confidenceLevel: 99, horizon: 10 });
+        const cornishFisher = Statistics.calculateValueAtRisk(returns, { method: 'cornishFisher', confidenceLevel: 99, horizon: 10 });
+        const monteCarlo = Statistics.calculateValueAtRisk(returns, { method: 'monteCarlo', confidenceLevel: 99, horizon: 10, seed: 1 });
+        const { sd, mean } = Statistics.standardDeviation(returns);
+        expect(gaussian.valueAtRisk).toBeCloseTo(-(mean * 10 - 2.3263 * sd * Math.sqrt(10)), 4);
+        expect(gaussian.expectedShortfall).toBeGreaterThan(gaussian.valueAtRisk);
+        expect(cornishFisher.valueAtRisk).toBeCloseTo(gaussian.valueAtRisk, 2);
+        expect(monteCarlo.valueAtRisk).toBeCloseTo(gaussian.valueAtRisk, 2);
+        expect(Statistics.calculateValueAtRisk(returns, { method: 'monteCarlo', seed: 1 }))
+            .toEqual(Statistics.calculateValueAtRisk(returns, { method: 'monteCarlo', seed: 1 }));
+    });
+
+    test('calculateValueAtRisk validates options', () => {
+        expect(() => Statistics.calculateValueAtRisk(returns, { method: 'delta' })).toThrow(Statistics.InvalidInputError);
+        expect(() => Statistics.calculateValueAtRisk(returns, { confidenceLevel: 100 })).toThrow(/below 100/);
+        expect(() => Statistics.calculateValueAtRisk([0.01, 0.02], { horizon: 2 })).toThrow(Statistics.InsufficientDataError);
+    });
+
+    test('calculatePortfolioValueAtRisk decomposes Gaussian VaR by asset', () => {
+        const result = Statistics.calculatePortfolioValueAtRisk([0.6, 0.4], {
+            covarianceMatrix: [[0.0004, 0.0001], [0.0001, 0.0009]],
+            method: 'gaussian',
+            confidenceLevel: 99
+        });
+        expect(result.portfolioStandardDeviation).toBeCloseTo(Math.sqrt(0.000336), 8);
+        expect(result.valueAtRisk).toBeCloseTo(2.3263 * Math.sqrt(0.000336), 4);
+        expect(result.contributions[0] + result.contributions[1]).toBeCloseTo(result.valueAtRisk, 10);
+    });
+
+    test('calculatePortfolioValueAtRisk uses return series for historical VaR', () => {
+        const other = returns.map(r => -r);
+        const hedged = Statistics.calculatePortfolioValueAtRisk([0.5, 0.5], { returns: [returns, other] });
+        expect(hedged.valueAtRisk).toBeCloseTo(0, 10);
+        expect(() => Statistics.calculatePortfolioValueAtRisk([0.5, 0.5], { covarianceMatrix: [[1, 0], [0, 1]] }))
+            .toThrow(/required for the historical method/);
+        expect(() => Statistics.calculatePortfolioValueAtRisk([1, 0], {
+            covarianceMatrix: [[1, 2], [2, 1]],
+            method: 'monteCarlo'
+        })).toThrow(/positive semi-definite/);
+    });
+
+    test('kupiecTest flags too many VaR breaches', () => {
+        const series = Array.from({ length: 250 }, (_, i) => (i < 6 ? -0.03 : 0.001));
+        const result = Statistics.kupiecTest(series, 0.02, { confidenceLevel: 99 });
+        expect(result.breaches).toBe(6);
+        expect(result.expectedBreaches).toBeCloseTo(2.5);
+        expect(result.statistic).toBeCloseTo(3.5554, 4);
+        expect(result.pValue).toBeCloseTo(0.0594, 4);
+        expect(result.rejected).toBe(false);
+        expect(Statistics.kupiecTest(series, 0.02, { confidenceLevel: 99.9 }).rejected).toBe(true);
+    });
+
+    test('backtestValueAtRisk forecasts from a rolling window', () => {
+        const result = Statistics.backtestValueAtRisk(returns, { window: 250, method: 'gaussian' });
+        expect(result.forecasts.slice(0, 250).every(value => value === null)).toBe(true);
+        expect(result.kupiec.observations).toBe(250);
+        expect(result.breaches.every(i => returns[i] < -result.forecasts[i])).toBe(true);
+        expect(result.kupiec.rejected).toBe(false);
+        expect(() => Statistics.backtestValueAtRisk(returns.slice(0, 100))).toThrow(Statistics.InsufficientDataError);
+    });
+});
+
+describe('Correlation & Beta', () => {
+    test('calculateCorrelation supports Pearson, Spearman and Kendall', () => {
+        expect(Statistics.calculateCorrelation([1, 2, 3, 4], [2, 4, 6, 8])).toBeCloseTo(1);
+        expect(Statistics.calculateCorrelation([1, 2, 3, 4], [1, 3, 2, 4], { method: 'spearman' })).toBeCloseTo(0.8);
+        expect(Statistics.calculateCorrelation([1, 2, 3, 4], [1, 3, 2, 4], { method: 'kendall' })).toBeCloseTo(2 / 3);
+        expect(Statistics.calculateCorrelation([1, 2, 3, 100], [1, 2, 3, 4], { method: 'spearman' })).toBe(1);
+        expect(Statistics.calculateCorrelation([1, 1, 1], [1, 2, 3])).toBeNull();
+        expect(() => Statistics.calculateCorrelation([1, 2], [1, 2, 3])).toThrow(Statistics.InvalidInputError);
+    });
+
+    test('alignSeries joins series on shared timestamps', () => {
+        const aligned = Statistics.alignSeries({
+            SPY: { times: ['2024-01-02', '2024-01-03', '2024-01-04'], values: [0.01, -0.02, 0.005] },
+            QQQ: { times: ['2024-01-04', '2024-01-02'], values: [0.007, 0.015] }
+        });
+        expect(aligned.series).toEqual({ SPY: [0.01, 0.005], QQQ: [0.015, 0.007] });
+        expect(aligned.times.map(time => time.toISOString().slice(0, 10))).toEqual(['2024-01-02', '2024-01-04']);
+        expect(() => Statistics.alignSeries({ SPY: [1, 2], QQQ: [1] })).toThrow(/same length/);
+        expect(() => Statistics.alignSeries({ SPY: [1, 2], QQQ: { times: [1, 2], values: [1, 2] } })).toThrow(/mix/);
+    });
+
+    test('calculateCovarianceMatrix and calculateCorrelationMatrix are keyed by symbol', () => {
+        const series = { A: [1, 2, 3], B: [2, 4, 7], C: [5, 5, 5] };
+        expect(Statistics.calculateCovariance([1, 2, 3], [2, 4, 7])).toBeCloseTo(5 / 3);
+        expect(Statistics.calculateCovarianceMatrix(series, { sample: true }).matrix[0]).toEqual([1, 2.5, 0]);
+        const { symbols, matrix } = Statistics.calculateCorrelationMatrix(series);
+        expect(symbols).toEqual(['A', 'B', 'C']);
+        expect(matrix[0][0]).toBe(1);
+        expect(matrix[0][1]).toBeCloseTo(0.9934, 4);
+        expect(matrix[0][2]).toBeNull();
+    });
+
+    test('rollingCorrelation matches the full calculation on each window', () => {
+        const x = [0.01, -0.02, 0.015, 0.003, -0.007, 0.012, -0.004, 0.009];
+        const y = [0.012, -0.018, 0.01, 0.006, -0.01, 0.008, 0.001, 0.004];
+        const rolling = Statistics.rollingCorrelation(x, y, 4);
+        expect(rolling.slice(0, 3)).toEqual([null, null, null]);
+        for (let i = 3; i < x.length; i++) {
+            expect(rolling[i]).toBeCloseTo(Statistics.calculateCorrelation(x.slice(i - 3, i + 1), y.slice(i - 3, i + 1)), 10);
+        }
+        expect(Statistics.rollingCorrelation([1, 1, 1, 2], [1, 2, 3, 4], 3)).toEqual([null, null, null, 0.8660254037844385]);
+    });
+
+    test('calculateBeta and calculateBetas report beta and annualized alpha', () => {
+        const benchmark = [0.01, -0.02, 0.015, 0.003, -0.007];
+        const asset = benchmark.map(r => 1.5 * r + 0.001);
+        const result = Statistics.calculateBeta(asset, benchmark);
+        expect(result.beta).toBeCloseTo(1.5);
+        expect(result.alpha).toBeCloseTo(0.252);
+        expect(result.rSquared).toBeCloseTo(1);
+        const betas = Statistics.calculateBetas({ SPY: benchmark, XYZ: asset }, 'SPY');
+        expect(betas.results.XYZ.beta).toBeCloseTo(1.5);
+        expect(betas.results.SPY).toBeUndefined();
+        expect(() => Statistics.calculateBetas({ SPY: benchmark, XYZ: asset }, 'QQQ')).toThrow(Statistics.InvalidInputError);
+    });
+
+    test('analyzeCorrelationClusters groups instruments that move together', () => {
+        const market = [0.01, -0.02, 0.015, 0.003, -0.007, 0.012, -0.004, 0.009];
+        const gold = [-0.003, 0.004, 0.006, -0.008, 0.002, -0.001, 0.007, -0.005];
+        const report = Statistics.analyzeCorrelationClusters({
+            SPY: market,
+            QQQ: market.map(r => r * 1.3 + 0.0005),
+            GLD: gold,
+            GDX: gold.map(r => r * 2 - 0.001)
+        });
+        expect(report.clusters.map(cluster => cluster.symbols.sort().join()).sort()).toEqual(['GDX,GLD', 'QQQ,SPY']);
+        expect(report.highlyCorrelatedPairs).toHaveLength(2);
+        expect(report.diversification.effectiveBets).toBe(2);
+        expect(report.diversification.interpretation).toMatch(/2 independent groups/);
+    });
+});
+
+describe('Portfolio Aggregation', () => {
+    const trade = (symbol, strategy, pnl, exitTime) => ({ symbol, strategy, side: 'long', size: 1, entryPrice: 100, exitPrice: 100 + pnl, exitTime });
+    const trades = [
+        trade('ES', 'breakout', 50, '2024-03-04T15:00:00Z'),
+        trade('NQ', 'breakout', -30, '2024-03-05T15:30:00Z'),
+        trade('ES', 'meanrev', -20, '2024-03-05T19:00:00Z'),
+        trade('CL', 'meanrev', 40, '2024-03-08T14:00:00Z'),
+        trade('ES', 'breakout', -60, '2024-04-01T14:00:00Z'),
+        trade('NQ', 'meanrev', 25, '2024-04-02T16:00:00Z')
+    ];
+
+    test('analyzePortfolio reports metrics and contributions per group', () => {
+        const report = Statistics.analyzePortfolio(trades);
+        expect(report.groups.map(group => group.key)).toEqual(['CL', 'NQ', 'ES']);
+        expect(report.portfolio.metrics.netProfit).toBe(5);
+        expect(report.portfolio.equityCurve.maxDrawdown.absolute).toBe(70);
+
+        const es = report.groups[2];
+        expect(es.metrics.totalTrades).toBe(3);
+        expect(es.maxDrawdown.absolute).toBe(80);
+        expect(es.contribution.pnl).toBeCloseTo(-6);
+        expect(es.contribution.drawdown).toBeCloseTo(80 / 70);
+        const riskShares = report.groups.reduce((sum, group) => sum + group.contribution.risk, 0);
+        expect(riskShares).toBeCloseTo(1, 10);
+    });
+
+    test('analyzePortfolio supports calendar, nested and custom groupings', () => {
+        const keys = groupBy => Statistics.analyzePortfolio(trades, { groupBy, timezone: 'America/New_York' }).groups.map(group => group.key);
+        expect(keys('strategy')).toEqual(['meanrev', 'breakout']);
+        expect(keys('month')).toEqual(['2024-03', '2024-04']);
+        expect(keys('weekday')).toEqual(['Friday', 'Monday', 'Tuesday']);
+        expect(keys('hour')).toContain('10');
+        expect(keys(['strategy', 'symbol'])[0]).toBe('meanrev / CL');
+        expect(keys(t => (t.exitPrice > t.entryPrice ? 'winners' : 'losers')).sort()).toEqual(['losers', 'winners']);
+    });
+
+    test('analyzePortfolio validates trades and options', () => {
+        const untimed = trades.map(({ exitTime, ...rest }) => rest);
+        expect(() => Statistics.analyzePortfolio(untimed, { groupBy: 'hour' })).toThrow(/trades\[0\]\.exitTime/);
+        expect(() => Statistics.analyzePortfolio(trades, { timezone: 'Mars/Base' })).toThrow(Statistics.InvalidInputError);
+        expect(() => Statistics.analyzePortfolio([])).toThrow(Statistics.InsufficientDataError);
+    });
+
+    test('importTrades reads strategy tags', () => {
+        const { trades: imported } = Statistics.importTrades('Symbol,Strategy,Side,Qty,Entry Price,Exit Price\nES,breakout,long,1,100,101\n');
+        expect(imported[0].strategy).toBe('breakout');
+    });
+});
+
+describe('Regime Detection', () => {
+    // Three phases: calm uptrend, volatile range, quieter downtrend
+    const random = Statistics.createRandomGenerator(11);
+    const closes = [];
+    const highs = [];
+    const lows = [];
+    let price = 100;
+    for (let i = 0; i < 600; i++) {
+        const volatility = i < 200 ? 0.005 : i < 400 ? 0.02 : 0.008;
+        const drift = i < 200 ? 0.002 : i < 400 ? 0 : -0.0015;
+        price *= Math.exp(drift + volatility * Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random()));
+        closes.push(price);
+        highs.push(price * (1 + volatility * 0.6));
+        lows.push(price * (1 - volatility * 0.6));
+    }
+
+    test('calculateEfficiencyRatio measures how directly price moves', () => {
+        expect(Statistics.calculateEfficiencyRatio([1, 2, 3, 2, 3, 4], 2)).toEqual([null, null, 1, 0, 0, 1]);
+        expect(Statistics.calculateEfficiencyRatio([5, 5, 5], 2)[2]).toBe(0);
+    });
+
+    test('calculateHurstExponent separates persistent and mean-reverting series', () => {
+        const alternating = Array.from({ length: 256 }, (_, i) => (i % 2 ? 0.01 : -0.01) + (random() - 0.5) * 0.001);
+        expect(Statistics.calculateHurstExponent(alternating)).toBeLessThan(0.3);
+        expect(() => Statistics.calculateHurstExponent([0.01, 0.02])).toThrow(Statistics.InsufficientDataError);
+    });
+
+    test('fitHiddenMarkovModel finds calm and volatile states', () => {
+        const logReturns = closes.slice(1).map((close, i) => Math.log(close / closes[i]));
+        const model = Statistics.fitHiddenMarkovModel(logReturns);
+        expect(model.converged).toBe(true);
+        expect(Math.sqrt(model.variances[0])).toBeCloseTo(0.006, 2);
+        expect(Math.sqrt(model.variances[1])).toBeCloseTo(0.017, 2);
+        expect(model.transitionMatrix[0][0]).toBeGreaterThan(0.9);
+        const volatileMiddle = model.path.slice(200, 399).filter(state => state === 1).length;
+        expect(volatileMiddle).toBeGreaterThan(190);
+        expect(() => Statistics.fitHiddenMarkovModel([1, 1, 1, 1, 1, 1, 1, 1, 1, 1])).toThrow(/distinct/);
+    });
+
+    test('detectRegimes labels bars and reports transitions', () => {
+        const regimes = Statistics.detectRegimes(highs, lows, closes, { hmm: true });
+        expect(regimes.labels).toHaveLength(600);
+        expect(regimes.labels[0]).toBeNull();
+        const uptrend = regimes.trend.slice(50, 200).filter(label => label === 'trending up').length;
+        expect(uptrend).toBeGreaterThan(75);
+        expect(regimes.trend.slice(250, 400).filter(label => label === 'trending up').length).toBe(0);
+        expect(regimes.volatility[399]).toBe('high');
+        expect(regimes.summary).toMatch(/^Market is (trending up|trending down|ranging) with (bullish|bearish|neutral) bias and (low|moderate|high) volatility$/);
+
+        const frequencies = Object.values(regimes.transitions.frequency);
+        expect(frequencies.reduce((sum, share) => sum + share, 0)).toBeCloseTo(1, 10);
+        Object.values(regimes.transitions.probabilities).forEach(row => {
+            expect(Object.values(row).reduce((sum, p) => sum + p, 0)).toBeCloseTo(1, 10);
+        });
+        expect(regimes.hmm.labels.slice(201, 400).filter(label => label === 'volatile').length).toBeGreaterThan(190);
+        expect(() => Statistics.detectRegimes(highs.slice(0, 20), lows.slice(0, 20), closes.slice(0, 20))).toThrow(Statistics.InsufficientDataError);
+    });
+
+    test('interpretMarketPatterns uses the measured regime when available', () => {
+        // The regime is opt-in; without it the patterns keep their original shape
+        expect(Statistics.skewnedStandardDeviation(closes, highs, lows, closes).patterns).not.toHaveProperty('regime');
+        // Without the regime, volatility is ranked from realized volatility instead of the flat-day share
+        const [calmHighs, calmLows, calmCloses] = [highs, lows, closes].map(series => series.slice(0, 420));
+        const quick = Statistics.skewnedStandardDeviation(calmCloses, calmHighs, calmLows, calmCloses).patterns;
+        expect(quick.distribution.neutralDays).toBe(0);
+        expect(Statistics.detectRegimes(calmHighs, calmLows, calmCloses).current.volatility).toBe('low');
+        expect(quick.volatilityPercentile).toBeLessThanOrEqual(33);
+        expect(Statistics.interpretMarketPatterns(quick).details).toMatchObject({ method: 'heuristic', volatility: 'low' });
+        expect(Statistics.skewnedStandardDeviation([10, 11, 12], [11, 12, 13], [9, 10, 11], [11, 12, 13]).patterns.volatilityPercentile).toBeNull();
+        expect(() => Statistics.interpretMarketPatterns({ ...quick, volatilityPercentile: 120 })).toThrow(Statistics.InvalidInputError);
+        const analysis = Statistics.skewnedStandardDeviation(closes, highs, lows, closes, { regime: true });
+        expect(analysis.patterns.regime.marketType).toBeDefined();
+        const interpretation = Statistics.interpretMarketPatterns(analysis.patterns);
+        expect(interpretation.details.method).toBe('regime');
+        expect(interpretation.details.volatility).toBe(analysis.patterns.regime.volatility);
+        expect(() => Statistics.skewnedStandardDeviation(closes, highs, lows, closes, { regime: 'yes' })).toThrow(Statistics.InvalidInputError);
+        expect(Statistics.skewnedStandardDeviation([10, 11, 12], [11, 12, 13], [9, 10, 11], [11, 12, 13], { regime: true }).patterns.regime).toBeNull();
+        expect(Statistics.interpretMarketPatterns({
+            consecutiveMovements: { up: 3, down: 2 },
+            distribution: { upDays: 10, downDays: 8, neutralDays: 2 }
+        }).details.method).toBe('heuristic');
+    });
+});
+
+describe('Walk-Forward Evaluation', () => {
+    test('createWalkForwardWindows builds rolling and anchored windows', () => {
+        expect(Statistics.createWalkForwardWindows(10, { inSample: 4, outOfSample: 2, mode: 'anchored' })).toEqual([
+            { inSample: { start: 0, end: 4 }, outOfSample: { start: 4, end: 6 } },
+            { inSample: { start: 0, end: 6 }, outOfSample: { start: 6, end: 8 } },
+            { inSample: { start: 0, end: 8 }, outOfSample: { start: 8, end: 10 } }
+        ]);
+        expect(Statistics.createWalkForwardWindows(10, { inSample: 4, outOfSample: 2, gap: 1, step: 3 })).toEqual([
+            { inSample: { start: 0, end: 4 }, outOfSample: { start: 5, end: 7 } },
+            { inSample: { start: 3, end: 7 }, outOfSample: { start: 8, end: 10 } }
+        ]);
+        expect(() => Statistics.createWalkForwardWindows(5, { inSample: 4, outOfSample: 2 })).toThrow(Statistics.InsufficientDataError);
+        expect(() => Statistics.createWalkForwardWindows(10, { inSample: 4 })).toThrow(/outOfSample/);
+    });
+
+    test('walkForward picks parameters in-sample and scores them out-of-sample', () => {
+        // The best multiplier flips halfway through, so in-sample choices stop working out-of-sample
+        const data = Array.from({ length: 40 }, (_, i) => (i < 20 ? 1 : -1));
+        const seen = [];
+        const report = Statistics.walkForward(data, {
+            inSample: 10,
+            outOfSample: 5,
+            parameters: { multiplier: [-1, 1] },
+            score: (slice, { multiplier }, context) => {
+                seen.push(context.sample);
+                return { score: slice.reduce((sum, x) => sum + x * multiplier, 0), bars: slice.length };
+            }
+        });
+        expect(report.folds).toHaveLength(6);
+        expect(report.folds[0].parameters).toEqual({ multiplier: 1 });
+        expect(report.folds[0].inSample).toEqual({ start: 0, end: 10, score: 10, metrics: { bars: 10 } });
+        expect(report.folds[0].efficiency).toBe(1);
+        expect(report.folds[2].outOfSample.score).toBe(-5);
+        expect(report.folds[2].efficiency).toBe(-1);
+        expect(report.folds[4].parameters).toEqual({ multiplier: -1 });
+        expect(report.aggregate.positiveFolds).toBeCloseTo(5 / 6);
+        expect(report.aggregate.parameterStability).toEqual({ parameters: { multiplier: 1 }, share: 0.5, distinct: 2 });
+        expect(seen.filter(sample => sample === 'inSample')).toHaveLength(12);
+    });
+
+    test('walkForward compares ratios without length scaling and validates the score', () => {
+        const report = Statistics.walkForward([1, 2, 3, 4, 5, 6, 7, 8], {
+            inSample: 4,
+            outOfSample: 2,
+            mode: 'anchored',
+            scaleByLength: false,
+            score: slice => Statistics.mean(slice)
+        });
+        expect(report.folds.map(fold => fold.efficiency)).toEqual([5.5 / 2.5, 7.5 / 3.5]);
+        expect(report.aggregate.parameterStability.parameters).toBeNull();
+        expect(() => Statistics.walkForward([1, 2, 3], { inSample: 2, outOfSample: 1, score: () => 'good' })).toThrow(/numeric score/);
+        expect(() => Statistics.walkForward([1, 2, 3], { inSample: 2, outOfSample: 1 })).toThrow(/must be a function/);
+    });
+});
+
+describe('Backtesting', () => {
+    const bars = {
+        times: [1, 2, 3, 4, 5, 6].map(day => new Date(Date.UTC(2024, 0, day))),
+        opens: [100, 101, 103, 102, 99, 104],
+        highs: [102, 104, 104, 103, 105, 106],
+        lows: [99, 100, 101, 98, 98, 103],
+        closes: [101, 103, 102, 99, 104, 105]
+    };
+
+    test('runBacktest fills market, stop and limit orders on the next bar', () => {
+        const result = Statistics.runBacktest(bars, ({ index, buy, sell }) => {
+            if (index === 0) buy(10, { tag: 'entry' });
+            if (index === 1) sell(10, { type: 'stop', price: 100, tag: 'stop' });
+            if (index === 3) buy(5, { type: 'limit', price: 98.5 });
+        }, { commission: { perOrder: 1 }, slippage: 0.1, symbol: 'XYZ' });
+
+        expect(result.fills.map(fill => [fill.index, fill.price])).toEqual([[1, 101.1], [3, 99.9], [4, 98.5], [5, 104.9]]);
+        expect(result.trades[0]).toMatchObject({
+            symbol: 'XYZ', side: 'long', size: 10, entryPrice: 101.1, exitPrice: 99.9, fees: 2, entryTag: 'entry', exitTag: 'stop'
+        });
+        expect(result.trades[1].exitTag).toBe('end of data');
+        expect(result.position).toBeNull();
+        expect(result.equityCurve.equity[2]).toBeCloseTo(10018);
+        expect(result.equityCurve.finalBalance).toBeCloseTo(10016);
+        expect(result.metrics.netProfit).toBeCloseTo(16);
+        const tradePnL = result.trades.reduce((sum, trade) => sum + Statistics.calculateTradePnL(trade), 0);
+        expect(tradePnL).toBeCloseTo(result.equityCurve.finalBalance - 10000);
+    });
+
+    test('runBacktest handles gaps, reversals, expiring orders and onFill', () => {
+        const gap = Statistics.runBacktest(bars, ({ index }) => (index === 3 ? { side: 'buy', size: 1, type: 'stop', price: 98 } : null));
+        expect(gap.fills[0].price).toBe(99);
+
+        const reversal = Statistics.runBacktest(bars, ({ index }) => {
+            if (index === 0) return { side: 'buy', size: 2 };
+            if (index === 2) return { side: 'sell', size: 5 };
+            return null;
+        }, { commission: { perUnit: 1 }, closeAtEnd: false });
+        expect(reversal.trades.map(trade => [trade.side, trade.size, trade.fees])).toEqual([['long', 2, 4]]);
+        expect(reversal.position).toEqual({ side: 'short', size: 3, averagePrice: 102 });
+
+        const expired = Statistics.runBacktest(bars, ({ index, buy }) => {
+            if (index === 0) buy(1, { type: 'limit', price: 90, timeInForce: 'day' });
+            return null;
+        });
+        expect(expired.fills).toEqual([]);
+
+        const fills = [];
+        Statistics.runBacktest(bars, {
+            onBar: ({ index, buy }) => { if (index === 0) buy(1); },
+            onFill: (fill, context) => { fills.push([fill.price, context.position.size]); }
+        });
+        expect(fills[0]).toEqual([101, 1]);
+    });
+
+    test('runBacktest flattens fractional positions that do not add up exactly', () => {
+        const result = Statistics.runBacktest(bars, ({ index, buy, sell }) => {
+            if (index === 0) buy(0.3);
+            if (index >= 1 && index <= 3) sell(0.1);
+        });
+        expect(result.position).toBeNull();
+        expect(result.trades.map(trade => trade.side)).toEqual(['long', 'long', 'long']);
+        expect(result.trades.some(trade => trade.exitTag === 'end of data')).toBe(false);
+    });
+
+    test('runBacktest validates bars, strategy and orders', () => {
+        expect(() => Statistics.runBacktest(bars, ({ buy }) => buy(1, { type: 'limit' }))).toThrow(/order.price/);
+        expect(() => Statistics.runBacktest(bars, () => ({ side: 'hold', size: 1 }))).toThrow(Statistics.InvalidInputError);
+        expect(() => Statistics.runBacktest(bars, {})).toThrow(/strategy/);
+        expect(() => Statistics.runBacktest({ ...bars, highs: [1, 1, 1, 1, 1, 1] }, () => null)).toThrow(/high\/low range/);
+    });
+});
+
+describe('Statistical Significance', () => {
+    const pnls = [120, -80, 95, 40, -60, 150, 70, -30];
+
+    test('calculateWinRateConfidenceInterval returns Wilson and Clopper-Pearson bounds', () => {
+        const wilson = Statistics.calculateWinRateConfidenceInterval(3, 4);
+        expect(wilson.winRate).toBe(75);
+        expect(wilson.lower).toBeCloseTo(30.064, 2);
+        expect(wilson.upper).toBeCloseTo(95.441, 2);
+
+        const exact = Statistics.calculateWinRateConfidenceInterval(3, 4, { method: 'clopperPearson' });
+        expect(exact.lower).toBeCloseTo(19.412, 2);
+        expect(exact.upper).toBeCloseTo(99.369, 2);
+        expect(Statistics.calculateWinRateConfidenceInterval(0, 10, { method: 'clopperPearson' }).lower).toBe(0);
+        expect(() => Statistics.calculateWinRateConfidenceInterval(5, 4)).toThrow(Statistics.InvalidInputError);
+    });
+
+    test('determineProbabilityStatus accounts for sample size when totalTrades is given', () => {
+        expect(Statistics.determineProbabilityStatus(75, 1.95)).toBe('Profitable');
+        expect(Statistics.determineProbabilityStatus(75, 1.95, 4)).toBe('Inconclusive');
+        expect(Statistics.determineProbabilityStatus(75, 1.95, 400)).toBe('Profitable');
+        expect(Statistics.determineProbabilityStatus(42.5, 1.95, 3000)).toBe('Break Even');
+        expect(Statistics.determineProbabilityStatus(20, 1.95, 400)).toBe('Not Profitable');
+    });
+
+    test('tTest tests the mean trade against a hypothesized mean', () => {
+        const result = Statistics.tTest(pnls);
+        expect(result.mean).toBe(38.125);
+        expect(result.degreesOfFreedom).toBe(7);
+        expect(result.statistic).toBeCloseTo(1.2548, 3);
+        expect(result.pValue).toBeCloseTo(0.1249, 3);
+        expect(result.significant).toBe(false);
+        expect(result.confidenceInterval.upper).toBeNull();
+        expect(Statistics.tTest(pnls, { alternative: 'twoSided' }).pValue).toBeCloseTo(0.2498, 3);
+        expect(Statistics.tTest([1, 1, 1]).pValue).toBeNull();
+    });
+
+    test('bootstrapConfidenceInterval is reproducible with a seed and accepts trades', () => {
+        const first = Statistics.bootstrapConfidenceInterval(pnls, { seed: 7, resamples: 2000 });
+        expect(first).toEqual(Statistics.bootstrapConfidenceInterval(pnls, { seed: 7, resamples: 2000 }));
+        expect(first.estimate).toBe(38.125);
+        expect(first.lower).toBeLessThan(first.estimate);
+        expect(first.upper).toBeGreaterThan(first.estimate);
+
+        const trades = pnls.map(pnl => ({ side: 'long', size: 1, entryPrice: 100, exitPrice: 100 + pnl }));
+        expect(Statistics.bootstrapConfidenceInterval(trades, { seed: 7, resamples: 2000 })).toEqual(first);
+
+        const custom = Statistics.bootstrapConfidenceInterval(pnls, { seed: 1, resamples: 500, statistic: arr => Math.max(...arr) });
+        expect(custom.statistic).toBe('custom');
+        expect(custom.upper).toBe(150);
+    });
+
+    test('calculateMinimumTrades estimates the sample needed to confirm an edge', () => {
+        const fromWinRate = Statistics.calculateMinimumTrades({ winRate: 55, payoffRatio: 1.2, trades: 40 });
+        expect(fromWinRate.breakevenWinRate).toBeCloseTo(45.45, 2);
+        expect(fromWinRate.minimumTrades).toBe(169);
+        expect(fromWinRate.confirmed).toBe(false);
+
+        const fromPnls = Statistics.calculateMinimumTrades(pnls);
+        expect(fromPnls.method).toBe('mean');
+        expect(fromPnls.currentTrades).toBe(8);
+        expect(fromPnls.minimumTrades).toBe(32);
+        expect(Statistics.calculateMinimumTrades({ mean: -1, standardDeviation: 2 }).minimumTrades).toBeNull();
+    });
+
+    test('calculateDeflatedSharpeRatio deflates the Probabilistic Sharpe Ratio by the number of trials', () => {
+        const random = Statistics.createRandomGenerator(3);
+        const returns = Array.from({ length: 500 }, () => (random() - 0.47) * 0.02);
+        const psr = Statistics.calculateProbabilisticSharpeRatio(returns);
+        expect(psr.probability).toBeGreaterThan(0.99);
+
+        const few = Statistics.calculateDeflatedSharpeRatio(returns, { trials: 2, sharpeVariance: 0.001 });
+        const many = Statistics.calculateDeflatedSharpeRatio(returns, { trials: 1000, sharpeVariance: 0.001 });
+        expect(many.expectedMaxSharpeRatio).toBeGreaterThan(few.expectedMaxSharpeRatio);
+        expect(many.probability).toBeLessThan(few.probability);
+        expect(() => Statistics.calculateDeflatedSharpeRatio(returns)).toThrow(/trialSharpeRatios/);
+    });
+
+    test('calculateProbabilityOfBacktestOverfitting separates real edges from noise', () => {
+        const random = Statistics.createRandomGenerator(5);
+        const noise = () => Array.from({ length: 160 }, () => (random() - 0.5) * 0.02);
+        const robust = Statistics.calculateProbabilityOfBacktestOverfitting({
+            edge: Array.from({ length: 160 }, () => 0.01 + (random() - 0.5) * 0.001),
+            noiseA: noise(),
+            noiseB: noise()
+        }, { partitions: 8 });
+        expect(robust.combinations).toBe(70);
+        expect(robust.logits).toHaveLength(70);
+        expect(robust.probability).toBe(0);
+
+        expect(() => Statistics.calculateProbabilityOfBacktestOverfitting({ a: noise(), b: noise() }, { partitions: 5 }))
+            .toThrow(/even/);
+        expect(() => Statistics.calculateProbabilityOfBacktestOverfitting({ a: noise(), b: noise() }, { partitions: 40 }))
+            .toThrow(/at most 20/);
+    });
+});
+
+describe('Command-line interface', () => {
+    const tradesCsv = [
+        'Symbol,Side,Qty,Entry Price,Exit Price,Commission',
+        'ES,Long,1,100,110,1',
+        'ES,Short,1,100,105,1',
+        'NQ,Long,2,50,48,1',
+        'NQ,Long,1,50,60,1'
+    ].join('\n');
+
+    const cli = async (argv, input = '') => {
+        const output = { stdout: '', stderr: '' };
+        const code = await run(argv, {
+            stdin: Readable.from([input]),
+            stdout: { write: text => { output.stdout += text; } },
+            stderr: { write: text => { output.stderr += text; } }
+        });
+        return { code, ...output };
+    };
+
+    test('risk wraps calculateDetailedRiskOfRuin and prints table output', async () => {
+        const { code, stdout } = await cli(['risk', '--win-rate', '61.5', '--ratio', '1:1.7', '--max-losses', '2', '--format', 'table']);
+        expect(code).toBe(EXIT_CODES.success);
+        expect(stdout).toMatch(/^metrics\.kellyPercentage\s+38\.85%$/m);
+        expect(Statistics.getResultMode()).toBe('formatted');
+    });
+
+    test('report reads trades from stdin and prints JSON or markdown', async () => {
+        const json = await cli(['report', '--numeric'], tradesCsv);
+        expect(json.code).toBe(EXIT_CODES.success);
+        expect(JSON.parse(json.stdout)).toMatchObject({ totalTrades: 4, netProfit: 7, winRate: 50 });
+
+        const markdown = await cli(['report', '-', '--format=markdown'], tradesCsv);
+        expect(markdown.stdout).toContain('| riskRewardRatio | 1:');
+    });
+
+    test('exit codes distinguish usage errors, invalid input and breached limits', async () => {
+        expect((await cli(['bogus'])).code).toBe(EXIT_CODES.usage);
+        expect((await cli(['risk', '--unknown', '1'])).code).toBe(EXIT_CODES.usage);
+        expect((await cli(['report', '/nonexistent/trades.csv'])).code).toBe(EXIT_CODES.invalidInput);
+
+        const invalid = await cli(['risk', '--win-rate', '150', '--ratio', '2', '--max-losses', '1']);
+        expect(invalid.code).toBe(EXIT_CODES.invalidInput);
+        expect(invalid.stderr).toMatch(/winRate/);
+
+        const breached = await cli(['risk', '--win-rate', '40', '--ratio', '1', '--max-losses', '5', '--max-ruin', '10']);
+        expect(breached.code).toBe(EXIT_CODES.thresholdExceeded);
+        expect(breached.stdout).not.toBe('');
+    });
+
+    test('winners-only ledgers have no risk of ruin', async () => {
+        const winners = ['Symbol,Side,Qty,Entry Price,Exit Price', 'ES,Long,1,100,110', 'ES,Short,1,100,95'].join('\n');
+
+        const report = await cli(['report', '--numeric', '--max-ruin', '5'], winners);
+        expect(report.code).toBe(EXIT_CODES.success);
+        expect(JSON.parse(report.stdout)).toMatchObject({ totalTrades: 2, riskOfRuin: null });
+        expect(report.stderr).toMatch(/--max-ruin not checked/);
+
+        const risk = await cli(['risk', '-'], winners);
+        expect(risk.code).toBe(EXIT_CODES.invalidInput);
+        expect(risk.stderr).toMatch(/winning and losing trades/);
+    });
+
+    test('skew and patterns analyse bars', async () => {
+        const random = Statistics.createRandomGenerator(1);
+        const rows = ['Date,Open,High,Low,Close'];
+        let price = 100;
+        for (let i = 0; i < 60; i++) {
+            const open = price;
+            price *= 1 + (random() - 0.5) * 0.04;
+            const date = new Date(Date.UTC(2024, 0, 1 + i)).toISOString().slice(0, 10);
+            rows.push([date, open, Math.max(open, price) * 1.01, Math.min(open, price) * 0.99, price].join(','));
+        }
+
+        const skew = await cli(['skew'], rows.join('\n'));
+        expect(skew.code).toBe(EXIT_CODES.success);
+        expect(JSON.parse(skew.stdout).analysis.tailRisk.level).toEqual(expect.any(String));
+
+        const patterns = await cli(['patterns', '--numeric'], rows.join('\n'));
+        expect(JSON.parse(patterns.stdout).details.marketType).toMatch(/trending|ranging/);
+    });
+});
+
+describe('Trade Excursions', () => {
+    const bars = {
+        times: ['2024-01-01', '2024-01-02', '2024-01-03', '2024-01-04', '2024-01-05', '2024-01-06'],
+        highs: [102, 106, 104, 101, 99, 103],
+        lows: [99, 101, 97, 96, 95, 98]
+    };
+    const trades = [
+        { side: 'long', size: 2, entryPrice: 100, exitPrice: 104, entryTime: '2024-01-01T10:00:00Z', exitTime: '2024-01-02T15:00:00Z', stopLoss: 98 },
+        { side: 'short', size: 1, entryPrice: 103, exitPrice: 100, entryTime: '2024-01-03', exitTime: '2024-01-04', initialRisk: 2 },
+        { side: 'long', size: 1, entryPrice: 100, exitPrice: 97, fees: 1, entryIndex: 3, exitIndex: 4 }
+    ];
+
+    test('analyzeExcursions measures MAE, MFE and efficiency over the holding bars', () => {
+        const [long, short, loser] = Statistics.analyzeExcursions(trades, bars).trades;
+        expect(long).toMatchObject({ pnl: 8, mae: 1, mfe: 6, maeAmount: 2, mfeAmount: 12, maePercent: 1, bars: 2 });
+        expect(long.entryEfficiency).toBeCloseTo(6 / 7);
+        expect(long.exitEfficiency).toBeCloseTo(5 / 7);
+        expect(long.totalEfficiency).toBeCloseTo(4 / 7);
+        expect(short).toMatchObject({ mae: 1, mfe: 7, entryEfficiency: 0.875, exitEfficiency: 0.5, totalEfficiency: 0.375 });
+        expect(loser).toMatchObject({ pnl: -4, mae: 5, mfe: 1, rMultiple: null });
+    });
+
+    test('analyzeExcursions reports R-multiples, group summaries and suggested levels', () => {
+        const report = Statistics.analyzeExcursions(trades, bars, { initialRisk: 5 });
+        expect(report.trades.map(trade => trade.rMultiple)).toEqual([2, 1.5, -0.8]);
+        expect(report.rMultiples).toMatchObject({ count: 3, expectancy: 0.9, median: 1.5, min: -0.8, max: 2 });
+        expect(report.winners.count).toBe(2);
+        expect(report.losers.averageMaePercent).toBe(5);
+
+        const { stopLoss, target } = Statistics.analyzeExcursions(trades, bars, { coverage: 100 }).suggestions;
+        expect(stopLoss.distancePercent).toBe(1);
+        expect(stopLoss).toMatchObject({ winnersStopped: 0, losersCut: 1, actualNetProfit: 7 });
+        // The loser is stopped at -1% (-1) plus its fee instead of losing 4
+        expect(stopLoss.netProfit).toBeCloseTo(9);
+        expect(target.distancePercent).toBe(6);
+        expect(target.winnersReaching).toBe(2);
+    });
+
+    test('analyzeExcursions works with backtest trades and bars keyed by symbol', () => {
+        const ohlc = {
+            opens: [100, 101, 103, 102, 104],
+            highs: [101, 104, 105, 104, 106],
+            lows: [99, 100, 101, 100, 103],
+            closes: [101, 103, 102, 104, 105]
+        };
+        const { trades: backtested } = Statistics.runBacktest(ohlc, ({ index }) => (index === 0 ? { side: 'buy', size: 1 } : null), { symbol: 'SPY' });
+        const [trade] = Statistics.analyzeExcursions(backtested, { SPY: ohlc }).trades;
+        expect(trade).toMatchObject({ symbol: 'SPY', entryPrice: 101, exitPrice: 105, mae: 1, mfe: 5, bars: 4 });
+
+        expect(() => Statistics.analyzeExcursions(backtested, { QQQ: ohlc })).toThrow(/symbol/);
+        expect(() => Statistics.analyzeExcursions([{ ...trades[0], entryTime: '2023-12-01' }], bars)).toThrow(/before the first bar/);
+    });
+});
+
+describe('Volatility Estimators', () => {
+    const random = Statistics.createRandomGenerator(11);
+    const normal = () => Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+
+    // Bars built from a 1% per-bar random walk sampled 50 times per bar
+    const opens = [];
+    const highs = [];
+    const lows = [];
+    const closes = [];
+    let price = 100;
+    for (let day = 0; day < 300; day++) {
+        let current = price;
+        let high = price;
+        let low = price;
+        opens.push(price);
+        for (let step = 0; step < 50; step++) {
+            current *= Math.exp(0.01 / Math.sqrt(50) * normal());
+            high = Math.max(high, current);
+            low = Math.min(low, current);
+        }
+        highs.push(high);
+        lows.push(low);
+        closes.push(current);
+        price = current;
+    }
+
+    test('calculateRealizedVolatility estimators agree on the per-bar volatility', () => {
+        for (const method of ['closeToClose', 'parkinson', 'garmanKlass', 'rogersSatchell', 'yangZhang']) {
+            const perBar = Statistics.calculateRealizedVolatility(opens, highs, lows, closes, { method, periodsPerYear: 1 });
+            expect(perBar).toBeGreaterThan(0.0085);
+            expect(perBar).toBeLessThan(0.0115);
+        }
+        const annual = Statistics.calculateRealizedVolatility(opens, highs, lows, closes);
+        expect(annual).toBeCloseTo(Statistics.calculateRealizedVolatility(opens, highs, lows, closes, { periodsPerYear: 1 }) * Math.sqrt(252), 10);
+
+        const rolling = Statistics.calculateRealizedVolatility(opens, highs, lows, closes, { method: 'parkinson', window: 20 });
+        expect(rolling).toHaveLength(300);
+        expect(rolling[18]).toBeNull();
+        expect(rolling[19]).toBeGreaterThan(0);
+
+        expect(() => Statistics.calculateRealizedVolatility([10], [9], [8], [10])).toThrow(/high\/low range/);
+        expect(() => Statistics.calculateRealizedVolatility([10, 10], [11, 11], [9, 9], [10, 10])).toThrow(Statistics.InsufficientDataError);
+    });
+
+    test('skewnedStandardDeviation reports per-bar volatility estimates', () => {
+        const { volatility } = Statistics.skewnedStandardDeviation(opens, highs, lows, closes).distribution;
+        expect(volatility.yangZhang).toBeCloseTo(
+            Statistics.calculateRealizedVolatility(opens, highs, lows, closes, { periodsPerYear: 1 }), 10);
+        expect(Statistics.skewnedStandardDeviation([10, 11], [11, 12], [9, 10], [12, 11]).distribution.volatility).toBeNull();
+    });
+
+    test('calculateEWMAVolatility follows the RiskMetrics recursion', () => {
+        const { volatility, series, lambda } = Statistics.calculateEWMAVolatility([0.01, -0.02, 0.015], { periodsPerYear: 1, seedPeriods: 1 });
+        const first = 0.94 * 0.0001 + 0.06 * 0.0001;
+        const second = 0.94 * first + 0.06 * 0.0004;
+        expect(lambda).toBe(0.94);
+        expect(series[0]).toBeCloseTo(Math.sqrt(first), 12);
+        expect(series[1]).toBeCloseTo(Math.sqrt(second), 12);
+        expect(volatility).toBe(series[2]);
+        expect(() => Statistics.calculateEWMAVolatility([0.01], { lambda: 1 })).toThrow(Statistics.InvalidInputError);
+    });
+
+    test('fitGARCH recovers the parameters of a simulated GARCH(1,1) process', () => {
+        const returns = [];
+        let variance = 1e-4;
+        let shock = 0;
+        for (let t = 0; t < 2000; t++) {
+            variance = 5e-6 + 0.1 * shock * shock + 0.85 * variance;
+            shock = Math.sqrt(variance) * normal();
+            returns.push(shock);
+        }
+
+        const garch = Statistics.fitGARCH(returns, { horizon: 5 });
+        expect(garch.alpha).toBeGreaterThan(0.05);
+        expect(garch.alpha).toBeLessThan(0.15);
+        expect(garch.beta).toBeGreaterThan(0.78);
+        expect(garch.beta).toBeLessThan(0.92);
+        expect(garch.persistence).toBeLessThan(1);
+        expect(garch.conditionalVolatility).toHaveLength(2000);
+        expect(garch.forecast).toHaveLength(5);
+        expect(garch.forecast[0]).toBe(garch.currentVolatility);
+        // Forecasts revert towards the long-run volatility
+        const gap = forecast => Math.abs(forecast - garch.longRunVolatility);
+        expect(gap(garch.forecast[4])).toBeLessThan(gap(garch.forecast[0]));
+
+        expect(() => Statistics.fitGARCH(returns.slice(0, 10))).toThrow(Statistics.InsufficientDataError);
+    });
+});
+
+describe('Time Series & Calendars', () => {
+    const session = { start: '09:30', end: '16:00' };
+    // Three New York sessions (Fri 2024-03-08, Mon 2024-03-11 after the DST change, Tue 2024-03-12) of 30-minute bars
+    const intradayBars = () => {
+        const bars = { times: [], opens: [], highs: [], lows: [], closes: [], volumes: [] };
+        let price = 100;
+        [['2024-03-08', -5], ['2024-03-11', -4], ['2024-03-12', -4]].forEach(([date, offset]) => {
+            const open = Date.parse(`${date}T09:30:00Z`) - offset * 3600000;
+            for (let minute = 0; minute < 390; minute += 30) {
+                bars.times.push(new Date(open + minute * 60000));
+                bars.opens.push(price);
+                price += minute % 60 ? 1 : -0.5;
+                bars.closes.push(price);
+                bars.highs.push(Math.max(bars.opens.at(-1), price) + 0.25);
+                bars.lows.push(Math.min(bars.opens.at(-1), price) - 0.25);
+                bars.volumes.push(10);
+            }
+            price += 2;
+        });
+        return bars;
+    };
+
+    test('resampleBars aggregates OHLCV into session days in the exchange time zone', () => {
+        const bars = intradayBars();
+        const daily = Statistics.resampleBars(bars, '1D', { timezone: 'America/New_York', session });
+        expect(daily.times.map(time => time.toISOString())).toEqual([
+            '2024-03-08T14:30:00.000Z',
+            '2024-03-11T13:30:00.000Z',
+            '2024-03-12T13:30:00.000Z'
+        ]);
+        expect(daily.opens).toEqual([100, 104.5, 109]);
+        expect(daily.closes).toEqual([102.5, 107, 111.5]);
+        expect(daily.highs[0]).toBe(Math.max(...bars.highs.slice(0, 13)));
+        expect(daily.lows[0]).toBe(Math.min(...bars.lows.slice(0, 13)));
+        expect(daily.volumes).toEqual([130, 130, 130]);
+        expect(daily.counts).toEqual([13, 13, 13]);
+
+        const hourly = Statistics.resampleBars(bars, '1h', { timezone: 'America/New_York', session });
+        expect(hourly.counts.slice(0, 7)).toEqual([2, 2, 2, 2, 2, 2, 1]);
+        expect(Statistics.resampleBars(bars, '1W').times.map(time => time.toISOString()))
+            .toEqual(['2024-03-04T00:00:00.000Z', '2024-03-11T00:00:00.000Z']);
+
+        // An overnight futures session belongs to the day it ends
+        const sunday = Statistics.resampleBars(
+            { times: ['2024-03-10T23:00:00Z', '2024-03-11T14:00:00Z'], closes: [10, 11] },
+            '1D',
+            { timezone: 'America/New_York', session: { start: '18:00', end: '17:00' } }
+        );
+        expect(sunday.times.map(time => time.toISOString())).toEqual(['2024-03-10T22:00:00.000Z']);
+        expect(sunday.volumes).toBeNull();
+    });
+
+    test('resampleBars validates the bars and options', () => {
+        const bars = intradayBars();
+        expect(() => Statistics.resampleBars(bars, '2x')).toThrow(Statistics.InvalidInputError);
+        expect(() => Statistics.resampleBars({ times: [2, 1], closes: [1, 2] }, '1D')).toThrow('ascending order');
+        expect(() => Statistics.resampleBars({ ...bars, times: bars.times.slice(1) }, '1D')).toThrow(Statistics.InvalidInputError);
+        expect(() => Statistics.resampleBars(bars, '1D', { timezone: 'Mars/Olympus' })).toThrow(Statistics.InvalidInputError);
+        expect(() => Statistics.resampleBars(bars, '1D', { session: { start: '9' } })).toThrow(Statistics.InvalidInputError);
+    });
+
+    test('detectGaps reports missing session bars and opening price gaps', () => {
+        const bars = intradayBars();
+        const complete = Statistics.detectGaps(bars, { timezone: 'America/New_York', session });
+        expect(complete.interval).toBe('30m');
+        expect(complete.missingBars).toBe(0);
+        expect(complete.expectedBars).toBe(39);
+        expect(complete.priceGaps.map(gap => gap.index)).toEqual([13, 26]);
+        expect(complete.priceGaps[0]).toMatchObject({ previousClose: 102.5, open: 104.5, direction: 'up', filledIndex: null });
+
+        const keep = (_, i) => i !== 5;
+        const gappy = Statistics.detectGaps(
+            { times: bars.times.filter(keep), closes: bars.closes.filter(keep) },
+            { timezone: 'America/New_York', session }
+        );
+        expect(gappy.missingBars).toBe(1);
+        expect(gappy.timeGaps[0].firstMissing.toISOString()).toBe('2024-03-08T17:00:00.000Z');
+        expect(gappy.completeness).toBeCloseTo(38 / 39 * 100, 10);
+        expect(gappy.priceGaps).toBeNull();
+    });
+
+    test('detectGaps skips weekends and holidays of daily bars', () => {
+        const times = ['2024-01-11', '2024-01-12', '2024-01-16', '2024-01-18'];
+        const gaps = Statistics.detectGaps({ times, closes: [1, 2, 3, 4] }, { holidays: ['2024-01-15'] });
+        expect(gaps.interval).toBe('1D');
+        expect(gaps.missingBars).toBe(1);
+        expect(gaps.timeGaps[0]).toMatchObject({ index: 3, missingBars: 1 });
+        expect(Statistics.detectGaps({ times, closes: [1, 2, 3, 4] }).missingBars).toBe(2);
+        expect(() => Statistics.detectGaps({ times: times.slice(0, 1), closes: [1] })).toThrow(Statistics.InsufficientDataError);
+    });
+
+    test('hourly buckets follow elapsed time across daylight saving changes', () => {
+        const everyDay = [0, 1, 2, 3, 4, 5, 6];
+        const hours = (date, from, to) => Array.from({ length: to - from + 1 }, (_, i) => `${date}T${String(from + i).padStart(2, '0')}:00:00Z`);
+
+        // Fall back: 01:00 New York time happens twice (05:00Z and 06:00Z) and each gets its own bar
+        const fallBack = hours('2024-11-03', 2, 9);
+        const resampled = Statistics.resampleBars({ times: fallBack, closes: fallBack.map((_, i) => i + 1) }, '1h', { timezone: 'America/New_York' });
+        expect(resampled.counts).toEqual(fallBack.map(() => 1));
+        expect(resampled.times.map(time => time.toISOString())).toEqual(fallBack.map(time => new Date(time).toISOString()));
+        const gaps = Statistics.detectGaps({
+            times: ['2024-11-03T03:00:00Z', '2024-11-03T04:00:00Z', '2024-11-03T08:00:00Z', '2024-11-03T09:00:00Z'],
+            closes: [1, 2, 3, 4]
+        }, { interval: '1h', timezone: 'America/New_York', tradingDays: everyDay });
+        expect(gaps.missingBars).toBe(3);
+        expect(gaps.timeGaps[0].firstMissing.toISOString()).toBe('2024-11-03T05:00:00.000Z');
+
+        // Spring forward: 02:00 New York time does not exist, so 00:00 EST to 05:00 EDT is four hours
+        const springForward = hours('2024-03-10', 5, 9);
+        expect(Statistics.resampleBars({ times: springForward, closes: [1, 2, 3, 4, 5] }, '1h', { timezone: 'America/New_York' }).counts)
+            .toEqual([1, 1, 1, 1, 1]);
+        expect(Statistics.detectGaps({ times: ['2024-03-10T05:00:00Z', '2024-03-10T09:00:00Z'], closes: [1, 2] }, {
+            interval: '1h', timezone: 'America/New_York', tradingDays: everyDay
+        }).missingBars).toBe(3);
+    });
+
+    test('analyzeCalendarReturns breaks returns down by weekday, hour and month', () => {
+        const times = ['2023-12-29', '2024-01-02', '2024-01-31', '2024-02-01', '2024-02-29', '2025-01-02'];
+        const closes = [100, 110, 99, 108.9, 119.79, 107.811];
+        const calendar = Statistics.analyzeCalendarReturns({ times, closes });
+
+        expect(calendar.byHour).toBeNull();
+        expect(calendar.monthly).toHaveLength(2);
+        expect(calendar.monthly[0].year).toBe(2024);
+        expect(calendar.monthly[0].months[0]).toBeCloseTo(-0.01, 10);
+        expect(calendar.monthly[0].months[1]).toBeCloseTo(0.21, 10);
+        expect(calendar.monthly[0].months[2]).toBeNull();
+        expect(calendar.monthly[0].total).toBeCloseTo(0.99 * 1.21 - 1, 10);
+        expect(calendar.monthly[1].months[0]).toBeCloseTo(-0.1, 10);
+
+        expect(calendar.byWeekday.map(group => group.key)).toEqual(['Tuesday', 'Wednesday', 'Thursday']);
+        const thursday = calendar.byWeekday[2];
+        expect(thursday.count).toBe(3);
+        expect(thursday.positive).toBeCloseTo(2 / 3, 10);
+        expect(thursday.worst).toBeCloseTo(-0.1, 10);
+        expect(calendar.byMonth.map(group => group.key)).toEqual(['January', 'February']);
+        expect(calendar.byMonth[0].count).toBe(2);
+
+        const intraday = Statistics.analyzeCalendarReturns(intradayBars(), { timezone: 'America/New_York' });
+        expect(intraday.byHour.map(group => group.key)).toEqual(['09', '10', '11', '12', '13', '14', '15']);
+        expect(() => Statistics.analyzeCalendarReturns({ times, closes: [100, 0, 1, 2, 3, 4] })).toThrow(Statistics.InvalidInputError);
+    });
+});
+
+describe('Reports', () => {
+    afterEach(() => {
+        Statistics.setResultMode('formatted');
+        Statistics.setFormatOptions({ locale: null, precision: null });
+    });
+
+    const trades = [10, -5, 20, -8, 15].map(pnl => ({ entryPrice: 100, exitPrice: 100 + pnl, size: 1 }));
+    const buildReport = () => {
+        Statistics.setResultMode('numeric');
+        return Statistics.createReport({
+            metrics: Statistics.analyzeTrades(trades),
+            equityCurve: Statistics.buildEquityCurve(trades, 1000),
+            returns: [0.01, -0.02, 0.015, 0.005, -0.01, 0.02],
+            skewness: Statistics.interpretSkewness({ returns: -0.8, prices: 0.1, ranges: 0.2 })
+        }, { title: 'Review <Q1>', generatedAt: '2024-04-01T00:00:00Z' });
+    };
+
+    test('createReport builds a serializable report from analysis results', () => {
+        const report = buildReport();
+        expect(report.version).toBe(1);
+        expect(report.generatedAt).toBe('2024-04-01T00:00:00.000Z');
+        expect(report.sections.map(section => `${section.type}:${section.title}`)).toEqual([
+            'metrics:Metrics',
+            'metrics:Equity',
+            'line:Equity Curve',
+            'line:Drawdown',
+            'metrics:Returns',
+            'histogram:Return Distribution',
+            'metrics:Risk of Ruin',
+            'text:Risk Assessment',
+            'metrics:Skewness',
+            'text:Skewness Interpretation'
+        ]);
+        const equity = report.sections[1].rows;
+        expect(equity.find(row => row.label === 'Total Return').value).toBeCloseTo(0.032, 10);
+        expect(equity.find(row => row.label === 'Maximum Drawdown').value).toBeCloseTo(8 / 1025, 10);
+        expect(report.sections[3].series[0].values[2]).toBeCloseTo(-5 / 1010, 10);
+        expect(JSON.parse(JSON.stringify(report))).toEqual(report);
+        expect(buildReport()).toEqual(report);
+
+        expect(() => Statistics.createReport({ trades })).toThrow(Statistics.InvalidInputError);
+        expect(() => Statistics.createReport({ returns: [] })).toThrow(Statistics.InsufficientDataError);
+        expect(() => Statistics.createReport({}, { generatedAt: 'soon' })).toThrow(Statistics.InvalidInputError);
+    });
+
+    test('renderReport produces self-contained HTML with inline SVG charts', () => {
+        const report = buildReport();
+        const html = Statistics.renderReport(report);
+        expect(html.startsWith('<!DOCTYPE html>')).toBe(true);
+        expect(html).toContain('<title>Review &lt;Q1&gt;</title>');
+        expect(html.match(/<svg /g)).toHaveLength(3);
+        expect(html).toContain('<td>Risk of Ruin</td>');
+        expect(html).toContain('<dd>More frequent small gains but risk of larger losses. Consider quick profit taking.</dd>');
+        expect(html).not.toMatch(/<script|<link|src=|url\(/);
+        // Rendering the saved JSON gives the same document
+        expect(Statistics.renderReport(JSON.stringify(report))).toBe(html);
+    });
+
+    test('renderReport produces Markdown with tables and sparklines', () => {
+        const calendar = Statistics.analyzeCalendarReturns({
+            times: ['2024-01-02', '2024-01-31', '2024-02-29'],
+            closes: [100, 110, 99]
+        });
+        const report = Statistics.createReport({
+            calendar,
+            equityCurve: [100, 105, 103, 110],
+            sections: [{ type: 'text', title: 'Notes', items: [{ label: null, text: 'Reviewed by the desk.' }] }]
+        }, { title: 'Calendar' });
+        Statistics.setFormatOptions({ precision: 1 });
+        const markdown = Statistics.renderReport(report, { format: 'markdown' });
+
+        expect(markdown.startsWith('# Calendar\n')).toBe(true);
+        expect(markdown).toContain('| 2024 | 10.0% | -10.0% |');
+        expect(markdown).toContain('Equity: `▁▅▃█`');
+        expect(markdown).toContain('| Final Balance | 110.0 |');
+        expect(markdown.trim().endsWith('Reviewed by the desk.')).toBe(true);
+
+        expect(() => Statistics.renderReport(report, { format: 'pdf' })).toThrow(Statistics.InvalidInputError);
+        expect(() => Statistics.renderReport({ ...report, version: 2 })).toThrow(Statistics.InvalidInputError);
+        expect(() => Statistics.renderReport('{not json')).toThrow(Statistics.InvalidInputError);
+        expect(() => Statistics.renderReport({ ...report, sections: [{ type: 'pie', title: 'Pie' }] })).toThrow(Statistics.InvalidInputError);
+    });
+});
+
+describe('Interpretation Rules & Languages', () => {
+    const patterns = {
+        consecutiveMovements: { up: 3, down: 2 },
+        distribution: { upDays: 11, downDays: 9, neutralDays: 3 }
+    };
+
+    afterEach(() => {
+        Statistics.setInterpretationRules();
+        Statistics.setLanguage('en');
+    });
+
+    test('trading styles and overrides change the thresholds', () => {
+        expect(Statistics.interpretMarketPatterns(patterns).details.bias).toBe('neutral');
+        Statistics.setInterpretationRules({ style: 'day' });
+        expect(Statistics.getInterpretationRules()).toMatchObject({ style: 'day', marketPatterns: { bias: 0.05 } });
+        expect(Statistics.interpretMarketPatterns(patterns).details.bias).toBe('bullish');
+        // An explicit threshold still wins over the style
+        expect(Statistics.interpretMarketPatterns(patterns, 0.15).details.bias).toBe('neutral');
+
+        expect(Statistics.determineProbabilityStatus(50, 1.5)).toBe('Profitable');
+        Statistics.setInterpretationRules({ probability: { winRates: [60, 52, 40] } });
+        expect(Statistics.getInterpretationRules().style).toBe('swing');
+        expect(Statistics.determineProbabilityStatus(50, 1.5)).toBe('Break Even');
+
+        expect(Statistics.getSimpleSkewnessInterpretation(0.7)).toBe('moderately positively skewed');
+        Statistics.setInterpretationRules({ skewness: { moderate: 0.8, high: 1.5 } });
+        expect(Statistics.getSimpleSkewnessInterpretation(0.7)).toBe('approximately symmetric');
+        expect(Statistics.interpretSkewness({ returns: 0.7, prices: 0, ranges: 0 }).analysis.returns.interpretation)
+            .toBe('Balanced return distribution. No strong bias in gains or losses.');
+    });
+
+    test('narratives follow the language while classification codes stay in English', () => {
+        Statistics.setLanguage('de');
+        expect(Statistics.getLanguage()).toBe('de');
+        expect(Statistics.getSimpleSkewnessInterpretation(1.4)).toBe('stark rechtsschief');
+
+        const market = Statistics.interpretMarketPatterns(patterns);
+        expect(market.summary).toBe('Der Markt ist seitwärts mit neutraler Tendenz und mittlerer Volatilität');
+        expect(market.details).toMatchObject({ marketType: 'ranging', bias: 'neutral', volatility: 'moderate' });
+
+        const risk = Statistics.calculateDetailedRiskOfRuin(61.5, 1.7, 2, 2);
+        expect(risk.riskStatus).toBe('Minimal Risk');
+        expect(risk.interpretation.status).toBe('Minimales Risiko');
+        expect(risk.interpretation.description).toContain('1.70x Chance-Risiko-Verhältnis');
+
+        const closes = Array.from({ length: 80 }, (_, i) => 100 + i + (i % 3) * 0.5);
+        const regimes = Statistics.detectRegimes(closes.map(c => c + 1), closes.map(c => c - 1), closes);
+        expect(regimes.summary).toMatch(/^Der Markt ist (im Aufwärtstrend|im Abwärtstrend|seitwärts) mit \S+ Tendenz und \S+ Volatilität$/);
+
+        const clusters = Statistics.analyzeCorrelationClusters({ A: [1, 2, 3, 4, 5], B: [2, 4, 6, 8, 11] });
+        expect(clusters.diversification.interpretation).toMatch(/^Alle Instrumente bewegen sich gemeinsam/);
+    });
+
+    test('added catalogs fall back to English for missing messages', () => {
+        Statistics.addMessageCatalog('fr', { 'skewness.symmetric': 'approximativement symétrique' });
+        Statistics.setLanguage('fr');
+        expect(Statistics.getSimpleSkewnessInterpretation(0.1)).toBe('approximativement symétrique');
+        expect(Statistics.getSimpleSkewnessInterpretation(2)).toBe('highly positively skewed');
+    });
+
+    test('rejects unknown rules, unordered thresholds, languages and messages', () => {
+        expect(() => Statistics.setInterpretationRules({ style: 'scalping' })).toThrow(Statistics.InvalidInputError);
+        expect(() => Statistics.setInterpretationRules({ skewness: { extreme: 2 } })).toThrow('is not an interpretation rule');
+        expect(() => Statistics.setInterpretationRules({ skewness: { moderate: 2 } })).toThrow('must be in ascending order');
+        expect(() => Statistics.setInterpretationRules({ probability: { winRates: [50, 40] } })).toThrow(Statistics.InvalidInputError);
+        expect(() => Statistics.setInterpretationRules({ marketPatterns: { bias: 2 } })).toThrow(/rules\.marketPatterns\.bias - must be at most 1/);
+        expect(() => Statistics.setInterpretationRules({ probability: { breakEvenMargin: -5 } })).toThrow(/rules\.probability\.breakEvenMargin/);
+        expect(() => Statistics.setInterpretationRules({ probability: { winRates: [45, 55, 35] } })).toThrow(/must not increase/);
+        expect(() => Statistics.setInterpretationRules({ probability: { winRates: [55, 45, 120] } })).toThrow(/winRates\[2\]/);
+        expect(() => Statistics.setInterpretationRules({ riskOfRuin: { high: 1.5 } })).toThrow(/rules\.riskOfRuin\.high/);
+        expect(() => Statistics.setLanguage('xx')).toThrow(Statistics.InvalidInputError);
+        expect(() => Statistics.addMessageCatalog('xx', { 'skewness.unknown': 'x' })).toThrow(Statistics.InvalidInputError);
+    });
+
+    test('the CLI applies --style and --language and restores the previous settings', async () => {
+        const output = { stdout: '' };
+        const code = await run(['patterns', '--style', 'day', '--language', 'de', '--numeric'], {
+            stdin: Readable.from(['date,open,high,low,close\n2024-01-02,100,102,99,101\n2024-01-03,101,103,100,102\n2024-01-04,102,104,101,101.5\n2024-01-05,101.5,103,100,103\n']),
+            stdout: { write: text => { output.stdout += text; } },
+            stderr: { write: () => {} }
+        });
+        expect(code).toBe(EXIT_CODES.success);
+        expect(JSON.parse(output.stdout).summary).toMatch(/^Der Markt ist /);
+        expect(Statistics.getLanguage()).toBe('en');
+        expect(Statistics.getInterpretationRules().style).toBe('swing');
+    });
+});